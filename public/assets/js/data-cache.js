@@ -181,8 +181,9 @@
     }
 
     _shouldForceIndexedDB(key) {
-      // Avoid blocking JSON.stringify for known huge objects (e.g. bulk daily cache).
-      return typeof key === 'string' && key.indexOf('funnel_all_daily_data_v') === 0;
+      // Avoid blocking JSON.stringify for known huge objects (e.g. bulk daily cache,
+      // which shared views store under a prefixed key).
+      return typeof key === 'string' && key.indexOf('funnel_all_daily_data_v') !== -1;
     }
 
     /**
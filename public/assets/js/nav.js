@@ -22,7 +22,7 @@ var GROUPS = [
 { label: "Analytics", items: [
 { id:"funnel", label:"FI Funnel", href:"./funnel.html" }
 ]},
-{ label: "Ops", items: [
+{ label: "Ops", minRole: "operator", items: [
 { id:"maintenance", label:"Maintenance", href:"./maintenance.html" }
 ]}
 ];
@@ -65,6 +65,7 @@ for (var i=0;i<lists.length;i++) lists[i].setAttribute("data-open","0");
 var btns = hdr.querySelectorAll(".sis-dropdown > button");
 for (var j=0;j<btns.length;j++) btns[j].setAttribute("aria-expanded","false");
 if (mount.__sisNavUpdateOpen) mount.__sisNavUpdateOpen();
+applyAuth();
 }
 
 function addDropdown(group, targetWrap){
@@ -85,7 +86,7 @@ b.setAttribute("aria-expanded", wasOpen ? "false" : "true");
 if (mount.__sisNavUpdateOpen) mount.__sisNavUpdateOpen();
 };
 }(list, btn));
-var wrap = h("div", { class:"sis-dropdown" }, [btn, list]);
+var wrap = h("div", group.minRole ? { class:"sis-dropdown", "data-min-role":group.minRole } : { class:"sis-dropdown" }, [btn, list]);
 targetWrap.appendChild(wrap);
 }
 
@@ -124,6 +125,7 @@ if (currentId === "maintenance") {
     }
   } catch (e) {}
 }
+rightGroup.appendChild(h("div", { class:"sis-user", "data-sis-user":"1" }, []));
 nav.appendChild(leftGroup);
 nav.appendChild(spacer);
 nav.appendChild(rightGroup);
@@ -211,6 +213,85 @@ if (metaDesc && subtitle) metaDesc.setAttribute("content", subtitle);
 }
 }
 
+// ---- Signed-in user ----
+// The server answers 401 once a session expires; send the browser back to the
+// login page instead of leaving every panel with a fetch error.
+var ROLE_ORDER = ["viewer", "operator", "admin"];
+var auth = { user: null, share: null, ready: null };
+
+function hasRole(role){
+var user = auth.user;
+if (!user) return false;
+return ROLE_ORDER.indexOf(user.role) >= ROLE_ORDER.indexOf(role);
+}
+
+function toLogin(){
+var next = location.pathname + location.search + location.hash;
+location.href = "/login.html?next=" + encodeURIComponent(next);
+}
+
+if (global.fetch && !global.__sisAuthFetchWrapped){
+global.__sisAuthFetchWrapped = true;
+var nativeFetch = global.fetch.bind(global);
+global.fetch = function(input, init){
+return nativeFetch(input, init).then(function(res){
+var target = typeof input === "string" ? input : (input && input.url) || "";
+var sameOrigin = target.indexOf("://") === -1 || target.indexOf(location.origin + "/") === 0;
+if (res.status === 401 && sameOrigin && target.indexOf("/auth/login") === -1) toLogin();
+return res;
+});
+};
+}
+
+function renderUserBadge(){
+var slot = document.querySelector("[data-sis-user]");
+if (!slot || !(auth.user || auth.share)) return;
+slot.innerHTML = "";
+slot.style.display = "flex";
+slot.style.alignItems = "center";
+slot.style.gap = "8px";
+slot.style.fontSize = "0.85rem";
+if (!auth.user){
+var until = (auth.share.expires_at || "").slice(0, 10);
+var shared = h("span", { class:"sis-user__name", title:"Shared view of " + auth.share.partner + ", " + auth.share.start + " → " + auth.share.end }, ["Shared view · " + auth.share.label + (until ? " · until " + until : "")]);
+shared.style.opacity = "0.8";
+slot.appendChild(shared);
+return;
+}
+var name = h("span", { class:"sis-user__name", title:"Role: " + auth.user.role }, [auth.user.username + " · " + auth.user.role]);
+name.style.opacity = "0.8";
+var logout = h("button", { class:"sis-pill", type:"button" }, ["Sign out"]);
+logout.addEventListener("click", function(){
+fetch("/auth/logout", { method:"POST" }).then(toLogin, toLogin);
+});
+slot.appendChild(name);
+slot.appendChild(logout);
+}
+
+// Elements marked data-min-role="operator|admin" are hidden by sis-shared.css
+// until <html data-role> shows the user has that role.
+function applyAuth(){
+if (auth.user) document.documentElement.setAttribute("data-role", auth.user.role);
+renderUserBadge();
+}
+
+auth.ready = (global.fetch ? fetch("/auth/me", { cache:"no-store" }) : Promise.reject(new Error("no fetch")))
+.then(function(res){ return res.ok ? res.json() : null; })
+.then(function(payload){
+auth.user = (payload && payload.user) || null;
+auth.share = (payload && payload.share) || null;
+if (document.readyState === "loading") document.addEventListener("DOMContentLoaded", applyAuth);
+else applyAuth();
+return auth.user;
+})
+.catch(function(){ return null; });
+
 // Expose
 global.renderHeaderNav = renderHeaderNav;
+global.sisAuth = {
+ready: auth.ready,
+hasRole: hasRole,
+get user(){ return auth.user; },
+get share(){ return auth.share; }
+};
 })(window);
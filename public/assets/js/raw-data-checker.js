@@ -50,6 +50,17 @@ export async function autoFetchIncompleteDates(dates) {
   );
 
   return new Promise((resolve, reject) => {
+    // The stream carries events for every queued job; follow only ours.
+    let jobId = null;
+    const isOurs = (data) => !jobId || !data || !data.jobId || data.jobId === jobId;
+    const parse = (event) => {
+      try {
+        return event && event.data ? JSON.parse(event.data) : null;
+      } catch (e) {
+        return null;
+      }
+    };
+
     // Server emits "done" on success; keep "complete" for backward compatibility.
     const onDone = () => {
       console.log('[Raw Checker] Auto-fetch complete');
@@ -57,15 +68,23 @@ export async function autoFetchIncompleteDates(dates) {
       resolve();
     };
 
+    eventSource.addEventListener('queued', (event) => {
+      const data = parse(event);
+      jobId = data && data.jobId ? data.jobId : null;
+      console.log(`[Raw Checker] Following job ${jobId}${data && data.existing ? ' (already queued)' : ''}`);
+    });
+
     eventSource.addEventListener('complete', () => {
       onDone();
     });
 
-    eventSource.addEventListener('done', () => {
+    eventSource.addEventListener('done', (event) => {
+      if (!isOurs(parse(event))) return;
       onDone();
     });
 
     eventSource.addEventListener('job_error', (event) => {
+      if (!isOurs(parse(event))) return;
       try {
         const data = event && event.data ? JSON.parse(event.data) : null;
         const msg = data && data.message ? data.message : 'Auto-fetch failed';
@@ -88,6 +107,7 @@ export async function autoFetchIncompleteDates(dates) {
     eventSource.addEventListener('progress', (event) => {
       try {
         const data = JSON.parse(event.data);
+        if (!isOurs(data)) return;
         console.log(`[Raw Checker] Progress: ${data.message || 'Processing...'}`);
       } catch (e) {
         console.log('[Raw Checker] Progress event received');
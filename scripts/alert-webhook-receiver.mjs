@@ -0,0 +1,43 @@
+import http from "node:http";
+import process from "node:process";
+
+// Local stand-in for an alert webhook (Slack, PagerDuty, ...): logs every
+// POST it receives. Point ALERTS_WEBHOOK_URL at http://localhost:<port>/.
+const port = Number(process.argv[2] || process.env.ALERTS_RECEIVER_PORT || 8799);
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on("data", (chunk) => chunks.push(chunk));
+  req.on("end", () => {
+    const body = Buffer.concat(chunks).toString("utf8");
+    let payload = null;
+    try {
+      payload = JSON.parse(body || "null");
+    } catch {
+      // Logged raw below.
+    }
+    const stamp = new Date().toISOString();
+    if (req.method !== "POST") {
+      res.writeHead(405, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: "POST only" }));
+      return;
+    }
+    if (Array.isArray(payload?.alerts)) {
+      console.log(`[${stamp}] ${payload.alerts.length} alert(s) from ${payload.source || "unknown"}`);
+      for (const alert of payload.alerts) {
+        console.log(
+          `  ${alert.severity.padEnd(8)} ${alert.day} ${alert.scope} ${alert.entity}: ${alert.kind} ` +
+            `(${alert.metric} ${alert.value} vs median ${alert.baseline?.median}, z=${alert.z})`
+        );
+      }
+    } else {
+      console.log(`[${stamp}] ${req.method} ${req.url}: ${body}`);
+    }
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ ok: true }));
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Alert webhook receiver listening on http://localhost:${port}/`);
+});
@@ -4,17 +4,38 @@ import process from "node:process";
 import { pathToFileURL } from "node:url";
 
 import {
-  bucketGaRowsByFiForDay,
+  addMerchantPlacements,
   buildDailyDocument,
+  buildHourlyDocument,
+  mergeMerchantPlacements,
   writeDailyFile,
+  writeHourlyFile,
+  HOURS,
 } from "../src/lib/daily-rollups.mjs";
 import { isTestInstanceName } from "../src/config/testInstances.mjs";
 import { readRaw } from "../src/lib/rawStorage.mjs";
+import { prunedRawTypes, retentionConfigFromEnv } from "../src/lib/rawRetention.mjs";
+import { loadFunnelDefinition } from "../src/lib/funnelDefinition.mjs";
+import { loadFiResolutionRules } from "../src/lib/fiResolution.mjs";
+import { runAnomalyDetection } from "../src/lib/anomalies.mjs";
+import { attributesOn } from "../src/lib/registryHistory.mjs";
+import {
+  createMerchantIndex,
+  merchantCatalogConfigFromEnv,
+  readMerchantCatalog,
+} from "../src/lib/merchantCatalog.mjs";
+import {
+  addDuration,
+  computeDurationMs,
+  jobCreatedAt,
+  jobDurationMs,
+  mergeDurations,
+  timeToFirstJobMs,
+} from "../src/lib/analytics/durations.mjs";
 import { parseDateArgs } from "./fetch-raw.mjs";
 
 const DAILY_OUTPUT_DIR = path.resolve("data/daily");
 const FI_REGISTRY_PATH = path.resolve("fi_registry.json");
-const CARDUPDATR_SUFFIX = ".cardupdatr.app";
 const UNKNOWN_INSTANCE = "unknown";
 const INSTANCE_DISPLAY_OVERRIDES = new Map([
   ["digitalonboarding", "digital-onboarding"],
@@ -42,24 +63,6 @@ function canonicalInstance(value) {
   return normalized || UNKNOWN_INSTANCE;
 }
 
-function adjustInstanceForFi(fiLookupKey, instanceValue) {
-  const fiNorm = normalizeFiKey(fiLookupKey);
-  const instanceNorm = canonicalInstance(instanceValue);
-  if (fiNorm === "advancial-prod" && instanceNorm === "default") {
-    return "advancial-prod";
-  }
-  return instanceValue;
-}
-
-function adjustFiLookupForInstance(fiLookupKey, instanceValue) {
-  const fiNorm = normalizeFiKey(fiLookupKey);
-  const instanceNorm = canonicalInstance(instanceValue);
-  if (fiNorm === "default" && instanceNorm === "advancialprod") {
-    return "advancial-prod";
-  }
-  return fiLookupKey;
-}
-
 function makeFiInstanceKey(fiKey, instance) {
   const fi = (fiKey || "").toString().toLowerCase();
   const inst = canonicalInstance(instance);
@@ -90,6 +93,9 @@ function readFiRegistry() {
 function buildRegistryIndex(fiRegistry = {}) {
   const byLookup = new Map();
   const byName = new Map();
+  // Registry entries by FI-instance key, and by FI for instances the
+  // registry does not list.
+  const entries = new Map();
 
   for (const entry of Object.values(fiRegistry)) {
     if (!entry || typeof entry !== "object") continue;
@@ -101,13 +107,26 @@ function buildRegistryIndex(fiRegistry = {}) {
       .toLowerCase();
     if (lookup) {
       byLookup.set(lookup, lookup);
+      const instanceKey = makeFiInstanceKey(lookup, entry.instance);
+      if (!entries.has(instanceKey)) entries.set(instanceKey, entry);
+      if (!entries.has(lookup)) entries.set(lookup, entry);
     }
     if (name && lookup) {
       byName.set(name, lookup);
     }
   }
 
-  return { byLookup, byName };
+  return { byLookup, byName, entries };
+}
+
+function registryAttributesFor(registryIndex, day) {
+  return (fiLookupKey, instance) => {
+    const lookup = normalizeFiKey(fiLookupKey);
+    const entry =
+      registryIndex.entries.get(makeFiInstanceKey(lookup, instance)) ||
+      registryIndex.entries.get(lookup);
+    return entry ? attributesOn(entry, day) : null;
+  };
 }
 
 function resolveFiKey(preferred, fallbackName, registryIndex) {
@@ -130,61 +149,54 @@ function resolveFiKey(preferred, fallbackName, registryIndex) {
   return normalizedName || null;
 }
 
-function resolveFiFromHost(host = "") {
-  if (!host.endsWith(CARDUPDATR_SUFFIX)) return null;
-  const prefix = host.slice(0, -CARDUPDATR_SUFFIX.length);
-  if (!prefix) return null;
-  const parts = prefix.split(".");
-  if (parts.length === 1) {
-    return {
-      fi_key: parts[0],
-      instance: parts[0],
-    };
-  }
-  const fi_key = parts[0];
-  const instance = parts[1] || parts[0];
-  if (fi_key === "default" && instance === "advancial-prod") {
-    return {
-      fi_key: "advancial-prod",
-      instance,
-    };
-  }
-  return {
-    fi_key,
-    instance,
-  };
-}
-
-function aggregateGaFromRaw(day, raw, registryIndex) {
+function aggregateGaFromRaw(day, raw, registryIndex, funnel, resolution) {
   if (!raw || raw.error) {
     if (raw?.error) {
       console.warn(`[${day}] GA raw flagged error: ${raw.error}`);
     }
-    return { byFi: {}, byInstance: {} };
+    return { byFi: {}, byInstance: {}, unresolvedHosts: {} };
   }
 
   const rows = Array.isArray(raw.rows) ? raw.rows : [];
   const byInstance = {};
+  // GA views on funnel pages whose host no rule maps to an FI, by host.
+  const unresolvedHosts = {};
 
   for (const originalRow of rows) {
     if (!originalRow || typeof originalRow !== "object") continue;
     const host = originalRow.host || originalRow.hostname || "";
-    const parsedHost = resolveFiFromHost(host);
+    const count = Number(
+      originalRow.active_users ??
+        originalRow.activeUsers ??
+        originalRow.views ??
+        originalRow.screenPageViews ??
+        0
+    );
+    // Resolve from the host with the current rules first, so a rebuild picks
+    // up rule changes; the FI stored at fetch time is the fallback.
+    const parsedHost = resolution.resolveHost(host);
     const preferredKey =
+      parsedHost?.fi_key ||
       originalRow.fi_key ||
       originalRow.fi_lookup_key ||
-      parsedHost?.fi_key ||
       null;
-    const fallbackName = originalRow.fi_name || parsedHost?.fi_key || null;
-    const fiKey = resolveFiKey(preferredKey, fallbackName, registryIndex);
-    if (!fiKey) continue;
-    const instanceRaw =
-      originalRow.instance ||
-      originalRow.host_instance ||
-      parsedHost?.instance ||
-      UNKNOWN_INSTANCE;
-    const adjustedInstance = adjustInstanceForFi(fiKey, instanceRaw);
-    const instanceDisplay = formatInstanceDisplay(adjustedInstance);
+    const fallbackName = originalRow.fi_name || null;
+    const resolvedKey = resolveFiKey(preferredKey, fallbackName, registryIndex);
+    if (!resolvedKey) {
+      const hostKey = host || "(no host)";
+      unresolvedHosts[hostKey] = (unresolvedHosts[hostKey] || 0) + count;
+      continue;
+    }
+    const aliased = resolution.applyAliases({
+      fi: resolvedKey,
+      instance:
+        parsedHost?.instance ||
+        originalRow.instance ||
+        originalRow.host_instance ||
+        UNKNOWN_INSTANCE,
+    });
+    const fiKey = normalizeFiKey(aliased.fi);
+    const instanceDisplay = formatInstanceDisplay(aliased.instance);
     const normalizedInstance = canonicalInstance(instanceDisplay);
     const isTest = isTestInstanceName(normalizedInstance);
     const fiInstanceKey = makeFiInstanceKey(fiKey, normalizedInstance);
@@ -195,31 +207,18 @@ function aggregateGaFromRaw(day, raw, registryIndex) {
         instance: instanceDisplay,
         instance_norm: normalizedInstance,
         is_test: isTest,
-        select_merchants: 0,
-        user_data_collection: 0,
-        credential_entry: 0,
+        stages: funnel.emptyCounts(),
       };
     }
     const bucket = byInstance[fiInstanceKey];
     if (isTest) {
       bucket.is_test = true;
     }
-    const count = Number(
-      originalRow.active_users ??
-        originalRow.activeUsers ??
-        originalRow.views ??
-        originalRow.screenPageViews ??
-        0
-    );
     const pagePath =
       (originalRow.page || originalRow.pagePath || originalRow.pathname || "")
         .toString();
-    const select = pagePath.startsWith("/select-merchants");
-    const user = pagePath.startsWith("/user-data-collection");
-    const cred = pagePath.startsWith("/credential-entry");
-    if (select) bucket.select_merchants += count;
-    else if (user) bucket.user_data_collection += count;
-    else if (cred) bucket.credential_entry += count;
+    const stage = funnel.stageFor(host, pagePath);
+    if (stage) bucket.stages[stage] += count;
   }
 
   const byFi = {};
@@ -227,20 +226,18 @@ function aggregateGaFromRaw(day, raw, registryIndex) {
     const fiKey = entry.fi_lookup_key;
     if (!byFi[fiKey]) {
       byFi[fiKey] = {
-        select_merchants: 0,
-        user_data_collection: 0,
-        credential_entry: 0,
+        stages: funnel.emptyCounts(),
         instances: [],
       };
     }
     const fiBucket = byFi[fiKey];
-    fiBucket.select_merchants += entry.select_merchants;
-    fiBucket.user_data_collection += entry.user_data_collection;
-    fiBucket.credential_entry += entry.credential_entry;
+    for (const [stage, count] of Object.entries(entry.stages)) {
+      fiBucket.stages[stage] += count;
+    }
     fiBucket.instances = ensureInstanceDisplay(fiBucket.instances, entry.instance);
   }
 
-  return { byFi, byInstance };
+  return { byFi, byInstance, unresolvedHosts };
 }
 
 function safeSessionFiKey(session, registryIndex) {
@@ -260,7 +257,37 @@ function safeSessionFiKey(session, registryIndex) {
   );
 }
 
-function aggregateSessionsFromRaw(raw, registryIndex) {
+function sessionIdOf(row) {
+  return row?.agent_session_id || row?.session_id || row?.cuid || null;
+}
+
+/**
+ * Per session id, the device the session reported and when its first job was
+ * created, so placements can be split by device and sessions timed to their
+ * first job.
+ */
+function indexSessionTimings(sessionsRaw, placementsRaw) {
+  const deviceBySession = new Map();
+  const firstJobBySession = new Map();
+  for (const session of Array.isArray(sessionsRaw?.sessions) ? sessionsRaw.sessions : []) {
+    const id = sessionIdOf(session);
+    if (id) deviceBySession.set(id, session.source?.device || null);
+  }
+  for (const placement of Array.isArray(placementsRaw?.placements) ? placementsRaw.placements : []) {
+    const id = sessionIdOf(placement);
+    const created = jobCreatedAt(placement);
+    const ms = created ? Date.parse(created) : NaN;
+    if (!id || Number.isNaN(ms)) continue;
+    const earliest = firstJobBySession.get(id);
+    if (!earliest || ms < Date.parse(earliest)) firstJobBySession.set(id, created);
+  }
+  return { deviceBySession, firstJobBySession };
+}
+
+// Hourly documents keep only counts, so hourly slices skip the session index.
+const NO_TIMINGS = { deviceBySession: new Map(), firstJobBySession: new Map() };
+
+function aggregateSessionsFromRaw(raw, registryIndex, resolution, timings = NO_TIMINGS) {
   if (!raw || raw.error) {
     if (raw?.error) {
       console.warn(`[${raw.date || "unknown"}] Sessions raw flagged error: ${raw.error}`);
@@ -273,17 +300,18 @@ function aggregateSessionsFromRaw(raw, registryIndex) {
 
   for (const session of sessions) {
     if (!session || typeof session !== "object") continue;
-    const fiKey = safeSessionFiKey(session, registryIndex);
-    let instanceValue =
-      session._instance ||
-      session.instance ||
-      session.instance_name ||
-      session.org_name ||
-      session.instance_slug ||
-      UNKNOWN_INSTANCE;
-    instanceValue = adjustInstanceForFi(fiKey, instanceValue);
-    const adjustedFiKey = adjustFiLookupForInstance(fiKey, instanceValue);
-    const fiLookup = (adjustedFiKey || fiKey || "unknown_fi").toString();
+    const aliased = resolution.applyAliases({
+      fi: safeSessionFiKey(session, registryIndex),
+      instance:
+        session._instance ||
+        session.instance ||
+        session.instance_name ||
+        session.org_name ||
+        session.instance_slug ||
+        UNKNOWN_INSTANCE,
+    });
+    const instanceValue = aliased.instance;
+    const fiLookup = (aliased.fi || "unknown_fi").toString();
     const normalizedFi = normalizeFiKey(fiLookup);
     const instanceDisplay = formatInstanceDisplay(instanceValue);
     const normalizedInstance = canonicalInstance(instanceDisplay);
@@ -305,6 +333,7 @@ function aggregateSessionsFromRaw(raw, registryIndex) {
         total_jobs_sum: 0,
         successful_jobs_sum: 0,
         job_distribution: {},
+        durations: {},
       };
     }
     const bucket = byInstance[key];
@@ -312,6 +341,12 @@ function aggregateSessionsFromRaw(raw, registryIndex) {
       bucket.is_test = true;
     }
     bucket.total_sessions += 1;
+    const device = session.source?.device;
+    addDuration(bucket.durations, "session_length", device, computeDurationMs(session));
+    const firstJobAt = timings.firstJobBySession.get(sessionIdOf(session));
+    if (firstJobAt) {
+      addDuration(bucket.durations, "time_to_first_job", device, timeToFirstJobMs(session, firstJobAt));
+    }
     if (totalJobs > 0) bucket.sessions_with_jobs += 1;
     if (successfulJobs > 0) bucket.sessions_with_success += 1;
     bucket.total_jobs_sum += totalJobs;
@@ -333,10 +368,12 @@ function aggregateSessionsFromRaw(raw, registryIndex) {
         total_jobs_sum: 0,
         successful_jobs_sum: 0,
         job_distribution: {},
+        durations: {},
       };
     }
     const fiBucket = byFi[fiKey];
     fiBucket.total_sessions += entry.total_sessions;
+    mergeDurations(fiBucket.durations, entry.durations);
     fiBucket.sessions_with_jobs += entry.sessions_with_jobs;
     fiBucket.sessions_with_success += entry.sessions_with_success;
     fiBucket.total_jobs_sum += entry.total_jobs_sum || 0;
@@ -375,7 +412,7 @@ function isSuccessfulPlacement(placement) {
   return status === "SUCCESSFUL" || termination === "BILLABLE";
 }
 
-function aggregatePlacementsFromRaw(raw, registryIndex) {
+function aggregatePlacementsFromRaw(raw, registryIndex, resolution, merchantIndex, timings = NO_TIMINGS) {
   if (!raw || raw.error) {
     if (raw?.error) {
       console.warn(
@@ -390,16 +427,17 @@ function aggregatePlacementsFromRaw(raw, registryIndex) {
 
   for (const placement of placements) {
     if (!placement || typeof placement !== "object") continue;
-    const baseFiKey = safePlacementFiKey(placement, registryIndex).toString();
-    let instanceValue =
-      placement._instance ||
-      placement.instance ||
-      placement.instance_name ||
-      placement.org_name ||
-      UNKNOWN_INSTANCE;
-    instanceValue = adjustInstanceForFi(baseFiKey, instanceValue);
-    const adjustedFiKey = adjustFiLookupForInstance(baseFiKey, instanceValue);
-    const fiKey = adjustedFiKey || baseFiKey;
+    const aliased = resolution.applyAliases({
+      fi: safePlacementFiKey(placement, registryIndex).toString(),
+      instance:
+        placement._instance ||
+        placement.instance ||
+        placement.instance_name ||
+        placement.org_name ||
+        UNKNOWN_INSTANCE,
+    });
+    const instanceValue = aliased.instance;
+    const fiKey = aliased.fi;
     const normalizedFi = normalizeFiKey(fiKey);
     const instanceDisplay = formatInstanceDisplay(instanceValue);
     const normalizedInstance = canonicalInstance(instanceDisplay);
@@ -424,6 +462,8 @@ function aggregatePlacementsFromRaw(raw, registryIndex) {
         total_placements: 0,
         successful_placements: 0,
         by_termination: {},
+        by_merchant: {},
+        durations: {},
       };
     }
     const bucket = byInstance[key];
@@ -436,6 +476,15 @@ function aggregatePlacementsFromRaw(raw, registryIndex) {
     }
     bucket.by_termination[termination] =
       (bucket.by_termination[termination] || 0) + 1;
+    addMerchantPlacements(bucket.by_merchant, merchantIndex.keyFor(placement), termination, {
+      successful: isSuccessfulPlacement(placement),
+    });
+    addDuration(
+      bucket.durations,
+      "job_duration",
+      timings.deviceBySession.get(sessionIdOf(placement)) || placement.source?.device,
+      jobDurationMs(placement)
+    );
   }
 
   const byFi = {};
@@ -447,20 +496,185 @@ function aggregatePlacementsFromRaw(raw, registryIndex) {
         total_placements: 0,
         successful_placements: 0,
         by_termination: {},
+        by_merchant: {},
+        durations: {},
       };
     }
     const fiBucket = byFi[fiKey];
     fiBucket.total_placements += entry.total_placements;
+    mergeDurations(fiBucket.durations, entry.durations);
     fiBucket.successful_placements += entry.successful_placements;
     for (const [term, count] of Object.entries(entry.by_termination)) {
       fiBucket.by_termination[term] =
         (fiBucket.by_termination[term] || 0) + count;
     }
+    mergeMerchantPlacements(fiBucket.by_merchant, entry.by_merchant);
   }
 
   return { byFi, byInstance };
 }
 
+// GA reports hours in the property's time zone; SIS timestamps are UTC.
+const HOUR_BASIS = { ga: "ga_property_timezone", sessions: "utc", placements: "utc" };
+
+function hourOfTimestamp(value) {
+  if (!value) return null;
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) return null;
+  return String(new Date(ms).getUTCHours()).padStart(2, "0");
+}
+
+function hourOfGaRow(row) {
+  const hour = Number.parseInt(row?.hour, 10);
+  if (!Number.isInteger(hour) || hour < 0 || hour > 23) return null;
+  return String(hour).padStart(2, "0");
+}
+
+function placementTimestamp(placement) {
+  return placement?.job_created_on || placement?.created_on || null;
+}
+
+/**
+ * Splits a raw document into one raw-shaped document per hour, so the daily
+ * aggregators can be reused unchanged for each hour.
+ * @returns {{byHour: object, unassigned: number}}
+ */
+function partitionRawByHour(raw, rowsKey, hourOf) {
+  const byHour = {};
+  let unassigned = 0;
+  if (!raw || raw.error || !Array.isArray(raw[rowsKey])) return { byHour, unassigned };
+  for (const row of raw[rowsKey]) {
+    const hour = hourOf(row);
+    if (!hour) {
+      unassigned += 1;
+      continue;
+    }
+    byHour[hour] ??= { ...raw, [rowsKey]: [] };
+    byHour[hour][rowsKey].push(row);
+  }
+  return { byHour, unassigned };
+}
+
+function isProductionPlacement(placement) {
+  const instance = canonicalInstance(
+    formatInstanceDisplay(placement._instance || placement.instance || UNKNOWN_INSTANCE)
+  );
+  return !isTestInstanceName(instance);
+}
+
+/**
+ * Per-merchant placement outcomes for the day across production instances,
+ * with each merchant's catalog name, tags and tier. Merchants seen only on
+ * test instances are listed with zero counts so their tags are still known.
+ */
+function aggregateMerchantsForDay(raw, merchantIndex) {
+  const merchants = {};
+  if (!raw || raw.error || !Array.isArray(raw.placements)) return merchants;
+  for (const placement of raw.placements) {
+    if (!placement || typeof placement !== "object") continue;
+    const key = merchantIndex.keyFor(placement);
+    const entry = (merchants[key] ??= {
+      ...merchantIndex.describe(key),
+      total_placements: 0,
+      successful_placements: 0,
+      by_termination: {},
+    });
+    if (!isProductionPlacement(placement)) continue;
+    const termination = (placement.termination_type || placement.status || "UNKNOWN")
+      .toString()
+      .toUpperCase();
+    entry.total_placements += 1;
+    if (isSuccessfulPlacement(placement)) entry.successful_placements += 1;
+    entry.by_termination[termination] = (entry.by_termination[termination] || 0) + 1;
+  }
+  return merchants;
+}
+
+/**
+ * Per-merchant placement outcomes by hour, across all production instances,
+ * for spotting when a merchant started failing.
+ */
+function aggregateMerchantsByHour(placementsByHour, merchantIndex) {
+  const merchants = {};
+  for (const [hour, raw] of Object.entries(placementsByHour)) {
+    for (const placement of raw.placements) {
+      if (!placement || typeof placement !== "object") continue;
+      if (!isProductionPlacement(placement)) continue;
+      const merchant = merchantIndex.keyFor(placement);
+      merchants[merchant] ??= {};
+      const bucket = (merchants[merchant][hour] ??= {
+        placements: 0,
+        placements_success: 0,
+        by_termination: {},
+      });
+      bucket.placements += 1;
+      if (isSuccessfulPlacement(placement)) bucket.placements_success += 1;
+      const termination = (placement.termination_type || placement.status || "UNKNOWN")
+        .toString()
+        .toUpperCase();
+      bucket.by_termination[termination] = (bucket.by_termination[termination] || 0) + 1;
+    }
+  }
+  return merchants;
+}
+
+function buildHourlyFromRaw(
+  day,
+  gaRaw,
+  sessionsRaw,
+  placementsRaw,
+  registryIndex,
+  funnel,
+  resolution,
+  merchantIndex
+) {
+  const ga = partitionRawByHour(gaRaw, "rows", hourOfGaRow);
+  const sessions = partitionRawByHour(sessionsRaw, "sessions", (s) => hourOfTimestamp(s?.created_on));
+  const placements = partitionRawByHour(placementsRaw, "placements", (p) =>
+    hourOfTimestamp(placementTimestamp(p))
+  );
+
+  const hourDocs = {};
+  for (const hour of HOURS) {
+    if (!ga.byHour[hour] && !sessions.byHour[hour] && !placements.byHour[hour]) continue;
+    const { byFi: gaByFi, byInstance: gaByInstance } = aggregateGaFromRaw(
+      day,
+      ga.byHour[hour],
+      registryIndex,
+      funnel,
+      resolution
+    );
+    const { byFi: sessionsByFi, byInstance: sessionsByInstance } =
+      aggregateSessionsFromRaw(sessions.byHour[hour], registryIndex, resolution);
+    const { byFi: placementsByFi, byInstance: placementsByInstance } =
+      aggregatePlacementsFromRaw(placements.byHour[hour], registryIndex, resolution, merchantIndex);
+    hourDocs[hour] = buildDailyDocument({
+      day,
+      funnel,
+      gaByFi,
+      gaByInstance,
+      sessionsByFi,
+      sessionsByInstance,
+      placementsByFi,
+      placementsByInstance,
+      registryFor: registryAttributesFor(registryIndex, day),
+    });
+  }
+
+  return buildHourlyDocument({
+    day,
+    funnel,
+    hourDocs,
+    merchants: aggregateMerchantsByHour(placements.byHour, merchantIndex),
+    unassigned: {
+      ga: ga.unassigned,
+      sessions: sessions.unassigned,
+      placements: placements.unassigned,
+    },
+    hourBasis: HOUR_BASIS,
+  });
+}
+
 function enumerateRange(startDate, endDate) {
   if (startDate === endDate) return [startDate];
   const { dates } = parseDateArgs([startDate, endDate]);
@@ -471,12 +685,35 @@ function allSourcesMissing(...rawValues) {
   return rawValues.every((value) => !value);
 }
 
-export async function buildDailyFromRawRange({ startDate, endDate }) {
+/**
+ * Rebuilds the daily and hourly rollups of each day in the range from raw data,
+ * then runs anomaly detection over the days built.
+ * @returns {Promise<object>} { built: days written, alerts: new anomaly alerts }
+ */
+export async function buildDailyFromRawRange({ startDate, endDate, isCancelled }) {
   const registry = readFiRegistry();
   const registryIndex = buildRegistryIndex(registry);
+  const funnel = loadFunnelDefinition();
+  const resolution = loadFiResolutionRules();
+  const merchantCatalog = readMerchantCatalog(merchantCatalogConfigFromEnv());
+  const merchantIndex = createMerchantIndex(merchantCatalog);
+  if (!merchantCatalog) {
+    console.warn("⚠️ No merchant catalog yet — merchants are listed without names or tags.");
+  }
+  const retention = retentionConfigFromEnv();
   const dates = enumerateRange(startDate, endDate);
+  const built = [];
 
   for (const day of dates) {
+    if (isCancelled?.()) {
+      throw Object.assign(new Error(`Cancelled before ${day}`), { kind: "cancelled" });
+    }
+    // Rebuilt from what retention left, the day would lose the pruned counts.
+    const pruned = prunedRawTypes(day, { config: retention });
+    if (pruned.length) {
+      console.warn(`[${day}] Raw ${pruned.join(", ")} pruned by retention; keeping the existing rollup.`);
+      continue;
+    }
     const gaRaw = readRaw("ga", day);
     const sessionsRaw = readRaw("sessions", day);
     const placementsRaw = readRaw("placements", day);
@@ -486,29 +723,69 @@ export async function buildDailyFromRawRange({ startDate, endDate }) {
       continue;
     }
 
-    const { byFi: gaByFi, byInstance: gaByInstance } = aggregateGaFromRaw(
-      day,
-      gaRaw,
-      registryIndex
-    );
+    const {
+      byFi: gaByFi,
+      byInstance: gaByInstance,
+      unresolvedHosts,
+    } = aggregateGaFromRaw(day, gaRaw, registryIndex, funnel, resolution);
+    const timings = indexSessionTimings(sessionsRaw, placementsRaw);
     const { byFi: sessionsByFi, byInstance: sessionsByInstance } =
-      aggregateSessionsFromRaw(sessionsRaw, registryIndex);
+      aggregateSessionsFromRaw(sessionsRaw, registryIndex, resolution, timings);
     const { byFi: placementsByFi, byInstance: placementsByInstance } =
-      aggregatePlacementsFromRaw(placementsRaw, registryIndex);
+      aggregatePlacementsFromRaw(placementsRaw, registryIndex, resolution, merchantIndex, timings);
+    const unresolvedCount = Object.keys(unresolvedHosts).length;
+    if (unresolvedCount) {
+      console.warn(
+        `[${day}] GA: ${unresolvedCount} host(s) not mapped to an FI: ${Object.keys(unresolvedHosts).slice(0, 5).join(", ")}${unresolvedCount > 5 ? ", …" : ""}`
+      );
+    }
 
     const doc = buildDailyDocument({
       day,
+      funnel,
+      resolution,
+      unresolvedHosts,
       gaByFi,
       gaByInstance,
       sessionsByFi,
       sessionsByInstance,
       placementsByFi,
       placementsByInstance,
+      registryFor: registryAttributesFor(registryIndex, day),
+      merchants: aggregateMerchantsForDay(placementsRaw, merchantIndex),
+      merchantCatalog,
     });
 
-    await writeDailyFile(DAILY_OUTPUT_DIR, day, doc);
-    console.log(`[${day}] wrote ${path.join("data/daily", `${day}.json`)}`);
+    const written = await writeDailyFile(DAILY_OUTPUT_DIR, day, doc);
+    const hourlyDoc = buildHourlyFromRaw(
+      day,
+      gaRaw,
+      sessionsRaw,
+      placementsRaw,
+      registryIndex,
+      funnel,
+      resolution,
+      merchantIndex
+    );
+    const hourlyWritten = await writeHourlyFile(day, hourlyDoc);
+    console.log(
+      `[${day}] wrote ${path.relative(process.cwd(), written)} and ${path.relative(process.cwd(), hourlyWritten)}`
+    );
+    built.push(day);
+  }
+
+  // Alerting must never fail the build it follows.
+  let alerts = [];
+  try {
+    const detection = await runAnomalyDetection({ days: built });
+    alerts = detection.alerts;
+    if (detection.checked.length) {
+      console.log(`[alerts] checked ${detection.checked.length} day(s), ${alerts.length} new anomaly alert(s)`);
+    }
+  } catch (err) {
+    console.warn(`[alerts] anomaly detection failed: ${err?.message || err}`);
   }
+  return { built, alerts };
 }
 
 const isDirectRun =
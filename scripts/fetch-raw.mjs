@@ -4,8 +4,12 @@ import process from "node:process";
 import { pathToFileURL } from "node:url";
 
 import { fetchGaRowsForDay } from "../src/ga.mjs";
+import { loadFunnelDefinition, DEFAULT_FUNNEL_VERSION } from "../src/lib/funnelDefinition.mjs";
 import { loginWithSdk, getCardPlacementPage, getSessionsPage } from "../src/api.mjs";
 import { loadInstances } from "../src/utils/config.mjs";
+import { loadGaSources, mergeGaSourceRows, defaultGaSourcesVersion } from "../src/lib/gaSources.mjs";
+import { gaCredentialFile, loadGaCredential, vaultConfigFromEnv } from "../src/lib/secretsVault.mjs";
+import { createFetchLimiter, mapWithConcurrency } from "../src/lib/fetchLimiter.mjs";
 import { fetchSessionsForInstance } from "../src/fetch/fetchSessions.mjs";
 import { fetchPlacementsForInstance } from "../src/fetch/fetchPlacements.mjs";
 import {
@@ -15,16 +19,24 @@ import {
   writeRawWithMetadata,
   readRaw,
 } from "../src/lib/rawStorage.mjs";
+import {
+  FETCH_SOURCES,
+  createFetchManifest,
+  loadFetchManifest,
+  latestResumableManifest,
+  markInterruptedFetchManifests,
+  reopenFetchManifest,
+  finishFetchManifest,
+  isUnitFinished,
+  markFetchUnit,
+  instanceCheckpoint,
+  pendingInstanceWork,
+  estimateRemainingWork,
+} from "../src/lib/fetchManifest.mjs";
 
 const SRC_DIR = path.resolve("src");
 const ROOT_DIR = path.resolve(".");
 const DAILY_FORMAT = /^\d{4}-\d{2}-\d{2}$/;
-const DEFAULT_GA_PROPERTY = process.env.GA_PROPERTY_ID || null;
-const DEFAULT_GA_KEYFILE =
-  process.env.GA_KEYFILE || process.env.GOOGLE_APPLICATION_CREDENTIALS || "./secrets/ga-service-account.json";
-const TEST_GA_PROPERTY = process.env.GA_TEST_PROPERTY_ID || null;
-const TEST_GA_KEYFILE =
-  process.env.GA_TEST_KEYFILE || "./secrets/ga-test.json";
 const REFRESH_WINDOW_DAYS = 7;
 const MS_PER_DAY = 24 * 60 * 60 * 1000;
 
@@ -83,31 +95,34 @@ export function parseDateArgs(argv = []) {
     return { startDate, endDate, dates: enumerateDates(startDate, endDate) };
   }
 
-  throw new Error("Usage: node scripts/fetch-raw.mjs [startDate] [endDate]");
+  throw new Error(
+    "Usage: node scripts/fetch-raw.mjs [startDate] [endDate] | --resume [runId]"
+  );
 }
 
-function gaRequestForDate(date, overrides = {}) {
+function gaRequestForDate(date, source, keyFile) {
   return {
-    propertyId: overrides.propertyId || DEFAULT_GA_PROPERTY,
-    keyFile: path.resolve(overrides.keyFile || DEFAULT_GA_KEYFILE),
+    source: source.id,
+    propertyId: source.property_id,
+    keyFile,
     date,
     dimensions: ["date", "hostName", "pagePath", "hour"],
     metrics: ["screenPageViews"],
   };
 }
 
-async function getSessionForInstance(instance, cache) {
-  const instanceName =
-    instance?.name ||
-    instance?.CARDSAVR_INSTANCE ||
-    instance?.USERNAME ||
-    "default";
-  if (cache.has(instanceName)) {
-    return cache.get(instanceName);
-  }
-  const { session } = await loginWithSdk(instance);
-  cache.set(instanceName, session);
-  return session;
+// The cache holds login promises so concurrent callers for the same instance
+// share one login. With a limiter, the returned session is wrapped so its
+// API calls are rate limited and retried.
+async function getSessionForInstance(instance, cache, limiter = null) {
+  const instanceName = instanceNameOf(instance);
+  if (!cache.has(instanceName)) {
+    const pending = loginWithSdk(instance).then(({ session }) => session);
+    cache.set(instanceName, pending);
+    pending.catch(() => cache.delete(instanceName));
+  }
+  const session = await cache.get(instanceName);
+  return limiter ? limiter.wrapSession(session, instanceName) : session;
 }
 
 async function verifySessionAccess(session, instanceName, verificationDate) {
@@ -137,27 +152,27 @@ async function verifyPlacementAccess(session, instanceName, verificationDate) {
 async function verifyInstanceLogins(instances, cache, options = {}) {
   const verificationDate = options.verificationDate || todayUtc();
   const verifyPlacements = options.verifyPlacements !== false;
-  const failures = [];
-  for (const instance of instances) {
-    const instanceName =
-      instance?.name ||
-      instance?.CARDSAVR_INSTANCE ||
-      instance?.USERNAME ||
-      "default";
-    try {
-      const { session } = await loginWithSdk(instance);
-      cache.set(instanceName, session);
-      console.log(`[login] ${instanceName}: success`);
-      await verifySessionAccess(session, instanceName, verificationDate);
-      if (verifyPlacements) {
-        await verifyPlacementAccess(session, instanceName, verificationDate);
+  const limiter = options.limiter || null;
+  const results = await Promise.all(
+    instances.map(async (instance) => {
+      const instanceName = instanceNameOf(instance);
+      try {
+        cache.delete(instanceName); // always log in fresh when verifying
+        const session = await getSessionForInstance(instance, cache, limiter);
+        console.log(`[login] ${instanceName}: success`);
+        await verifySessionAccess(session, instanceName, verificationDate);
+        if (verifyPlacements) {
+          await verifyPlacementAccess(session, instanceName, verificationDate);
+        }
+        return null;
+      } catch (err) {
+        const msg = err?.message || String(err);
+        console.error(`[login] ${instanceName}: FAILED - ${msg}`);
+        return { instanceName, error: msg };
       }
-    } catch (err) {
-      const msg = err?.message || String(err);
-      console.error(`[login] ${instanceName}: FAILED - ${msg}`);
-      failures.push({ instanceName, error: msg });
-    }
-  }
+    })
+  );
+  const failures = results.filter(Boolean);
   if (failures.length > 0) {
     const detail = failures
       .map((failure) => `${failure.instanceName}: ${failure.error}`)
@@ -171,29 +186,73 @@ async function verifyInstanceLogins(instances, cache, options = {}) {
   }
 }
 
+/**
+ * Fetches one source for one day from every instance concurrently (the limiter
+ * bounds actual request concurrency). Rows come back in instance order so the
+ * raw files do not depend on which instance answered first.
+ */
+async function collectForDay(label, fetchForInstance, date, instances, cache, options) {
+  const checkpoint = options.checkpoint || null;
+  const limiter = options.limiter || null;
+  const results = await Promise.all(
+    instances.map(async (instance) => {
+      const instanceName = instanceNameOf(instance);
+      const restored = checkpoint?.restore(instanceName);
+      if (restored) {
+        console.log(`[${date}] ${label} for ${instanceName}: restored ${restored.length} from checkpoint`);
+        return { instanceName, rows: restored };
+      }
+      const started = Date.now();
+      try {
+        const sdkSession = await getSessionForInstance(instance, cache, limiter);
+        const rows = await fetchForInstance(
+          sdkSession,
+          instanceName,
+          date,
+          date,
+          new Set(),
+          []
+        );
+        limiter?.addRows(rows.length);
+        checkpoint?.record(instanceName, {
+          status: "done",
+          rows,
+          durationMs: Date.now() - started,
+        });
+        return { instanceName, rows };
+      } catch (err) {
+        const msg = err?.message || String(err);
+        checkpoint?.record(instanceName, {
+          status: "failed",
+          error: msg,
+          durationMs: Date.now() - started,
+        });
+        return { instanceName, rows: [], error: msg };
+      }
+    })
+  );
+  return {
+    rows: results.flatMap((result) => result.rows),
+    failed: results.filter((result) => result.error),
+  };
+}
+
 async function collectSessionsForDay(date, instances, cache, options = {}) {
   const strict = options.strict !== false;
-  const combined = [];
-  const seenIds = new Set();
-  const failures = [];
-  for (const instance of instances) {
-    const instanceName =
-      instance?.name || instance?.CARDSAVR_INSTANCE || "default";
-    try {
-      const sdkSession = await getSessionForInstance(instance, cache);
-      await fetchSessionsForInstance(
-        sdkSession,
-        instanceName,
-        date,
-        date,
-        seenIds,
-        combined
-      );
-    } catch (err) {
-      const msg = err?.message || String(err);
-      failures.push({ instanceName, error: msg, type: "sessions", date });
-    }
-  }
+  const { rows, failed } = await collectForDay(
+    "Sessions",
+    fetchSessionsForInstance,
+    date,
+    instances,
+    cache,
+    options
+  );
+  const failures = failed.map((f) => ({
+    instanceName: f.instanceName,
+    error: f.error,
+    type: "sessions",
+    date,
+  }));
   if (failures.length && strict) {
     const err = new Error(
       `Sessions fetch failed for ${failures.length} instance(s): ${failures
@@ -204,32 +263,22 @@ async function collectSessionsForDay(date, instances, cache, options = {}) {
     err.kind = "credentials";
     throw err;
   }
-  return combined;
+  return rows;
 }
 
 async function collectPlacementsForDay(date, instances, cache, options = {}) {
   const strict = options.strict !== false;
-  const combined = [];
-  const errors = [];
-  const seenIds = new Set();
-  for (const instance of instances) {
-    const instanceName =
-      instance.name || instance.CARDSAVR_INSTANCE || "default";
-    try {
-      const sdkSession = await getSessionForInstance(instance, cache);
-      await fetchPlacementsForInstance(
-        sdkSession,
-        instanceName,
-        date,
-        date,
-        seenIds,
-        combined
-      );
-    } catch (err) {
-      const msg = err?.message || String(err);
-      errors.push({ instance: instanceName, error: msg });
-      console.warn(`[${date}] Placements error for ${instanceName}: ${msg}`);
-    }
+  const { rows, failed } = await collectForDay(
+    "Placements",
+    fetchPlacementsForInstance,
+    date,
+    instances,
+    cache,
+    options
+  );
+  const errors = failed.map((f) => ({ instance: f.instanceName, error: f.error }));
+  for (const e of errors) {
+    console.warn(`[${date}] Placements error for ${e.instance}: ${e.error}`);
   }
   if (errors.length && strict) {
     const failures = errors.map((e) => ({
@@ -247,59 +296,65 @@ async function collectPlacementsForDay(date, instances, cache, options = {}) {
     err.kind = "credentials";
     throw err;
   }
-  return { placements: combined, errors };
+  return { placements: rows, errors };
 }
 
 async function fetchGaRaw(date) {
-  const fs = await import("node:fs");
-
-  const configs = [
-    { propertyId: DEFAULT_GA_PROPERTY, keyFile: DEFAULT_GA_KEYFILE, isTest: false },
-  ];
-  if (TEST_GA_PROPERTY) {
-    configs.push({ propertyId: TEST_GA_PROPERTY, keyFile: TEST_GA_KEYFILE, isTest: true });
-  }
-
-  // Filter out configs where propertyId is missing or keyFile doesn't exist
-  const validConfigs = configs.filter(cfg => {
-    if (!cfg.propertyId) {
-      const label = cfg.isTest ? "GA (test)" : "GA (prod)";
-      console.log(`[${date}] ${label}: skipped (property ID not configured)`);
-      return false;
+  const { sources, version: sourcesVersion } = loadGaSources();
+
+  // Skip disabled sources and those with no credential stored (in the secrets
+  // vault or the key file)
+  const vault = vaultConfigFromEnv({ root: ROOT_DIR });
+  const validSources = [];
+  for (const source of sources) {
+    const label = `GA (${source.id})`;
+    if (!source.enabled) {
+      console.log(`[${date}] ${label}: skipped (disabled)`);
+      continue;
     }
-    const keyFilePath = path.resolve(cfg.keyFile);
-    const exists = fs.existsSync(keyFilePath);
-    if (!exists) {
-      const label = cfg.isTest ? "GA (test)" : "GA (prod)";
-      console.log(`[${date}] ${label}: skipped (credential file not found: ${cfg.keyFile})`);
+    const stored = loadGaCredential(vault, source.credential);
+    if (!stored) {
+      const file = path.relative(ROOT_DIR, gaCredentialFile(vault, source.credential));
+      console.log(`[${date}] ${label}: skipped (credential "${source.credential}" not found: ${file})`);
+      continue;
     }
-    return exists;
-  });
+    validSources.push({ source, credentials: stored.json, keyFile: stored.path });
+  }
 
-  // If no valid GA configs, return empty result
-  if (validConfigs.length === 0) {
-    console.log(`[${date}] GA: skipped (no credential files found)`);
+  // If no valid GA sources, return empty result
+  if (validSources.length === 0) {
+    console.log(`[${date}] GA: skipped (no configured sources with credentials)`);
     return { date, rows: [], count: 0, requests: [], skipped: true };
   }
 
-  const allRows = [];
-  const requests = [];
-  for (const cfg of validConfigs) {
-    const request = gaRequestForDate(date, cfg);
-    const rows = await fetchGaRowsForDay({
-      date: request.date,
-      propertyId: cfg.propertyId,
-      keyFile: cfg.keyFile,
-    });
-    const taggedRows = rows.map((row) => ({ ...row, is_test: cfg.isTest }));
-    allRows.push(...taggedRows);
-    requests.push({ ...request, is_test: cfg.isTest, fetched: rows.length });
-    const label = cfg.isTest ? "GA (test)" : "GA (prod)";
+  // GA rows are filtered to the definition's pages at fetch time, so the raw
+  // file records which definition (and which sources) it was fetched under.
+  const funnelVersion = loadFunnelDefinition().version;
+  const results = [];
+  for (const { source, credentials, keyFile } of validSources) {
+    const rows = await fetchGaRowsForDay({ date, propertyId: source.property_id, credentials });
+    results.push({ source, keyFile, rows });
+  }
+  const { rows, stats } = mergeGaSourceRows(results);
+  const requests = results.map(({ source, keyFile }) => {
+    const { fetched, kept, filtered, duplicates } = stats[source.id];
+    const notes = [];
+    if (filtered) notes.push(`${filtered} outside its hosts`);
+    if (duplicates) notes.push(`${duplicates} duplicate(s) of another source`);
     console.log(
-      `[${date}] ${label}: queried ${cfg.propertyId}, fetched ${rows.length} rows`
+      `[${date}] GA (${source.id}): queried ${source.property_id}, fetched ${fetched} rows, kept ${kept}` +
+        (notes.length ? ` (dropped ${notes.join(", ")})` : "")
     );
-  }
-  return { date, rows: allRows, count: allRows.length, requests };
+    return { ...gaRequestForDate(date, source, keyFile), is_test: source.is_test, fetched, kept, filtered, duplicates };
+  });
+  return {
+    date,
+    rows,
+    count: rows.length,
+    requests,
+    funnel_version: funnelVersion,
+    ga_sources_version: sourcesVersion,
+  };
 }
 
 async function fetchSessionsRaw(date, instances, cache) {
@@ -355,6 +410,14 @@ function shouldRefreshRaw(type, date, force = false) {
   if (!rows || rows.length === 0) {
     return { refresh: true, reason: "zero rows" };
   }
+  // Files from before funnel definitions were fetched with the default stages.
+  if (type === "ga" && (raw.funnel_version || DEFAULT_FUNNEL_VERSION) !== loadFunnelDefinition().version) {
+    return { refresh: true, reason: "funnel definition changed" };
+  }
+  // Files from before GA sources were fetched with the GA_PROPERTY_ID ones.
+  if (type === "ga" && (raw.ga_sources_version || defaultGaSourcesVersion()) !== loadGaSources().version) {
+    return { refresh: true, reason: "GA sources changed" };
+  }
   const diff = isoDateDiffInDays(date, todayUtc());
   if (diff < REFRESH_WINDOW_DAYS) {
     return {
@@ -365,140 +428,312 @@ function shouldRefreshRaw(type, date, force = false) {
   return { refresh: false, reason: null };
 }
 
+const SOURCE_LABELS = { ga: "GA", sessions: "Sessions", placements: "Placements" };
+
+function formatEta(ms) {
+  if (!Number.isFinite(ms)) return "unknown";
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 1) return "<1m";
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+function instanceNameOf(instance) {
+  return instance?.name || instance?.CARDSAVR_INSTANCE || instance?.USERNAME || "default";
+}
+
+function planFetch(dates, forceRaw) {
+  const plan = {};
+  for (const date of dates) {
+    plan[date] = {};
+    for (const source of FETCH_SOURCES) {
+      plan[date][source] = rawExists(source, date)
+        ? shouldRefreshRaw(source, date, forceRaw)
+        : { refresh: true, reason: "missing cache" };
+    }
+  }
+  return plan;
+}
+
+/**
+ * Fetches raw GA/sessions/placements for a date range, checkpointing every
+ * day/source/instance outcome in a manifest under data/fetch-manifests/.
+ * Pass `resumeRunId` to continue a failed or cancelled run from where it
+ * stopped; its range and forceRaw come from the manifest. Errors thrown from
+ * here carry `err.runId` so callers can offer a resume.
+ * @returns {Promise<{runId: string, estimate: object}>}
+ */
 export async function fetchRawRange({
   startDate,
   endDate,
   onStatus,
+  onProgress,
   forceRaw,
   strict = false,
+  isCancelled,
+  resumeRunId,
 } = {}) {
   const instances = loadInstances(ROOT_DIR);
   const sessionCache = new Map();
-  const dates = enumerateDates(startDate, endDate);
   ensureRawDirs();
-  const verificationDate = dates[0] || todayUtc();
-  await verifyInstanceLogins(instances, sessionCache, {
-    verificationDate,
-    verifyPlacements: true,
-  });
 
-  for (const date of dates) {
-    console.log(`\n=== ${date} ===`);
-
-    const hasGa = rawExists("ga", date);
-    const { refresh: shouldRefreshGa, reason: gaReason } = hasGa
-      ? shouldRefreshRaw("ga", date, forceRaw)
-      : { refresh: true, reason: "missing cache" };
-    if (shouldRefreshGa) {
-      if (hasGa) {
-        logRefetch(date, "GA", gaReason, onStatus);
-      }
-      try {
-        const payload = await fetchGaRaw(date);
-        writeRawWithMetadata("ga", date, payload);
-        if (payload.skipped) {
-          logWrite(date, "GA", `skipped (no credentials)`, onStatus);
-        } else {
-          logWrite(date, "GA", `fetched ${payload.rows.length} rows`, onStatus);
-        }
-      } catch (err) {
-        const warnMsg = `[${date}] GA error: ${err.message || err}`;
-        if (onStatus) onStatus(warnMsg);
-        console.warn(warnMsg);
-        if (strict) {
-          throw err;
-        }
-        writeRawWithMetadata("ga", date, {
-          date,
-          error: err.message || String(err),
-          rows: [],
-          count: 0,
-          requests: [],
-        });
-      }
-    } else {
-      logSkip(date, "GA", onStatus);
+  let manifest;
+  if (resumeRunId) {
+    manifest = loadFetchManifest(resumeRunId);
+    if (!manifest) {
+      throw Object.assign(new Error(`Fetch run ${resumeRunId} not found`), { status: 404 });
+    }
+    if (manifest.status === "completed") {
+      throw Object.assign(new Error(`Fetch run ${resumeRunId} already completed`), {
+        status: 409,
+      });
     }
+    reopenFetchManifest(manifest);
+    // New instances added since the original run get fetched for pending days.
+    const known = new Set(manifest.instances);
+    for (const instance of instances) {
+      if (!known.has(instanceNameOf(instance))) manifest.instances.push(instanceNameOf(instance));
+    }
+    ({ startDate, endDate } = manifest);
+    forceRaw = manifest.forceRaw;
+    const estimate = estimateRemainingWork(manifest);
+    const msg = `[resume] ${manifest.runId}: ${estimate.remainingUnits} of ${estimate.totalUnits} units left (${startDate} → ${endDate})`;
+    if (onStatus) onStatus(msg);
+    console.log(msg);
+  } else {
+    const dates = enumerateDates(startDate, endDate);
+    manifest = createFetchManifest({
+      startDate,
+      endDate,
+      forceRaw,
+      strict,
+      plan: planFetch(dates, forceRaw),
+      instances: instances.map(instanceNameOf),
+    });
+    console.log(`[fetch] run ${manifest.runId} for ${startDate} → ${endDate}`);
+  }
 
-    const hasSessions = rawExists("sessions", date);
-    const { refresh: shouldRefreshSessions, reason: sessionsReason } = hasSessions
-      ? shouldRefreshRaw("sessions", date, forceRaw)
-      : { refresh: true, reason: "missing cache" };
-    if (shouldRefreshSessions) {
-      if (hasSessions) {
-        logRefetch(date, "Sessions", sessionsReason, onStatus);
-      }
-      try {
-        const sessions = await collectSessionsForDay(date, instances, sessionCache, {
-          strict,
-        });
-        const payload = { date, sessions, count: sessions.length };
-        writeRawWithMetadata("sessions", date, payload);
-        logWrite(
-          date,
-          "Sessions",
-          `fetched ${payload.sessions.length}`,
-          onStatus
-        );
-      } catch (err) {
-        const warnMsg = `[${date}] Sessions error: ${err.message || err}`;
-        if (onStatus) onStatus(warnMsg);
-        console.warn(warnMsg);
-        if (strict) {
-          throw err;
-        }
-        writeRawWithMetadata("sessions", date, {
-          date,
-          error: err.message || String(err),
-          sessions: [],
-          count: 0,
-        });
-      }
-    } else {
-      logSkip(date, "Sessions", onStatus);
+  const dates = Object.keys(manifest.days).sort();
+  const limiter = createFetchLimiter();
+  const reportProgress = (date) => {
+    const estimate = estimateRemainingWork(manifest);
+    const throughput = limiter.stats();
+    if (onProgress) onProgress({ runId: manifest.runId, date, ...estimate, throughput });
+    return { ...estimate, throughput };
+  };
+  reportProgress(null);
+
+  try {
+    // Only log in to (and verify) instances that still have work to do.
+    const pending = pendingInstanceWork(manifest);
+    const toVerify = instances.filter((instance) => pending.instances.has(instanceNameOf(instance)));
+    if (toVerify.length) {
+      await verifyInstanceLogins(toVerify, sessionCache, {
+        verificationDate: dates[0] || todayUtc(),
+        verifyPlacements: pending.placements,
+        limiter,
+      });
     }
 
-    const hasPlacements = rawExists("placements", date);
-    const { refresh: shouldRefreshPlacements, reason: placementsReason } =
-      hasPlacements
-        ? shouldRefreshRaw("placements", date, forceRaw)
-        : { refresh: true, reason: "missing cache" };
-    if (shouldRefreshPlacements) {
-      if (hasPlacements) {
-        logRefetch(date, "Placements", placementsReason, onStatus);
+    const sourceOptions = { onStatus, strict, limiter };
+    // Days run a few at a time; the limiter caps the requests actually in flight.
+    await mapWithConcurrency(dates, limiter.limits.dayConcurrency, async (date) => {
+      // Cancellation is only honoured between days so raw files stay whole.
+      if (isCancelled?.()) {
+        throw Object.assign(new Error(`Cancelled before ${date}`), { kind: "cancelled" });
       }
-      try {
-        const { placements, errors } = await collectPlacementsForDay(
-          date,
-          instances,
-          sessionCache,
-          { strict }
-        );
-        const payload = { date, placements, errors, count: placements.length };
-        writeRawWithMetadata("placements", date, payload);
-        logWrite(
-          date,
-          "Placements",
-          `fetched ${payload.placements.length}`,
-          onStatus
-        );
-      } catch (err) {
-        const warnMsg = `[${date}] Placements error: ${err.message || err}`;
-        if (onStatus) onStatus(warnMsg);
-        console.warn(warnMsg);
-        if (strict) {
-          throw err;
+      if (FETCH_SOURCES.every((source) => isUnitFinished(manifest, date, source))) {
+        const unit = manifest.days[date];
+        if (FETCH_SOURCES.every((source) => unit[source].status === "skipped")) {
+          for (const source of FETCH_SOURCES) logSkip(date, SOURCE_LABELS[source], onStatus);
         }
-        writeRawWithMetadata("placements", date, {
-          date,
-          error: err.message || String(err),
-          placements: [],
-          count: 0,
-        });
+        return;
       }
+      console.log(`\n=== ${date} ===`);
+
+      // Let all three sources settle before failing so the manifest records
+      // each outcome rather than leaving work running behind a thrown error.
+      const outcomes = await Promise.allSettled([
+        fetchGaForDay(manifest, date, sourceOptions),
+        fetchSessionsForDay(manifest, date, instances, sessionCache, sourceOptions),
+        fetchPlacementsForDay(manifest, date, instances, sessionCache, sourceOptions),
+      ]);
+      const rejected = outcomes.find((outcome) => outcome.status === "rejected");
+      if (rejected) throw rejected.reason;
+
+      const estimate = reportProgress(date);
+      if (estimate.remainingUnits > 0) {
+        const { requestsPerSec, rowsPerSec, retries } = estimate.throughput;
+        const msg = `[${date}] checkpoint saved — ${estimate.remainingUnits} unit(s) left, ETA ${formatEta(estimate.etaMs)} (${requestsPerSec} req/s, ${rowsPerSec} rows/s${retries ? `, ${retries} retries` : ""})`;
+        if (onStatus) onStatus(msg);
+        console.log(msg);
+      }
+    });
+  } catch (err) {
+    finishFetchManifest(manifest, {
+      status: err?.kind === "cancelled" ? "cancelled" : "failed",
+      error: err?.message || String(err),
+      failures: Array.isArray(err?.failures) ? err.failures : [],
+    });
+    err.runId = manifest.runId;
+    throw err;
+  }
+
+  finishFetchManifest(manifest, { status: "completed" });
+  return { runId: manifest.runId, estimate: reportProgress(null) };
+}
+
+function logUnitStart(manifest, date, source, onStatus) {
+  const unit = manifest.days[date][source];
+  // Refetches of an existing cache get a reason; resumed units say so.
+  if (manifest.attempts > 1 && Object.keys(unit.instances || {}).length) {
+    logRefetch(date, SOURCE_LABELS[source], "resuming from checkpoint", onStatus);
+  } else if (unit.reason && unit.reason !== "missing cache") {
+    logRefetch(date, SOURCE_LABELS[source], unit.reason, onStatus);
+  }
+}
+
+async function fetchGaForDay(manifest, date, { onStatus, strict }) {
+  if (isUnitFinished(manifest, date, "ga")) {
+    logSkip(date, "GA", onStatus);
+    return;
+  }
+  logUnitStart(manifest, date, "ga", onStatus);
+  const started = Date.now();
+  try {
+    const payload = await fetchGaRaw(date);
+    writeRawWithMetadata("ga", date, payload);
+    markFetchUnit(manifest, date, "ga", {
+      status: "done",
+      rows: payload.rows.length,
+      error: null,
+      durationMs: Date.now() - started,
+    });
+    if (payload.skipped) {
+      logWrite(date, "GA", `skipped (no credentials)`, onStatus);
     } else {
-      logSkip(date, "Placements", onStatus);
+      logWrite(date, "GA", `fetched ${payload.rows.length} rows`, onStatus);
+    }
+  } catch (err) {
+    const warnMsg = `[${date}] GA error: ${err.message || err}`;
+    if (onStatus) onStatus(warnMsg);
+    console.warn(warnMsg);
+    markFetchUnit(manifest, date, "ga", {
+      status: "failed",
+      error: err.message || String(err),
+      durationMs: Date.now() - started,
+    });
+    if (strict) {
+      throw err;
+    }
+    writeRawWithMetadata("ga", date, {
+      date,
+      error: err.message || String(err),
+      rows: [],
+      count: 0,
+      requests: [],
+    });
+  }
+}
+
+function instanceFailures(manifest, date, source) {
+  return Object.values(manifest.days[date][source].instances || {}).filter(
+    (entry) => entry.status === "failed"
+  ).length;
+}
+
+async function fetchSessionsForDay(manifest, date, instances, cache, { onStatus, strict, limiter }) {
+  if (isUnitFinished(manifest, date, "sessions")) {
+    logSkip(date, "Sessions", onStatus);
+    return;
+  }
+  logUnitStart(manifest, date, "sessions", onStatus);
+  try {
+    const sessions = await collectSessionsForDay(date, instances, cache, {
+      strict,
+      limiter,
+      checkpoint: instanceCheckpoint(manifest, date, "sessions"),
+    });
+    const payload = { date, sessions, count: sessions.length };
+    writeRawWithMetadata("sessions", date, payload);
+    // Non-strict runs write whatever came back; instance failures keep the
+    // unit open so a resume retries just those instances.
+    const failed = instanceFailures(manifest, date, "sessions");
+    markFetchUnit(manifest, date, "sessions", {
+      status: failed ? "failed" : "done",
+      rows: sessions.length,
+      error: failed ? `${failed} instance(s) failed` : null,
+    });
+    logWrite(
+      date,
+      "Sessions",
+      `fetched ${payload.sessions.length}`,
+      onStatus
+    );
+  } catch (err) {
+    const warnMsg = `[${date}] Sessions error: ${err.message || err}`;
+    if (onStatus) onStatus(warnMsg);
+    console.warn(warnMsg);
+    markFetchUnit(manifest, date, "sessions", {
+      status: "failed",
+      error: err.message || String(err),
+    });
+    if (strict) {
+      throw err;
+    }
+    writeRawWithMetadata("sessions", date, {
+      date,
+      error: err.message || String(err),
+      sessions: [],
+      count: 0,
+    });
+  }
+}
+
+async function fetchPlacementsForDay(manifest, date, instances, cache, { onStatus, strict, limiter }) {
+  if (isUnitFinished(manifest, date, "placements")) {
+    logSkip(date, "Placements", onStatus);
+    return;
+  }
+  logUnitStart(manifest, date, "placements", onStatus);
+  try {
+    const { placements, errors } = await collectPlacementsForDay(
+      date,
+      instances,
+      cache,
+      { strict, limiter, checkpoint: instanceCheckpoint(manifest, date, "placements") }
+    );
+    const payload = { date, placements, errors, count: placements.length };
+    writeRawWithMetadata("placements", date, payload);
+    const failed = instanceFailures(manifest, date, "placements");
+    markFetchUnit(manifest, date, "placements", {
+      status: failed ? "failed" : "done",
+      rows: placements.length,
+      error: failed ? `${failed} instance(s) failed` : null,
+    });
+    logWrite(
+      date,
+      "Placements",
+      `fetched ${payload.placements.length}`,
+      onStatus
+    );
+  } catch (err) {
+    const warnMsg = `[${date}] Placements error: ${err.message || err}`;
+    if (onStatus) onStatus(warnMsg);
+    console.warn(warnMsg);
+    markFetchUnit(manifest, date, "placements", {
+      status: "failed",
+      error: err.message || String(err),
+    });
+    if (strict) {
+      throw err;
     }
+    writeRawWithMetadata("placements", date, {
+      date,
+      error: err.message || String(err),
+      placements: [],
+      count: 0,
+    });
   }
 }
 
@@ -508,9 +743,23 @@ const isDirectRun =
 
 if (isDirectRun) {
   try {
-    const { startDate, endDate } = parseDateArgs(process.argv.slice(2));
-    fetchRawRange({ startDate, endDate }).catch((err) => {
+    const args = process.argv.slice(2);
+    let options;
+    if (args[0] === "--resume") {
+      // --resume [runId]: defaults to the most recent failed or cancelled run.
+      markInterruptedFetchManifests();
+      const runId = args[1] || latestResumableManifest()?.runId;
+      if (!runId) throw new Error("No failed or cancelled fetch run to resume.");
+      options = { resumeRunId: runId };
+    } else {
+      const { startDate, endDate } = parseDateArgs(args);
+      options = { startDate, endDate };
+    }
+    fetchRawRange(options).catch((err) => {
       console.error("fetch-raw failed:", err);
+      if (err?.runId) {
+        console.error(`Resume with: node scripts/fetch-raw.mjs --resume ${err.runId}`);
+      }
       process.exitCode = 1;
     });
   } catch (err) {
@@ -0,0 +1,76 @@
+import "dotenv/config";
+import path from "node:path";
+import process from "node:process";
+import { pathToFileURL } from "node:url";
+
+import { generateReport, reportConfigFromEnv, resolveReportPeriod } from "../src/lib/partnerReports.mjs";
+
+const USAGE = `Usage: node scripts/generate-report.mjs (--fi <key> | --partner <name>)
+         (--month YYYY-MM | --quarter YYYY-Qn | --start YYYY-MM-DD --end YYYY-MM-DD) [--label <text>]
+
+Without a period, reports on last month.`;
+
+function parseArgs(argv) {
+  const options = {};
+  const flags = new Set(["--fi", "--partner", "--month", "--quarter", "--start", "--end", "--label"]);
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--help" || arg === "-h") {
+      options.help = true;
+      continue;
+    }
+    if (!flags.has(arg)) throw new Error(`Unknown argument "${arg}"\n${USAGE}`);
+    const value = argv[++i];
+    if (value === undefined || value.startsWith("--")) throw new Error(`${arg} needs a value\n${USAGE}`);
+    options[arg.slice(2)] = value;
+  }
+  return options;
+}
+
+/**
+ * Generates one report into the reports folder from the command line options.
+ * @returns {Promise<object>} the report's index entry
+ */
+export async function runGenerateReport(options) {
+  if (Boolean(options.fi) === Boolean(options.partner)) throw new Error(`Give --fi or --partner\n${USAGE}`);
+  let range;
+  if (options.start || options.end) {
+    range = { start: options.start, end: options.end || options.start };
+  } else if (options.quarter) {
+    range = resolveReportPeriod("quarter", options.quarter);
+  } else {
+    range = resolveReportPeriod("month", options.month || null);
+  }
+  const config = reportConfigFromEnv();
+  const report = await generateReport(
+    {
+      scope: options.fi ? "fi" : "partner",
+      key: options.fi || options.partner,
+      ...range,
+      label: options.label || range.label,
+    },
+    { config }
+  );
+  console.log(`[reports] ${report.name} ${report.start} → ${report.end}`);
+  console.log(`[reports] wrote ${path.join(config.dir, report.file)}`);
+  console.log(`[reports] wrote ${path.join(config.dir, report.print_file)}`);
+  if (report.missing_days) {
+    console.warn(`[reports] ${report.missing_days} day(s) in the range have no daily rollup yet`);
+  }
+  return report;
+}
+
+const isDirectRun =
+  process.argv[1] &&
+  pathToFileURL(path.resolve(process.argv[1])).href === import.meta.url;
+
+if (isDirectRun) {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) console.log(USAGE);
+    else await runGenerateReport(options);
+  } catch (err) {
+    console.error("generate-report failed:", err.message || err);
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,156 @@
+import "dotenv/config";
+import fs from "node:fs";
+import path from "node:path";
+import process from "node:process";
+import readline from "node:readline";
+import { randomBytes } from "node:crypto";
+import { fileURLToPath } from "node:url";
+
+import {
+  GA_CREDENTIAL_NAMES,
+  loadGaCredential,
+  loadInstanceEntries,
+  migrateToVault,
+  rekeyVault,
+  ROTATABLE_FIELDS,
+  rotateInstanceSecret,
+  vaultConfigFromEnv,
+  vaultEnabled,
+} from "../src/lib/secretsVault.mjs";
+import { loadGaSources } from "../src/lib/gaSources.mjs";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+const USAGE = `Usage: node scripts/manage-secrets.mjs <command>
+  status
+  keygen <file>
+  migrate
+  rotate <instance> ${ROTATABLE_FIELDS.join("|")} [--value-stdin]
+  rekey (new secret from SECRETS_NEW_PASSPHRASE or SECRETS_NEW_KEY_FILE)`;
+
+// "prod" and "test" plus the credential of every GA source.
+function gaCredentialNames() {
+  const file = path.resolve(ROOT, process.env.GA_SOURCES_PATH || "ga_sources.json");
+  return [...new Set([...GA_CREDENTIAL_NAMES, ...loadGaSources({ file }).sources.map((source) => source.credential)])];
+}
+
+// Reads a value without echoing it; with --value-stdin (or when stdin is not
+// a terminal) the first line of stdin is used instead.
+function readSecret(prompt, { fromStdin }) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: !fromStdin });
+    if (fromStdin || !process.stdin.isTTY) {
+      rl.once("line", (line) => {
+        rl.close();
+        resolve(line);
+      });
+      return;
+    }
+    rl.question(prompt, (answer) => {
+      rl.close();
+      process.stdout.write("\n");
+      resolve(answer);
+    });
+    rl._writeToOutput = (text) => {
+      if (text.startsWith(prompt)) rl.output.write(prompt);
+    };
+  });
+}
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const options = { command, args: [], valueStdin: false };
+  for (const arg of rest) {
+    if (arg === "--value-stdin") {
+      options.valueStdin = true;
+    } else if (arg.startsWith("--")) {
+      throw new Error(`Unknown argument "${arg}"\n${USAGE}`);
+    } else {
+      options.args.push(arg);
+    }
+  }
+  return options;
+}
+
+function requireVault(config) {
+  if (!vaultEnabled(config)) {
+    throw new Error("Set SECRETS_PASSPHRASE or SECRETS_KEY_FILE first (see .env.example)");
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const config = vaultConfigFromEnv({ root: ROOT });
+  const rel = (file) => path.relative(ROOT, file) || file;
+
+  switch (options.command) {
+    case "status": {
+      console.log(`Vault:     ${rel(config.file)} (${fs.existsSync(config.file) ? "present" : "not created yet"})`);
+      console.log(
+        `Key:       ${config.passphrase ? "SECRETS_PASSPHRASE" : config.keyFile ? `SECRETS_KEY_FILE ${rel(config.keyFile)}` : "none (plaintext files are used)"}`
+      );
+      const instances = loadInstanceEntries(config);
+      console.log(`Instances: ${instances.entries.length} in ${instances.source === "none" ? "nowhere" : rel(instances.path)}`);
+      for (const name of gaCredentialNames()) {
+        const stored = loadGaCredential(config, name);
+        console.log(`GA ${name.padEnd(7)} ${stored ? `${stored.json?.client_email || "?"} in ${rel(stored.path)}` : "not configured"}`);
+      }
+      return;
+    }
+    case "keygen": {
+      const [file] = options.args;
+      if (!file) throw new Error(`Missing file\n${USAGE}`);
+      const target = path.resolve(ROOT, file);
+      if (fs.existsSync(target)) throw new Error(`${file} already exists; refusing to overwrite a key`);
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, `${randomBytes(32).toString("base64")}\n`, { mode: 0o600 });
+      console.log(`Wrote a new key to ${file}; set SECRETS_KEY_FILE=${file} and keep a copy outside this machine`);
+      return;
+    }
+    case "migrate": {
+      requireVault(config);
+      const moved = await migrateToVault(config, { gaNames: gaCredentialNames() });
+      const parts = [];
+      if (moved.instances !== null) parts.push(`${moved.instances} instance(s)`);
+      if (moved.ga.length) parts.push(`GA credential(s) ${moved.ga.join(", ")}`);
+      console.log(
+        parts.length
+          ? `Moved ${parts.join(" and ")} into ${rel(config.file)}; the plaintext files were deleted`
+          : "No plaintext credentials to migrate"
+      );
+      return;
+    }
+    case "rotate": {
+      const [name, field] = options.args;
+      if (!name || !field) throw new Error(`Missing instance or field\n${USAGE}`);
+      const fromStdin = options.valueStdin || !process.stdin.isTTY;
+      const value = await readSecret(`New ${field.toUpperCase()}: `, { fromStdin });
+      const entry = await rotateInstanceSecret(config, { name, field, value });
+      console.log(`Rotated ${field.toUpperCase()} of ${entry.name}`);
+      return;
+    }
+    case "rekey": {
+      requireVault(config);
+      const next = {
+        ...config,
+        passphrase: process.env.SECRETS_NEW_PASSPHRASE || null,
+        keyFile: process.env.SECRETS_NEW_KEY_FILE
+          ? path.resolve(ROOT, process.env.SECRETS_NEW_KEY_FILE)
+          : null,
+      };
+      if (!vaultEnabled(next)) throw new Error("Set SECRETS_NEW_PASSPHRASE or SECRETS_NEW_KEY_FILE");
+      await rekeyVault(config, next);
+      console.log(
+        `Re-encrypted ${rel(config.file)}; update SECRETS_PASSPHRASE / SECRETS_KEY_FILE to the new secret before restarting`
+      );
+      return;
+    }
+    default:
+      throw new Error(USAGE);
+  }
+}
+
+main().catch((err) => {
+  console.error("manage-secrets failed:", err.message || err);
+  process.exitCode = 1;
+});
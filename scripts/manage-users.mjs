@@ -0,0 +1,140 @@
+import "dotenv/config";
+import path from "node:path";
+import process from "node:process";
+import readline from "node:readline";
+import { fileURLToPath } from "node:url";
+
+import {
+  authConfigFromEnv,
+  deleteUser,
+  loadUsers,
+  ROLES,
+  saveUser,
+} from "../src/lib/auth.mjs";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+const USAGE = `Usage: node scripts/manage-users.mjs <command>
+  list
+  add <username> --role ${ROLES.join("|")} [--password-stdin]
+  passwd <username> [--password-stdin]
+  role <username> ${ROLES.join("|")}
+  remove <username>`;
+
+// Reads a password without echoing it; with --password-stdin (or when stdin
+// is not a terminal) the first line of stdin is used instead.
+function readPassword(prompt, { fromStdin }) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: !fromStdin });
+    if (fromStdin || !process.stdin.isTTY) {
+      rl.once("line", (line) => {
+        rl.close();
+        resolve(line);
+      });
+      return;
+    }
+    rl.question(prompt, (answer) => {
+      rl.close();
+      process.stdout.write("\n");
+      resolve(answer);
+    });
+    rl._writeToOutput = (text) => {
+      if (text.startsWith(prompt)) rl.output.write(prompt);
+    };
+  });
+}
+
+async function newPassword(options) {
+  const fromStdin = options.passwordStdin || !process.stdin.isTTY;
+  const password = await readPassword("Password: ", { fromStdin });
+  if (!fromStdin) {
+    const again = await readPassword("Repeat password: ", { fromStdin });
+    if (again !== password) throw new Error("Passwords do not match");
+  }
+  return password;
+}
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const options = { command, args: [], role: null, passwordStdin: false };
+  for (let i = 0; i < rest.length; i += 1) {
+    const arg = rest[i];
+    if (arg === "--role") {
+      options.role = rest[i + 1];
+      i += 1;
+    } else if (arg === "--password-stdin") {
+      options.passwordStdin = true;
+    } else if (arg.startsWith("--")) {
+      throw new Error(`Unknown argument "${arg}"\n${USAGE}`);
+    } else {
+      options.args.push(arg);
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const { usersFile: file } = authConfigFromEnv({ root: ROOT });
+  const [username, extra] = options.args;
+  const needName = () => {
+    if (!username) throw new Error(`Missing username\n${USAGE}`);
+    return username;
+  };
+
+  switch (options.command) {
+    case "list": {
+      const users = loadUsers(file);
+      if (!users.length) {
+        console.log(`No users in ${file}`);
+        return;
+      }
+      for (const user of users) {
+        console.log(`${user.username.padEnd(24)} ${user.role.padEnd(9)} created ${user.created_at}`);
+      }
+      return;
+    }
+    case "add": {
+      const name = needName();
+      if (loadUsers(file).some((user) => user.username === name.toLowerCase())) {
+        throw new Error(`User ${name} already exists; use passwd or role`);
+      }
+      if (!options.role) throw new Error(`--role is required\n${USAGE}`);
+      const user = await saveUser({ username: name, role: options.role, password: await newPassword(options) }, { file });
+      console.log(`Added ${user.username} (${user.role}) to ${file}`);
+      return;
+    }
+    case "passwd": {
+      const name = needName();
+      if (!loadUsers(file).some((user) => user.username === name.toLowerCase())) {
+        throw new Error(`No user named ${name}`);
+      }
+      const user = await saveUser({ username: name, password: await newPassword(options) }, { file });
+      console.log(`Password changed for ${user.username}; their existing sessions are signed out`);
+      return;
+    }
+    case "role": {
+      const name = needName();
+      const role = extra || options.role;
+      if (!role) throw new Error(`Missing role\n${USAGE}`);
+      if (!loadUsers(file).some((user) => user.username === name.toLowerCase())) {
+        throw new Error(`No user named ${name}`);
+      }
+      const user = await saveUser({ username: name, role }, { file });
+      console.log(`${user.username} is now ${user.role}`);
+      return;
+    }
+    case "remove": {
+      await deleteUser(needName(), { file });
+      console.log(`Removed ${username}`);
+      return;
+    }
+    default:
+      throw new Error(USAGE);
+  }
+}
+
+main().catch((err) => {
+  console.error("manage-users failed:", err.message || err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,136 @@
+import "dotenv/config";
+import path from "node:path";
+import process from "node:process";
+import { pathToFileURL } from "node:url";
+
+import { createStorage, RAW_TYPES, ROWS_KEY, STORAGE_ENGINES } from "../src/lib/storage/index.mjs";
+
+const USAGE =
+  "Usage: node scripts/migrate-storage.mjs [--from json] [--to sqlite] [--start YYYY-MM-DD] [--end YYYY-MM-DD] [--skip-existing]";
+
+function parseArgs(argv) {
+  const options = { from: "json", to: "sqlite", start: null, end: null, skipExisting: false };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    const value = () => {
+      const next = argv[i + 1];
+      if (!next || next.startsWith("--")) throw new Error(`${arg} needs a value\n${USAGE}`);
+      i += 1;
+      return next;
+    };
+    if (arg === "--from") options.from = value().toLowerCase();
+    else if (arg === "--to") options.to = value().toLowerCase();
+    else if (arg === "--start") options.start = value();
+    else if (arg === "--end") options.end = value();
+    else if (arg === "--skip-existing") options.skipExisting = true;
+    else throw new Error(`Unknown argument "${arg}"\n${USAGE}`);
+  }
+  for (const engine of [options.from, options.to]) {
+    if (!STORAGE_ENGINES.includes(engine)) {
+      throw new Error(`Unknown engine "${engine}" (use ${STORAGE_ENGINES.join(" or ")})`);
+    }
+  }
+  if (options.from === options.to) {
+    throw new Error("--from and --to must be different engines");
+  }
+  for (const day of [options.start, options.end]) {
+    if (day && !/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+      throw new Error(`Invalid date "${day}" (use YYYY-MM-DD)`);
+    }
+  }
+  return options;
+}
+
+function inRange(day, { start, end }) {
+  return (!start || day >= start) && (!end || day <= end);
+}
+
+const ROLLUP_METHODS = {
+  daily: { list: "listDailyDays", read: "readDaily", write: "writeDaily" },
+  hourly: { list: "listHourlyDays", read: "readHourly", write: "writeHourly" },
+};
+
+function copyRollups(kind, source, target, { start, end, skipExisting }) {
+  const { list, read, write } = ROLLUP_METHODS[kind];
+  const counts = { days: 0, skipped: 0 };
+  const existing = skipExisting ? new Set(target[list]()) : new Set();
+  for (const day of source[list]()) {
+    if (!inRange(day, { start, end })) continue;
+    if (existing.has(day)) {
+      counts.skipped += 1;
+      continue;
+    }
+    const doc = source[read](day);
+    if (!doc) continue;
+    target[write](day, doc);
+    counts.days += 1;
+  }
+  console.log(
+    `[migrate] ${kind}: ${counts.days} rollup(s) copied${counts.skipped ? `, ${counts.skipped} skipped` : ""}`
+  );
+  return counts;
+}
+
+/**
+ * Copies raw documents and daily/hourly rollups from one storage engine to
+ * another. Days are copied whole, so re-running replaces what an earlier run
+ * wrote (or keeps it with skipExisting).
+ * @returns {object} per-type counts of copied and skipped days and rows
+ */
+export function migrateStorage({ from, to, start = null, end = null, skipExisting = false }) {
+  const source = createStorage({ engine: from });
+  const target = createStorage({ engine: to });
+  const summary = {};
+  try {
+    for (const type of RAW_TYPES) {
+      const counts = { days: 0, rows: 0, skipped: 0 };
+      for (const day of source.listRawDays(type)) {
+        if (!inRange(day, { start, end })) continue;
+        if (skipExisting && target.rawExists(type, day)) {
+          counts.skipped += 1;
+          continue;
+        }
+        const doc = source.readRaw(type, day);
+        if (!doc) continue;
+        target.writeRaw(type, day, doc);
+        counts.days += 1;
+        counts.rows += Array.isArray(doc[ROWS_KEY[type]]) ? doc[ROWS_KEY[type]].length : 0;
+      }
+      summary[type] = counts;
+      console.log(
+        `[migrate] ${type}: ${counts.days} day(s), ${counts.rows} row(s) copied${
+          counts.skipped ? `, ${counts.skipped} skipped` : ""
+        }`
+      );
+    }
+
+    summary.daily = copyRollups("daily", source, target, { start, end, skipExisting });
+    summary.hourly = copyRollups("hourly", source, target, { start, end, skipExisting });
+  } finally {
+    source.close();
+    target.close();
+  }
+  return summary;
+}
+
+const isDirectRun =
+  process.argv[1] &&
+  pathToFileURL(path.resolve(process.argv[1])).href === import.meta.url;
+
+if (isDirectRun) {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    console.log(
+      `[migrate] ${options.from} → ${options.to}${
+        options.start || options.end ? ` (${options.start || "…"} → ${options.end || "…"})` : ""
+      }`
+    );
+    migrateStorage(options);
+    if (options.to !== (process.env.STORAGE_ENGINE || "json").toLowerCase()) {
+      console.log(`[migrate] done. Set STORAGE_ENGINE=${options.to} to serve from the new store.`);
+    }
+  } catch (err) {
+    console.error("migrate-storage failed:", err.message || err);
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,72 @@
+import "dotenv/config";
+import path from "node:path";
+import process from "node:process";
+import { pathToFileURL } from "node:url";
+
+import { applyRawRetention, retentionConfigFromEnv } from "../src/lib/rawRetention.mjs";
+import { RAW_TYPES } from "../src/lib/storage/index.mjs";
+
+const USAGE = "Usage: node scripts/raw-retention.mjs [--dry-run]";
+
+function parseArgs(argv) {
+  const options = { dryRun: false };
+  for (const arg of argv) {
+    if (arg === "--dry-run") options.dryRun = true;
+    else throw new Error(`Unknown argument "${arg}"\n${USAGE}`);
+  }
+  return options;
+}
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${bytes} B`;
+}
+
+function totalBytes(usage) {
+  return Object.values(usage || {}).reduce((sum, tier) => sum + (tier.bytes || 0), 0);
+}
+
+/**
+ * Applies the raw retention policy from the environment and prints what it
+ * did (or, with dryRun, would do) per raw type.
+ * @returns {object} the run summary from applyRawRetention
+ */
+export async function runRawRetention({ dryRun = false } = {}) {
+  const config = retentionConfigFromEnv();
+  console.log(
+    `[retention] compress ${config.compress ? "on" : "off"}, archive after ${
+      config.archiveAfterMonths || "—"
+    } month(s), prune after ${config.pruneAfterMonths || "—"} month(s)${dryRun ? " (dry run)" : ""}`
+  );
+  const summary = await applyRawRetention(config, { dryRun });
+  for (const type of RAW_TYPES) {
+    const counts = summary.by_type[type];
+    const waiting = [
+      counts.incomplete ? `${counts.incomplete} incomplete` : "",
+      counts.waiting_for_rollup ? `${counts.waiting_for_rollup} without a rollup` : "",
+    ].filter(Boolean);
+    const before = formatBytes(totalBytes(summary.usage_before[type]));
+    const after = formatBytes(totalBytes(summary.usage_after[type]));
+    console.log(
+      `[retention] ${type}: ${counts.compressed} compressed, ${counts.archived} archived, ${counts.pruned} pruned${
+        waiting.length ? ` (left alone: ${waiting.join(", ")})` : ""
+      }; ${dryRun ? `${before} on disk` : `${before} → ${after}`}`
+    );
+  }
+  return summary;
+}
+
+const isDirectRun =
+  process.argv[1] &&
+  pathToFileURL(path.resolve(process.argv[1])).href === import.meta.url;
+
+if (isDirectRun) {
+  try {
+    await runRawRetention(parseArgs(process.argv.slice(2)));
+  } catch (err) {
+    console.error("raw-retention failed:", err.message || err);
+    process.exitCode = 1;
+  }
+}
@@ -22,6 +22,117 @@ import {
 } from "../src/lib/analytics/sources.mjs";
 import { fetchGaRowsForDay } from "../src/ga.mjs";
 import { loadInstances } from "../src/utils/config.mjs";
+import {
+  createUpdateScheduler,
+  readRunHistory,
+  appendRunHistory,
+} from "../src/lib/updateScheduler.mjs";
+import { createJobQueue } from "../src/lib/jobQueue.mjs";
+import {
+  listFetchManifests,
+  loadFetchManifest,
+  summarizeFetchManifest,
+  markInterruptedFetchManifests,
+} from "../src/lib/fetchManifest.mjs";
+import { readRaw, listRawDays as listStoredRawDays, readRawRange } from "../src/lib/rawStorage.mjs";
+import { getStorage } from "../src/lib/storage/index.mjs";
+import { HOURS, HOURLY_METRICS } from "../src/lib/daily-rollups.mjs";
+import { loadFunnelDefinition, DEFAULT_FUNNEL_VERSION } from "../src/lib/funnelDefinition.mjs";
+import {
+  compileFiResolutionRules,
+  DEFAULT_FI_RESOLUTION_VERSION,
+  loadFiResolutionRules,
+  normalizeFiResolutionRules,
+  saveFiResolutionRules,
+} from "../src/lib/fiResolution.mjs";
+import { buildReconciliationReport } from "../src/lib/reconciliation.mjs";
+import {
+  acknowledgeAlerts,
+  alertConfigFromEnv,
+  readAlerts,
+  runAnomalyDetection,
+} from "../src/lib/anomalies.mjs";
+import {
+  authConfigFromEnv,
+  authenticate,
+  createLoginThrottle,
+  createSessionStore,
+  deleteUser,
+  findUser,
+  loadUsers,
+  parseCookies,
+  publicUser,
+  roleAtLeast,
+  saveUser,
+  serializeCookie,
+  SESSION_COOKIE,
+  sessionCookie,
+  sessionValidFor,
+} from "../src/lib/auth.mjs";
+import { allowedForShare, requiredRole } from "../src/lib/accessPolicy.mjs";
+import {
+  createShareLink,
+  dayInShare,
+  describeShareLink,
+  loadShareLinks,
+  loadShareSecret,
+  revokeShareLink,
+  scopeDailyDoc,
+  scopeRegistry,
+  shareConfigFromEnv,
+  shareLinkStatus,
+  shareToken,
+  verifyShareToken,
+} from "../src/lib/shareLinks.mjs";
+import { auditConfigFromEnv, prepareRevert, readAuditLog, recordChange } from "../src/lib/auditLog.mjs";
+import { changedSince, valueOn } from "../src/lib/registryHistory.mjs";
+import { aggregateFunnel, FUNNEL_GRANULARITIES } from "../src/lib/funnelAggregation.mjs";
+import {
+  catalogTags,
+  createMerchantIndex,
+  merchantCatalogConfigFromEnv,
+  readMerchantCatalog,
+  saveMerchantCatalog,
+} from "../src/lib/merchantCatalog.mjs";
+import { applyRegistryUpdates, findDuplicateEntry } from "../src/lib/registryUpdates.mjs";
+import {
+  applyRawRetention,
+  describeRetention,
+  prunedRawTypes,
+  retentionConfigFromEnv,
+} from "../src/lib/rawRetention.mjs";
+import {
+  createReportScheduler,
+  generateReport,
+  listReports,
+  reportConfigFromEnv,
+  resolveReportPeriod,
+} from "../src/lib/partnerReports.mjs";
+import { createDeliveryService, deliveryConfigFromEnv } from "../src/lib/delivery.mjs";
+import {
+  IMPORT_FIELDS,
+  parseCsv,
+  planRegistryImport,
+  registryToCsv,
+  suggestMapping,
+} from "../src/lib/registryCsv.mjs";
+import {
+  deleteGaCredential,
+  gaCredentialFile,
+  INSTANCE_SECRET_FIELDS,
+  loadGaCredential,
+  loadInstanceEntries,
+  maskGaCredential,
+  maskInstance,
+  mergeGaSecrets,
+  mergeInstanceSecrets,
+  rotateInstanceSecret,
+  saveGaCredential,
+  saveInstanceEntries,
+  vaultConfigFromEnv,
+  vaultEnabled,
+} from "../src/lib/secretsVault.mjs";
+import { loadGaSources, saveGaSources } from "../src/lib/gaSources.mjs";
 const { URLSearchParams } = url;
 
 const __filename = fileURLToPath(import.meta.url);
@@ -32,47 +143,39 @@ const ROOT = path.resolve(path.join(__dirname, ".."));
 const PUBLIC_DIR = path.join(ROOT, "public");
 const DATA_DIR = path.join(ROOT, "data");
 const DAILY_DIR = path.join(DATA_DIR, "daily");
-const RAW_DIR = path.join(ROOT, "raw");
-const RAW_PLACEMENTS_DIR = path.join(RAW_DIR, "placements");
 const FI_REGISTRY_FILE = path.join(ROOT, "fi_registry.json");
-const INSTANCES_FILES = [
-  path.join(ROOT, "secrets", "instances.json"),
-];
-const GA_CREDENTIALS = [
-  {
-    name: "prod",
-    label: "Production",
-    file: path.join(ROOT, "secrets", "ga-service-account.json"),
-    envProperty: "GA_PROPERTY_ID",
-    defaultProperty: process.env.GA_PROPERTY_ID || "",
-  },
-  {
-    name: "test",
-    label: "Test",
-    file: path.join(ROOT, "secrets", "ga-test.json"),
-    envProperty: "GA_TEST_PROPERTY_ID",
-    defaultProperty: process.env.GA_TEST_PROPERTY_ID || "",
-  },
-];
-// Backwards-compatible constant (older endpoints).
-const GA_SERVICE_ACCOUNT_FILE = GA_CREDENTIALS[0].file;
+const SCHEDULER_FILE = path.join(DATA_DIR, "scheduler.json");
+const UPDATE_HISTORY_FILE = path.join(DATA_DIR, "update-history.json");
+const JOBS_FILE = path.join(DATA_DIR, "jobs.json");
+// Instance and GA credentials: encrypted in the secrets vault when one is
+// configured, plaintext files in secrets/ otherwise (src/lib/secretsVault.mjs).
+const VAULT = vaultConfigFromEnv({ root: ROOT });
 const PORT = 8787;
 const FI_ALL_VALUE = "__all__";
 const PARTNER_ALL_VALUE = "__all_partners__";
 const INSTANCE_ALL_VALUE = "__all_instances__";
+const AUTH = authConfigFromEnv({ root: ROOT });
+const authSessions = createSessionStore({
+  file: AUTH.sessionsFile,
+  sessionHours: AUTH.sessionHours,
+});
+const loginThrottle = createLoginThrottle({
+  maxFailures: AUTH.maxLoginFailures,
+  lockoutMinutes: AUTH.lockoutMinutes,
+});
+const SHARE = shareConfigFromEnv({ root: ROOT });
+const SHARE_COOKIE = "sis_share";
+const AUDIT = auditConfigFromEnv({ root: ROOT });
+const MERCHANTS = merchantCatalogConfigFromEnv({ root: ROOT });
+const RETENTION = retentionConfigFromEnv({ root: ROOT });
+const REPORTS = reportConfigFromEnv({ root: ROOT });
+const DELIVERY = deliveryConfigFromEnv({ root: ROOT });
+const GA_SECRET_FIELDS = ["private_key", "private_key_id"];
 
 const updateClients = new Set();
 
-let currentUpdateJob = {
-  running: false,
-  startedAt: null,
-  finishedAt: null,
-  startDate: null,
-  endDate: null,
-  lastMessage: null,
-  error: null,
-  forceRaw: false,
-};
+// Most recent job the queue started; backs /run-update/status.
+let currentUpdateJob = null;
 
 // ========== SERVER LOGS CAPTURE ==========
 const MAX_LOG_LINES = 2000;
@@ -144,15 +247,23 @@ function defaultUpdateRange() {
 
 function currentUpdateSnapshot() {
   const defaults = defaultUpdateRange();
+  const job = currentUpdateJob || {};
+  const queuedJobs = updateQueue.list({ limit: 200 }).filter((j) => j.status === "queued");
   return {
-    running: currentUpdateJob.running,
-    startedAt: currentUpdateJob.startedAt,
-    finishedAt: currentUpdateJob.finishedAt,
-    startDate: currentUpdateJob.startDate || defaults.startDate,
-    endDate: currentUpdateJob.endDate || defaults.endDate,
-    lastMessage: currentUpdateJob.lastMessage,
-    error: currentUpdateJob.error,
-    forceRaw: currentUpdateJob.forceRaw || false,
+    running: job.status === "running",
+    jobId: job.id || null,
+    status: job.status || null,
+    startedAt: job.startedAt || null,
+    finishedAt: job.finishedAt || null,
+    startDate: job.startDate || defaults.startDate,
+    endDate: job.endDate || defaults.endDate,
+    lastMessage: job.lastMessage || null,
+    error: job.error || null,
+    forceRaw: job.forceRaw || false,
+    kind: job.kind || null,
+    trigger: job.trigger || null,
+    scheduleId: job.scheduleId || null,
+    queued: queuedJobs.length,
     defaultRange: defaults,
   };
 }
@@ -183,92 +294,289 @@ function broadcastUpdate(event, data) {
   }
 }
 
-async function startUpdateJobIfNeeded(range = {}) {
-  if (currentUpdateJob.running) {
-    return;
+async function recordUpdateRun(run) {
+  try {
+    const entry = await appendRunHistory(UPDATE_HISTORY_FILE, run);
+    broadcastUpdate("history", entry);
+    // A cancel was asked for, so nobody needs telling.
+    if (run.outcome !== "cancelled") {
+      delivery.publish(run.outcome === "success" ? "job_succeeded" : "job_failed", { run: entry });
+    }
+    return entry;
+  } catch (err) {
+    console.error("[update] failed to record run history:", err?.message || err);
+    return null;
   }
+}
 
-  const { startDate, endDate } = normalizeUpdateRange(
-    range.startDate,
-    range.endDate
-  );
-
-  currentUpdateJob = {
-    running: true,
-    startedAt: new Date().toISOString(),
-    finishedAt: null,
+// Runs one queued update job: raw fetch, then daily rebuild. trigger is
+// "manual" (maintenance page), "auto" (funnel auto-refetch) or "schedule"
+// (background scheduler, with scheduleId). Cancellation is checked between days.
+async function runUpdateJob(job, { isCancelled, update }) {
+  const { startDate, endDate, forceRaw, trigger, scheduleId, resumeRunId } = job;
+  const tag = { jobId: job.id, trigger, scheduleId };
+  currentUpdateJob = job;
+
+  const progress = (phase, message) => {
+    update({ lastMessage: message });
+    broadcastUpdate("progress", { ...tag, phase, message });
+  };
+  const runInfo = (finishedAt) => ({
+    jobId: job.id,
+    kind: "update",
+    trigger,
+    scheduleId,
     startDate,
     endDate,
-    lastMessage: `Starting update for ${startDate} → ${endDate}`,
-    error: null,
-    forceRaw: Boolean(range.forceRaw),
-  };
+    forceRaw,
+    startedAt: job.startedAt,
+    finishedAt,
+    durationMs: Date.parse(finishedAt) - Date.parse(job.startedAt),
+  });
 
+  update({ lastMessage: `Starting update for ${startDate} → ${endDate}` });
   broadcastUpdate("init", {
-    startedAt: currentUpdateJob.startedAt,
+    ...tag,
+    startedAt: job.startedAt,
     startDate,
     endDate,
-    message: currentUpdateJob.lastMessage,
+    forceRaw,
+    message: job.lastMessage,
   });
 
   try {
-    broadcastUpdate("progress", {
-      phase: "raw",
-      message: `Fetching raw for ${startDate} → ${endDate}${range.forceRaw ? " (forced refetch)" : ""}...`,
-    });
+    progress(
+      "raw",
+      resumeRunId
+        ? `Resuming fetch run ${resumeRunId} (${startDate} → ${endDate})...`
+        : `Fetching raw for ${startDate} → ${endDate}${forceRaw ? " (forced refetch)" : ""}...`
+    );
 
-    await fetchRawRange({
+    const { runId } = await fetchRawRange({
       startDate,
       endDate,
-      onStatus: (message) =>
-        broadcastUpdate("progress", { phase: "raw", message }),
-      forceRaw: Boolean(range.forceRaw),
+      onStatus: (message) => progress("raw", message),
+      onProgress: (estimate) => {
+        // Save the run id straight away so a restart mid-fetch can still resume it.
+        if (job.fetchRunId !== estimate.runId) {
+          update({ fetchRunId: estimate.runId }, { persist: true });
+        }
+        update({ estimate });
+        broadcastUpdate("progress", { ...tag, phase: "raw", estimate });
+      },
+      forceRaw,
       strict: true,
+      isCancelled,
+      resumeRunId,
     });
+    update({ fetchRunId: runId });
 
-    broadcastUpdate("progress", {
-      phase: "daily",
-      message: `Rebuilding daily rollups for ${startDate} → ${endDate}...`,
-    });
+    // A stale catalog only leaves new merchants untagged, so a failed
+    // refresh must not fail the update.
+    progress("merchants", "Refreshing merchant catalog...");
+    try {
+      const catalog = await refreshMerchantCatalog();
+      progress("merchants", `Merchant catalog: ${catalog.sites.length} sites from ${catalog.source}.`);
+    } catch (err) {
+      console.warn(`[merchants] catalog refresh failed, keeping the last snapshot: ${err?.message || err}`);
+    }
 
-    await buildDailyFromRawRange({ startDate, endDate });
+    progress("daily", `Rebuilding daily rollups for ${startDate} → ${endDate}...`);
+
+    const { alerts } = await buildDailyFromRawRange({ startDate, endDate, isCancelled });
+    if (alerts.length) delivery.publish("alert", { alerts });
+
+    // Retention only tidies raw days the rollups are done with; a failure
+    // leaves them as they were and must not fail the update.
+    progress("retention", "Applying raw data retention...");
+    try {
+      const retention = await applyRawRetention(RETENTION, { isCancelled });
+      progress("retention", `Raw retention: ${describeRetentionRun(retention)}.`);
+    } catch (err) {
+      if (err?.kind === "cancelled") throw err;
+      console.warn(`[retention] skipped: ${err?.message || err}`);
+    }
 
-    currentUpdateJob.running = false;
-    currentUpdateJob.finishedAt = new Date().toISOString();
-    currentUpdateJob.lastMessage = "Update completed.";
+    const finishedAt = new Date().toISOString();
+    update({ lastMessage: "Update completed." });
 
     broadcastUpdate("done", {
-      finishedAt: currentUpdateJob.finishedAt,
+      ...tag,
+      finishedAt,
       startDate,
       endDate,
-      message: currentUpdateJob.lastMessage,
+      message: job.lastMessage,
+    });
+    await recordUpdateRun({
+      ...runInfo(finishedAt),
+      outcome: "success",
+      error: null,
+      failures: [],
     });
   } catch (err) {
-    currentUpdateJob.running = false;
-    currentUpdateJob.finishedAt = new Date().toISOString();
-    currentUpdateJob.error = err?.message || String(err);
-    currentUpdateJob.lastMessage = `Update failed: ${currentUpdateJob.error}`;
+    const finishedAt = new Date().toISOString();
+    const error = err?.message || String(err);
+    const cancelled = err?.kind === "cancelled";
+    // The fetch manifest lets this run be resumed from where it stopped.
+    if (err?.runId) update({ fetchRunId: err.runId });
+    update({ lastMessage: cancelled ? `Update cancelled: ${error}` : `Update failed: ${error}` });
 
     const failures = Array.isArray(err?.failures) ? err.failures : [];
     const instanceNames = failures
       .map((f) => f?.instanceName)
       .filter(Boolean);
     const uniqueNames = Array.from(new Set(instanceNames));
-    const cancelMessage = uniqueNames.length
+    const cancelMessage = cancelled
+      ? `Refresh cancelled on request — ${error}`
+      : uniqueNames.length
       ? `Refresh cancelled — please fix credentials for: ${uniqueNames.join(", ")}`
-      : `Refresh cancelled — ${currentUpdateJob.error}`;
+      : `Refresh cancelled — ${error}`;
 
     broadcastUpdate("job_error", {
-      finishedAt: currentUpdateJob.finishedAt,
+      ...tag,
+      finishedAt,
       startDate,
       endDate,
-      error: currentUpdateJob.error,
+      error,
+      cancelled,
+      fetchRunId: err?.runId || null,
       message: cancelMessage,
       failures,
     });
+    await recordUpdateRun({
+      ...runInfo(finishedAt),
+      outcome: cancelled ? "cancelled" : "failed",
+      error,
+      failures,
+    });
+    throw err;
+  }
+}
+
+// Rebuilds daily/hourly rollups from stored raw data without fetching, e.g.
+// after the funnel definition changed.
+async function runRebuildJob(job, { isCancelled, update }) {
+  const { startDate, endDate, trigger } = job;
+  const tag = { jobId: job.id, trigger, scheduleId: null };
+  currentUpdateJob = job;
+  const runInfo = (finishedAt) => ({
+    jobId: job.id,
+    kind: "rebuild",
+    trigger,
+    scheduleId: null,
+    startDate,
+    endDate,
+    forceRaw: false,
+    startedAt: job.startedAt,
+    finishedAt,
+    durationMs: Date.parse(finishedAt) - Date.parse(job.startedAt),
+  });
+
+  update({ lastMessage: `Rebuilding rollups for ${startDate} → ${endDate}...` });
+  broadcastUpdate("init", {
+    ...tag,
+    startedAt: job.startedAt,
+    startDate,
+    endDate,
+    forceRaw: false,
+    message: job.lastMessage,
+  });
+  broadcastUpdate("progress", { ...tag, phase: "daily", message: job.lastMessage });
+
+  try {
+    const { alerts } = await buildDailyFromRawRange({ startDate, endDate, isCancelled });
+    if (alerts.length) delivery.publish("alert", { alerts });
+    const finishedAt = new Date().toISOString();
+    update({ lastMessage: "Rebuild completed." });
+    broadcastUpdate("done", { ...tag, finishedAt, startDate, endDate, message: job.lastMessage });
+    await recordUpdateRun({ ...runInfo(finishedAt), outcome: "success", error: null, failures: [] });
+  } catch (err) {
+    const finishedAt = new Date().toISOString();
+    const error = err?.message || String(err);
+    const cancelled = err?.kind === "cancelled";
+    update({ lastMessage: cancelled ? `Rebuild cancelled: ${error}` : `Rebuild failed: ${error}` });
+    broadcastUpdate("job_error", {
+      ...tag,
+      finishedAt,
+      startDate,
+      endDate,
+      error,
+      cancelled,
+      message: job.lastMessage,
+      failures: [],
+    });
+    await recordUpdateRun({
+      ...runInfo(finishedAt),
+      outcome: cancelled ? "cancelled" : "failed",
+      error,
+      failures: [],
+    });
+    throw err;
   }
 }
 
+const updateQueue = createJobQueue({
+  file: JOBS_FILE,
+  runJob: (job, context) =>
+    job.kind === "rebuild" ? runRebuildJob(job, context) : runUpdateJob(job, context),
+  onChange: (job) => {
+    broadcastUpdate("queue", { job, jobs: updateQueue.list({ limit: 20 }) });
+  },
+});
+
+/**
+ * Adds an update (or rebuild) run to the queue. Identical queued/running requests are
+ * merged, so repeated page loads do not pile up duplicate jobs.
+ * @returns {{job: object, existing: boolean}}
+ */
+function enqueueUpdateJob(range = {}) {
+  const { startDate, endDate } = normalizeUpdateRange(range.startDate, range.endDate);
+  const result = updateQueue.enqueue({
+    kind: range.kind || "update",
+    startDate,
+    endDate,
+    forceRaw: Boolean(range.forceRaw),
+    trigger: range.trigger || "manual",
+    scheduleId: range.scheduleId || null,
+    resumeRunId: range.resumeRunId || null,
+  });
+  console.log(
+    `[jobs] ${result.existing ? "reusing" : "queued"} ${result.job.kind || "update"} ${result.job.id} (${result.job.trigger}) ${startDate} → ${endDate}`
+  );
+  return result;
+}
+
+const updateScheduler = createUpdateScheduler({
+  configFile: SCHEDULER_FILE,
+  onDue: (schedule, range) => {
+    enqueueUpdateJob({
+      ...range,
+      forceRaw: schedule.forceRaw,
+      trigger: "schedule",
+      scheduleId: schedule.id,
+    });
+  },
+});
+
+// Deliveries go out in the background; the maintenance page follows the log
+// over the update stream.
+const delivery = createDeliveryService({
+  config: DELIVERY,
+  onChange: (entry) => broadcastUpdate("delivery", { delivery: entry }),
+});
+
+async function deliverReport(report) {
+  const html = await fs.readFile(path.join(REPORTS.dir, report.file), "utf8").catch(() => null);
+  return delivery.publish("report", { report, html });
+}
+
+const reportScheduler = createReportScheduler({
+  config: REPORTS,
+  onGenerated: (report) => {
+    deliverReport(report);
+  },
+});
+
 const mime = (ext) =>
   ({
     ".html": "text/html; charset=utf-8",
@@ -331,6 +639,106 @@ async function serveFile(res, fp) {
   }
 }
 
+// ========== AUTH ==========
+
+function sessionToken(req) {
+  return parseCookies(req.headers.cookie || "")[SESSION_COOKIE] || null;
+}
+
+/** The signed-in user behind a request, or null. */
+function requestUser(req) {
+  const session = authSessions.get(sessionToken(req));
+  if (!session) return null;
+  const user = findUser(session.username, AUTH.usersFile);
+  return sessionValidFor(session, user) ? publicUser(user) : null;
+}
+
+async function startSession(res, username) {
+  const { token } = await authSessions.create(username);
+  res.setHeader(
+    "Set-Cookie",
+    sessionCookie(token, { maxAgeSeconds: authSessions.ttlSeconds, secure: AUTH.secureCookie })
+  );
+}
+
+/** The share link behind a request without an account, or null. */
+function requestShare(req) {
+  const token = parseCookies(req.headers.cookie || "")[SHARE_COOKIE];
+  if (!token) return null;
+  try {
+    return verifyShareToken(token, SHARE);
+  } catch (err) {
+    console.error("[share] unable to check link:", err?.message || err);
+    return null;
+  }
+}
+
+function sendDeniedPage(res, status, title, message) {
+  const html = `<!doctype html>
+<html><head><meta charset="utf-8"><title>${title}</title>
+<link rel="stylesheet" href="/sis-shared.css"></head><body>
+  <main class="sis-main"><h1>${title}</h1>
+  <p>${message}</p></main>
+</body></html>`;
+  send(res, status, html, "text/html; charset=utf-8");
+}
+
+// Browser navigation gets pages and redirects; fetch() calls get JSON.
+function wantsHtml(req) {
+  return req.method === "GET" && (req.headers.accept || "").includes("text/html");
+}
+
+/**
+ * Applies src/lib/accessPolicy.mjs to a request. When access is denied the
+ * 401/403 (or, for page loads, a redirect to the login page) is sent here and
+ * false is returned; otherwise the user is attached as `req.user`.
+ */
+function authorizeRequest(req, res, pathname, search) {
+  const role = requiredRole(req.method, pathname);
+  if (role === "public") return true;
+  const user = requestUser(req);
+  if (!user) {
+    // Accounts win over share links, so staff can open a link without losing
+    // their own view.
+    const share = requestShare(req);
+    if (share && allowedForShare(req.method, pathname)) {
+      req.share = share;
+      return true;
+    }
+    if (share) {
+      if (wantsHtml(req)) {
+        sendDeniedPage(res, 403, "Not shared", 'This link only opens the <a href="/funnel.html">FI funnel</a>.');
+      } else {
+        send(res, 403, { error: "Not part of this shared view" });
+      }
+      return false;
+    }
+    if (wantsHtml(req)) {
+      res.writeHead(302, { Location: `/login.html?next=${encodeURIComponent(pathname + search)}` });
+      res.end();
+      return false;
+    }
+    send(res, 401, { error: "Sign in required" });
+    return false;
+  }
+  if (!roleAtLeast(user.role, role)) {
+    if (wantsHtml(req)) {
+      sendDeniedPage(
+        res,
+        403,
+        "Access denied",
+        `This page needs the <strong>${role}</strong> role; you are signed in as a ${user.role}. ` +
+          '<a href="/funnel.html">Back to the funnel</a>'
+      );
+      return false;
+    }
+    send(res, 403, { error: `Requires the ${role} role`, role: user.role });
+    return false;
+  }
+  req.user = user;
+  return true;
+}
+
 async function pickUiEntry() {
   const heatmap = path.join(PUBLIC_DIR, "heatmap.html");
   const funnel = path.join(PUBLIC_DIR, "funnel.html");
@@ -342,19 +750,211 @@ async function pickUiEntry() {
   return null;
 }
 
+// Daily rollups come from the storage engine; names keep the "<day>.json"
+// shape the pages already expect.
 async function listDaily() {
   try {
-    const files = await fs.readdir(DAILY_DIR);
-    return files.filter((f) => f.endsWith(".json")).sort();
-  } catch {
+    return getStorage()
+      .listDailyDays()
+      .map((day) => `${day}.json`);
+  } catch (err) {
+    console.error("Unable to list daily rollups:", err?.message || err);
     return [];
   }
 }
 
 async function loadDaily(dateStr) {
-  const fp = path.join(DAILY_DIR, `${dateStr}.json`);
-  const raw = await fs.readFile(fp, "utf8");
-  return JSON.parse(raw);
+  const doc = getStorage().readDaily(dateStr);
+  if (!doc) {
+    throw Object.assign(new Error(`No daily rollup for ${dateStr}`), { status: 404 });
+  }
+  return doc;
+}
+
+function collapseDays(days) {
+  return days.length
+    ? { count: days.length, first: days[0], last: days[days.length - 1], days }
+    : { count: 0, first: null, last: null, days: [] };
+}
+
+// Built days a rebuild would write again: not those with raw data pruned.
+function rebuildableDays(storage) {
+  return storage.listDailyDays().filter((day) => !prunedRawTypes(day, { config: RETENTION, storage }).length);
+}
+
+/**
+ * Compares stored data with the current funnel definition. Daily rollups
+ * stamp the version they were built with; GA raw files the version they were
+ * fetched with (files from before definitions existed count as the default).
+ * Stale rollups need a rebuild; stale GA raw needs a refetch, because pages
+ * outside the old definition were never stored. Days whose raw data was
+ * pruned cannot be rebuilt, so they are not counted.
+ */
+function funnelDefinitionStatus(definition) {
+  const storage = getStorage();
+  const staleDaily = rebuildableDays(storage)
+    .filter((day) => (storage.readDaily(day)?.funnel?.version || DEFAULT_FUNNEL_VERSION) !== definition.version);
+  const staleGa = storage
+    .listRawDays("ga")
+    .filter((day) => {
+      const header = storage.readRawHeader("ga", day);
+      return header && !header.error && (header.funnel_version || DEFAULT_FUNNEL_VERSION) !== definition.version;
+    });
+  return { staleDaily: collapseDays(staleDaily), staleGaRaw: collapseDays(staleGa) };
+}
+
+/**
+ * Daily rollups built under different FI resolution rules than the current
+ * ones. Rollups from before the rules file existed count as the defaults.
+ * Pruned days are left out, as in funnelDefinitionStatus.
+ */
+function fiResolutionStatus(resolution) {
+  const storage = getStorage();
+  const stale = rebuildableDays(storage)
+    .filter(
+      (day) =>
+        (storage.readDaily(day)?.fi_resolution_version || DEFAULT_FI_RESOLUTION_VERSION) !==
+        resolution.version
+    );
+  return collapseDays(stale);
+}
+
+/**
+ * Daily rollups stamp each FI-instance with the registry values in effect that
+ * day. After dated registry changes, rebuilds the built days from the
+ * earliest affected date so the stamps follow.
+ * @param {Array} changes - [entryBefore, entryAfter] pairs
+ * @returns {object|null} { job, existing } or null when nothing is stale
+ */
+function queueRegistryRebuild(changes) {
+  const since = changes
+    .map(([before, after]) => changedSince(before, after))
+    .filter(Boolean)
+    .sort()[0];
+  if (!since) return null;
+  const days = collapseDays(getStorage().listDailyDays().filter((day) => day >= since));
+  if (!days.count) return null;
+  return enqueueUpdateJob({ kind: "rebuild", startDate: days.first, endDate: days.last, trigger: "registry" });
+}
+
+/**
+ * Hash of the stored daily rollups (days, sizes, write times). Changes when a
+ * day is built, rebuilt or removed; pages and /api/funnel cache against it.
+ */
+function dailyDataVersion() {
+  const fileListHash = getStorage().dailyVersionParts().join("|");
+  let version = 0;
+  for (let i = 0; i < fileListHash.length; i++) {
+    version = (version << 5) - version + fileListHash.charCodeAt(i);
+    version = version & version; // Convert to 32bit integer
+  }
+  return Math.abs(version);
+}
+
+// /api/funnel answers, keyed by data version, registry write time, funnel
+// definition and query. Old versions fall out as new entries push them past
+// the limit.
+const FUNNEL_CACHE_LIMIT = 40;
+const funnelCache = new Map();
+
+function cachedFunnel(key, compute) {
+  if (funnelCache.has(key)) {
+    const value = funnelCache.get(key);
+    funnelCache.delete(key);
+    funnelCache.set(key, value);
+    return value;
+  }
+  const value = compute();
+  funnelCache.set(key, value);
+  while (funnelCache.size > FUNNEL_CACHE_LIMIT) funnelCache.delete(funnelCache.keys().next().value);
+  return value;
+}
+
+const HOURLY_MAX_DAYS = 62;
+const RECONCILIATION_MAX_DAYS = 31;
+const HOURLY_TOP_MERCHANTS = 15;
+
+function emptyHourlyMetrics() {
+  return Object.fromEntries(HOURLY_METRICS.map((name) => [name, 0]));
+}
+
+function addHourlyMetrics(target, source = {}) {
+  for (const name of HOURLY_METRICS) target[name] += source[name] || 0;
+}
+
+/**
+ * Sums hourly rollups over a day range. FI-instance entries are selected by
+ * `fiInstanceSet`, else by `fiSet`/`instanceKey`, else all; merchant curves
+ * come from the day-level merchant section (production instances only),
+ * limited to merchants the catalog tags with `merchantTag` when given.
+ */
+function summarizeHourlyRange(days, { fiInstanceSet, fiSet, instanceKey, includeTests, merchant, merchantTag }) {
+  const series = [];
+  const byHourOfDay = Object.fromEntries(HOURS.map((hour) => [hour, emptyHourlyMetrics()]));
+  const merchantTotals = new Map();
+  const merchantSeries = [];
+  const unassigned = { ga: 0, sessions: 0, placements: 0 };
+  const missingDays = [];
+  let hourBasis = null;
+
+  for (const day of days) {
+    const doc = getStorage().readHourly(day);
+    if (!doc) missingDays.push(day);
+    if (doc?.hour_basis) hourBasis = doc.hour_basis;
+    for (const [source, count] of Object.entries(doc?.unassigned || {})) {
+      unassigned[source] = (unassigned[source] || 0) + (count || 0);
+    }
+    const entries = Object.entries(doc?.fi_instances || {}).filter(([key, entry]) => {
+      if (!includeTests && entry.is_test) return false;
+      if (fiInstanceSet) return fiInstanceSet.has(normalizeFiInstanceKey(key));
+      if (fiSet && !fiSet.has(normalizeFiKey(entry.fi_lookup_key))) return false;
+      if (instanceKey && normalizeInstanceKey(entry.instance) !== instanceKey) return false;
+      return true;
+    });
+    for (const hour of HOURS) {
+      const point = { hour: `${day}T${hour}`, ...emptyHourlyMetrics() };
+      for (const [, entry] of entries) addHourlyMetrics(point, entry.hours?.[hour]);
+      addHourlyMetrics(byHourOfDay[hour], point);
+      series.push(point);
+    }
+    for (const [name, hours] of Object.entries(doc?.merchants || {})) {
+      let totals = merchantTotals.get(name);
+      if (!totals) {
+        const { name: label, tags } = merchantIndex().describe(name);
+        if (merchantTag && !tags.includes(merchantTag)) continue;
+        totals = { merchant: name, name: label, tags, placements: 0, placements_success: 0 };
+      }
+      for (const bucket of Object.values(hours)) {
+        totals.placements += bucket.placements || 0;
+        totals.placements_success += bucket.placements_success || 0;
+      }
+      merchantTotals.set(name, totals);
+    }
+    if (merchant) {
+      const hours = doc?.merchants?.[merchant] || {};
+      for (const hour of HOURS) {
+        const bucket = hours[hour];
+        merchantSeries.push({
+          hour: `${day}T${hour}`,
+          placements: bucket?.placements || 0,
+          placements_success: bucket?.placements_success || 0,
+          by_termination: bucket?.by_termination || {},
+        });
+      }
+    }
+  }
+
+  return {
+    hourBasis,
+    missingDays,
+    unassigned,
+    series,
+    byHourOfDay: HOURS.map((hour) => ({ hour, ...byHourOfDay[hour] })),
+    merchants: Array.from(merchantTotals.values())
+      .sort((a, b) => b.placements - a.placements)
+      .slice(0, HOURLY_TOP_MERCHANTS),
+    merchantSeries: merchant ? merchantSeries : null,
+  };
 }
 
 function isoOnly(d) {
@@ -433,25 +1033,7 @@ function placementDay(p) {
 }
 
 async function readInstancesFile() {
-  for (const candidate of INSTANCES_FILES) {
-    try {
-      const raw = await fs.readFile(candidate, "utf8");
-      const parsed = JSON.parse(raw);
-      if (!Array.isArray(parsed)) {
-        throw Object.assign(new Error("secrets/instances.json must be an array"), {
-          status: 400,
-        });
-      }
-      return { entries: parsed, path: candidate };
-    } catch (err) {
-      if (err.code === "ENOENT") {
-        // try next candidate
-        continue;
-      }
-      throw err;
-    }
-  }
-  return { entries: [], path: INSTANCES_FILES[0] };
+  return loadInstanceEntries(VAULT);
 }
 
 const normalizeInstanceEntry = (entry = {}) => {
@@ -482,26 +1064,44 @@ async function writeInstancesFile(entries) {
   const sorted = [...entries].sort((a, b) =>
     (a?.name || "").localeCompare(b?.name || "")
   );
-  let target = INSTANCES_FILES[0];
-  for (const candidate of INSTANCES_FILES) {
-    try {
-      await fs.access(candidate);
-      target = candidate;
-      break;
-    } catch {
-      // missing, keep searching
+  return saveInstanceEntries(VAULT, sorted);
+}
+
+/**
+ * The GA credentials the maintenance page manages: "prod" and "test" plus the
+ * credential of each GA source (src/lib/gaSources.mjs). `defaultProperty` is
+ * what a credential test queries when no property ID is given.
+ */
+function gaCredentialConfigs() {
+  const builtIn = [
+    { name: "prod", label: "Production", envProperty: "GA_PROPERTY_ID" },
+    { name: "test", label: "Test", envProperty: "GA_TEST_PROPERTY_ID" },
+  ];
+  let sources = [];
+  try {
+    sources = loadGaSources().sources;
+  } catch (err) {
+    console.warn(`[ga] ${err.message}`);
+  }
+  const configs = builtIn.map((cfg) => ({ ...cfg, defaultProperty: process.env[cfg.envProperty] || "" }));
+  for (const source of sources) {
+    let cfg = configs.find((c) => c.name === source.credential);
+    if (!cfg) {
+      cfg = { name: source.credential, label: source.label, envProperty: null, defaultProperty: "" };
+      configs.push(cfg);
     }
+    if (!cfg.sourceProperty) cfg.sourceProperty = source.property_id;
   }
-  // Ensure the directory exists before writing
-  const dir = path.dirname(target);
-  await fs.mkdir(dir, { recursive: true });
-  await fs.writeFile(target, JSON.stringify(sorted, null, 2) + "\n", "utf8");
-  return { entries: sorted, path: target };
+  return configs.map(({ sourceProperty, ...cfg }) => ({
+    ...cfg,
+    file: gaCredentialFile(VAULT, cfg.name),
+    defaultProperty: sourceProperty || cfg.defaultProperty,
+  }));
 }
 
 function getGaCredentialConfig(name) {
   const key = (name || "").toString().trim().toLowerCase();
-  const cfg = GA_CREDENTIALS.find((c) => c.name === key) || null;
+  const cfg = gaCredentialConfigs().find((c) => c.name === key) || null;
   if (!cfg) {
     throw Object.assign(new Error("Unknown GA credential name"), { status: 400 });
   }
@@ -530,48 +1130,48 @@ function validateGaServiceAccountJson(obj) {
 
 async function readGaCredentialSummary(name) {
   const cfg = getGaCredentialConfig(name);
-  try {
-    const raw = await fs.readFile(cfg.file, "utf8");
-    const obj = JSON.parse(raw || "{}");
-    const stat = await fs.stat(cfg.file).catch(() => null);
+  const stored = loadGaCredential(VAULT, cfg.name);
+  if (!stored) {
     return {
       name: cfg.name,
       label: cfg.label,
-      exists: true,
+      propertyId: cfg.defaultProperty || null,
+      exists: false,
       path: cfg.file,
-      updatedAt: stat ? stat.mtime.toISOString() : null,
-      summary: {
-        type: obj?.type || null,
-        projectId: obj?.project_id || null,
-        clientEmail: obj?.client_email || null,
-        hasPrivateKey: !!obj?.private_key,
-      },
+      storage: null,
+      updatedAt: null,
+      summary: null,
     };
-  } catch (err) {
-    if (err && (err.code === "ENOENT" || err.code === "ENOTDIR")) {
-      return {
-        name: cfg.name,
-        label: cfg.label,
-        exists: false,
-        path: cfg.file,
-        updatedAt: null,
-        summary: null,
-      };
-    }
-    throw err;
   }
+  const obj = stored.json;
+  return {
+    name: cfg.name,
+    label: cfg.label,
+    propertyId: cfg.defaultProperty || null,
+    exists: true,
+    path: stored.path,
+    storage: stored.source,
+    updatedAt: stored.updatedAt,
+    summary: {
+      type: obj?.type || null,
+      projectId: obj?.project_id || null,
+      clientEmail: obj?.client_email || null,
+      hasPrivateKey: !!obj?.private_key,
+    },
+  };
 }
 
+// The credential JSON as the maintenance page edits it: private key masked.
 async function readGaCredentialContent(name) {
   const cfg = getGaCredentialConfig(name);
   const summary = await readGaCredentialSummary(name);
   if (!summary.exists) return { ...summary, json: null, jsonText: "" };
-  const raw = await fs.readFile(cfg.file, "utf8");
-  const obj = JSON.parse(raw || "{}");
+  const obj = maskGaCredential(loadGaCredential(VAULT, cfg.name).json);
   return { ...summary, json: obj, jsonText: JSON.stringify(obj, null, 2) };
 }
 
-async function writeGaCredentialFile(name, payload) {
+// `origin` ({ req, pathname }) is the request to credit in the audit log.
+async function writeGaCredentialFile(name, payload, origin) {
   if (!payload || typeof payload !== "object") {
     throw Object.assign(new Error("Payload must be a JSON object"), { status: 400 });
   }
@@ -585,22 +1185,126 @@ async function writeGaCredentialFile(name, payload) {
   } else {
     obj = payload;
   }
+  // A re-saved credential still carries the masked key; keep the stored one
+  // unless it is for a different service account.
+  const previous = loadGaCredential(VAULT, cfg.name)?.json;
+  if (previous && previous.client_email === obj?.client_email) {
+    obj = mergeGaSecrets(obj, previous);
+  }
   validateGaServiceAccountJson(obj);
 
-  await fs.mkdir(path.dirname(cfg.file), { recursive: true });
-  await fs.writeFile(cfg.file, JSON.stringify(obj, null, 2) + "\n", "utf8");
+  await saveGaCredential(VAULT, cfg.name, obj);
+  await auditGaChange(origin, cfg.name, previous, obj);
   return readGaCredentialContent(cfg.name);
 }
 
-async function deleteGaCredentialFile(name) {
+async function deleteGaCredentialFile(name, origin) {
   const cfg = getGaCredentialConfig(name);
+  const previous = loadGaCredential(VAULT, cfg.name)?.json;
+  await deleteGaCredential(VAULT, cfg.name);
+  await auditGaChange(origin, cfg.name, previous, null);
+  return readGaCredentialSummary(cfg.name);
+}
+
+// Private keys are not kept in the log, so GA changes are recorded but
+// cannot be reverted from it.
+async function auditGaChange(origin, name, before, after) {
+  if (!origin) return;
+  await auditChange(origin.req, origin.pathname, {
+    kind: "ga-credential",
+    before: { [name]: before || null },
+    after: { [name]: after },
+    secretFields: GA_SECRET_FIELDS,
+    revertible: false,
+  });
+}
+
+/**
+ * Appends a configuration change to the audit log (src/lib/auditLog.mjs). The
+ * change itself is already saved, so a failure to log it is only reported.
+ */
+async function auditChange(req, pathname, change) {
+  try {
+    await recordChange(AUDIT, {
+      actor: req.user?.username || null,
+      route: `${req.method} ${pathname}`,
+      ...change,
+    });
+  } catch (err) {
+    console.error(`[audit] unable to record ${req.method} ${pathname}:`, err?.message || err);
+  }
+}
+
+async function readRegistryFile() {
   try {
-    await fs.unlink(cfg.file);
+    return JSON.parse(await fs.readFile(FI_REGISTRY_FILE, "utf8"));
   } catch (err) {
-    if (err && err.code === "ENOENT") return readGaCredentialSummary(cfg.name);
+    if (err.code === "ENOENT") return {};
     throw err;
   }
-  return readGaCredentialSummary(cfg.name);
+}
+
+/**
+ * Undoes a logged registry or instance change (see POST /audit/revert) and
+ * logs the revert.
+ * @returns {object} { reverted, entry } - the id undone and the new log entry
+ */
+async function revertAuditEntry(id, origin) {
+  const currentInstance = (entries, logged, key) =>
+    entries.find((inst) => inst?.name === (logged.after[key]?.name ?? key)) || null;
+  const { entry: logged, current } = await prepareRevert(AUDIT, id, async (logged) => {
+    if (logged.kind === "fi-registry") {
+      const registry = await readRegistryFile();
+      return Object.fromEntries(logged.keys.map((key) => [key, registry[key] ?? null]));
+    }
+    if (logged.kind === "instances") {
+      const { entries } = await readInstancesFile();
+      return Object.fromEntries(logged.keys.map((key) => [key, currentInstance(entries, logged, key)]));
+    }
+    throw Object.assign(new Error(`${logged.kind} changes cannot be reverted`), { status: 409 });
+  });
+
+  const restored = {};
+  if (logged.kind === "fi-registry") {
+    const registry = await readRegistryFile();
+    for (const key of logged.keys) {
+      if (logged.before[key]) registry[key] = logged.before[key];
+      else delete registry[key];
+      restored[key] = logged.before[key] || null;
+    }
+    await fs.writeFile(FI_REGISTRY_FILE, JSON.stringify(registry, null, 2) + "\n", "utf8");
+    queueRegistryRebuild(logged.keys.map((key) => [current[key], restored[key]]));
+  } else {
+    // The log only has masked secrets; a revertible change left them alone,
+    // so the instance's current ones are the ones to keep.
+    const { entries } = await readInstancesFile();
+    let next = [...entries];
+    for (const key of logged.keys) {
+      const now = currentInstance(next, logged, key);
+      next = next.filter((inst) => inst !== now);
+      const before = logged.before[key];
+      restored[key] = null;
+      if (!before) continue;
+      if (next.some((inst) => inst?.name === before.name)) {
+        throw Object.assign(new Error(`An instance named ${before.name} already exists`), { status: 409 });
+      }
+      const secrets = Object.fromEntries(INSTANCE_SECRET_FIELDS.map((field) => [field, now?.[field] ?? ""]));
+      restored[key] = { ...before, ...secrets };
+      next.push(restored[key]);
+    }
+    await writeInstancesFile(next);
+  }
+
+  const entry = await recordChange(AUDIT, {
+    actor: origin.req.user?.username || null,
+    route: `${origin.req.method} ${origin.pathname}`,
+    kind: logged.kind,
+    before: current,
+    after: restored,
+    secretFields: logged.secret_fields || [],
+    reverts: logged.id,
+  });
+  return { reverted: logged.id, entry };
 }
 
 function pickSs01Instance(instances = []) {
@@ -667,7 +1371,39 @@ async function fetchMerchantSitesFromSs01() {
     guard += 1;
   }
 
-  return sites;
+  return { sites, source: ss01.name || null };
+}
+
+/** "3 compressed, 1 pruned" for a retention run, or "nothing to do". */
+function describeRetentionRun(summary) {
+  const totals = {};
+  for (const counts of Object.values(summary.by_type)) {
+    for (const [step, count] of Object.entries(counts)) totals[step] = (totals[step] || 0) + count;
+  }
+  const parts = ["compressed", "archived", "pruned"]
+    .filter((step) => totals[step])
+    .map((step) => `${totals[step]} ${step}`);
+  return parts.join(", ") || "nothing to do";
+}
+
+/**
+ * Fetches the merchant sites from ss01 and stores them as the catalog
+ * snapshot used by rollups, the heatmap and /merchant-sites.
+ */
+async function refreshMerchantCatalog() {
+  const { sites, source } = await fetchMerchantSitesFromSs01();
+  return saveMerchantCatalog(MERCHANTS, sites, { source });
+}
+
+let merchantIndexCache = null;
+
+// Index over the stored catalog; rebuilt when the snapshot changes.
+function merchantIndex() {
+  const catalog = readMerchantCatalog(MERCHANTS);
+  if (merchantIndexCache?.catalog !== catalog) {
+    merchantIndexCache = { catalog, index: createMerchantIndex(catalog) };
+  }
+  return merchantIndexCache.index;
 }
 
 async function fetchAllFinancialInstitutions(progressCallback = null) {
@@ -818,9 +1554,8 @@ async function fetchAllFinancialInstitutions(progressCallback = null) {
 
 async function readPlacementDay(day) {
   try {
-    const fp = path.join(RAW_PLACEMENTS_DIR, `${day}.json`);
-    const raw = await fs.readFile(fp, "utf8");
-    const data = JSON.parse(raw);
+    const data = readRaw("placements", day);
+    if (!data) return null;
     console.log(`📂 Read placements for ${day}: ${data.placements?.length || 0} records`);
     return data;
   } catch {
@@ -830,9 +1565,8 @@ async function readPlacementDay(day) {
 
 async function readSessionDay(day) {
   try {
-    const fp = path.join(RAW_DIR, "sessions", `${day}.json`);
-    const raw = await fs.readFile(fp, "utf8");
-    const data = JSON.parse(raw);
+    const data = readRaw("sessions", day);
+    if (!data) return null;
     console.log(`📂 Read sessions for ${day}: ${data.sessions?.length || 0} records`);
     return data;
   } catch {
@@ -841,13 +1575,8 @@ async function readSessionDay(day) {
 }
 
 async function listRawDays(type = "sessions") {
-  const dir = path.join(RAW_DIR, type);
   try {
-    const files = await fs.readdir(dir);
-    return files
-      .filter((f) => /^\d{4}-\d{2}-\d{2}\.json$/.test(f))
-      .map((f) => f.replace(/\.json$/, ""))
-      .sort();
+    return listStoredRawDays(type);
   } catch {
     return [];
   }
@@ -998,10 +1727,9 @@ function mapPlacementToJob(placement, fiFallback, instanceFallback) {
     placement.job_id ||
     null;
   const merchant =
-    placement.merchant_site_hostname ||
-    (placement.merchant_site_id
-      ? `merchant_${placement.merchant_site_id}`
-      : "unknown");
+    (placement.merchant_site_hostname || placement.merchant_site_id)
+      ? merchantIndex().keyFor(placement)
+      : "unknown";
   return {
     id: jobId,
     merchant,
@@ -1174,16 +1902,10 @@ function summarizeTroubleshootSessions(rows = []) {
 }
 
 async function loadTroubleshootRange(startDate, endDate) {
-  const days = daysBetween(startDate, endDate);
-  const sessions = [];
-  const placements = [];
-  for (const day of days) {
-    const s = await readSessionDay(day);
-    if (s?.sessions) sessions.push(...s.sessions);
-    const p = await readPlacementDay(day);
-    if (p?.placements) placements.push(...p.placements);
-  }
-  return { sessions, placements };
+  return {
+    sessions: readRawRange("sessions", { startDate, endDate }),
+    placements: readRawRange("placements", { startDate, endDate }),
+  };
 }
 
 async function buildTroubleshootOptions() {
@@ -1281,20 +2003,23 @@ function summarizeStore(store, days) {
   };
 }
 
-async function buildGlobalMerchantHeatmap(startIso, endIso) {
+async function buildGlobalMerchantHeatmap(startIso, endIso, { tag = null } = {}) {
   // Build day list
   const days = daysBetween(startIso, endIso);
   const slices = [];
   const instanceMeta = await loadInstanceMetaMap();
+  const catalog = readMerchantCatalog(MERCHANTS);
+  const index = merchantIndex();
+  const merchants = {};
 
   for (const day of days) {
     const raw = await readPlacementDay(day);
     if (!raw || raw.error || !Array.isArray(raw.placements)) continue;
 
     for (const pl of raw.placements) {
-      const merchant =
-        pl.merchant_site_hostname ||
-        (pl.merchant_site_id ? `merchant_${pl.merchant_site_id}` : "UNKNOWN");
+      const merchant = index.keyFor(pl);
+      merchants[merchant] ??= index.describe(merchant);
+      if (tag && !merchants[merchant].tags.includes(tag)) continue;
       const instanceName =
         pl._instance ||
         pl.instance ||
@@ -1341,7 +2066,18 @@ async function buildGlobalMerchantHeatmap(startIso, endIso) {
     }
   }
 
-  return { start: startIso, end: endIso, days, slices };
+  return {
+    start: startIso,
+    end: endIso,
+    days,
+    slices,
+    tag,
+    tags: catalogTags(catalog),
+    merchants: Object.fromEntries(
+      Object.entries(merchants).filter(([, meta]) => !tag || meta.tags.includes(tag))
+    ),
+    catalog_fetched_at: catalog?.fetched_at || null,
+  };
 }
 
 const server = http.createServer(async (req, res) => {
@@ -1357,23 +2093,182 @@ const server = http.createServer(async (req, res) => {
     console.log(`${req.method} ${pathname}${queryStr}`);
   }
 
-  if (pathname === "/run-update/status") {
-    return send(res, 200, currentUpdateSnapshot());
+  if (!authorizeRequest(req, res, pathname, search)) return;
+
+  if (pathname === "/auth/login" && req.method === "POST") {
+    try {
+      const rawBody = await readRequestBody(req);
+      const payload = JSON.parse(rawBody || "{}");
+      const username = (payload.username || "").toString().trim().toLowerCase();
+      const throttleKey = `${username}|${req.socket.remoteAddress || ""}`;
+      const retryAfter = loginThrottle.retryAfter(throttleKey);
+      if (retryAfter) {
+        res.setHeader("Retry-After", String(retryAfter));
+        return send(res, 429, {
+          error: `Too many failed sign-ins; try again in ${Math.ceil(retryAfter / 60)} min`,
+        });
+      }
+      const user = await authenticate(username, payload.password, { file: AUTH.usersFile });
+      if (!user) {
+        loginThrottle.fail(throttleKey);
+        console.warn(`[auth] failed sign-in for "${username}"`);
+        return send(res, 401, { error: "Invalid username or password" });
+      }
+      loginThrottle.reset(throttleKey);
+      await startSession(res, user.username);
+      console.log(`[auth] ${user.username} signed in`);
+      return send(res, 200, { user });
+    } catch (err) {
+      const status = err?.status || (err instanceof SyntaxError ? 400 : 500);
+      return send(res, status, { error: err?.message || "Sign-in failed" });
+    }
   }
 
-  if (pathname === "/run-update/stream") {
-    res.writeHead(200, {
-      "Content-Type": "text/event-stream",
-      "Cache-Control": "no-cache",
-      Connection: "keep-alive",
-    });
-    res.write("retry: 5000\n\n");
+  if (pathname === "/auth/logout" && req.method === "POST") {
+    await authSessions.destroy(sessionToken(req));
+    res.setHeader("Set-Cookie", sessionCookie(null, { secure: AUTH.secureCookie }));
+    return send(res, 200, { ok: true });
+  }
 
-    updateClients.add(res);
+  if (pathname === "/auth/me" && req.method === "GET") {
+    return send(res, 200, {
+      user: req.user || null,
+      share: req.share ? describeShareLink(req.share) : null,
+    });
+  }
+
+  // Opening a share link stores its token in a cookie, so the funnel page's
+  // own requests carry it, then shows the funnel.
+  if (pathname.startsWith("/share/") && req.method === "GET") {
+    const token = pathname.slice("/share/".length);
+    let link = null;
+    try {
+      link = verifyShareToken(token, SHARE);
+    } catch (err) {
+      console.error("[share] unable to check link:", err?.message || err);
+    }
+    if (!link) {
+      sendDeniedPage(res, 410, "Link unavailable", "This share link is invalid, has expired or was revoked.");
+      return;
+    }
+    const maxAgeSeconds = Math.floor((Date.parse(link.expires_at) - Date.now()) / 1000);
+    res.writeHead(302, {
+      "Set-Cookie": serializeCookie(SHARE_COOKIE, token, { maxAgeSeconds, secure: AUTH.secureCookie }),
+      Location: "/funnel.html",
+    });
+    res.end();
+    return;
+  }
+
+  if (pathname === "/share-links" && req.method === "GET") {
+    try {
+      const secret = loadShareSecret(SHARE);
+      const links = loadShareLinks(SHARE.file)
+        .map((link) => ({
+          ...link,
+          status: shareLinkStatus(link),
+          path: shareLinkStatus(link) === "active" ? `/share/${shareToken(link, secret)}` : null,
+        }))
+        .sort((a, b) => b.created_at.localeCompare(a.created_at));
+      return send(res, 200, { links, maxDays: SHARE.maxDays });
+    } catch (err) {
+      return send(res, err?.status || 500, { error: err?.message || "Unable to read share links" });
+    }
+  }
+
+  if (pathname === "/share-links/create" && req.method === "POST") {
+    try {
+      const rawBody = await readRequestBody(req);
+      const payload = JSON.parse(rawBody || "{}");
+      const { link, token } = await createShareLink(payload, {
+        config: SHARE,
+        registry: await loadFiRegistrySafe(),
+        createdBy: req.user.username,
+      });
+      console.log(`[share] ${req.user.username} issued link ${link.id} for ${link.partner} (${link.fis.length} FI(s))`);
+      return send(res, 200, { link: { ...link, status: "active", path: `/share/${token}` } });
+    } catch (err) {
+      return send(res, err?.status || 500, { error: err?.message || "Unable to create share link" });
+    }
+  }
+
+  if (pathname === "/share-links/revoke" && req.method === "POST") {
+    try {
+      const rawBody = await readRequestBody(req);
+      const payload = JSON.parse(rawBody || "{}");
+      const link = await revokeShareLink(payload.id, { config: SHARE, revokedBy: req.user.username });
+      console.log(`[share] ${req.user.username} revoked link ${link.id}`);
+      return send(res, 200, { link: { ...link, status: shareLinkStatus(link), path: null } });
+    } catch (err) {
+      return send(res, err?.status || 500, { error: err?.message || "Unable to revoke share link" });
+    }
+  }
+
+  if (pathname === "/auth/users" && req.method === "GET") {
+    try {
+      return send(res, 200, { users: loadUsers(AUTH.usersFile).map(publicUser) });
+    } catch (err) {
+      return send(res, err?.status || 500, { error: err?.message || "Unable to read users" });
+    }
+  }
+
+  if (pathname === "/auth/users/save" && req.method === "POST") {
+    try {
+      const rawBody = await readRequestBody(req);
+      const payload = JSON.parse(rawBody || "{}");
+      const user = await saveUser(
+        { username: payload.username, role: payload.role, password: payload.password },
+        { file: AUTH.usersFile }
+      );
+      // A new password voids the account's sessions.
+      if (payload.password) {
+        await authSessions.destroyUser(user.username);
+        if (user.username === req.user.username) await startSession(res, user.username);
+      }
+      console.log(`[auth] ${req.user.username} saved user ${user.username} (${user.role})`);
+      return send(res, 200, { user });
+    } catch (err) {
+      return send(res, err?.status || 500, { error: err?.message || "Unable to save user" });
+    }
+  }
+
+  if (pathname === "/auth/users/delete" && req.method === "POST") {
+    try {
+      const rawBody = await readRequestBody(req);
+      const payload = JSON.parse(rawBody || "{}");
+      const username = (payload.username || "").toString().trim().toLowerCase();
+      if (username === req.user.username) {
+        return send(res, 400, { error: "You cannot delete your own account" });
+      }
+      await deleteUser(username, { file: AUTH.usersFile });
+      await authSessions.destroyUser(username);
+      console.log(`[auth] ${req.user.username} deleted user ${username}`);
+      return send(res, 200, { ok: true });
+    } catch (err) {
+      return send(res, err?.status || 500, { error: err?.message || "Unable to delete user" });
+    }
+  }
+
+  if (pathname === "/run-update/status") {
+    return send(res, 200, currentUpdateSnapshot());
+  }
+
+  if (pathname === "/run-update/stream") {
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    res.write("retry: 5000\n\n");
+
+    updateClients.add(res);
 
     sseSend(res, "snapshot", currentUpdateSnapshot());
 
-    if (!currentUpdateJob.running) {
+    // watch=1 only listens (maintenance scheduler card) and never queues a job.
+    const watchOnly = queryParams.get("watch") === "1";
+
+    if (!watchOnly) {
       const qsStart = queryParams.get("start") || queryParams.get("startDate");
       const qsEnd = queryParams.get("end") || queryParams.get("endDate");
       const forceRaw = queryParams.get("forceRaw") === "true";
@@ -1383,9 +2278,18 @@ const server = http.createServer(async (req, res) => {
         console.log("[SSE] Auto-refetch triggered for incomplete dates");
       }
 
-      startUpdateJobIfNeeded({ startDate: qsStart, endDate: qsEnd, forceRaw }).catch((err) => {
-        console.error("Update job failed:", err);
-      });
+      try {
+        const { job, existing } = enqueueUpdateJob({
+          startDate: qsStart,
+          endDate: qsEnd,
+          forceRaw,
+          trigger: autoRefetch ? "auto" : "manual",
+        });
+        // Tell this client which job to follow; other jobs' events share the stream.
+        sseSend(res, "queued", { jobId: job.id, existing, job });
+      } catch (err) {
+        console.error("Update job failed to queue:", err);
+      }
     }
 
     req.on("close", () => {
@@ -1395,6 +2299,155 @@ const server = http.createServer(async (req, res) => {
     return;
   }
 
+  if (pathname === "/run-update/history") {
+    try {
+      const limitParam = Number(queryParams.get("limit"));
+      const limit = Number.isFinite(limitParam) && limitParam > 0 ? limitParam : 50;
+      const runs = await readRunHistory(UPDATE_HISTORY_FILE, limit);
+      return send(res, 200, { runs });
+    } catch (err) {
+      return send(res, 500, { error: err?.message || "Unable to read run history" });
+    }
+  }
+
+  if (pathname === "/scheduler" && req.method === "GET") {
+    return send(res, 200, updateScheduler.snapshot());
+  }
+
+  if (pathname === "/scheduler/save" && req.method === "POST") {
+    try {
+      const rawBody = await readRequestBody(req);
+      const payload = JSON.parse(rawBody || "{}");
+      if (!payload || !Array.isArray(payload.schedules)) {
+        return send(res, 400, { error: "Missing schedules" });
+      }
+      const snapshot = await updateScheduler.save({ schedules: payload.schedules });
+      console.log(`[scheduler] saved ${snapshot.schedules.length} schedule(s)`);
+      return send(res, 200, snapshot);
+    } catch (err) {
+      return send(res, err?.status || 500, {
+        error: err?.message || "Unable to save schedules",
+      });
+    }
+  }
+
+  if (pathname === "/scheduler/run-now" && req.method === "POST") {
+    try {
+      const rawBody = await readRequestBody(req);
+      const payload = JSON.parse(rawBody || "{}");
+      const schedule = updateScheduler
+        .snapshot()
+        .schedules.find((entry) => entry.id === payload?.id);
+      if (!schedule) {
+        return send(res, 404, { error: "Schedule not found" });
+      }
+      const { job, existing } = enqueueUpdateJob({
+        ...schedule.nextRange,
+        forceRaw: schedule.forceRaw,
+        trigger: "schedule",
+        scheduleId: schedule.id,
+      });
+      return send(res, 202, { job, existing, ...schedule.nextRange });
+    } catch (err) {
+      return send(res, err?.status || 500, {
+        error: err?.message || "Unable to start schedule",
+      });
+    }
+  }
+
+  if (pathname === "/jobs" && req.method === "GET") {
+    const limitParam = Number(queryParams.get("limit"));
+    const limit = Number.isFinite(limitParam) && limitParam > 0 ? limitParam : 50;
+    const status = queryParams.get("status");
+    const jobs = updateQueue
+      .list({ limit: 500 })
+      .filter((job) => !status || job.status === status)
+      .slice(0, limit);
+    return send(res, 200, { jobs });
+  }
+
+  if (pathname === "/jobs/detail" && req.method === "GET") {
+    const job = updateQueue.get(queryParams.get("id") || "");
+    if (!job) return send(res, 404, { error: "Job not found" });
+    return send(res, 200, { job });
+  }
+
+  if (pathname === "/jobs/enqueue" && req.method === "POST") {
+    try {
+      const rawBody = await readRequestBody(req);
+      const payload = JSON.parse(rawBody || "{}");
+      const { job, existing } = enqueueUpdateJob({
+        kind: payload.kind,
+        startDate: payload.startDate,
+        endDate: payload.endDate,
+        forceRaw: payload.forceRaw === true,
+        trigger: "manual",
+      });
+      return send(res, existing ? 200 : 202, { job, existing });
+    } catch (err) {
+      return send(res, err?.status || 500, { error: err?.message || "Unable to queue job" });
+    }
+  }
+
+  if (pathname === "/fetch-runs" && req.method === "GET") {
+    try {
+      const limitParam = Number(queryParams.get("limit"));
+      const limit = Number.isFinite(limitParam) && limitParam > 0 ? limitParam : 20;
+      return send(res, 200, { runs: listFetchManifests({ limit }) });
+    } catch (err) {
+      return send(res, 500, { error: err?.message || "Unable to list fetch runs" });
+    }
+  }
+
+  if (pathname === "/fetch-runs/detail" && req.method === "GET") {
+    try {
+      const manifest = loadFetchManifest(queryParams.get("id") || "");
+      if (!manifest) return send(res, 404, { error: "Fetch run not found" });
+      return send(res, 200, { summary: summarizeFetchManifest(manifest), manifest });
+    } catch (err) {
+      return send(res, err?.status || 500, { error: err?.message || "Unable to read fetch run" });
+    }
+  }
+
+  if (pathname === "/fetch-runs/resume" && req.method === "POST") {
+    try {
+      const rawBody = await readRequestBody(req);
+      const payload = JSON.parse(rawBody || "{}");
+      const manifest = loadFetchManifest(payload?.runId || "");
+      if (!manifest) return send(res, 404, { error: "Fetch run not found" });
+      if (manifest.status === "completed" || manifest.status === "running") {
+        return send(res, 409, { error: `Fetch run is ${manifest.status}` });
+      }
+      const { job, existing } = enqueueUpdateJob({
+        startDate: manifest.startDate,
+        endDate: manifest.endDate,
+        forceRaw: manifest.forceRaw,
+        trigger: "manual",
+        resumeRunId: manifest.runId,
+      });
+      return send(res, existing ? 200 : 202, {
+        job,
+        existing,
+        summary: summarizeFetchManifest(manifest),
+      });
+    } catch (err) {
+      return send(res, err?.status || 500, { error: err?.message || "Unable to resume fetch run" });
+    }
+  }
+
+  if (pathname === "/jobs/cancel" && req.method === "POST") {
+    try {
+      const rawBody = await readRequestBody(req);
+      const payload = JSON.parse(rawBody || "{}");
+      const job = updateQueue.cancel(payload?.id || "");
+      if (!job) return send(res, 404, { error: "Job not found" });
+      console.log(`[jobs] cancel requested for ${job.id} (${job.status})`);
+      return send(res, 200, { job });
+    } catch (err) {
+      return send(res, err?.status || 500, { error: err?.message || "Unable to cancel job" });
+    }
+  }
+
   // Check raw data metadata status
   if (pathname === "/api/check-raw-data") {
     const qsStart = queryParams.get("start");
@@ -1418,9 +2471,9 @@ const server = http.createServer(async (req, res) => {
         const dateStr = d.toISOString().split("T")[0];
 
         // Check all three types (sessions, placements, ga)
-        const sessionStatus = checkRawDataStatus("sessions", dateStr);
-        const placementStatus = checkRawDataStatus("placements", dateStr);
-        const gaStatus = checkRawDataStatus("ga", dateStr);
+        const sessionStatus = checkRawDataStatus("sessions", dateStr, RETENTION);
+        const placementStatus = checkRawDataStatus("placements", dateStr, RETENTION);
+        const gaStatus = checkRawDataStatus("ga", dateStr, RETENTION);
         const dailyMissing = !dailySet.has(dateStr);
 
         const needsRefetch =
@@ -1463,6 +2516,13 @@ const server = http.createServer(async (req, res) => {
         }
       })(),
       daily_sample: (await listDaily()).slice(0, 5),
+      storage: (() => {
+        try {
+          return getStorage().describe();
+        } catch (err) {
+          return { error: err.message };
+        }
+      })(),
       requested: pathname,
     };
     return send(res, 200, diag);
@@ -1470,7 +2530,8 @@ const server = http.createServer(async (req, res) => {
 
   // JSON helpers
   if (pathname === "/list-daily") {
-    const days = await listDaily();
+    let days = await listDaily();
+    if (req.share) days = days.filter((file) => dayInShare(file.replace(".json", ""), req.share));
     return send(res, 200, { files: days, days });
   }
   if (pathname === "/data-freshness") {
@@ -1505,16 +2566,187 @@ const server = http.createServer(async (req, res) => {
       return send(res, 500, { error: err?.message || "Unable to load freshness" });
     }
   }
-  if (pathname === "/merchant-sites") {
+  /**
+   * GET /merchant-sites: the stored merchant catalog, fetched from ss01 the
+   * first time. POST /merchant-sites/refresh fetches it again.
+   */
+  if (
+    (pathname === "/merchant-sites" && req.method === "GET") ||
+    (pathname === "/merchant-sites/refresh" && req.method === "POST")
+  ) {
     try {
-      const sites = await fetchMerchantSitesFromSs01();
-      return send(res, 200, { count: sites.length, sites });
+      const stored = pathname === "/merchant-sites" ? readMerchantCatalog(MERCHANTS) : null;
+      const catalog = stored || (await refreshMerchantCatalog());
+      return send(res, 200, {
+        count: catalog.sites.length,
+        fetched_at: catalog.fetched_at,
+        source: catalog.source,
+        tags: catalogTags(catalog),
+        sites: catalog.sites,
+      });
     } catch (err) {
       const message = err?.message || "Unable to load merchant sites";
       console.error("merchant-sites fetch failed", err);
       return send(res, 500, { error: message });
     }
   }
+  if (pathname === "/raw-retention" && req.method === "GET") {
+    try {
+      return send(res, 200, describeRetention(RETENTION));
+    } catch (err) {
+      return send(res, err?.status || 500, { error: err?.message || "Unable to read raw storage usage" });
+    }
+  }
+
+  if (pathname === "/raw-retention/run" && req.method === "POST") {
+    try {
+      const payload = JSON.parse((await readRequestBody(req)) || "{}");
+      if (currentUpdateJob?.status === "running") {
+        return send(res, 409, { error: "An update is running; apply retention once it finishes" });
+      }
+      const summary = await applyRawRetention(RETENTION, { dryRun: payload.dry_run !== false });
+      if (!summary.dry_run) {
+        console.log(`[retention] ${req.user.username} applied raw retention: ${describeRetentionRun(summary)}`);
+      }
+      return send(res, 200, { ...describeRetention(RETENTION), run: summary });
+    } catch (err) {
+      return send(res, err?.status || 500, { error: err?.message || "Unable to apply raw retention" });
+    }
+  }
+
+  /**
+   * GET /partner-reports
+   * The reports in the reports folder (newest period first) and the report schedules.
+   */
+  if (pathname === "/partner-reports" && req.method === "GET") {
+    try {
+      return send(res, 200, { reports: listReports(REPORTS), ...reportScheduler.snapshot() });
+    } catch (err) {
+      return send(res, err?.status || 500, { error: err?.message || "Unable to list reports" });
+    }
+  }
+
+  /**
+   * POST /partner-reports/generate { scope: "fi"|"partner", key, period: "month"|"quarter", value }
+   * or { scope, key, start, end, label }, plus deliver: true to send it to the
+   * report subscribers. Writes the report and returns its index entry.
+   */
+  if (pathname === "/partner-reports/generate" && req.method === "POST") {
+    try {
+      const payload = JSON.parse((await readRequestBody(req)) || "{}");
+      const range = payload.period
+        ? resolveReportPeriod(payload.period, payload.value || null)
+        : { start: payload.start, end: payload.end, label: payload.label };
+      const report = await generateReport(
+        { scope: payload.scope, key: payload.key, ...range },
+        { config: REPORTS, trigger: "manual" }
+      );
+      console.log(`[reports] ${req.user.username} generated ${report.file}`);
+      const deliveries = payload.deliver ? await deliverReport(report) : [];
+      return send(res, 200, { report, reports: listReports(REPORTS), deliveries });
+    } catch (err) {
+      return send(res, err?.status || 500, { error: err?.message || "Unable to generate report" });
+    }
+  }
+
+  if (pathname === "/partner-reports/schedules/save" && req.method === "POST") {
+    try {
+      const payload = JSON.parse((await readRequestBody(req)) || "{}");
+      if (!Array.isArray(payload?.schedules)) {
+        return send(res, 400, { error: "Body must be { schedules: [...] }" });
+      }
+      const snapshot = await reportScheduler.save(payload.schedules);
+      console.log(`[reports] ${req.user.username} saved ${snapshot.schedules.length} report schedule(s)`);
+      return send(res, 200, snapshot);
+    } catch (err) {
+      return send(res, err?.status || 500, { error: err?.message || "Unable to save report schedules" });
+    }
+  }
+
+  if (pathname === "/partner-reports/run-now" && req.method === "POST") {
+    try {
+      const payload = JSON.parse((await readRequestBody(req)) || "{}");
+      const report = await reportScheduler.runNow(payload?.id);
+      return send(res, 200, { report, reports: listReports(REPORTS) });
+    } catch (err) {
+      return send(res, err?.status || 500, { error: err?.message || "Unable to generate report" });
+    }
+  }
+
+  // Generated reports and their index page, from the reports folder.
+  if (pathname === "/reports") {
+    res.writeHead(302, { Location: "/reports/" });
+    return res.end();
+  }
+  if (pathname.startsWith("/reports/") && req.method === "GET") {
+    const name = pathname.slice("/reports/".length) || "index.html";
+    const fp = path.join(REPORTS.dir, name);
+    if (!/^[\w.-]+\.html$/.test(name) || path.dirname(fp) !== REPORTS.dir || !(await fileExists(fp))) {
+      return send(res, 404, { error: "report not found", path: pathname });
+    }
+    return serveFile(res, fp);
+  }
+
+  /**
+   * GET /delivery
+   * SMTP status, the delivery subscriptions and the latest delivery log entries.
+   */
+  if (pathname === "/delivery" && req.method === "GET") {
+    return send(res, 200, delivery.snapshot({ limit: Number(queryParams.get("limit")) || 100 }));
+  }
+
+  if (pathname === "/delivery/subscriptions/save" && req.method === "POST") {
+    try {
+      const payload = JSON.parse((await readRequestBody(req)) || "{}");
+      if (!Array.isArray(payload?.subscriptions)) {
+        return send(res, 400, { error: "Body must be { subscriptions: [...] }" });
+      }
+      const subscriptions = await delivery.saveSubscriptions(payload.subscriptions);
+      console.log(`[delivery] ${req.user.username} saved ${subscriptions.length} subscription(s)`);
+      return send(res, 200, delivery.snapshot());
+    } catch (err) {
+      return send(res, err?.status || 500, { error: err?.message || "Unable to save subscriptions" });
+    }
+  }
+
+  /**
+   * POST /delivery/test { id }          queues a test message to one subscription
+   * POST /delivery/retry { id }         requeues a failed delivery
+   */
+  if ((pathname === "/delivery/test" || pathname === "/delivery/retry") && req.method === "POST") {
+    try {
+      const payload = JSON.parse((await readRequestBody(req)) || "{}");
+      const entry = pathname === "/delivery/test" ? await delivery.test(payload?.id) : await delivery.retry(payload?.id);
+      return send(res, 200, { delivery: entry });
+    } catch (err) {
+      return send(res, err?.status || 500, { error: err?.message || "Unable to queue the delivery" });
+    }
+  }
+
+  /**
+   * POST /delivery/send-export { subscriptions: [id], filename, content, note? }
+   * Sends a CSV export from the funnel page to the picked export subscribers.
+   */
+  if (pathname === "/delivery/send-export" && req.method === "POST") {
+    try {
+      const payload = JSON.parse((await readRequestBody(req)) || "{}");
+      const filename = (payload?.filename || "").toString();
+      if (!/^[\w.-]+\.csv$/.test(filename)) return send(res, 400, { error: "filename must be a .csv name" });
+      if (typeof payload.content !== "string" || !payload.content) {
+        return send(res, 400, { error: "content must be the CSV text" });
+      }
+      const deliveries = await delivery.sendExport(payload.subscriptions, {
+        filename,
+        content: payload.content,
+        note: `Sent by ${req.user.username} from the funnel page.`,
+      });
+      console.log(`[delivery] ${req.user.username} sent ${filename} to ${deliveries.length} subscription(s)`);
+      return send(res, 200, { deliveries });
+    } catch (err) {
+      return send(res, err?.status || 500, { error: err?.message || "Unable to send the export" });
+    }
+  }
+
   if (pathname === "/fi-api-data") {
     try {
       console.log("Fetching FI data from all instances...");
@@ -1758,12 +2990,9 @@ const server = http.createServer(async (req, res) => {
       }
 
       for (const date of dates) {
-        const placementFile = path.join(RAW_PLACEMENTS_DIR, `${date}.json`);
-
         try {
-          const raw = await fs.readFile(placementFile, 'utf8');
-          const data = JSON.parse(raw);
-          const placements = data.placements || [];
+          const data = readRaw("placements", date);
+          const placements = data?.placements || [];
 
           for (const placement of placements) {
             // Apply filters
@@ -1813,7 +3042,7 @@ const server = http.createServer(async (req, res) => {
               if (srcInt.includes('sso')) integrationType = 'SSO';
               else if (srcInt.includes('cardsavr')) integrationType = 'CardSavr';
             } else if (fiRegistry[fiKey]) {
-              const regInt = (fiRegistry[fiKey].integration_type || '').toString().toLowerCase();
+              const regInt = (valueOn(fiRegistry[fiKey], 'integration_type', date) || '').toString().toLowerCase();
               if (regInt === 'sso') integrationType = 'SSO';
               else if (regInt === 'cardsavr') integrationType = 'CardSavr';
             }
@@ -1833,7 +3062,7 @@ const server = http.createServer(async (req, res) => {
 
             // Add to results with necessary fields + raw data + session
             allPlacements.push({
-              merchant: placement.merchant_site_hostname || 'Unknown',
+              merchant: (placement.merchant_site_hostname || placement.merchant_site_id) ? merchantIndex().keyFor(placement) : 'Unknown',
               fi: placement.fi_name || 'Unknown',
               instance: instance || 'unknown',
               integration: integrationType,
@@ -1952,31 +3181,18 @@ const server = http.createServer(async (req, res) => {
   // Data version endpoint for cache invalidation
   if (pathname === "/api/data-version") {
     try {
-      // Get list of available daily files
-      const files = await fs.readdir(DAILY_DIR).catch(() => []);
-      const dailyFiles = files.filter(f => f.endsWith('.json')).sort();
+      // Get list of available daily rollups
+      const dailyFiles = await listDaily();
 
-      // Create version from file list + file stats.
+      // Create version from the rollup list + per-day size/write time.
       // This invalidates the cache when daily files are rewritten (e.g. force refresh),
       // not just when files are added/removed.
-      const statParts = [];
-      for (const name of dailyFiles) {
-        try {
-          const stat = await fs.stat(path.join(DAILY_DIR, name));
-          statParts.push(`${name}:${stat.size}:${stat.mtimeMs}`);
-        } catch {
-          statParts.push(`${name}:?`);
-        }
-      }
-      const fileListHash = statParts.join('|');
-      let version = 0;
-      for (let i = 0; i < fileListHash.length; i++) {
-        version = ((version << 5) - version) + fileListHash.charCodeAt(i);
-        version = version & version; // Convert to 32bit integer
-      }
+      const version = dailyDataVersion();
 
+      // Shared views only need to know when to drop their cache.
+      if (req.share) return send(res, 200, { version });
       return send(res, 200, {
-        version: Math.abs(version),
+        version,
         fileCount: dailyFiles.length,
         dateRange: dailyFiles.length > 0 ? {
           start: dailyFiles[0].replace('.json', ''),
@@ -1992,12 +3208,79 @@ const server = http.createServer(async (req, res) => {
   if (pathname === "/fi-registry") {
     try {
       const raw = await fs.readFile(FI_REGISTRY_FILE, "utf8");
-      return send(res, 200, JSON.parse(raw));
+      const registry = JSON.parse(raw);
+      return send(res, 200, req.share ? scopeRegistry(registry, req.share, loadShareSecret(SHARE)) : registry);
     } catch (err) {
       const status = err.code === "ENOENT" ? 404 : 500;
       return send(res, status, { error: "fi_registry.json not found" });
     }
   }
+  if (pathname === "/fi-registry/export") {
+    try {
+      const excel = queryParams.get("format") === "excel";
+      const csv = registryToCsv(await readRegistryFile(), { excel });
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="fi_registry-${todayIsoDate()}${excel ? "-excel" : ""}.csv"`
+      );
+      return send(res, 200, csv, "text/csv; charset=utf-8");
+    } catch (err) {
+      return send(res, err?.status || 500, { error: err?.message || "Unable to export registry" });
+    }
+  }
+  /**
+   * POST /fi-registry/import { csv, mapping?, effective_from?, dry_run? }
+   * Plans a bulk CSV import and, unless dry_run (the default), applies it.
+   * Any invalid row stops the whole import. Without a mapping, columns are
+   * matched to fields by header name; the response echoes the one used.
+   */
+  if (pathname === "/fi-registry/import" && req.method === "POST") {
+    try {
+      const payload = JSON.parse((await readRequestBody(req)) || "{}");
+      const csv = parseCsv(payload?.csv);
+      const mapping =
+        payload?.mapping && typeof payload.mapping === "object" ? payload.mapping : suggestMapping(csv.headers);
+      const registry = await readRegistryFile();
+      const plan = planRegistryImport(registry, csv, mapping, {
+        effectiveFrom: payload.effective_from,
+        today: todayIsoDate(),
+      });
+      const summary = {
+        headers: csv.headers,
+        sample: csv.rows[0]?.cells || [],
+        mapping,
+        fields: IMPORT_FIELDS,
+        added: plan.added.map(({ line, key, entry }) => ({ line, key, entry })),
+        changed: plan.changed.map(({ line, key, fields }) => ({ line, key, fields })),
+        unchanged: plan.unchanged,
+        errors: plan.errors,
+      };
+      const dryRun = payload.dry_run !== false;
+      if (dryRun || plan.errors.length) {
+        return send(res, dryRun ? 200 : 400, {
+          ...summary,
+          applied: false,
+          ...(dryRun ? {} : { error: `${plan.errors.length} row(s) are invalid; nothing was imported` }),
+        });
+      }
+      if (!plan.added.length && !plan.changed.length) {
+        return send(res, 200, { ...summary, applied: false });
+      }
+      await fs.writeFile(FI_REGISTRY_FILE, JSON.stringify(plan.registry, null, 2) + "\n", "utf8");
+      const touched = [...plan.added.map((item) => item.key), ...plan.changed.map((item) => item.key)];
+      await auditChange(req, pathname, {
+        kind: "fi-registry",
+        before: Object.fromEntries(touched.map((key) => [key, registry[key] ?? null])),
+        after: Object.fromEntries(touched.map((key) => [key, plan.registry[key]])),
+      });
+      const rebuild = queueRegistryRebuild(plan.changed.map(({ before, after }) => [before, after]));
+      return send(res, 200, { ...summary, applied: true, rebuild });
+    } catch (err) {
+      return send(res, err?.status || (err instanceof SyntaxError ? 400 : 500), {
+        error: err?.message || "Unable to import registry",
+      });
+    }
+  }
   if (pathname === "/fi-registry/update" && req.method === "POST") {
     try {
       const rawBody = await readRequestBody(req);
@@ -2016,169 +3299,32 @@ const server = http.createServer(async (req, res) => {
         throw err;
       });
       const registry = JSON.parse(raw);
-      if (!registry[key]) {
-        return send(res, 404, { error: "Registry entry not found", key });
-      }
-
-      const normalizeIntegration = (value) => {
-        if (!value) return "non-sso";
-        const rawVal = value.toString().trim().toLowerCase();
-        if (rawVal === "sso") return "sso";
-        if (rawVal === "cardsavr" || rawVal === "card-savr") return "cardsavr";
-        if (rawVal === "test") return "test";
-        if (rawVal === "unknown") return "unknown";
-        return "non-sso";
-      };
-      const normalizeCardholders = (value) => {
-        if (value === null || value === undefined || value === "") return null;
-        const cleaned = value.toString().replace(/,/g, "").trim();
-        if (!cleaned) return null;
-        const num = Number(cleaned);
-        if (!Number.isFinite(num) || num < 0) {
-          throw Object.assign(new Error("Cardholder total must be a positive number"), {
-            status: 400,
-          });
-        }
-        return String(Math.round(num));
-      };
-      const normalizeAsOf = (value) => {
-        if (!value) return null;
-        const str = value.toString().trim();
-        if (!/^\d{4}-\d{2}-\d{2}$/.test(str)) {
-          throw Object.assign(new Error("cardholder_as_of must be YYYY-MM-DD"), {
-            status: 400,
-          });
-        }
-        return str;
-      };
-      const normalizeSource = (value) => {
-        if (!value) return null;
-        return value.toString().trim();
-      };
-      const normalizeFreeText = (value) => {
-        if (value === undefined) return undefined;
-        const str = value === null ? "" : value.toString().trim();
-        return str === "" ? null : str;
-      };
-      const normalizeFiName = (value) => {
-        if (value === undefined) return undefined;
-        const str = value === null ? "" : value.toString().trim();
-        if (!str) {
-          throw Object.assign(new Error("fi_name is required"), { status: 400 });
-        }
-        return str;
-      };
-      const normalizeFiLookupKey = (value, fallback) => {
-        const raw = value === undefined ? fallback : value;
-        if (raw === undefined) return undefined;
-        const str = raw === null ? "" : raw.toString().trim();
-        if (!str) {
-          throw Object.assign(new Error("fi_lookup_key is required"), { status: 400 });
-        }
-        return str;
-      };
-      const normalizePartner = (value) => {
-        if (!value) return null;
-        const rawVal = value.toString().trim().toLowerCase();
-        const canonical =
-          {
-            alkami: "Alkami",
-            "digital-onboarding": "DigitalOnboarding",
-            digitalonboarding: "DigitalOnboarding",
-            pscu: "PSCU",
-            marquis: "Marquis",
-            msu: "MSU",
-            advancial: "Advancial",
-            "advancial-prod": "Advancial",
-            cardsavr: "CardSavr",
-            direct: "Direct",
-          }[rawVal] || rawVal;
-        return canonical
-          .replace(/(^|\s|-)([a-z])/g, (m, p1, p2) => p1 + p2.toUpperCase());
-      };
-      const canonicalLookupKey = (value) =>
-        value ? value.toString().trim().toLowerCase() : "";
-      const canonicalInstance = (value) =>
-        value ? value.toString().trim().toLowerCase() : "";
-
-      const next = { ...registry[key] };
-      if ("integration_type" in updates) {
-        next.integration_type = normalizeIntegration(updates.integration_type);
-      }
-      if ("fi_name" in updates) {
-        const fiName = normalizeFiName(updates.fi_name);
-        if (fiName !== undefined) next.fi_name = fiName;
-      }
-      if ("fi_lookup_key" in updates) {
-        const fiLookup = normalizeFiLookupKey(updates.fi_lookup_key, next.fi_lookup_key);
-        if (fiLookup !== undefined) next.fi_lookup_key = fiLookup;
-      }
-      if ("partner" in updates) {
-        next.partner = normalizePartner(updates.partner);
-      }
-      if ("cardholder_total" in updates) {
-        next.cardholder_total = normalizeCardholders(updates.cardholder_total);
-      }
-      if ("cardholder_source" in updates) {
-        next.cardholder_source = normalizeSource(updates.cardholder_source);
-      }
-      if ("cardholder_as_of" in updates) {
-        next.cardholder_as_of = normalizeAsOf(updates.cardholder_as_of);
-      }
-      if ("core_vendor" in updates) {
-        next.core_vendor = normalizeFreeText(updates.core_vendor);
-      }
-      if ("core_product" in updates) {
-        next.core_product = normalizeFreeText(updates.core_product);
-      }
-      if ("debit_processor" in updates) {
-        next.debit_processor = normalizeFreeText(updates.debit_processor);
-      }
-      if ("credit_processor" in updates) {
-        next.credit_processor = normalizeFreeText(updates.credit_processor);
+      if (!registry[key]) {
+        return send(res, 404, { error: "Registry entry not found", key });
       }
 
-      const targetLookup = canonicalLookupKey(next.fi_lookup_key || next.fi_name || key);
-      const targetInstance = canonicalInstance(
-        next.instance || (Array.isArray(next.instances) ? next.instances[0] : "")
-      );
-      for (const [otherKey, otherEntry] of Object.entries(registry)) {
-        if (otherKey === key) continue;
-        const otherLookup = canonicalLookupKey(
-          otherEntry?.fi_lookup_key || otherEntry?.fi_name || otherKey
-        );
-        const otherInstance = canonicalInstance(
-          otherEntry?.instance ||
-            (Array.isArray(otherEntry?.instances) ? otherEntry.instances[0] : "")
-        );
-        if (
-          targetLookup &&
-          otherLookup &&
-          targetInstance &&
-          otherInstance &&
-          targetLookup === otherLookup &&
-          targetInstance === otherInstance
-        ) {
-          return send(res, 409, {
-            error: "Duplicate fi_lookup_key for this instance.",
-            conflict: {
-              key: otherKey,
-              fi_lookup_key: otherEntry?.fi_lookup_key || null,
-              instance:
-                otherEntry?.instance ||
-                (Array.isArray(otherEntry?.instances) ? otherEntry.instances[0] : null),
-            },
-          });
-        }
+      const next = applyRegistryUpdates(registry[key], updates, {
+        effectiveFrom: payload.effective_from,
+      });
+      const conflict = findDuplicateEntry(registry, key, next);
+      if (conflict) {
+        return send(res, 409, { error: "Duplicate fi_lookup_key for this instance.", conflict });
       }
 
+      const previous = registry[key];
       registry[key] = next;
       await fs.writeFile(
         FI_REGISTRY_FILE,
         JSON.stringify(registry, null, 2) + "\n",
         "utf8"
       );
-      return send(res, 200, { key, entry: next });
+      await auditChange(req, pathname, {
+        kind: "fi-registry",
+        before: { [key]: previous },
+        after: { [key]: next },
+      });
+      const rebuild = queueRegistryRebuild([[previous, next]]);
+      return send(res, 200, { key, entry: next, rebuild });
     } catch (err) {
       const status = err?.status || 500;
       return send(res, status, { error: err.message || "Unable to update registry" });
@@ -2202,12 +3348,18 @@ const server = http.createServer(async (req, res) => {
       if (!registry[key]) {
         return send(res, 404, { error: "Registry entry not found", key });
       }
+      const previous = registry[key];
       delete registry[key];
       await fs.writeFile(
         FI_REGISTRY_FILE,
         JSON.stringify(registry, null, 2) + "\n",
         "utf8"
       );
+      await auditChange(req, pathname, {
+        kind: "fi-registry",
+        before: { [key]: previous },
+        after: { [key]: null },
+      });
       return send(res, 200, { deleted: key, registrySize: Object.keys(registry).length });
     } catch (err) {
       const status = err?.status || 500;
@@ -2215,6 +3367,53 @@ const server = http.createServer(async (req, res) => {
     }
   }
 
+  // Adds a registry entry for an FI lookup key seen in the data, e.g. from the
+  // reconciliation report. Other fields are edited afterwards as usual.
+  if (pathname === "/fi-registry/create" && req.method === "POST") {
+    try {
+      const rawBody = await readRequestBody(req);
+      const payload = JSON.parse(rawBody || "{}");
+      const fiLookupKey = normalizeFiKey(payload?.fi_lookup_key);
+      const instance = formatInstanceDisplay(payload?.instance);
+      if (!fiLookupKey || instance === "unknown") {
+        return send(res, 400, { error: "fi_lookup_key and instance are required" });
+      }
+      let registry = {};
+      try {
+        registry = JSON.parse(await fs.readFile(FI_REGISTRY_FILE, "utf8"));
+      } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+      }
+      const key = `${fiLookupKey}__${instance}`;
+      if (registry[key]) {
+        return send(res, 409, { error: "Registry entry already exists", key });
+      }
+      registry[key] = {
+        fi_name: (payload.fi_name || "").toString().trim() || fiLookupKey,
+        fi_lookup_key: fiLookupKey,
+        instance,
+        integration_type: isTestInstanceName(instance) ? "test" : "unknown",
+        partner: "Unknown",
+        sources: [(payload.source || "manual").toString()],
+        first_seen: todayIsoDate(),
+      };
+      await fs.writeFile(
+        FI_REGISTRY_FILE,
+        JSON.stringify(registry, null, 2) + "\n",
+        "utf8"
+      );
+      await auditChange(req, pathname, {
+        kind: "fi-registry",
+        before: { [key]: null },
+        after: { [key]: registry[key] },
+      });
+      return send(res, 201, { key, entry: registry[key] });
+    } catch (err) {
+      const status = err?.status || 500;
+      return send(res, status, { error: err.message || "Unable to create registry entry" });
+    }
+  }
+
   // New endpoint: Reload FI registry from instances
   if (pathname === "/fi-registry/reload-from-instances" && req.method === "POST") {
     try {
@@ -2239,6 +3438,7 @@ const server = http.createServer(async (req, res) => {
       };
 
       const existingKeys = new Set(Object.keys(registry).map(k => k.toLowerCase()));
+      const added = {};
       let newCount = 0;
       const errors = [];
 
@@ -2297,6 +3497,7 @@ const server = http.createServer(async (req, res) => {
             };
 
             existingKeys.add(key);
+            added[key] = registry[key];
             newCount++;
           }
         } catch (err) {
@@ -2311,6 +3512,11 @@ const server = http.createServer(async (req, res) => {
         JSON.stringify(registry, null, 2) + "\n",
         "utf8"
       );
+      await auditChange(req, pathname, {
+        kind: "fi-registry",
+        before: Object.fromEntries(Object.keys(added).map((key) => [key, null])),
+        after: added,
+      });
 
       return send(res, 200, {
         success: true,
@@ -2414,10 +3620,20 @@ const server = http.createServer(async (req, res) => {
       return send(res, status, { error: err?.message || "Unable to load troubleshooting data" });
     }
   }
+  /**
+   * GET /instances
+   * Instance credentials with PASSWORD and API_KEY masked, and where they are
+   * stored ("vault" or "file").
+   */
   if (pathname === "/instances") {
     try {
-      const { entries, path: foundAt } = await readInstancesFile();
-      return send(res, 200, { instances: entries, path: foundAt });
+      const { entries, path: foundAt, source } = await readInstancesFile();
+      return send(res, 200, {
+        instances: entries.map(maskInstance),
+        path: foundAt,
+        storage: source,
+        vaultEnabled: vaultEnabled(VAULT),
+      });
     } catch (err) {
       console.error("instances load failed", err);
       const status = err?.status || 500;
@@ -2437,7 +3653,7 @@ const server = http.createServer(async (req, res) => {
     try {
       const rawBody = await readRequestBody(req);
       const payload = rawBody ? JSON.parse(rawBody) : {};
-      const saved = await writeGaCredentialFile("prod", payload);
+      const saved = await writeGaCredentialFile("prod", payload, { req, pathname });
       return send(res, 200, saved);
     } catch (err) {
       const status = err?.status || 500;
@@ -2446,7 +3662,7 @@ const server = http.createServer(async (req, res) => {
   }
   if (pathname === "/ga/service-account/delete" && req.method === "POST") {
     try {
-      const saved = await deleteGaCredentialFile("prod");
+      const saved = await deleteGaCredentialFile("prod", { req, pathname });
       return send(res, 200, saved);
     } catch (err) {
       const status = err?.status || 500;
@@ -2473,7 +3689,7 @@ const server = http.createServer(async (req, res) => {
       const rows = await fetchGaRowsForDay({
         date,
         propertyId,
-        keyFile: GA_SERVICE_ACCOUNT_FILE,
+        credentials: loadGaCredential(VAULT, "prod").json,
       });
       const fiSet = new Set((rows || []).map((r) => r && r.fi_key).filter(Boolean));
       return send(res, 200, {
@@ -2491,13 +3707,35 @@ const server = http.createServer(async (req, res) => {
   }
   if (pathname === "/ga/credentials" && req.method === "GET") {
     try {
-      const credentials = await Promise.all(GA_CREDENTIALS.map((c) => readGaCredentialSummary(c.name)));
+      const credentials = await Promise.all(gaCredentialConfigs().map((c) => readGaCredentialSummary(c.name)));
       return send(res, 200, { credentials });
     } catch (err) {
       const status = err?.status || 500;
       return send(res, status, { error: err?.message || "Unable to list GA credentials" });
     }
   }
+  // The GA properties fetch-raw reads, with their credentials and host
+  // filters. Saving does not refetch: raw GA files fetched under other
+  // sources are refreshed by the next update that covers their dates.
+  if (pathname === "/api/ga-sources" && req.method === "GET") {
+    try {
+      const { sources, version, source } = loadGaSources();
+      return send(res, 200, { sources, version, source });
+    } catch (err) {
+      return send(res, err?.status || 500, { error: err?.message || "Unable to load GA sources" });
+    }
+  }
+  if (pathname === "/api/ga-sources/save" && req.method === "POST") {
+    try {
+      const rawBody = await readRequestBody(req);
+      const payload = JSON.parse(rawBody || "{}");
+      const { sources, version, source } = await saveGaSources({ sources: payload.sources });
+      return send(res, 200, { sources, version, source });
+    } catch (err) {
+      const status = err instanceof SyntaxError ? 400 : err?.status || 500;
+      return send(res, status, { error: err?.message || "Unable to save GA sources" });
+    }
+  }
   if (pathname === "/ga/credential" && req.method === "GET") {
     try {
       const name = queryParams.get("name") || "";
@@ -2513,7 +3751,7 @@ const server = http.createServer(async (req, res) => {
       const rawBody = await readRequestBody(req);
       const payload = rawBody ? JSON.parse(rawBody) : {};
       const name = payload?.name || "";
-      const saved = await writeGaCredentialFile(name, payload);
+      const saved = await writeGaCredentialFile(name, payload, { req, pathname });
       return send(res, 200, saved);
     } catch (err) {
       const status = err?.status || 500;
@@ -2525,7 +3763,7 @@ const server = http.createServer(async (req, res) => {
       const rawBody = await readRequestBody(req);
       const payload = rawBody ? JSON.parse(rawBody) : {};
       const name = payload?.name || "";
-      const saved = await deleteGaCredentialFile(name);
+      const saved = await deleteGaCredentialFile(name, { req, pathname });
       return send(res, 200, saved);
     } catch (err) {
       const status = err?.status || 500;
@@ -2546,16 +3784,16 @@ const server = http.createServer(async (req, res) => {
         payload?.date && /^\d{4}-\d{2}-\d{2}$/.test(payload.date)
           ? payload.date
           : yesterdayIsoDate();
-      const envPropertyId = process.env[cfg.envProperty] || "";
-      const propertyId = (payload?.propertyId || envPropertyId || cfg.defaultProperty || "").toString();
+      const propertyId = (payload?.propertyId || cfg.defaultProperty || "").toString();
       if (!propertyId) {
-        return send(res, 400, { ok: false, error: `${cfg.envProperty} is required. Please set it in your .env file or provide it in the request.` });
+        const setting = cfg.envProperty ? `${cfg.envProperty} in your .env file` : "a GA source using this credential";
+        return send(res, 400, { ok: false, error: `A property ID is required. Set ${setting} or provide it in the request.` });
       }
 
       const rows = await fetchGaRowsForDay({
         date,
         propertyId,
-        keyFile: cfg.file,
+        credentials: loadGaCredential(VAULT, cfg.name).json,
       });
       const fiSet = new Set((rows || []).map((r) => r && r.fi_key).filter(Boolean));
       return send(res, 200, {
@@ -2748,14 +3986,29 @@ const server = http.createServer(async (req, res) => {
         return send(res, 409, { error: "An instance with that name already exists." });
       }
 
+      // Masked or blank secrets keep the stored values.
+      const previous = existingIdx >= 0 ? current[existingIdx] : null;
+      const merged = previous ? mergeInstanceSecrets(normalized, previous) : normalized;
       if (existingIdx >= 0) {
-        current[existingIdx] = normalized;
+        current[existingIdx] = merged;
       } else {
-        current.push(normalized);
+        current.push(merged);
       }
 
-      const { entries: saved, path: savedPath } = await writeInstancesFile(current);
-      return send(res, 200, { entry: normalized, instances: saved, path: savedPath });
+      const { entries: saved, path: savedPath, source } = await writeInstancesFile(current);
+      // Keyed by the name before the save, so a rename is one change.
+      await auditChange(req, pathname, {
+        kind: "instances",
+        before: { [targetName]: previous },
+        after: { [targetName]: merged },
+        secretFields: INSTANCE_SECRET_FIELDS,
+      });
+      return send(res, 200, {
+        entry: maskInstance(merged),
+        instances: saved.map(maskInstance),
+        path: savedPath,
+        storage: source,
+      });
     } catch (err) {
       const status = err?.status || 500;
       return send(res, status, { error: err.message || "Unable to save instance" });
@@ -2773,22 +4026,501 @@ const server = http.createServer(async (req, res) => {
       if (idx === -1) {
         return send(res, 404, { error: "Instance not found" });
       }
-      current.splice(idx, 1);
-      const { entries: saved, path: savedPath } = await writeInstancesFile(current);
-      return send(res, 200, { deleted: payload.name, instances: saved, path: savedPath });
+      const [removed] = current.splice(idx, 1);
+      const { entries: saved, path: savedPath, source } = await writeInstancesFile(current);
+      await auditChange(req, pathname, {
+        kind: "instances",
+        before: { [removed.name]: removed },
+        after: { [removed.name]: null },
+        secretFields: INSTANCE_SECRET_FIELDS,
+      });
+      return send(res, 200, {
+        deleted: payload.name,
+        instances: saved.map(maskInstance),
+        path: savedPath,
+        storage: source,
+      });
     } catch (err) {
       const status = err?.status || 500;
       return send(res, status, { error: err.message || "Unable to delete instance" });
     }
   }
+  /**
+   * POST /instances/rotate { name, field, value }
+   * Replaces one credential (USERNAME, PASSWORD or API_KEY) of one instance.
+   */
+  if (pathname === "/instances/rotate" && req.method === "POST") {
+    try {
+      const rawBody = await readRequestBody(req);
+      const payload = JSON.parse(rawBody || "{}");
+      const findEntry = async () =>
+        (await readInstancesFile()).entries.find((inst) => inst?.name === payload?.name) || null;
+      const previous = await findEntry();
+      const entry = await rotateInstanceSecret(VAULT, {
+        name: payload?.name,
+        field: payload?.field,
+        value: payload?.value,
+      });
+      console.log(`[secrets] ${req.user?.username || "unknown"} rotated ${payload.field} of ${entry.name}`);
+      await auditChange(req, pathname, {
+        kind: "instances",
+        before: { [entry.name]: previous },
+        after: { [entry.name]: await findEntry() },
+        secretFields: INSTANCE_SECRET_FIELDS,
+      });
+      return send(res, 200, { entry });
+    } catch (err) {
+      const status = err?.status || 500;
+      return send(res, status, { error: err.message || "Unable to rotate credential" });
+    }
+  }
+  /**
+   * GET /audit[?kind=fi-registry|instances|ga-credential][&key=...][&actor=...][&limit=N]
+   * Configuration changes, newest first (default 200, at most 1000).
+   */
+  if (pathname === "/audit" && req.method === "GET") {
+    try {
+      const log = await readAuditLog(AUDIT, {
+        kind: queryParams.get("kind") || undefined,
+        key: queryParams.get("key") || undefined,
+        actor: queryParams.get("actor") || undefined,
+        limit: queryParams.get("limit") || undefined,
+      });
+      return send(res, 200, log);
+    } catch (err) {
+      const status = err?.status || 500;
+      return send(res, status, { error: err.message || "Unable to read the audit log" });
+    }
+  }
+  /**
+   * POST /audit/revert { id }
+   * Puts back the values a registry or instance change replaced, provided
+   * nothing has changed them since. The revert is logged as a change of its own.
+   */
+  if (pathname === "/audit/revert" && req.method === "POST") {
+    try {
+      const rawBody = await readRequestBody(req);
+      const payload = JSON.parse(rawBody || "{}");
+      const id = (payload?.id || "").toString();
+      if (!id) return send(res, 400, { error: "Missing audit entry id" });
+      const reverted = await revertAuditEntry(id, { req, pathname });
+      return send(res, 200, reverted);
+    } catch (err) {
+      const status = err?.status || 500;
+      return send(res, status, { error: err.message || "Unable to revert change" });
+    }
+  }
+  /**
+   * GET /alerts[?status=open|all][&days=N]
+   * Anomaly alerts from data/alerts.json for the last N days (default 30);
+   * `open` (the default) leaves out acknowledged ones.
+   */
+  if (pathname === "/alerts" && req.method === "GET") {
+    try {
+      const config = alertConfigFromEnv();
+      const doc = await readAlerts(config.file);
+      const days = Math.min(Math.max(parseInt(queryParams.get("days") || "30", 10) || 30, 1), 366);
+      const since = isoOnly(Date.now() - days * 86400000);
+      const openOnly = (queryParams.get("status") || "open") === "open";
+      const alerts = doc.alerts.filter(
+        (alert) => alert.day >= since && (!openOnly || !alert.acknowledged_at)
+      );
+      return send(res, 200, {
+        updated_at: doc.updated_at,
+        webhook: { configured: Boolean(config.webhookUrl), last: doc.webhook },
+        since,
+        alerts,
+      });
+    } catch (err) {
+      return send(res, err?.status || 500, { error: err?.message || "Unable to read alerts" });
+    }
+  }
+
+  if (pathname === "/alerts/acknowledge" && req.method === "POST") {
+    try {
+      const rawBody = await readRequestBody(req);
+      const payload = JSON.parse(rawBody || "{}");
+      const ids = Array.isArray(payload.ids) ? payload.ids : payload.id ? [payload.id] : [];
+      if (!ids.length) return send(res, 400, { error: "ids is required" });
+      const acknowledged = await acknowledgeAlerts(ids.map(String));
+      return send(res, 200, { acknowledged });
+    } catch (err) {
+      const status = err instanceof SyntaxError ? 400 : err?.status || 500;
+      return send(res, status, { error: err?.message || "Unable to acknowledge alerts" });
+    }
+  }
+
+  // Re-runs the detector without rebuilding, e.g. after changing thresholds.
+  if (pathname === "/alerts/run" && req.method === "POST") {
+    try {
+      const rawBody = await readRequestBody(req);
+      const payload = JSON.parse(rawBody || "{}");
+      let days;
+      if (payload.startDate || payload.endDate) {
+        const start = parseIso(payload.startDate, null);
+        const end = parseIso(payload.endDate, start);
+        if (!start || !end) return send(res, 400, { error: "startDate and endDate must be YYYY-MM-DD" });
+        days = daysBetween(start, end);
+      } else {
+        days = getStorage().listDailyDays().slice(-14);
+      }
+      const result = await runAnomalyDetection({ days });
+      return send(res, 200, result);
+    } catch (err) {
+      const status = err instanceof SyntaxError ? 400 : err?.status || 500;
+      return send(res, status, { error: err?.message || "Unable to run anomaly detection" });
+    }
+  }
+
+  if (pathname === "/api/funnel-definition" && req.method === "GET") {
+    try {
+      const definition = loadFunnelDefinition();
+      if (req.share) return send(res, 200, { definition: { ...definition.describe(), source: null } });
+      const status = queryParams.get("status") === "1" ? funnelDefinitionStatus(definition) : null;
+      return send(res, 200, { definition: definition.describe(), ...(status || {}) });
+    } catch (err) {
+      return send(res, err?.status || 500, {
+        error: err?.message || "Unable to load funnel definition",
+      });
+    }
+  }
+
+  // Rebuilds history after a definition change. Without a range it covers the
+  // stale rollups; refetchGa queues an update job instead, which refetches GA
+  // days stored under an older definition before rebuilding.
+  if (pathname === "/api/funnel-definition/rebuild" && req.method === "POST") {
+    try {
+      const rawBody = await readRequestBody(req);
+      const payload = JSON.parse(rawBody || "{}");
+      const definition = loadFunnelDefinition();
+      let { startDate, endDate } = payload;
+      if (!startDate || !endDate) {
+        const status = funnelDefinitionStatus(definition);
+        const stale = payload.refetchGa
+          ? [...status.staleDaily.days, ...status.staleGaRaw.days].sort()
+          : status.staleDaily.days;
+        if (!stale.length) {
+          return send(res, 200, { job: null, message: "Nothing to rebuild" });
+        }
+        startDate = stale[0];
+        endDate = stale[stale.length - 1];
+      }
+      const { job, existing } = enqueueUpdateJob({
+        kind: payload.refetchGa ? "update" : "rebuild",
+        startDate,
+        endDate,
+        trigger: "manual",
+      });
+      return send(res, existing ? 200 : 202, { job, existing, version: definition.version });
+    } catch (err) {
+      return send(res, err?.status || 500, { error: err?.message || "Unable to queue rebuild" });
+    }
+  }
+
+  if (pathname === "/api/fi-resolution" && req.method === "GET") {
+    try {
+      const resolution = loadFiResolutionRules();
+      const status = queryParams.get("status") === "1" ? fiResolutionStatus(resolution) : null;
+      return send(res, 200, {
+        rules: resolution.rules,
+        version: resolution.version,
+        source: resolution.source,
+        ...(status ? { staleDaily: status } : {}),
+      });
+    } catch (err) {
+      return send(res, err?.status || 500, {
+        error: err?.message || "Unable to load FI resolution rules",
+      });
+    }
+  }
+
+  if (pathname === "/api/fi-resolution/save" && req.method === "POST") {
+    try {
+      const rawBody = await readRequestBody(req);
+      const payload = JSON.parse(rawBody || "{}");
+      const resolution = await saveFiResolutionRules(payload.rules);
+      return send(res, 200, {
+        rules: resolution.rules,
+        version: resolution.version,
+        source: resolution.source,
+        staleDaily: fiResolutionStatus(resolution),
+      });
+    } catch (err) {
+      const status = err instanceof SyntaxError ? 400 : err?.status || 500;
+      return send(res, status, { error: err?.message || "Unable to save FI resolution rules" });
+    }
+  }
+
+  // Previews how a hostname resolves. With `rules` in the body the preview
+  // uses those (unsaved) rules instead of the file.
+  if (pathname === "/api/fi-resolution/test" && req.method === "POST") {
+    try {
+      const rawBody = await readRequestBody(req);
+      const payload = JSON.parse(rawBody || "{}");
+      const host = (payload.host || "").toString().trim();
+      if (!host) return send(res, 400, { error: "host is required" });
+      const resolution = payload.rules
+        ? compileFiResolutionRules(normalizeFiResolutionRules(payload.rules), { source: "preview" })
+        : loadFiResolutionRules();
+      const result = resolution.explainHost(host);
+      return send(res, 200, {
+        ...result,
+        hostRuleDetail: result.hostRule === null ? null : resolution.rules.hosts[result.hostRule],
+        aliasDetails: result.aliases.map((index) => resolution.rules.aliases[index]),
+      });
+    } catch (err) {
+      const status = err instanceof SyntaxError ? 400 : err?.status || 500;
+      return send(res, status, { error: err?.message || "Unable to test hostname" });
+    }
+  }
+
+  /**
+   * GET /api/fi-resolution/unresolved[?days=N]
+   * GA hosts the daily builds of the last N rollup days could not map to an FI,
+   * with how the current rules would resolve each of them.
+   */
+  if (pathname === "/api/fi-resolution/unresolved" && req.method === "GET") {
+    try {
+      const limit = Math.min(Math.max(parseInt(queryParams.get("days") || "30", 10) || 30, 1), 366);
+      const resolution = loadFiResolutionRules();
+      const storage = getStorage();
+      const days = storage.listDailyDays().slice(-limit);
+      const byHost = new Map();
+      for (const day of days) {
+        for (const [host, views] of Object.entries(storage.readDaily(day)?.unresolved_hosts || {})) {
+          const entry = byHost.get(host) || { host, views: 0, days: 0, first: day, last: day };
+          entry.views += views || 0;
+          entry.days += 1;
+          entry.last = day;
+          byHost.set(host, entry);
+        }
+      }
+      const hosts = Array.from(byHost.values())
+        .map((entry) => ({ ...entry, resolvesTo: resolution.resolveHost(entry.host) }))
+        .sort((a, b) => b.views - a.views);
+      return send(res, 200, {
+        start: days[0] || null,
+        end: days[days.length - 1] || null,
+        version: resolution.version,
+        hosts,
+      });
+    } catch (err) {
+      return send(res, err?.status || 500, { error: err?.message || "Unable to list unresolved hosts" });
+    }
+  }
+
+  // Adds one rule to the saved rules: `host` rules go first so they win over
+  // the generic patterns, `alias` rules go last.
+  if (pathname === "/api/fi-resolution/add" && req.method === "POST") {
+    try {
+      const rawBody = await readRequestBody(req);
+      const payload = JSON.parse(rawBody || "{}");
+      if (!payload.host === !payload.alias) {
+        return send(res, 400, { error: "Send either host or alias" });
+      }
+      const { rules } = loadFiResolutionRules();
+      const next = payload.host
+        ? { ...rules, hosts: [payload.host, ...rules.hosts] }
+        : { ...rules, aliases: [...rules.aliases, payload.alias] };
+      const resolution = await saveFiResolutionRules(next);
+      return send(res, 200, {
+        rules: resolution.rules,
+        version: resolution.version,
+        source: resolution.source,
+        staleDaily: fiResolutionStatus(resolution),
+      });
+    } catch (err) {
+      const status = err instanceof SyntaxError ? 400 : err?.status || 500;
+      return send(res, status, { error: err?.message || "Unable to add the rule" });
+    }
+  }
+
+  /**
+   * GET /api/reconciliation[?start=YYYY-MM-DD&end=YYYY-MM-DD]
+   * Sessions, GA hosts and placements the rollups cannot attribute, by day.
+   * Defaults to the last 7 days with raw sessions.
+   */
+  if (pathname === "/api/reconciliation" && req.method === "GET") {
+    try {
+      let start = parseIso(queryParams.get("start"), null);
+      let end = parseIso(queryParams.get("end"), null);
+      if (!start || !end) {
+        const stored = await listRawDays("sessions");
+        end = end || stored[stored.length - 1] || todayIsoDate();
+        start = start || isoOnly(new Date(`${end}T00:00:00Z`).getTime() - 6 * 86400000);
+      }
+      const days = daysBetween(start, end);
+      if (!days.length) {
+        return send(res, 400, { error: "start date must be on or before end date" });
+      }
+      if (days.length > RECONCILIATION_MAX_DAYS) {
+        return send(res, 400, {
+          error: `Reconciliation is limited to ${RECONCILIATION_MAX_DAYS} days per request`,
+        });
+      }
+      const report = buildReconciliationReport(days, {
+        readRaw,
+        registry: await loadFiRegistrySafe(),
+        resolution: loadFiResolutionRules(),
+      });
+      return send(res, 200, report);
+    } catch (err) {
+      console.error("[API] reconciliation error:", err);
+      return send(res, err?.status || 500, { error: err?.message || "Unable to build the report" });
+    }
+  }
+
+  // Queues a rebuild of the rollups built under other rules.
+  if (pathname === "/api/fi-resolution/rebuild" && req.method === "POST") {
+    try {
+      const resolution = loadFiResolutionRules();
+      const stale = fiResolutionStatus(resolution);
+      if (!stale.count) {
+        return send(res, 200, { job: null, message: "Nothing to rebuild" });
+      }
+      const { job, existing } = enqueueUpdateJob({
+        kind: "rebuild",
+        startDate: stale.first,
+        endDate: stale.last,
+        trigger: "manual",
+      });
+      return send(res, existing ? 200 : 202, { job, existing, version: resolution.version });
+    } catch (err) {
+      return send(res, err?.status || 500, { error: err?.message || "Unable to queue rebuild" });
+    }
+  }
+
+  /**
+   * GET /api/hourly?start=YYYY-MM-DD&end=YYYY-MM-DD[&fi=a,b][&fiInstances=fi__inst,...][&instance=x][&merchant=host][&merchantTag=tag][&includeTests=true]
+   * Intraday traffic and success curves from the hourly rollups.
+   */
+  if (pathname === "/api/hourly") {
+    const start = parseIso(queryParams.get("start"), null);
+    const end = parseIso(queryParams.get("end"), start);
+    if (!start || !end) {
+      return send(res, 400, { error: "start and end must be YYYY-MM-DD" });
+    }
+    const days = daysBetween(start, end);
+    if (!days.length) {
+      return send(res, 400, { error: "start date must be on or before end date" });
+    }
+    if (days.length > HOURLY_MAX_DAYS) {
+      return send(res, 400, { error: `Hourly data is limited to ${HOURLY_MAX_DAYS} days per request` });
+    }
+    const splitList = (value, normalize) =>
+      (value || "")
+        .split(",")
+        .map((v) => normalize(v))
+        .filter(Boolean);
+    const fiInstances = splitList(queryParams.get("fiInstances"), normalizeFiInstanceKey);
+    const fis = splitList(queryParams.get("fi"), normalizeFiKey);
+    const instanceParam = queryParams.get("instance") || "";
+    const merchant = (queryParams.get("merchant") || "").trim() || null;
+    const merchantTag = (queryParams.get("merchantTag") || "").trim() || null;
+    try {
+      const summary = summarizeHourlyRange(days, {
+        fiInstanceSet: fiInstances.length ? new Set(fiInstances) : null,
+        fiSet: fis.length ? new Set(fis) : null,
+        instanceKey: instanceParam ? normalizeInstanceKey(instanceParam) : null,
+        includeTests: queryParams.get("includeTests") === "true",
+        merchant,
+        merchantTag,
+      });
+      return send(res, 200, { start, end, days, merchant, merchantTag, ...summary });
+    } catch (err) {
+      console.error("[API] hourly error:", err);
+      return send(res, 500, { error: err.message || "Unable to load hourly data" });
+    }
+  }
+
+  /**
+   * GET /api/funnel?start=&end=&granularity=&includeTests=&fi=&partner=&integration=&instance=&merchantTag=&rows=
+   * The funnel page's rows, summed on the server: { start, end, granularity, version, rows, totals,
+   *   merchants, merchant_tags, duration_buckets, days, highlights, periods }.
+   * `fi` is a comma list of FI keys; present but empty, it selects no FI. `rows=false` leaves
+   * out the row lists. Shared views are clipped to the link's days and FIs.
+   */
+  if (pathname === "/api/funnel") {
+    const start = parseIso(queryParams.get("start"), null);
+    const end = parseIso(queryParams.get("end"), start);
+    if (!start || !end) {
+      return send(res, 400, { error: "start and end must be YYYY-MM-DD" });
+    }
+    let days = daysBetween(start, end);
+    if (!days.length) {
+      return send(res, 400, { error: "start date must be on or before end date" });
+    }
+    const granularity = queryParams.get("granularity") || "range";
+    if (!FUNNEL_GRANULARITIES.includes(granularity)) {
+      return send(res, 400, { error: `granularity must be one of ${FUNNEL_GRANULARITIES.join(", ")}` });
+    }
+    if (req.share) days = days.filter((day) => dayInShare(day, req.share));
+    const fiParam = queryParams.get("fi");
+    const filters = {
+      fis: fiParam === null ? null : new Set(fiParam.split(",").map(normalizeFiKey).filter(Boolean)),
+      partner: (queryParams.get("partner") || "").trim() || null,
+      integration: (queryParams.get("integration") || "").trim() || null,
+      instance: (queryParams.get("instance") || "").trim() || null,
+      includeTests: queryParams.get("includeTests") === "true",
+    };
+    const merchantTag = (queryParams.get("merchantTag") || "").trim() || null;
+    const includeRows = queryParams.get("rows") !== "false";
+    try {
+      const version = dailyDataVersion();
+      const definition = loadFunnelDefinition();
+      const registryStat = await fs.stat(FI_REGISTRY_FILE).catch(() => null);
+      const cacheKey = JSON.stringify([
+        version,
+        registryStat?.mtimeMs || 0,
+        definition.version,
+        req.share?.id || null,
+        days[0] || null,
+        days[days.length - 1] || null,
+        granularity,
+        filters.fis ? Array.from(filters.fis).sort() : null,
+        filters.partner,
+        filters.integration,
+        filters.instance,
+        filters.includeTests,
+        merchantTag,
+        includeRows,
+      ]);
+      let registry = {};
+      if (registryStat && !funnelCache.has(cacheKey)) {
+        registry = JSON.parse(await fs.readFile(FI_REGISTRY_FILE, "utf8"));
+      }
+      const payload = cachedFunnel(cacheKey, () => {
+        const secret = req.share ? loadShareSecret(SHARE) : null;
+        const docs = days.map((date) => {
+          const doc = getStorage().readDaily(date);
+          return { date, doc: doc && req.share ? scopeDailyDoc(doc, req.share, secret) : doc };
+        });
+        return aggregateFunnel(docs, {
+          registry: req.share ? scopeRegistry(registry, req.share, secret) : registry,
+          definition,
+          filters,
+          merchantTag,
+          granularity,
+          includeRows,
+          hideCardholders: Boolean(req.share),
+        });
+      });
+      return send(res, 200, { start, end, granularity, version, ...payload });
+    } catch (err) {
+      console.error("[API] funnel error:", err);
+      return send(res, 500, { error: err.message || "Unable to aggregate funnel data" });
+    }
+  }
+
   if (pathname === "/daily") {
     const dateStr = queryParams.get("date");
     if (!dateStr) {
       return send(res, 400, { error: "Missing date query param" });
     }
     try {
+      if (req.share && !dayInShare(dateStr, req.share)) throw new Error("outside shared range");
       const data = await loadDaily(dateStr);
-      return send(res, 200, data);
+      return send(res, 200, req.share ? scopeDailyDoc(data, req.share, loadShareSecret(SHARE)) : data);
     } catch (e) {
       return send(res, 404, { error: "daily not found", date: dateStr });
     }
@@ -2796,15 +4528,19 @@ const server = http.createServer(async (req, res) => {
   if (pathname.startsWith("/daily/") && pathname.endsWith(".json")) {
     try {
       const dateStr = path.basename(pathname).replace(".json", "");
-      return send(res, 200, await loadDaily(dateStr));
+      if (req.share && !dayInShare(dateStr, req.share)) throw new Error("outside shared range");
+      const data = await loadDaily(dateStr);
+      return send(res, 200, req.share ? scopeDailyDoc(data, req.share, loadShareSecret(SHARE)) : data);
     } catch (e) {
       return send(res, 404, { error: "daily not found", path: pathname });
     }
   }
 
   /**
-   * GET /merchant-heatmap?start=YYYY-MM-DD&end=YYYY-MM-DD
-  * Returns { start, end, days: [iso...], slices: [{ day, merchant, fi, is_test, total, billable, siteFailures, userFlowIssues }] }
+   * GET /merchant-heatmap?start=YYYY-MM-DD&end=YYYY-MM-DD&tag=
+  * Returns { start, end, days: [iso...], slices: [{ day, merchant, fi, is_test, total, billable, siteFailures, userFlowIssues }],
+  *   merchants: { merchant: { merchant_site_id, name, tags, tier } }, tags: [catalog tags] }
+  * `tag` keeps only merchants the catalog tags with it.
    */
   if (req.method === "GET" && pathname === "/merchant-heatmap") {
     const query = Object.fromEntries(queryParams.entries());
@@ -2816,7 +4552,9 @@ const server = http.createServer(async (req, res) => {
     const end = parseIso(query.end, endDefault);
 
     try {
-      const payload = await buildGlobalMerchantHeatmap(start, end);
+      const payload = await buildGlobalMerchantHeatmap(start, end, {
+        tag: (query.tag || "").trim() || null,
+      });
       res.writeHead(200, {
         "Content-Type": "application/json",
         "Cache-Control": "no-store",
@@ -2852,18 +4590,11 @@ const server = http.createServer(async (req, res) => {
     if (!days.length) {
       return send(res, 400, { error: "Invalid date range" });
     }
-    const sessions = [];
-    const placements = [];
-    for (const day of days) {
-      const daySessions = await readSessionDay(day);
-      if (daySessions?.sessions) {
-        sessions.push(...daySessions.sessions);
-      }
-      const dayPlacements = await readPlacementDay(day);
-      if (dayPlacements?.placements) {
-        placements.push(...dayPlacements.placements);
-      }
-    }
+    // Sessions are narrowed to the FI up front (ones that do not name their FI
+    // are still returned and resolved through the instance below). Placements
+    // are only joined onto those sessions, so they are read unfiltered.
+    const sessions = readRawRange("sessions", { startDate: start, endDate: end, fiKey });
+    const placements = readRawRange("placements", { startDate: start, endDate: end });
     const fiRegistry = await loadFiRegistrySafe();
     const fiMeta = buildFiMetaMap(fiRegistry);
     const instanceMeta = await loadInstanceMetaMap();
@@ -2926,6 +4657,11 @@ const server = http.createServer(async (req, res) => {
     if (await fileExists(fp)) return serveFile(res, fp);
   }
 
+  if (pathname === "/login" || pathname === "/login.html") {
+    const fp = path.join(PUBLIC_DIR, "login.html");
+    if (await fileExists(fp)) return serveFile(res, fp);
+  }
+
   if (pathname === "/maintenance" || pathname === "/maintenance.html") {
     const fp = path.join(PUBLIC_DIR, "maintenance.html");
     if (await fileExists(fp)) return serveFile(res, fp);
@@ -2962,9 +4698,65 @@ const server = http.createServer(async (req, res) => {
   }
 });
 
+// Restore the job queue before accepting requests so new jobs cannot be
+// overwritten by the persisted state.
+try {
+  const interrupted = markInterruptedFetchManifests();
+  if (interrupted) console.log(`[fetch] ${interrupted} interrupted fetch run(s) can be resumed`);
+} catch (err) {
+  console.error("[fetch] unable to check fetch manifests:", err?.message || err);
+}
+await updateQueue.load().catch((err) => {
+  console.error("[jobs] failed to load queue:", err?.message || err);
+});
+await authSessions.load().catch((err) => {
+  console.error("[auth] failed to load sessions:", err?.message || err);
+});
+try {
+  if (!loadUsers(AUTH.usersFile).length) {
+    console.warn(
+      `[auth] no users in ${AUTH.usersFile}; every page needs a login, so create an admin first: ` +
+        "npm run users -- add <username> --role admin"
+    );
+  }
+} catch (err) {
+  console.error("[auth] unable to read users:", err?.message || err);
+}
+
+try {
+  loadInstanceEntries(VAULT);
+  const plaintext = [];
+  if (vaultEnabled(VAULT)) {
+    for (const file of [VAULT.instancesFile, ...new Set(gaCredentialConfigs().map((cfg) => cfg.file))]) {
+      if (await fs.access(file).then(() => true, () => false)) plaintext.push(file);
+    }
+  }
+  if (plaintext.length) {
+    console.warn(
+      `[secrets] plaintext credentials still in ${plaintext.map((file) => path.relative(ROOT, file)).join(", ")}; ` +
+        "move them into the vault with: npm run secrets -- migrate"
+    );
+  }
+} catch (err) {
+  console.error("[secrets] unable to read instance credentials:", err?.message || err);
+}
+
 server.listen(PORT, () => {
   console.log(`> SIS server on http://localhost:${PORT}`);
   console.log(`> UI dir: ${PUBLIC_DIR}`);
   console.log(`> Data dir: ${DATA_DIR}`);
   console.log(`> Daily dir: ${DAILY_DIR}`);
+  updateScheduler.start().catch((err) => {
+    console.error("[scheduler] failed to start:", err?.message || err);
+  });
+  try {
+    reportScheduler.start();
+  } catch (err) {
+    console.error("[reports] scheduler failed to start:", err?.message || err);
+  }
+  try {
+    delivery.start();
+  } catch (err) {
+    console.error("[delivery] failed to start:", err?.message || err);
+  }
 });
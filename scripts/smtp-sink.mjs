@@ -0,0 +1,92 @@
+import fs from "node:fs";
+import net from "node:net";
+import path from "node:path";
+import process from "node:process";
+
+// Local stand-in for an SMTP relay: accepts every message and saves it as an
+// .eml file instead of sending it. Point SMTP_HOST=localhost and
+// SMTP_PORT=<port> at it. No TLS and no auth checks (AUTH is accepted as is).
+const port = Number(process.argv[2] || process.env.SMTP_SINK_PORT || 2525);
+const dir = path.resolve(process.env.SMTP_SINK_DIR || path.join("data", "smtp-sink"));
+
+function header(message, name) {
+  const match = new RegExp(`^${name}:\\s*(.*)$`, "im").exec(message.split("\r\n\r\n")[0]);
+  if (!match) return "";
+  const value = match[1].trim();
+  const encoded = /^=\?UTF-8\?B\?(.*)\?=$/i.exec(value);
+  return encoded ? Buffer.from(encoded[1], "base64").toString("utf8") : value;
+}
+
+function save(envelope, data) {
+  fs.mkdirSync(dir, { recursive: true });
+  const stamp = new Date().toISOString();
+  const file = path.join(dir, `${stamp.replace(/[:.]/g, "-")}-${Math.random().toString(16).slice(2, 8)}.eml`);
+  fs.writeFileSync(file, data);
+  const attachments = Array.from(data.matchAll(/filename="([^"]+)"/g), (m) => m[1]);
+  console.log(`[${stamp}] ${envelope.from} → ${envelope.to.join(", ")}: ${header(data, "Subject")}`);
+  if (attachments.length) console.log(`  attachments: ${attachments.join(", ")}`);
+  console.log(`  saved ${path.relative(process.cwd(), file)}`);
+}
+
+const server = net.createServer((socket) => {
+  let buffer = "";
+  let envelope = { from: null, to: [] };
+  let data = null;
+  const reply = (line) => socket.write(`${line}\r\n`);
+
+  socket.on("data", (chunk) => {
+    buffer += chunk.toString("utf8");
+    let index;
+    while ((index = buffer.indexOf("\r\n")) >= 0) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+      if (data !== null) {
+        if (line === ".") {
+          save(envelope, data.join("\r\n"));
+          envelope = { from: null, to: [] };
+          data = null;
+          reply("250 2.0.0 Saved");
+        } else {
+          data.push(line.startsWith("..") ? line.slice(1) : line);
+        }
+        continue;
+      }
+      const verb = line.split(" ")[0].toUpperCase();
+      if (verb === "EHLO") {
+        reply("250-smtp-sink");
+        reply("250-AUTH PLAIN LOGIN");
+        reply("250 8BITMIME");
+      } else if (verb === "HELO") reply("250 smtp-sink");
+      else if (verb === "AUTH") reply("235 2.7.0 Accepted");
+      else if (verb === "MAIL") {
+        envelope = { from: /<([^>]*)>/.exec(line)?.[1] || "", to: [] };
+        reply("250 2.1.0 Ok");
+      } else if (verb === "RCPT") {
+        envelope.to.push(/<([^>]*)>/.exec(line)?.[1] || "");
+        reply("250 2.1.5 Ok");
+      } else if (verb === "DATA") {
+        if (!envelope.to.length) {
+          reply("503 5.5.1 RCPT first");
+          continue;
+        }
+        data = [];
+        reply("354 End data with <CR><LF>.<CR><LF>");
+      } else if (verb === "RSET") {
+        envelope = { from: null, to: [] };
+        reply("250 Ok");
+      } else if (verb === "NOOP") reply("250 Ok");
+      else if (verb === "QUIT") {
+        reply("221 Bye");
+        socket.end();
+      } else reply("502 5.5.2 Command not implemented");
+    }
+  });
+  socket.on("error", () => {
+    // The client went away; nothing to clean up.
+  });
+  reply("220 smtp-sink ESMTP ready");
+});
+
+server.listen(port, () => {
+  console.log(`SMTP sink listening on localhost:${port}, saving messages to ${path.relative(process.cwd(), dir) || "."}`);
+});
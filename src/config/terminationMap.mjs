@@ -93,3 +93,15 @@ export const TERMINATION_RULES = {
     severity: "unknown",
   },
 };
+
+/**
+ * Sorts a termination into the merchant heatmap's columns: billable
+ * successes, site failures (health problems, and anything unrecognised) and
+ * UX endings the cardholder caused.
+ * @returns {"billable"|"site_failure"|"ux"}
+ */
+export function terminationOutcome(termination) {
+  const rule = TERMINATION_RULES[termination] || TERMINATION_RULES.UNKNOWN;
+  if (rule.includeInHealth) return rule.severity === "success" ? "billable" : "site_failure";
+  return rule.includeInUx ? "ux" : "site_failure";
+}
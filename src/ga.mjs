@@ -1,20 +1,19 @@
+import fs from "node:fs";
+import { createHash } from "node:crypto";
 import { google } from "googleapis";
+import { loadFunnelDefinition } from "./lib/funnelDefinition.mjs";
+import { loadFiResolutionRules } from "./lib/fiResolution.mjs";
 
 const DEFAULT_PROPERTY_ID = process.env.GA_PROPERTY_ID || null;
 const DEFAULT_KEY_FILE =
   process.env.GA_KEYFILE || "./secrets/ga-service-account.json";
 const UNKNOWN_INSTANCE = "unknown";
 
-const CARDUPDATR_SUFFIX = ".cardupdatr.app";
-const CARDUPDATR_PAGES = [
-  "/select-merchants",
-  "/user-data-collection",
-  "/credential-entry",
-];
-
-function isCardupdatrPage(pathname = "") {
-  if (!pathname) return false;
-  return CARDUPDATR_PAGES.some((prefix) => pathname.startsWith(prefix));
+// Which pages count comes from the funnel definition (src/lib/funnelDefinition.mjs);
+// which FI a host belongs to comes from src/lib/fiResolution.mjs.
+function isTrackedPage(definition, host = "", pathname = "") {
+  if (!host || !pathname) return false;
+  return Boolean(definition.stageFor(host, pathname));
 }
 
 function normalizeDate(value, fallback) {
@@ -26,48 +25,40 @@ function normalizeDate(value, fallback) {
   return fallback;
 }
 
-function resolveFiFromHost(host = "") {
-  if (!host.endsWith(CARDUPDATR_SUFFIX)) return null;
-
-  const prefix = host.slice(0, -CARDUPDATR_SUFFIX.length);
-  if (!prefix) return null;
-
-  const parts = prefix.split(".");
-  if (parts.length === 1) {
-    return {
-      fi_key: parts[0],
-      instance: parts[0],
-    };
-  }
-
-  const fi_key = parts[0];
-  const instance = parts[1] || parts[0];
-
-  if (fi_key === "default" && instance === "advancial-prod") {
-    return {
-      fi_key: "advancial-prod",
-      instance,
-    };
+// One client per key file, so multi-day backfills do not rebuild auth for
+// every request. Keyed on mtime too: replacing the credential file from the
+// maintenance page must not keep using the old key. Credentials read from the
+// secrets vault are passed as an object and keyed on their content.
+const analyticsClients = new Map();
+
+async function getAnalyticsClient({ keyFile, credentials }) {
+  let cacheKey;
+  if (credentials) {
+    cacheKey = `credentials:${createHash("sha256").update(JSON.stringify(credentials)).digest("hex")}`;
+  } else {
+    let mtime = 0;
+    try {
+      mtime = fs.statSync(keyFile).mtimeMs;
+    } catch {
+      // Missing file: let GoogleAuth report it.
+    }
+    cacheKey = `${keyFile}:${mtime}`;
   }
-
-  return {
-    fi_key,
-    instance,
-  };
-}
-
-async function getAnalyticsClient({ keyFile }) {
+  if (analyticsClients.has(cacheKey)) return analyticsClients.get(cacheKey);
   const auth = new google.auth.GoogleAuth({
-    keyFile,
+    ...(credentials ? { credentials } : { keyFile }),
     scopes: ["https://www.googleapis.com/auth/analytics.readonly"],
   });
-  return google.analyticsdata({ version: "v1beta", auth });
+  const client = google.analyticsdata({ version: "v1beta", auth });
+  analyticsClients.set(cacheKey, client);
+  return client;
 }
 
 export async function fetchGaRowsForDay({
   date,
   propertyId = DEFAULT_PROPERTY_ID,
   keyFile = DEFAULT_KEY_FILE,
+  credentials = null,
 }) {
   if (!date) {
     throw new Error("fetchGaRowsForDay requires a date (YYYY-MM-DD)");
@@ -76,7 +67,7 @@ export async function fetchGaRowsForDay({
     throw new Error("GA_PROPERTY_ID is required. Please set it in your .env file.");
   }
 
-  const analyticsData = await getAnalyticsClient({ keyFile });
+  const analyticsData = await getAnalyticsClient({ keyFile, credentials });
   const response = await analyticsData.properties.runReport({
     property: `properties/${propertyId}`,
     requestBody: {
@@ -92,15 +83,18 @@ export async function fetchGaRowsForDay({
     },
   });
 
+  const definition = loadFunnelDefinition();
+  const resolution = loadFiResolutionRules();
   const rows = response.data.rows || [];
   return rows
     .map((row) => {
       const host = row.dimensionValues?.[1]?.value || "";
       const page = row.dimensionValues?.[2]?.value || "";
-      if (!isCardupdatrPage(page)) return null;
+      if (!isTrackedPage(definition, host, page)) return null;
 
-      const fi = resolveFiFromHost(host);
-      if (!fi) return null;
+      // Rows on hosts no rule resolves are kept (and reported by the daily
+      // build) so a rules change can pick them up without refetching.
+      const fi = resolution.resolveHost(host);
 
       return {
         date, // always attribute to the SIS day we asked for
@@ -109,8 +103,9 @@ export async function fetchGaRowsForDay({
         hour: row.dimensionValues?.[3]?.value || "",
         views: Number(row.metricValues?.[0]?.value || "0"),
         active_users: Number(row.metricValues?.[1]?.value || "0"),
-        fi_key: fi.fi_key.toLowerCase(),
-        instance: fi.instance,
+        fi_key: fi ? fi.fi_key.toLowerCase() : null,
+        instance: fi ? fi.instance : null,
+        ...(fi ? {} : { unresolved: true }),
       };
     })
     .filter(Boolean);
@@ -144,6 +139,7 @@ export async function fetchGAFunnelByDay({
     },
   });
 
+  const definition = loadFunnelDefinition();
   const rows = res.data.rows || [];
   const out = [];
 
@@ -154,7 +150,7 @@ export async function fetchGAFunnelByDay({
     const hour = r.dimensionValues?.[3]?.value || "";
     const views = Number(r.metricValues?.[0]?.value || "0");
 
-    if (!host || !isCardupdatrPage(pagePath)) continue;
+    if (!isTrackedPage(definition, host, pagePath)) continue;
 
     out.push({
       date: normalizeDate(dateRaw, startDate),
@@ -169,6 +165,11 @@ export async function fetchGAFunnelByDay({
 }
 
 export function aggregateGAFunnelByFI(gaRows, fiRegistry = {}) {
+  const definition = loadFunnelDefinition();
+  const resolution = loadFiResolutionRules();
+  const roleOf = Object.fromEntries(
+    definition.stages.filter((stage) => stage.role).map((stage) => [stage.id, stage.role])
+  );
   const lookupDefault = new Map();
   const lookupByInstance = new Map();
   for (const [, fiObj] of Object.entries(fiRegistry)) {
@@ -188,7 +189,7 @@ export function aggregateGAFunnelByFI(gaRows, fiRegistry = {}) {
   }
 
   function parseHost(host) {
-    const resolved = resolveFiFromHost(host);
+    const resolved = resolution.resolveHost(host);
     if (!resolved) {
       return {
         fi_lookup_key: host,
@@ -221,6 +222,7 @@ export function aggregateGAFunnelByFI(gaRows, fiRegistry = {}) {
         select: 0,
         user: 0,
         cred: 0,
+        stages: definition.emptyCounts(),
         daily: {},
         integration_type: integrationKey || fallback || "UNKNOWN",
       };
@@ -228,18 +230,17 @@ export function aggregateGAFunnelByFI(gaRows, fiRegistry = {}) {
 
     const bucket = byFI[fi_lookup_key];
     if (!bucket.daily[date]) {
-      bucket.daily[date] = { select: 0, user: 0, cred: 0 };
+      bucket.daily[date] = { select: 0, user: 0, cred: 0, stages: definition.emptyCounts() };
     }
 
-    if (pagePath.startsWith("/select-merchants")) {
-      bucket.select += views;
-      bucket.daily[date].select += views;
-    } else if (pagePath.startsWith("/user-data-collection")) {
-      bucket.user += views;
-      bucket.daily[date].user += views;
-    } else if (pagePath.startsWith("/credential-entry")) {
-      bucket.cred += views;
-      bucket.daily[date].cred += views;
+    const stage = definition.stageFor(host, pagePath);
+    if (!stage) continue;
+    bucket.stages[stage] += views;
+    bucket.daily[date].stages[stage] += views;
+    const role = roleOf[stage];
+    if (role) {
+      bucket[role] += views;
+      bucket.daily[date][role] += views;
     }
   }
 
@@ -0,0 +1,134 @@
+// Which role each server route needs. "public" routes need no login. Routes
+// missing from the table need admin, so a new endpoint stays locked down until
+// someone decides who may call it.
+
+const PUBLIC = "public";
+
+// Static assets the login page needs before anyone is signed in.
+const PUBLIC_ASSET_RE = /\.(css|js|png|jpg|jpeg|gif|ico|svg|woff|woff2|ttf|eot)$/;
+
+const ROUTES = {
+  // Signing in and out
+  "/login": PUBLIC,
+  "/login.html": PUBLIC,
+  "/auth/login": PUBLIC,
+  "/auth/logout": PUBLIC,
+  "/auth/me": "viewer",
+  "/auth/users": "admin",
+  "/auth/users/save": "admin",
+  "/auth/users/delete": "admin",
+
+  // Dashboards and the data they read
+  "/": "viewer",
+  "/index.html": "viewer",
+  "/funnel": "viewer",
+  "/funnel.html": "viewer",
+  "/heatmap": "viewer",
+  "/heatmap.html": "viewer",
+  "/sources": "viewer",
+  "/sources.html": "viewer",
+  "/troubleshoot": "viewer",
+  "/troubleshoot.html": "viewer",
+  "/list-daily": "viewer",
+  "/daily": "viewer",
+  "/data-freshness": "viewer",
+  "/api/data-version": "viewer",
+  "/api/hourly": "viewer",
+  "/api/funnel": "viewer",
+  "/api/funnel-definition": "viewer",
+  "/api/check-raw-data": "viewer",
+  "/api/placement-details": "viewer",
+  "/merchant-heatmap": "viewer",
+  "/sources/summary": "viewer",
+  "/troubleshoot/day": "viewer",
+  "/troubleshoot/options": "viewer",
+  "/sessions/jobs-stats": "viewer",
+  "/fi-registry": "viewer",
+  "/fi-registry/export": "viewer",
+  "/alerts": "viewer",
+  "/reports": "viewer",
+  "/run-update/status": "viewer",
+
+  // Refreshes, rebuilds and the maintenance views behind them
+  "/maintenance": "operator",
+  "/maintenance.html": "operator",
+  "/run-update/stream": "operator",
+  "/run-update/history": "operator",
+  "/scheduler": "operator",
+  "/scheduler/save": "operator",
+  "/scheduler/run-now": "operator",
+  "/jobs": "operator",
+  "/jobs/detail": "operator",
+  "/jobs/enqueue": "operator",
+  "/jobs/cancel": "operator",
+  "/fetch-runs": "operator",
+  "/fetch-runs/detail": "operator",
+  "/fetch-runs/resume": "operator",
+  "/api/funnel-definition/rebuild": "operator",
+  "/api/fi-resolution": "operator",
+  "/api/fi-resolution/test": "operator",
+  "/api/fi-resolution/unresolved": "operator",
+  "/api/fi-resolution/rebuild": "operator",
+  "/api/reconciliation": "operator",
+  "/alerts/run": "operator",
+  "/alerts/acknowledge": "operator",
+  "/merchant-sites": "operator",
+  "/merchant-sites/refresh": "operator",
+  "/merchant-sites-cache.json": "operator",
+  "/raw-retention": "operator",
+  "/partner-reports": "operator",
+  "/partner-reports/generate": "operator",
+  "/partner-reports/schedules/save": "operator",
+  "/partner-reports/run-now": "operator",
+  // Operators send and retry deliveries; who gets them (subscriptions) is
+  // admin-only, since it decides what data leaves the server.
+  "/delivery": "operator",
+  "/delivery/test": "operator",
+  "/delivery/retry": "operator",
+  "/delivery/send-export": "operator",
+  "/fi-api-data": "operator",
+  "/fi-api-data-stream": "operator",
+
+  // Everything else — instance and GA credentials, registry and rule edits,
+  // server logs, diagnostics — falls through to admin.
+};
+
+const PREFIXES = [
+  ["/share/", PUBLIC],
+  ["/daily/", "viewer"],
+  ["/reports/", "viewer"],
+];
+
+// All a share link opens: the funnel page and the rollups and registry behind
+// it, which the server cuts down to the link's scope.
+const SHARE_ROUTES = new Set([
+  "/funnel",
+  "/funnel.html",
+  "/list-daily",
+  "/daily",
+  "/fi-registry",
+  "/api/funnel",
+  "/api/funnel-definition",
+  "/api/data-version",
+  "/auth/me",
+]);
+
+/**
+ * @returns {string} "public", "viewer", "operator" or "admin"
+ */
+export function requiredRole(method, pathname) {
+  if (Object.hasOwn(ROUTES, pathname)) return ROUTES[pathname];
+  for (const [prefix, role] of PREFIXES) {
+    if (pathname.startsWith(prefix)) return role;
+  }
+  if ((method === "GET" || method === "HEAD") && PUBLIC_ASSET_RE.test(pathname)) return PUBLIC;
+  return "admin";
+}
+
+/**
+ * Whether a visitor holding a share link (and no account) may call a route.
+ */
+export function allowedForShare(method, pathname) {
+  if (method !== "GET" && method !== "HEAD") return false;
+  return SHARE_ROUTES.has(pathname) || (pathname.startsWith("/daily/") && pathname.endsWith(".json"));
+}
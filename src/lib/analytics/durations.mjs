@@ -0,0 +1,111 @@
+// Duration histograms for the daily rollups: session length, time from a
+// session's start to its first job, and time from a job's creation to its
+// completion. Rollups store bucket counts rather than percentiles so days,
+// instances and FIs can be added together; percentiles are read off the
+// summed histogram.
+
+export const DURATION_METRICS = ["session_length", "time_to_first_job", "job_duration"];
+
+// Upper bucket edges in seconds; longer durations land in "inf".
+export const DURATION_BUCKETS_S = [
+  5, 10, 15, 30, 45, 60, 90, 120, 180, 300, 450, 600, 900, 1200, 1800, 2700, 3600, 7200,
+];
+
+export const DEVICES = ["desktop", "mobile", "unknown"];
+
+export function normalizeDevice(value) {
+  if (!value) return "unknown";
+  const slug = value.toString().trim().toLowerCase();
+  if (!slug) return "unknown";
+  if (slug.includes("mobile") || slug.includes("phone")) return "mobile";
+  if (slug.includes("desk") || slug.includes("computer") || slug.includes("web")) return "desktop";
+  return "unknown";
+}
+
+function elapsedMs(from, to) {
+  if (!from || !to) return null;
+  const start = Date.parse(from);
+  const end = Date.parse(to);
+  if (Number.isNaN(start) || Number.isNaN(end)) return null;
+  const diff = end - start;
+  return diff >= 0 ? diff : null;
+}
+
+/** Session length, from creation to close; null while open or unparseable. */
+export function computeDurationMs(session) {
+  return elapsedMs(session?.created_on, session?.closed_on);
+}
+
+/** When a placement's job was created, as stored on the raw placement. */
+export function jobCreatedAt(placement) {
+  return placement?.job_created_on || placement?.created_on || null;
+}
+
+/** Job creation to completion; null while the job has not finished. */
+export function jobDurationMs(placement) {
+  const completed = placement?.completed_on || placement?.account_linked_on || null;
+  return elapsedMs(jobCreatedAt(placement), completed);
+}
+
+/** Time from a session's creation to a later moment (its first job). */
+export function timeToFirstJobMs(session, firstJobAt) {
+  return elapsedMs(session?.created_on, firstJobAt);
+}
+
+function bucketKey(ms) {
+  const seconds = ms / 1000;
+  const edge = DURATION_BUCKETS_S.find((limit) => seconds <= limit);
+  return edge === undefined ? "inf" : String(edge);
+}
+
+/**
+ * Counts one duration into `durations[metric][device]`, a histogram of
+ * { count, sum_ms, buckets: { "<upper edge in seconds>" | "inf": n } }.
+ */
+export function addDuration(durations, metric, device, ms) {
+  if (ms === null || ms === undefined || !Number.isFinite(ms)) return;
+  const byDevice = (durations[metric] ??= {});
+  const hist = (byDevice[normalizeDevice(device)] ??= { count: 0, sum_ms: 0, buckets: {} });
+  const key = bucketKey(ms);
+  hist.count += 1;
+  hist.sum_ms += ms;
+  hist.buckets[key] = (hist.buckets[key] || 0) + 1;
+}
+
+/** Adds one durations object into another, e.g. instances into their FI. */
+export function mergeDurations(target, source) {
+  for (const [metric, byDevice] of Object.entries(source || {})) {
+    for (const [device, hist] of Object.entries(byDevice || {})) {
+      const into = ((target[metric] ??= {})[device] ??= { count: 0, sum_ms: 0, buckets: {} });
+      into.count += hist.count || 0;
+      into.sum_ms += hist.sum_ms || 0;
+      for (const [key, count] of Object.entries(hist.buckets || {})) {
+        into.buckets[key] = (into.buckets[key] || 0) + count;
+      }
+    }
+  }
+  return target;
+}
+
+/**
+ * The duration below which `pct` percent of a histogram falls, interpolated
+ * within its bucket. Durations in the "inf" bucket only report its lower
+ * edge, so a percentile landing there is a lower bound.
+ * @returns {number|null} milliseconds, or null for an empty histogram
+ */
+export function histogramPercentile(hist, pct) {
+  if (!hist?.count) return null;
+  const target = (pct / 100) * hist.count;
+  let seen = 0;
+  let lower = 0;
+  for (const edge of [...DURATION_BUCKETS_S, Infinity]) {
+    const count = hist.buckets?.[Number.isFinite(edge) ? String(edge) : "inf"] || 0;
+    if (count && seen + count >= target) {
+      if (!Number.isFinite(edge)) return lower * 1000;
+      return (lower + ((target - seen) / count) * (edge - lower)) * 1000;
+    }
+    seen += count;
+    lower = Number.isFinite(edge) ? edge : lower;
+  }
+  return lower * 1000;
+}
@@ -1,13 +1,6 @@
 // Pure helpers for Source Analysis metrics.
 
-function normalizeDevice(value) {
-  if (!value) return "unknown";
-  const slug = value.toString().trim().toLowerCase();
-  if (!slug) return "unknown";
-  if (slug.includes("mobile") || slug.includes("phone")) return "mobile";
-  if (slug.includes("desk") || slug.includes("computer") || slug.includes("web")) return "desktop";
-  return "unknown";
-}
+import { computeDurationMs, normalizeDevice } from "./durations.mjs";
 
 function getSessionDay(session) {
   const key = session.created_on || session.closed_on || session.date || "";
@@ -36,15 +29,6 @@ function classifySourceGroup(session) {
   return "nonSso";
 }
 
-function computeDurationMs(session) {
-  if (!session.created_on || !session.closed_on) return null;
-  const start = new Date(session.created_on);
-  const end = new Date(session.closed_on);
-  if (Number.isNaN(start) || Number.isNaN(end)) return null;
-  const diff = end - start;
-  return diff >= 0 ? diff : null;
-}
-
 export function groupSessionsBySource(sessions = []) {
   const buckets = {
     cu2sso: [],
@@ -0,0 +1,312 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { TERMINATION_RULES } from "../config/terminationMap.mjs";
+import { getStorage } from "./storage/index.mjs";
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const MAX_STORED_ALERTS = 1000;
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+// MAD scaled to match a standard deviation for normally distributed data.
+const MAD_SCALE = 1.4826;
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Detector settings from the environment (see .env.example).
+ */
+export function alertConfigFromEnv() {
+  return {
+    file: path.resolve(process.env.ALERTS_FILE || path.join("data", "alerts.json")),
+    webhookUrl: (process.env.ALERTS_WEBHOOK_URL || "").trim() || null,
+    baselineDays: envNumber("ALERTS_BASELINE_DAYS", 28),
+    minBaselineDays: envNumber("ALERTS_MIN_BASELINE_DAYS", 7),
+    zThreshold: envNumber("ALERTS_Z_THRESHOLD", 3),
+    minPlacements: envNumber("ALERTS_MIN_PLACEMENTS", 20),
+    minVolume: envNumber("ALERTS_MIN_VOLUME", 10),
+  };
+}
+
+function isoDay(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+/**
+ * Splits termination counts the way the merchant heatmap does: successes and
+ * site failures count toward health, user-driven endings do not.
+ */
+function healthCounts(byTermination = {}) {
+  let billable = 0;
+  let attempts = 0;
+  for (const [termination, count] of Object.entries(byTermination)) {
+    const rule = TERMINATION_RULES[termination] || TERMINATION_RULES.UNKNOWN;
+    if (!rule.includeInHealth && rule.includeInUx) continue;
+    attempts += count || 0;
+    if (rule.includeInHealth && rule.severity === "success") billable += count || 0;
+  }
+  return { billable, attempts };
+}
+
+function addMetrics(map, key, scope, entity, { sessions = null, placements = 0, byTermination = {} }) {
+  const entry = map.get(key) || { scope, entity, sessions: null, placements: 0, billable: 0, attempts: 0 };
+  if (sessions !== null) entry.sessions = (entry.sessions || 0) + sessions;
+  entry.placements += placements;
+  const health = healthCounts(byTermination);
+  entry.billable += health.billable;
+  entry.attempts += health.attempts;
+  map.set(key, entry);
+}
+
+/**
+ * Per-FI (production instances only) and per-merchant metrics of one day,
+ * keyed `fi:<key>` / `merchant:<host>`.
+ */
+export function collectDayMetrics(daily, hourly) {
+  const metrics = new Map();
+  for (const entry of Object.values(daily?.fi_instances || {})) {
+    if (!entry || entry.is_test) continue;
+    const fiKey = entry.fi_lookup_key;
+    if (!fiKey || fiKey === "unknown_fi") continue;
+    addMetrics(metrics, `fi:${fiKey}`, "fi", fiKey, {
+      sessions: entry.sessions?.total || 0,
+      placements: entry.placements?.total_placements || 0,
+      byTermination: entry.placements?.by_termination,
+    });
+  }
+  for (const [merchant, hours] of Object.entries(hourly?.merchants || {})) {
+    for (const bucket of Object.values(hours || {})) {
+      addMetrics(metrics, `merchant:${merchant}`, "merchant", merchant, {
+        placements: bucket.placements || 0,
+        byTermination: bucket.by_termination,
+      });
+    }
+  }
+  return metrics;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Robust z-score of `value` against `history`: distance from the median in
+ * units of scaled MAD, with `minScale` as a floor so flat baselines do not
+ * turn every small wobble into an alert.
+ */
+export function robustScore(value, history, minScale) {
+  const center = median(history);
+  const mad = median(history.map((v) => Math.abs(v - center)));
+  const scale = Math.max(mad * MAD_SCALE, minScale);
+  return { median: center, mad, z: (value - center) / scale };
+}
+
+function round(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function makeAlert({ day, scope, entity, metric, kind, value, stats, baselineDays, threshold }) {
+  return {
+    id: `${day}:${scope}:${entity}:${metric}`,
+    day,
+    scope,
+    entity,
+    metric,
+    kind,
+    value: round(value, 4),
+    baseline: { median: round(stats.median, 4), mad: round(stats.mad, 4), days: baselineDays },
+    z: round(stats.z),
+    severity: Math.abs(stats.z) >= threshold * 2 ? "critical" : "warning",
+  };
+}
+
+/**
+ * Checks one day's metrics against the days before it.
+ * @param {string} day - YYYY-MM-DD
+ * @param {Map} current - collectDayMetrics() of the day
+ * @param {Map[]} baseline - collectDayMetrics() of earlier days
+ * @returns {object[]} alerts (without detection timestamps)
+ */
+export function detectDayAnomalies(day, current, baseline, config) {
+  const alerts = [];
+  const threshold = config.zThreshold;
+  const keys = new Set([...current.keys(), ...baseline.flatMap((m) => Array.from(m.keys()))]);
+  for (const key of keys) {
+    const today = current.get(key);
+    const history = baseline.map((m) => m.get(key));
+    const { scope, entity } = today || history.find(Boolean);
+
+    // Volumes: days without the entity count as zero, so an FI or merchant
+    // going silent shows up as a drop.
+    const volumeMetrics = scope === "fi" ? ["sessions", "placements"] : ["placements"];
+    for (const metric of volumeMetrics) {
+      const series = history.map((entry) => entry?.[metric] || 0);
+      const value = today?.[metric] || 0;
+      if (series.length < config.minBaselineDays) continue;
+      const stats = robustScore(value, series, Math.max(1, median(series) * 0.1));
+      if (Math.max(stats.median, value) < config.minVolume) continue;
+      if (Math.abs(stats.z) < threshold) continue;
+      alerts.push(
+        makeAlert({
+          day,
+          scope,
+          entity,
+          metric,
+          kind: stats.z < 0 ? "volume_drop" : "volume_spike",
+          value,
+          stats,
+          baselineDays: series.length,
+          threshold,
+        })
+      );
+    }
+
+    // Success rate: only days with enough attempts to mean something, and
+    // only drops are worth waking someone up for.
+    if (!today || today.attempts < config.minPlacements) continue;
+    const rates = history
+      .filter((entry) => entry && entry.attempts >= config.minPlacements / 2)
+      .map((entry) => entry.billable / entry.attempts);
+    if (rates.length < config.minBaselineDays) continue;
+    const rate = today.billable / today.attempts;
+    const stats = robustScore(rate, rates, 0.02);
+    if (stats.z > -threshold) continue;
+    alerts.push(
+      makeAlert({
+        day,
+        scope,
+        entity,
+        metric: "success_rate",
+        kind: "success_drop",
+        value: rate,
+        stats,
+        baselineDays: rates.length,
+        threshold,
+      })
+    );
+  }
+  return alerts.sort((a, b) => a.z - b.z);
+}
+
+async function writeJsonAtomic(filePath, value) {
+  const dir = path.dirname(filePath);
+  await fs.mkdir(dir, { recursive: true });
+  const tmpPath = path.join(dir, `.${path.basename(filePath)}.tmp-${process.pid}-${Date.now()}`);
+  await fs.writeFile(tmpPath, JSON.stringify(value, null, 2) + "\n", "utf8");
+  await fs.rename(tmpPath, filePath);
+}
+
+/**
+ * Reads the alerts file; a missing file is an empty one.
+ */
+export async function readAlerts(file = alertConfigFromEnv().file) {
+  try {
+    const doc = JSON.parse(await fs.readFile(file, "utf8"));
+    return { updated_at: null, webhook: null, ...doc, alerts: Array.isArray(doc.alerts) ? doc.alerts : [] };
+  } catch (err) {
+    if (err.code === "ENOENT") return { updated_at: null, webhook: null, alerts: [] };
+    throw err;
+  }
+}
+
+/**
+ * Marks alerts as acknowledged so the funnel page stops showing them.
+ * @returns {number} how many alerts changed
+ */
+export async function acknowledgeAlerts(ids, { file = alertConfigFromEnv().file } = {}) {
+  const wanted = new Set(ids);
+  const doc = await readAlerts(file);
+  const now = new Date().toISOString();
+  let changed = 0;
+  for (const alert of doc.alerts) {
+    if (wanted.has(alert.id) && !alert.acknowledged_at) {
+      alert.acknowledged_at = now;
+      changed += 1;
+    }
+  }
+  if (changed) await writeJsonAtomic(file, { ...doc, updated_at: now });
+  return changed;
+}
+
+async function postWebhook(url, alerts) {
+  const at = new Date().toISOString();
+  try {
+    const res = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ source: "sis-funnel", sent_at: at, alerts }),
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    });
+    return { at, status: res.status, error: res.ok ? null : `HTTP ${res.status}`, count: alerts.length };
+  } catch (err) {
+    return { at, status: null, error: err?.message || String(err), count: alerts.length };
+  }
+}
+
+/**
+ * Runs the detector over `days` and updates the alerts file. Alerts of those
+ * days that no longer fire (after a rebuild, say) are dropped; ones that
+ * still fire keep their detection time and acknowledgement. New alerts go to
+ * the webhook when one is configured.
+ * @param {string[]} days - YYYY-MM-DD days to check; today and later are skipped
+ *   because their data is still incomplete
+ * @returns {object} { checked, alerts: new alerts, webhook }
+ */
+export async function runAnomalyDetection({ days, config = alertConfigFromEnv(), storage = getStorage() }) {
+  const today = isoDay(Date.now());
+  const stored = new Set(storage.listDailyDays());
+  const checkDays = days.filter((day) => day < today && stored.has(day));
+  const metricsCache = new Map();
+  const metricsFor = (day) => {
+    if (!metricsCache.has(day)) {
+      metricsCache.set(
+        day,
+        stored.has(day) ? collectDayMetrics(storage.readDaily(day), storage.readHourly(day)) : null
+      );
+    }
+    return metricsCache.get(day);
+  };
+
+  const detected = [];
+  for (const day of checkDays) {
+    const start = Date.parse(`${day}T00:00:00Z`);
+    const baseline = [];
+    for (let back = 1; back <= config.baselineDays; back += 1) {
+      const metrics = metricsFor(isoDay(start - back * MS_PER_DAY));
+      if (metrics) baseline.push(metrics);
+    }
+    detected.push(...detectDayAnomalies(day, metricsFor(day), baseline, config));
+  }
+
+  const doc = await readAlerts(config.file);
+  const previous = new Map(doc.alerts.map((alert) => [alert.id, alert]));
+  const now = new Date().toISOString();
+  const checked = new Set(checkDays);
+  const fresh = [];
+  const merged = detected.map((alert) => {
+    const before = previous.get(alert.id);
+    if (!before) fresh.push(alert);
+    return {
+      ...alert,
+      detected_at: before?.detected_at || now,
+      acknowledged_at: before?.acknowledged_at || null,
+    };
+  });
+  const alerts = [...doc.alerts.filter((alert) => !checked.has(alert.day)), ...merged]
+    .sort((a, b) => (a.day === b.day ? a.z - b.z : b.day.localeCompare(a.day)))
+    .slice(0, MAX_STORED_ALERTS);
+
+  let webhook = doc.webhook;
+  if (config.webhookUrl && fresh.length) {
+    webhook = await postWebhook(config.webhookUrl, fresh.map((alert) => ({ ...alert, detected_at: now })));
+    if (webhook.error) console.warn(`[alerts] webhook failed: ${webhook.error}`);
+  }
+  if (checkDays.length || webhook !== doc.webhook) {
+    await writeJsonAtomic(config.file, { updated_at: now, webhook, alerts });
+  }
+  return { checked: checkDays, alerts: fresh, webhook };
+}
@@ -0,0 +1,177 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { randomBytes } from "node:crypto";
+
+import { maskSecret } from "./secretsVault.mjs";
+
+// Append-only record of configuration changes made through the server: who
+// changed which registry entries, instances or GA credentials, when, and the
+// values before and after. One JSON object per line in data/audit-log.jsonl;
+// lines are only ever appended, so a revert is a new entry pointing back at
+// the one it undoes.
+
+const DEFAULT_LIMIT = 200;
+const MAX_LIMIT = 1000;
+
+function fail(message, status = 400) {
+  return Object.assign(new Error(message), { status });
+}
+
+/**
+ * Audit settings from the environment (see .env.example). Relative paths are
+ * resolved against `root`.
+ */
+export function auditConfigFromEnv({ root = process.cwd() } = {}) {
+  return {
+    file: path.resolve(root, process.env.AUDIT_LOG_FILE || path.join("data", "audit-log.jsonl")),
+  };
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+// Field-level differences between two values; nested objects are walked,
+// arrays and scalars compared whole.
+function diffValues(before, after, prefix = []) {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const fields = Array.from(new Set([...Object.keys(before), ...Object.keys(after)])).sort();
+    return fields.flatMap((field) => diffValues(before[field], after[field], [...prefix, field]));
+  }
+  if (sameValue(before, after)) return [];
+  return [{ path: prefix, before: before ?? null, after: after ?? null }];
+}
+
+function redact(value, secretFields) {
+  if (!isPlainObject(value) || !secretFields.length) return value ?? null;
+  const copy = { ...value };
+  for (const field of secretFields) {
+    if (field in copy) copy[field] = maskSecret(copy[field], 0);
+  }
+  return copy;
+}
+
+/**
+ * Appends one change. `before` and `after` map each touched key (registry key,
+ * instance name, credential name) to its value, null meaning absent. Fields
+ * listed in `secretFields` are stored masked, and a change to one of them (or
+ * the removal of a value that holds them) cannot be reverted from the log.
+ * @param {object} config - from auditConfigFromEnv
+ * @param {object} change - { actor, route, kind, before, after, secretFields?, revertible?, reverts? }
+ * @returns {object|null} the entry, or null when nothing changed
+ */
+export async function recordChange(config, change) {
+  const { actor = null, route, kind, secretFields = [], reverts = null } = change;
+  const keys = Array.from(
+    new Set([...Object.keys(change.before || {}), ...Object.keys(change.after || {})])
+  ).sort();
+  const diff = [];
+  let touchesSecrets = false;
+  for (const key of keys) {
+    const before = change.before?.[key] ?? null;
+    const after = change.after?.[key] ?? null;
+    for (const item of diffValues(before, after)) {
+      const field = item.path[0];
+      const secret = Boolean(field && secretFields.includes(field));
+      if (secret || (!item.path.length && secretFields.length && before)) touchesSecrets = true;
+      diff.push({
+        key,
+        field: item.path.join(".") || null,
+        before: secret ? (item.before ? maskSecret(item.before, 0) : null) : redact(item.before, secretFields),
+        after: secret ? (item.after ? maskSecret(item.after, 0) : null) : redact(item.after, secretFields),
+      });
+    }
+  }
+  if (!diff.length) return null;
+
+  const entry = {
+    id: `${Date.now().toString(36)}-${randomBytes(3).toString("hex")}`,
+    at: new Date().toISOString(),
+    actor,
+    route,
+    kind,
+    keys: keys.filter((key) => diff.some((item) => item.key === key)),
+    diff,
+    before: Object.fromEntries(keys.map((key) => [key, redact(change.before?.[key], secretFields)])),
+    after: Object.fromEntries(keys.map((key) => [key, redact(change.after?.[key], secretFields)])),
+    revertible: change.revertible !== false && !touchesSecrets,
+    reverts,
+    ...(secretFields.length ? { secret_fields: secretFields } : {}),
+  };
+  await fs.mkdir(path.dirname(config.file), { recursive: true });
+  await fs.appendFile(config.file, JSON.stringify(entry) + "\n", "utf8");
+  return entry;
+}
+
+async function readEntries(file) {
+  let raw;
+  try {
+    raw = await fs.readFile(file, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+  const entries = [];
+  for (const line of raw.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // A torn last line from a crash mid-append; skip it.
+    }
+  }
+  return entries;
+}
+
+/**
+ * Entries newest first, each with `reverted_by` set when a later entry undid
+ * it.
+ * @param {object} filters - { kind?, key?, actor?, limit? }
+ */
+export async function readAuditLog(config, { kind, key, actor, limit } = {}) {
+  const entries = await readEntries(config.file);
+  const revertedBy = new Map(
+    entries.filter((entry) => entry.reverts).map((entry) => [entry.reverts, entry.id])
+  );
+  const wantedKey = (key || "").toString().trim().toLowerCase();
+  const max = Math.min(Math.max(Number(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const matches = [];
+  for (let i = entries.length - 1; i >= 0 && matches.length < max; i -= 1) {
+    const entry = entries[i];
+    if (kind && entry.kind !== kind) continue;
+    if (actor && entry.actor !== actor) continue;
+    if (wantedKey && !entry.keys.some((k) => k.toLowerCase().includes(wantedKey))) continue;
+    matches.push({ ...entry, reverted_by: revertedBy.get(entry.id) || null });
+  }
+  return { entries: matches, total: entries.length };
+}
+
+/**
+ * Looks up an entry to undo and checks it still can be: revertible, not
+ * already reverted, and every key still holding the value the entry left
+ * (compared after masking secrets, as stored).
+ * @param {function} readCurrent - (entry) => map of the entry's keys to their values now
+ * @returns {object} { entry, current }; `entry.before` is what to restore
+ */
+export async function prepareRevert(config, id, readCurrent) {
+  const entries = await readEntries(config.file);
+  const entry = entries.find((item) => item.id === id);
+  if (!entry) throw fail(`No audit entry ${id}`, 404);
+  if (!entry.revertible) {
+    throw fail("This change involved stored secrets or a removed credential and cannot be reverted from the log", 409);
+  }
+  const revert = entries.find((item) => item.reverts === id);
+  if (revert) throw fail(`Already reverted by ${revert.id}`, 409);
+  const current = await readCurrent(entry);
+  const moved = entry.keys.filter(
+    (key) => !sameValue(redact(current[key], entry.secret_fields || []), entry.after[key])
+  );
+  if (moved.length) {
+    throw fail(`Changed again since, revert the later change first: ${moved.join(", ")}`, 409);
+  }
+  return { entry, current };
+}
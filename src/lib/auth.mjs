@@ -0,0 +1,366 @@
+import fs from "node:fs";
+import fsp from "node:fs/promises";
+import path from "node:path";
+import { createHash, randomBytes, scrypt, timingSafeEqual } from "node:crypto";
+import { promisify } from "node:util";
+
+// Local accounts for the dashboard server. Users live in a JSON file holding
+// scrypt password hashes; a login hands out a random session token as an
+// HttpOnly cookie, and only the token's SHA-256 hash is ever stored.
+
+const scryptAsync = promisify(scrypt);
+
+// Ordered from least to most access; each role can do everything the ones
+// before it can.
+export const ROLES = ["viewer", "operator", "admin"];
+export const SESSION_COOKIE = "sis_session";
+export const MIN_PASSWORD_LENGTH = 10;
+
+const USERNAME_RE = /^[a-z0-9][a-z0-9._@-]{1,63}$/;
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEYLEN = 64;
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+function fail(message, status = 400) {
+  return Object.assign(new Error(message), { status });
+}
+
+/**
+ * Auth settings from the environment (see .env.example). Relative paths are
+ * resolved against `root`.
+ */
+export function authConfigFromEnv({ root = process.cwd() } = {}) {
+  return {
+    usersFile: path.resolve(root, process.env.AUTH_USERS_FILE || path.join("secrets", "users.json")),
+    sessionsFile: path.resolve(
+      root,
+      process.env.AUTH_SESSIONS_FILE || path.join("data", "auth-sessions.json")
+    ),
+    sessionHours: envNumber("AUTH_SESSION_HOURS", 12),
+    secureCookie: process.env.AUTH_COOKIE_SECURE === "1",
+    maxLoginFailures: envNumber("AUTH_MAX_LOGIN_FAILURES", 5),
+    lockoutMinutes: envNumber("AUTH_LOCKOUT_MINUTES", 15),
+  };
+}
+
+export function roleAtLeast(role, required) {
+  const have = ROLES.indexOf(role);
+  return have !== -1 && have >= ROLES.indexOf(required);
+}
+
+export function normalizeUsername(value) {
+  const username = (value || "").toString().trim().toLowerCase();
+  if (!USERNAME_RE.test(username)) {
+    throw fail("Username must be 2-64 characters: letters, digits, '.', '_', '-' or '@'");
+  }
+  return username;
+}
+
+function normalizeRole(value) {
+  const role = (value || "").toString().trim().toLowerCase();
+  if (!ROLES.includes(role)) throw fail(`Role must be one of ${ROLES.join(", ")}`);
+  return role;
+}
+
+/**
+ * Hashes a password as `scrypt$N$r$p$salt$hash` (base64 salt and hash), so
+ * the parameters can be raised later without breaking stored hashes.
+ */
+export async function hashPassword(password) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    throw fail(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  const salt = randomBytes(16);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const hash = await scryptAsync(password, salt, SCRYPT_KEYLEN, { N, r, p });
+  return ["scrypt", N, r, p, salt.toString("base64"), hash.toString("base64")].join("$");
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = (stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash || typeof password !== "string") return false;
+  const expected = Buffer.from(hash, "base64");
+  const actual = await scryptAsync(password, Buffer.from(salt, "base64"), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p),
+  });
+  return timingSafeEqual(actual, expected);
+}
+
+// A hash to check against when the username does not exist, so a login
+// takes as long whether or not the account is real.
+const decoyHash = hashPassword(randomBytes(16).toString("hex"));
+
+async function writeJsonAtomic(filePath, value, mode) {
+  const dir = path.dirname(filePath);
+  await fsp.mkdir(dir, { recursive: true });
+  const tmpPath = path.join(dir, `.${path.basename(filePath)}.tmp-${process.pid}-${Date.now()}`);
+  await fsp.writeFile(tmpPath, JSON.stringify(value, null, 2) + "\n", { encoding: "utf8", mode });
+  await fsp.rename(tmpPath, filePath);
+}
+
+let cachedUsers = null;
+
+/**
+ * Reads the users file; a missing file means no accounts. Re-read when the
+ * file's mtime changes, so accounts added with scripts/manage-users.mjs apply
+ * without a restart.
+ * @returns {object[]} stored users, password hashes included
+ */
+export function loadUsers(file = authConfigFromEnv().usersFile) {
+  let mtime = null;
+  try {
+    mtime = fs.statSync(file).mtimeMs;
+  } catch {
+    return [];
+  }
+  const cacheKey = `${file}:${mtime}`;
+  if (cachedUsers?.key === cacheKey) return cachedUsers.users;
+  let doc;
+  try {
+    doc = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw fail(`${path.basename(file)} is not valid JSON (${err.message})`, 500);
+  }
+  const users = Array.isArray(doc?.users) ? doc.users : [];
+  cachedUsers = { key: cacheKey, users };
+  return users;
+}
+
+/** A user as the API shows it: no password hash. */
+export function publicUser(user) {
+  if (!user) return null;
+  const { password_hash, ...rest } = user;
+  return rest;
+}
+
+export function findUser(username, file) {
+  const wanted = (username || "").toString().trim().toLowerCase();
+  return loadUsers(file).find((user) => user.username === wanted) || null;
+}
+
+function countAdmins(users) {
+  return users.filter((user) => user.role === "admin").length;
+}
+
+/**
+ * Creates a user or updates one's role and/or password. Refuses to leave the
+ * server without an admin.
+ * @param {object} input - { username, role?, password? }; new users need both
+ * @returns {object} the saved user without its hash
+ */
+export async function saveUser({ username, role, password }, { file = authConfigFromEnv().usersFile } = {}) {
+  const name = normalizeUsername(username);
+  const users = loadUsers(file).map((user) => ({ ...user }));
+  const now = new Date().toISOString();
+  let user = users.find((entry) => entry.username === name);
+  if (!user) {
+    if (!role || !password) throw fail("New users need a role and a password");
+    user = { username: name, role: normalizeRole(role), created_at: now };
+    users.push(user);
+  } else if (role) {
+    user.role = normalizeRole(role);
+  }
+  if (password !== undefined && password !== null && password !== "") {
+    user.password_hash = await hashPassword(password);
+    user.password_changed_at = now;
+  }
+  user.updated_at = now;
+  if (loadUsers(file).some((entry) => entry.role === "admin") && !countAdmins(users)) {
+    throw fail("At least one admin must remain", 409);
+  }
+  users.sort((a, b) => a.username.localeCompare(b.username));
+  await writeJsonAtomic(file, { users }, 0o600);
+  return publicUser(user);
+}
+
+export async function deleteUser(username, { file = authConfigFromEnv().usersFile } = {}) {
+  const name = normalizeUsername(username);
+  const users = loadUsers(file);
+  const remaining = users.filter((user) => user.username !== name);
+  if (remaining.length === users.length) throw fail(`No user named ${name}`, 404);
+  if (countAdmins(users) && !countAdmins(remaining)) {
+    throw fail("At least one admin must remain", 409);
+  }
+  await writeJsonAtomic(file, { users: remaining }, 0o600);
+}
+
+/**
+ * Checks a username and password.
+ * @returns {object|null} the user (without hash) or null
+ */
+export async function authenticate(username, password, { file = authConfigFromEnv().usersFile } = {}) {
+  const user = findUser(username, file);
+  if (!user?.password_hash) {
+    await verifyPassword(password || "", await decoyHash);
+    return null;
+  }
+  return (await verifyPassword(password || "", user.password_hash)) ? publicUser(user) : null;
+}
+
+function hashToken(token) {
+  return createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Server-side sessions, persisted so a restart does not log everyone out.
+ * Sessions expire `sessionHours` after login. The server looks the user up on
+ * every request, so role changes, deleted accounts and password changes (which
+ * void older sessions, see sessionValidFor) apply immediately.
+ */
+export function createSessionStore({ file, sessionHours }) {
+  const sessions = new Map();
+  const ttlMs = sessionHours * MS_PER_HOUR;
+
+  function prune() {
+    const now = Date.now();
+    for (const [id, session] of sessions) {
+      if (Date.parse(session.expires_at) <= now) sessions.delete(id);
+    }
+  }
+
+  async function persist() {
+    prune();
+    await writeJsonAtomic(file, { sessions: Array.from(sessions.entries()) }, 0o600);
+  }
+
+  return {
+    async load() {
+      try {
+        const doc = JSON.parse(await fsp.readFile(file, "utf8"));
+        for (const [id, session] of Array.isArray(doc?.sessions) ? doc.sessions : []) {
+          sessions.set(id, session);
+        }
+      } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+      }
+      prune();
+    },
+
+    /** @returns {object} { token, expiresAt } — the token is only ever in the cookie */
+    async create(username) {
+      const token = randomBytes(32).toString("base64url");
+      const now = Date.now();
+      const session = {
+        username,
+        created_at: new Date(now).toISOString(),
+        expires_at: new Date(now + ttlMs).toISOString(),
+      };
+      sessions.set(hashToken(token), session);
+      await persist();
+      return { token, expiresAt: session.expires_at };
+    },
+
+    get(token) {
+      if (!token) return null;
+      const session = sessions.get(hashToken(token));
+      if (!session) return null;
+      if (Date.parse(session.expires_at) <= Date.now()) {
+        sessions.delete(hashToken(token));
+        return null;
+      }
+      return session;
+    },
+
+    async destroy(token) {
+      if (token && sessions.delete(hashToken(token))) await persist();
+    },
+
+    async destroyUser(username) {
+      let changed = false;
+      for (const [id, session] of sessions) {
+        if (session.username === username) {
+          sessions.delete(id);
+          changed = true;
+        }
+      }
+      if (changed) await persist();
+    },
+
+    ttlSeconds: Math.round(ttlMs / 1000),
+  };
+}
+
+/**
+ * False when the session predates the user's last password change, so a
+ * password reset from the CLI signs the account out everywhere.
+ */
+export function sessionValidFor(session, user) {
+  if (!session || !user) return false;
+  if (!user.password_changed_at) return true;
+  return Date.parse(session.created_at) >= Date.parse(user.password_changed_at);
+}
+
+/**
+ * Counts failed logins per key (username + client address) and blocks the key
+ * for the rest of the window once `maxFailures` is reached.
+ */
+export function createLoginThrottle({ maxFailures, lockoutMinutes }) {
+  const windowMs = lockoutMinutes * 60 * 1000;
+  const failures = new Map();
+
+  function recent(key) {
+    const now = Date.now();
+    const list = (failures.get(key) || []).filter((at) => now - at < windowMs);
+    if (list.length) failures.set(key, list);
+    else failures.delete(key);
+    return list;
+  }
+
+  return {
+    /** @returns {number} seconds until the key may try again, 0 when allowed */
+    retryAfter(key) {
+      const list = recent(key);
+      if (list.length < maxFailures) return 0;
+      return Math.ceil((list[0] + windowMs - Date.now()) / 1000);
+    },
+    fail(key) {
+      failures.set(key, [...recent(key), Date.now()]);
+    },
+    reset(key) {
+      failures.delete(key);
+    },
+  };
+}
+
+export function parseCookies(header = "") {
+  const cookies = {};
+  for (const part of header.split(";")) {
+    const eq = part.indexOf("=");
+    if (eq === -1) continue;
+    const name = part.slice(0, eq).trim();
+    if (!name || name in cookies) continue;
+    try {
+      cookies[name] = decodeURIComponent(part.slice(eq + 1).trim());
+    } catch {
+      cookies[name] = part.slice(eq + 1).trim();
+    }
+  }
+  return cookies;
+}
+
+/**
+ * Set-Cookie value for an HttpOnly cookie on the whole site; a null value
+ * clears it.
+ */
+export function serializeCookie(name, value, { maxAgeSeconds = 0, secure = false } = {}) {
+  const parts = [
+    `${name}=${value ? encodeURIComponent(value) : ""}`,
+    "Path=/",
+    "HttpOnly",
+    "SameSite=Lax",
+    `Max-Age=${value ? maxAgeSeconds : 0}`,
+  ];
+  if (secure) parts.push("Secure");
+  return parts.join("; ");
+}
+
+export function sessionCookie(token, options) {
+  return serializeCookie(SESSION_COOKIE, token, options);
+}
@@ -1,5 +1,8 @@
 import fs from "node:fs/promises";
-import path from "node:path";
+import { getStorage } from "./storage/index.mjs";
+import { loadFunnelDefinition } from "./funnelDefinition.mjs";
+import { terminationOutcome } from "../config/terminationMap.mjs";
+import { DURATION_BUCKETS_S, mergeDurations } from "./analytics/durations.mjs";
 
 const UNKNOWN_INSTANCE = "unknown";
 
@@ -33,26 +36,18 @@ export async function ensureDir(dir) {
   await fs.mkdir(dir, { recursive: true });
 }
 
-export function bucketGaRowsByFiForDay(gaRows, day) {
+export function bucketGaRowsByFiForDay(gaRows, day, funnel = loadFunnelDefinition()) {
   const out = {};
   for (const r of gaRows) {
     if (r.date !== day) continue;
     if (!r.fi_key) continue;
     out[r.fi_key] ??= {
-      select_merchants: 0,
-      user_data_collection: 0,
-      credential_entry: 0,
+      stages: funnel.emptyCounts(),
       instances: [],
     };
     const bucket = out[r.fi_key];
-    const views = r.views || 0;
-    if (r.page?.startsWith("/select-merchants")) {
-      bucket.select_merchants += views;
-    } else if (r.page?.startsWith("/user-data-collection")) {
-      bucket.user_data_collection += views;
-    } else if (r.page?.startsWith("/credential-entry")) {
-      bucket.credential_entry += views;
-    }
+    const stage = funnel.stageFor(r.host, r.page);
+    if (stage) bucket.stages[stage] += r.views || 0;
 
     if (r.instance) {
       const inst = r.instance.toString().toLowerCase();
@@ -78,6 +73,49 @@ export function bucketSisSessionsByFiForDay(sisSessionRows, day) {
   return out;
 }
 
+/**
+ * Counts placements against a merchant in a `by_merchant` map. Each merchant
+ * keeps its total, successes (as `successful_placements` counts them), the
+ * billable / site_failure / ux split of terminationOutcome, and the raw
+ * termination counts.
+ */
+export function addMerchantPlacements(byMerchant, merchant, termination, { count = 1, successful = false } = {}) {
+  const bucket = (byMerchant[merchant] ??= {
+    total: 0,
+    successful: 0,
+    billable: 0,
+    site_failure: 0,
+    ux: 0,
+    by_termination: {},
+  });
+  bucket.total += count;
+  if (successful) bucket.successful += count;
+  bucket[terminationOutcome(termination)] += count;
+  bucket.by_termination[termination] = (bucket.by_termination[termination] || 0) + count;
+  return bucket;
+}
+
+/** Adds one `by_merchant` map into another, e.g. instances into their FI. */
+export function mergeMerchantPlacements(target, source) {
+  for (const [merchant, counts] of Object.entries(source || {})) {
+    const bucket = (target[merchant] ??= {
+      total: 0,
+      successful: 0,
+      billable: 0,
+      site_failure: 0,
+      ux: 0,
+      by_termination: {},
+    });
+    for (const field of ["total", "successful", "billable", "site_failure", "ux"]) {
+      bucket[field] += counts[field] || 0;
+    }
+    for (const [termination, count] of Object.entries(counts.by_termination || {})) {
+      bucket.by_termination[termination] = (bucket.by_termination[termination] || 0) + count;
+    }
+  }
+  return target;
+}
+
 export function bucketSisPlacementsByFiForDay(sisPlacementRows, day) {
   const out = {};
   for (const row of sisPlacementRows) {
@@ -87,6 +125,7 @@ export function bucketSisPlacementsByFiForDay(sisPlacementRows, day) {
       total_placements: 0,
       successful_placements: 0,
       by_termination: {},
+      by_merchant: {},
     };
     const c = row.count || 0;
     out[row.fi_lookup_key].total_placements += c;
@@ -96,18 +135,42 @@ export function bucketSisPlacementsByFiForDay(sisPlacementRows, day) {
     const term = row.termination || "UNKNOWN";
     out[row.fi_lookup_key].by_termination[term] =
       (out[row.fi_lookup_key].by_termination[term] || 0) + c;
+    if (row.merchant) {
+      addMerchantPlacements(out[row.fi_lookup_key].by_merchant, row.merchant, term, {
+        count: c,
+        successful: Boolean(row.success),
+      });
+    }
   }
   return out;
 }
 
+/**
+ * GA counts per funnel stage, keyed by stage id. Every stage of the
+ * definition is present so readers never have to guess at missing keys.
+ */
+function gaStageCounts(funnel, entry) {
+  const counts = funnel.emptyCounts();
+  for (const [stage, count] of Object.entries(entry?.stages || {})) {
+    if (stage in counts) counts[stage] = count || 0;
+  }
+  return counts;
+}
+
 export function buildDailyDocument({
   day,
+  funnel = loadFunnelDefinition(),
+  resolution = null,
+  unresolvedHosts = {},
   gaByFi,
   gaByInstance = {},
   sessionsByFi,
   sessionsByInstance = {},
   placementsByFi,
   placementsByInstance = {},
+  registryFor = null,
+  merchants = null,
+  merchantCatalog = null,
 }) {
   const allKeys = new Set([
     ...Object.keys(gaByFi),
@@ -117,11 +180,6 @@ export function buildDailyDocument({
   const fi = {};
   for (const key of allKeys) {
     const gRaw = gaByFi[key];
-    const g = gRaw || {
-      select_merchants: 0,
-      user_data_collection: 0,
-      credential_entry: 0,
-    };
     const s = sessionsByFi[key] || {
       total_sessions: 0,
       sessions_with_jobs: 0,
@@ -132,6 +190,7 @@ export function buildDailyDocument({
       total_placements: 0,
       successful_placements: 0,
       by_termination: {},
+      by_merchant: {},
     };
     const without_jobs = Math.max(
       0,
@@ -154,11 +213,7 @@ export function buildDailyDocument({
     }
 
     fi[key] = {
-      ga: {
-        select_merchants: g.select_merchants || 0,
-        user_data_collection: g.user_data_collection || 0,
-        credential_entry: g.credential_entry || 0,
-      },
+      ga: gaStageCounts(funnel, gRaw),
       ga_instances: gaInstances,
       sessions: {
         total: s.total_sessions,
@@ -169,7 +224,13 @@ export function buildDailyDocument({
         successful_jobs: s.successful_jobs_sum || 0,
         job_distribution: s.job_distribution || {},
       },
-      placements: p,
+      placements: {
+        total_placements: p.total_placements || 0,
+        successful_placements: p.successful_placements || 0,
+        by_termination: p.by_termination || {},
+        by_merchant: p.by_merchant || {},
+      },
+      durations: mergeDurations(mergeDurations({}, s.durations), p.durations),
     };
   }
 
@@ -196,11 +257,6 @@ export function buildDailyDocument({
       placementEntry?.instance,
       parsed.instance
     );
-    const g = gaEntry || {
-      select_merchants: 0,
-      user_data_collection: 0,
-      credential_entry: 0,
-    };
     const s = sessionEntry || {
       total_sessions: 0,
       sessions_with_jobs: 0,
@@ -221,15 +277,16 @@ export function buildDailyDocument({
       Boolean(sessionEntry?.is_test) ||
       Boolean(placementEntry?.is_test);
 
+    // Registry values in effect on this day (see registryHistory.mjs), so
+    // later changes to the registry do not relabel the rollup.
+    const registry = registryFor?.(fiLookupKey, instanceValue) || null;
+
     fiInstances[instanceKey] = {
       fi_lookup_key: fiLookupKey,
       instance: instanceValue,
       is_test: isTest,
-      ga: {
-        select_merchants: g.select_merchants || 0,
-        user_data_collection: g.user_data_collection || 0,
-        credential_entry: g.credential_entry || 0,
-      },
+      ...(registry ? { registry } : {}),
+      ga: gaStageCounts(funnel, gaEntry),
       sessions: {
         total: s.total_sessions,
         with_jobs: s.sessions_with_jobs,
@@ -243,12 +300,24 @@ export function buildDailyDocument({
         total_placements: p.total_placements || 0,
         successful_placements: p.successful_placements || 0,
         by_termination: p.by_termination || {},
+        // merchant key → { total, successful, billable, site_failure, ux,
+        // by_termination } (see addMerchantPlacements); keys match the
+        // document's `merchants`.
+        by_merchant: p.by_merchant || {},
       },
+      // metric → device → histogram (see analytics/durations.mjs).
+      durations: mergeDurations(mergeDurations({}, s.durations), p.durations),
     };
   }
 
   return {
     date: day,
+    // Which definition sorted GA rows into `ga` stages; rollups with another
+    // version are stale once the definition changes.
+    funnel: { version: funnel.version, stages: funnel.stageIds },
+    fi_resolution_version: resolution?.version || null,
+    // GA views on funnel pages whose hostname no resolution rule matched.
+    unresolved_hosts: unresolvedHosts,
     sources: {
       ga: Object.keys(gaByFi).length > 0,
       sis_sessions: Object.keys(sessionsByFi).length > 0,
@@ -256,19 +325,122 @@ export function buildDailyDocument({
     },
     fi,
     fi_instances: fiInstances,
+    // Upper edges, in seconds, of the `durations` histogram buckets.
+    duration_buckets: DURATION_BUCKETS_S,
+    ...(merchants
+      ? {
+          // Production placements per merchant, with the catalog's name, tags
+          // and tier as of the snapshot below.
+          merchants,
+          merchant_catalog: { fetched_at: merchantCatalog?.fetched_at || null },
+        }
+      : {}),
   };
 }
 
+/**
+ * Stores a daily rollup through the active storage engine. `baseDir` only
+ * applies to the JSON engine; SQLite keeps rollups in its `daily` table.
+ */
 export async function writeDailyFile(baseDir, day, doc) {
-  await ensureDir(baseDir);
-  const filePath = path.join(baseDir, `${day}.json`);
-  const tmpPath = path.join(
-    baseDir,
-    `.${day}.json.tmp-${process.pid}-${Date.now()}-${Math.random()
-      .toString(16)
-      .slice(2)}`
-  );
-  await fs.writeFile(tmpPath, JSON.stringify(doc, null, 2));
-  await fs.rename(tmpPath, filePath);
-  return filePath;
+  return getStorage().writeDaily(day, doc, { dir: baseDir });
+}
+
+export const HOURS = Array.from({ length: 24 }, (_, h) => String(h).padStart(2, "0"));
+
+// Flat counters kept per hour; the hourly API sums these across FIs/instances.
+export const HOURLY_METRICS = [
+  "ga_select",
+  "ga_user",
+  "ga_cred",
+  "sessions",
+  "sessions_with_jobs",
+  "sessions_with_success",
+  "placements",
+  "placements_success",
+];
+
+// Stage ids holding the select / user / cred roles, for the flat GA counters.
+function roleStageIds(funnel) {
+  const ids = {};
+  for (const stage of funnel.stages) {
+    if (stage.role) ids[stage.role] = stage.id;
+  }
+  return ids;
+}
+
+function hourlyMetrics(entry, roles) {
+  return {
+    ga_select: entry.ga?.[roles.select] || 0,
+    ga_user: entry.ga?.[roles.user] || 0,
+    ga_cred: entry.ga?.[roles.cred] || 0,
+    sessions: entry.sessions?.total || 0,
+    sessions_with_jobs: entry.sessions?.with_jobs || 0,
+    sessions_with_success: entry.sessions?.with_success || 0,
+    placements: entry.placements?.total_placements || 0,
+    placements_success: entry.placements?.successful_placements || 0,
+  };
+}
+
+function hasActivity(metrics) {
+  return HOURLY_METRICS.some((name) => metrics[name] > 0);
+}
+
+/**
+ * Folds one daily-shaped document per hour (each built from that hour's raw
+ * rows) into a single hourly rollup: per FI and per FI-instance, a map of
+ * "HH" to flat counters. Quiet hours are left out.
+ * GA counters follow the stages holding the select / user / cred roles.
+ * @param {object} options - { day, funnel, hourDocs: { HH: dailyDoc }, merchants, unassigned, hourBasis }
+ */
+export function buildHourlyDocument({
+  day,
+  funnel = loadFunnelDefinition(),
+  hourDocs,
+  merchants = {},
+  unassigned = {},
+  hourBasis,
+}) {
+  const roles = roleStageIds(funnel);
+  const fi = {};
+  const fiInstances = {};
+  for (const hour of HOURS) {
+    const doc = hourDocs[hour];
+    if (!doc) continue;
+    for (const [key, entry] of Object.entries(doc.fi || {})) {
+      const metrics = hourlyMetrics(entry, roles);
+      if (!hasActivity(metrics)) continue;
+      fi[key] ??= { hours: {} };
+      fi[key].hours[hour] = metrics;
+    }
+    for (const [key, entry] of Object.entries(doc.fi_instances || {})) {
+      const metrics = hourlyMetrics(entry, roles);
+      if (!hasActivity(metrics)) continue;
+      fiInstances[key] ??= {
+        fi_lookup_key: entry.fi_lookup_key,
+        instance: entry.instance,
+        is_test: false,
+        hours: {},
+      };
+      if (entry.is_test) fiInstances[key].is_test = true;
+      fiInstances[key].hours[hour] = metrics;
+    }
+  }
+  return {
+    date: day,
+    generated_at: new Date().toISOString(),
+    funnel_version: funnel.version,
+    hour_basis: hourBasis,
+    unassigned,
+    fi,
+    fi_instances: fiInstances,
+    merchants,
+  };
+}
+
+/**
+ * Stores an hourly rollup through the active storage engine.
+ */
+export async function writeHourlyFile(day, doc) {
+  return getStorage().writeHourly(day, doc);
 }
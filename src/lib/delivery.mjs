@@ -0,0 +1,583 @@
+import fs from "node:fs";
+import fsp from "node:fs/promises";
+import path from "node:path";
+import { randomUUID } from "node:crypto";
+import { sendMail } from "./smtp.mjs";
+
+// Delivery channel: sends job outcomes, anomaly alerts, partner reports and
+// CSV exports to email (SMTP) and webhook subscribers. Every message is an
+// entry in the delivery log; its content waits in the outbox until it is sent
+// or gives up, so pending retries survive a restart.
+
+export const DELIVERY_CHANNELS = ["email", "webhook"];
+export const DELIVERY_SCOPES = ["all", "partner", "fi"];
+export const DELIVERY_EVENTS = ["job_failed", "job_succeeded", "alert", "report", "export"];
+// Job outcomes are not about any one FI, so only "all" subscriptions get them.
+const GLOBAL_EVENTS = new Set(["job_failed", "job_succeeded"]);
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+const DEFAULT_TICK_MS = 15 * 1000;
+const DEFAULT_LOG_LIMIT = 500;
+const MAX_LABEL_LENGTH = 80;
+const EMAIL_RE = /^[^\s@<>,;]+@[^\s@<>,;]+\.[^\s@<>,;]+$/;
+
+function fail(message, status = 400) {
+  return Object.assign(new Error(message), { status });
+}
+
+function lower(value) {
+  return value ? value.toString().trim().toLowerCase() : "";
+}
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Delivery settings from the environment (see .env.example). Relative paths
+ * are resolved against `root`.
+ */
+export function deliveryConfigFromEnv({ root = process.cwd() } = {}) {
+  const secure = /^(1|true|yes)$/i.test(process.env.SMTP_SECURE || "");
+  return {
+    file: path.resolve(root, process.env.DELIVERY_FILE || path.join("data", "delivery.json")),
+    logFile: path.resolve(root, process.env.DELIVERY_LOG_FILE || path.join("data", "delivery-log.json")),
+    outboxDir: path.resolve(root, process.env.DELIVERY_OUTBOX_DIR || path.join("data", "delivery-outbox")),
+    registryFile: path.resolve(root, "fi_registry.json"),
+    smtp: {
+      host: (process.env.SMTP_HOST || "").trim() || null,
+      port: envNumber("SMTP_PORT", secure ? 465 : 587),
+      secure,
+      user: (process.env.SMTP_USER || "").trim() || null,
+      pass: process.env.SMTP_PASS || "",
+      from: (process.env.SMTP_FROM || "").trim() || "sis-funnel@localhost",
+    },
+    maxAttempts: envNumber("DELIVERY_MAX_ATTEMPTS", 5),
+    backoffMs: envNumber("DELIVERY_BACKOFF_MS", 60 * 1000),
+    baseUrl: (process.env.DELIVERY_BASE_URL || "").trim().replace(/\/+$/, "") || null,
+  };
+}
+
+async function writeFileAtomic(filePath, contents) {
+  await fsp.mkdir(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp-${process.pid}-${Date.now()}`;
+  await fsp.writeFile(tmpPath, contents, "utf8");
+  await fsp.rename(tmpPath, filePath);
+}
+
+function readJsonOrNull(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8") || "null");
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+function registryEntries(file) {
+  const registry = readJsonOrNull(file);
+  return registry && typeof registry === "object"
+    ? Object.values(registry).filter((entry) => entry && typeof entry === "object")
+    : [];
+}
+
+// ---------- Subscriptions ----------
+
+/**
+ * Validates one subscription: where it goes (email addresses or a webhook
+ * URL), which events it wants, and whose — everything, one partner's FIs or
+ * one FI. FI and partner keys are checked against the registry entries.
+ */
+export function normalizeDeliverySubscription(entry = {}, entries = []) {
+  const id = lower(entry.id).replace(/[^a-z0-9-]/g, "-");
+  if (!id) throw fail("Subscription id is required");
+  const channel = lower(entry.channel);
+  if (!DELIVERY_CHANNELS.includes(channel)) throw fail(`Subscription ${id}: channel must be email or webhook`);
+
+  let target;
+  if (channel === "email") {
+    const addresses = (entry.target || "")
+      .toString()
+      .split(/[\s,;]+/)
+      .filter(Boolean);
+    if (!addresses.length) throw fail(`Subscription ${id}: at least one email address is required`);
+    const invalid = addresses.find((address) => !EMAIL_RE.test(address));
+    if (invalid) throw fail(`Subscription ${id}: "${invalid}" is not an email address`);
+    target = Array.from(new Set(addresses)).join(", ");
+  } else {
+    target = (entry.target || "").toString().trim();
+    let url;
+    try {
+      url = new URL(target);
+    } catch {
+      url = null;
+    }
+    if (!url || !["http:", "https:"].includes(url.protocol)) {
+      throw fail(`Subscription ${id}: webhook URL must be http(s)`);
+    }
+  }
+
+  const scope = lower(entry.scope) || "all";
+  if (!DELIVERY_SCOPES.includes(scope)) throw fail(`Subscription ${id}: scope must be ${DELIVERY_SCOPES.join(", ")}`);
+  let key = null;
+  if (scope !== "all") {
+    const wanted = lower(entry.key);
+    if (!wanted) throw fail(`Subscription ${id}: ${scope === "fi" ? "an FI" : "a partner"} is required`);
+    if (scope === "fi") {
+      if (!entries.some((item) => lower(item.fi_lookup_key) === wanted)) {
+        throw fail(`Subscription ${id}: no FI "${entry.key}" in the registry`);
+      }
+      key = wanted;
+    } else {
+      const match = entries.find((item) => lower(item.partner) === wanted);
+      if (!match) throw fail(`Subscription ${id}: no FIs in the registry belong to partner "${entry.key}"`);
+      key = match.partner.toString().trim();
+    }
+  }
+
+  const events = DELIVERY_EVENTS.filter((event) => (entry.events || []).includes(event));
+  if (!events.length) throw fail(`Subscription ${id}: pick at least one event`);
+  const global = events.filter((event) => GLOBAL_EVENTS.has(event));
+  if (scope !== "all" && global.length) {
+    throw fail(`Subscription ${id}: job notifications are only for subscriptions to everything`);
+  }
+  return {
+    id,
+    label: (entry.label || "").toString().trim().slice(0, MAX_LABEL_LENGTH) || id,
+    enabled: Boolean(entry.enabled),
+    channel,
+    target,
+    scope,
+    key,
+    events,
+  };
+}
+
+export function readDeliverySubscriptions(file) {
+  const stored = readJsonOrNull(file);
+  return Array.isArray(stored?.subscriptions) ? stored.subscriptions : [];
+}
+
+/**
+ * Whether a subscription may see data about FI `fiKey`: subscriptions to
+ * everything always can, partner ones for their partner's FIs.
+ */
+function coversFi(subscription, fiKey, partnerOf) {
+  if (subscription.scope === "all") return true;
+  if (!fiKey) return false;
+  if (subscription.scope === "fi") return subscription.key === lower(fiKey);
+  return lower(partnerOf(fiKey)) === lower(subscription.key);
+}
+
+function coversReport(subscription, report, partnerOf) {
+  if (subscription.scope === "all") return true;
+  if (report.scope === "fi") return coversFi(subscription, report.key, partnerOf);
+  return subscription.scope === "partner" && lower(subscription.key) === lower(report.key);
+}
+
+// ---------- Messages ----------
+
+function formatAlert(alert) {
+  const value = alert.metric.endsWith("rate") ? `${(alert.value * 100).toFixed(1)}%` : alert.value;
+  const median = alert.metric.endsWith("rate") ? `${(alert.baseline.median * 100).toFixed(1)}%` : alert.baseline.median;
+  return `- [${alert.severity}] ${alert.day} ${alert.scope} ${alert.entity}: ${alert.metric} ${alert.kind} — ${value} vs median ${median} (z ${alert.z})`;
+}
+
+function describeRange(startDate, endDate) {
+  return startDate === endDate ? startDate : `${startDate} → ${endDate}`;
+}
+
+/**
+ * Subject, plain text, attachments and webhook payload of one event as a
+ * subscriber gets it. `data` is what was published (see createDeliveryService).
+ */
+export function composeDeliveryMessage(event, data, { baseUrl = null } = {}) {
+  const link = (pathname) => (baseUrl ? `${baseUrl}${pathname}` : null);
+  if (event === "job_failed" || event === "job_succeeded") {
+    const { run } = data;
+    const failed = event === "job_failed";
+    const what = run.kind === "rebuild" ? "Rollup rebuild" : "Data update";
+    const url = link("/maintenance.html");
+    const lines = [
+      `${what} ${failed ? "failed" : "finished"} for ${describeRange(run.startDate, run.endDate)}.`,
+      "",
+      `Trigger: ${run.trigger || "manual"}${run.scheduleId ? ` (schedule ${run.scheduleId})` : ""}`,
+      `Started: ${run.startedAt || "—"}`,
+      `Finished: ${run.finishedAt || "—"}`,
+    ];
+    if (failed) lines.push("", `Error: ${run.error || "unknown"}`);
+    const failures = Array.isArray(run.failures) ? run.failures : [];
+    if (failures.length) {
+      lines.push("", "Failed instances:", ...failures.map((f) => `- ${f.instanceName || f.instance || "?"}: ${f.error || f.message || ""}`));
+    }
+    if (url) lines.push("", `Maintenance: ${url}`);
+    return {
+      subject: `[SIS] ${what} ${failed ? "failed" : "succeeded"}: ${describeRange(run.startDate, run.endDate)}`,
+      text: lines.join("\n"),
+      attachments: [],
+      webhook: { run, url },
+    };
+  }
+  if (event === "alert") {
+    const { alerts } = data;
+    const url = link("/maintenance.html");
+    const critical = alerts.filter((alert) => alert.severity === "critical").length;
+    return {
+      subject: `[SIS] ${alerts.length} new anomaly alert${alerts.length === 1 ? "" : "s"}${critical ? ` (${critical} critical)` : ""}`,
+      text: [
+        "New anomalies against the recent baseline:",
+        "",
+        ...alerts.map(formatAlert),
+        ...(url ? ["", `Acknowledge them on ${url}`] : []),
+      ].join("\n"),
+      attachments: [],
+      webhook: { alerts, url },
+    };
+  }
+  if (event === "report") {
+    const { report, html } = data;
+    const url = link(`/reports/${report.file}`);
+    return {
+      subject: `[SIS] Report: ${report.name} — ${report.label}`,
+      text: [
+        `The ${report.name} report for ${describeRange(report.start, report.end)} is ready.`,
+        "",
+        `Sessions: ${report.totals.sessions}`,
+        `Sessions with a success: ${report.totals.sess_with_success}`,
+        `Placements: ${report.totals.placements}`,
+        ...(report.missing_days ? ["", `${report.missing_days} day(s) in the range have no data yet.`] : []),
+        "",
+        url ? `Online: ${url}` : "The report is attached.",
+      ].join("\n"),
+      attachments: html ? [{ filename: report.file, contentType: "text/html; charset=utf-8", content: html }] : [],
+      webhook: { report, url, html: html || null },
+    };
+  }
+  if (event === "export") {
+    const { filename, content, note } = data;
+    return {
+      subject: `[SIS] Funnel export: ${filename}`,
+      text: [`The funnel export ${filename} is attached.`, ...(note ? ["", note] : [])].join("\n"),
+      attachments: [{ filename, contentType: "text/csv; charset=utf-8", content }],
+      webhook: { filename, content_type: "text/csv", content, note: note || null },
+    };
+  }
+  if (event === "test") {
+    return {
+      subject: "[SIS] Test delivery",
+      text: `This is a test message from the SIS funnel to subscription "${data.label}".`,
+      attachments: [],
+      webhook: { message: "test delivery" },
+    };
+  }
+  throw fail(`Unknown delivery event "${event}"`);
+}
+
+async function postWebhook(url, body) {
+  let res;
+  try {
+    res = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    });
+  } catch (err) {
+    // fetch() reports network errors as "fetch failed" with the reason in `cause`.
+    const reason = err?.cause?.code || err?.cause?.message || err?.message || String(err);
+    throw new Error(err?.name === "TimeoutError" ? "webhook timed out" : reason);
+  }
+  if (!res.ok) {
+    // Client errors other than timeouts and rate limits will not fix themselves.
+    const permanent = res.status >= 400 && res.status < 500 && res.status !== 408 && res.status !== 429;
+    throw Object.assign(new Error(`HTTP ${res.status}`), { permanent });
+  }
+  return { response: `HTTP ${res.status}` };
+}
+
+// ---------- Service ----------
+
+/**
+ * File-backed delivery queue and log. Publishing fans an event out to the
+ * enabled subscriptions that want it and may see it; each copy is sent on
+ * its own and retried with doubling backoff up to `config.maxAttempts`
+ * times. `onChange(entry)` fires whenever a log entry changes.
+ *
+ * On load, entries left "sending" by a previous process go back to pending.
+ */
+export function createDeliveryService({
+  config,
+  onChange = () => {},
+  tickMs = DEFAULT_TICK_MS,
+  logLimit = DEFAULT_LOG_LIMIT,
+  send = { email: sendMail, webhook: postWebhook },
+}) {
+  let subscriptions = [];
+  let log = [];
+  let timer = null;
+  let processing = false;
+  let writeChain = Promise.resolve();
+
+  const outboxFile = (id) => path.join(config.outboxDir, `${id}.json`);
+  const removeOutbox = (id) => fsp.rm(outboxFile(id), { force: true }).catch(() => {});
+
+  function persist() {
+    const snapshot = { deliveries: log };
+    writeChain = writeChain
+      .then(() => writeFileAtomic(config.logFile, JSON.stringify(snapshot, null, 2) + "\n"))
+      .catch((err) => {
+        console.error("[delivery] failed to save the delivery log:", err?.message || err);
+      });
+    return writeChain;
+  }
+
+  function prune() {
+    const pending = log.filter((entry) => entry.status === "pending" || entry.status === "sending");
+    const finished = log.filter((entry) => !pending.includes(entry));
+    for (const entry of finished.slice(logLimit)) removeOutbox(entry.id);
+    log = [...pending, ...finished.slice(0, logLimit)].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  function changed(entry) {
+    prune();
+    persist();
+    try {
+      onChange(entry);
+    } catch (err) {
+      console.error("[delivery] change listener failed:", err?.message || err);
+    }
+  }
+
+  function load() {
+    subscriptions = [];
+    const entries = registryEntries(config.registryFile);
+    for (const entry of readDeliverySubscriptions(config.file)) {
+      try {
+        subscriptions.push(normalizeDeliverySubscription(entry, entries));
+      } catch (err) {
+        console.warn(`[delivery] ignoring invalid subscription ${entry?.id || "?"}: ${err.message}`);
+      }
+    }
+    const stored = readJsonOrNull(config.logFile);
+    log = (Array.isArray(stored?.deliveries) ? stored.deliveries : []).map((entry) =>
+      entry.status === "sending" ? { ...entry, status: "pending" } : entry
+    );
+  }
+
+  async function enqueue(subscription, event, data) {
+    const message = composeDeliveryMessage(event, data, { baseUrl: config.baseUrl });
+    const createdAt = new Date().toISOString();
+    const entry = {
+      id: randomUUID(),
+      event,
+      subscriptionId: subscription.id,
+      subscriptionLabel: subscription.label,
+      channel: subscription.channel,
+      target: subscription.target,
+      subject: message.subject,
+      attachments: message.attachments.map((file) => file.filename),
+      status: "pending",
+      attempts: 0,
+      createdAt,
+      nextAttemptAt: createdAt,
+      lastAttemptAt: null,
+      sentAt: null,
+      lastError: null,
+      response: null,
+    };
+    await fsp.mkdir(config.outboxDir, { recursive: true });
+    await writeFileAtomic(outboxFile(entry.id), JSON.stringify({ event, message }) + "\n");
+    log.unshift(entry);
+    changed(entry);
+    return entry;
+  }
+
+  async function deliver(entry) {
+    const { message, event } = JSON.parse(await fsp.readFile(outboxFile(entry.id), "utf8"));
+    if (entry.channel === "email") {
+      return send.email(config.smtp, {
+        to: entry.target.split(/,\s*/),
+        subject: message.subject,
+        text: message.text,
+        attachments: message.attachments,
+      });
+    }
+    return send.webhook(entry.target, {
+      source: "sis-funnel",
+      event,
+      sent_at: new Date().toISOString(),
+      delivery_id: entry.id,
+      subscription: entry.subscriptionId,
+      ...message.webhook,
+    });
+  }
+
+  async function attempt(entry) {
+    entry.status = "sending";
+    entry.attempts += 1;
+    entry.lastAttemptAt = new Date().toISOString();
+    changed(entry);
+    try {
+      const result = await deliver(entry);
+      Object.assign(entry, {
+        status: "sent",
+        sentAt: new Date().toISOString(),
+        nextAttemptAt: null,
+        lastError: null,
+        response: result?.response || null,
+      });
+      removeOutbox(entry.id);
+    } catch (err) {
+      const gaveUp = err?.permanent || err?.code === "ENOENT" || entry.attempts >= config.maxAttempts;
+      entry.lastError = err?.message || String(err);
+      entry.status = gaveUp ? "failed" : "pending";
+      entry.nextAttemptAt = gaveUp
+        ? null
+        : new Date(Date.now() + config.backoffMs * 2 ** (entry.attempts - 1)).toISOString();
+      console.warn(
+        `[delivery] ${entry.event} to ${entry.subscriptionId} failed (attempt ${entry.attempts}): ${entry.lastError}` +
+          (gaveUp ? " — giving up" : "")
+      );
+    }
+    changed(entry);
+  }
+
+  async function processDue() {
+    if (processing) return;
+    processing = true;
+    try {
+      for (;;) {
+        const now = new Date().toISOString();
+        const due = log
+          .filter((entry) => entry.status === "pending" && entry.nextAttemptAt <= now)
+          .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt))[0];
+        if (!due) break;
+        await attempt(due);
+      }
+    } catch (err) {
+      console.error("[delivery] processing failed:", err?.message || err);
+    } finally {
+      processing = false;
+    }
+  }
+
+  function kick() {
+    processDue();
+  }
+
+  return {
+    start() {
+      load();
+      if (timer) return;
+      timer = setInterval(processDue, tickMs);
+      if (timer.unref) timer.unref();
+      const enabled = subscriptions.filter((s) => s.enabled).length;
+      console.log(`[delivery] started (${enabled} enabled subscription(s)${config.smtp.host ? "" : ", SMTP not configured"})`);
+      kick();
+    },
+    stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+    },
+    snapshot({ limit = 100 } = {}) {
+      return {
+        smtp: { configured: Boolean(config.smtp.host), host: config.smtp.host, port: config.smtp.port, from: config.smtp.from },
+        maxAttempts: config.maxAttempts,
+        subscriptions,
+        deliveries: log.slice(0, limit),
+        pending: log.filter((entry) => entry.status === "pending" || entry.status === "sending").length,
+      };
+    },
+    async saveSubscriptions(next) {
+      const entries = registryEntries(config.registryFile);
+      const normalized = (next || []).map((entry) => normalizeDeliverySubscription(entry, entries));
+      const ids = new Set();
+      for (const subscription of normalized) {
+        if (ids.has(subscription.id)) throw fail(`Duplicate subscription id "${subscription.id}"`);
+        ids.add(subscription.id);
+      }
+      await writeFileAtomic(config.file, JSON.stringify({ subscriptions: normalized }, null, 2) + "\n");
+      subscriptions = normalized;
+      return subscriptions;
+    },
+    /**
+     * Sends `event` to every enabled subscription that wants it and covers it:
+     * - job_failed / job_succeeded { run }: subscriptions to everything
+     * - alert { alerts }: each subscription gets the FI alerts it covers;
+     *   merchant alerts go to subscriptions to everything only
+     * - report { report, html }: subscriptions covering the report's FI or partner
+     * Never throws; a publish that cannot be queued is logged and dropped.
+     * @returns {Promise<object[]>} the queued log entries
+     */
+    async publish(event, data) {
+      try {
+        const partners = new Map(
+          registryEntries(config.registryFile).map((entry) => [lower(entry.fi_lookup_key), entry.partner || null])
+        );
+        const partnerOf = (fiKey) => partners.get(lower(fiKey)) || null;
+        const queued = [];
+        for (const subscription of subscriptions) {
+          if (!subscription.enabled || !subscription.events.includes(event)) continue;
+          let payload = data;
+          if (event === "alert") {
+            const alerts = data.alerts.filter((alert) =>
+              alert.scope === "fi" ? coversFi(subscription, alert.entity, partnerOf) : subscription.scope === "all"
+            );
+            if (!alerts.length) continue;
+            payload = { alerts };
+          } else if (event === "report") {
+            if (!coversReport(subscription, data.report, partnerOf)) continue;
+          } else if (subscription.scope !== "all") {
+            continue;
+          }
+          queued.push(await enqueue(subscription, event, payload));
+        }
+        if (queued.length) kick();
+        return queued;
+      } catch (err) {
+        console.error(`[delivery] could not queue ${event}:`, err?.message || err);
+        return [];
+      }
+    },
+    /**
+     * Sends a CSV export { filename, content, note? } to the picked
+     * subscriptions, which must be enabled, subscribed to exports and
+     * subscribed to everything: the CSV is built in the browser and can cover
+     * any FI, so it is not checked against a partner or FI scope.
+     */
+    async sendExport(ids, data) {
+      const wanted = new Set(ids || []);
+      const picked = subscriptions.filter((subscription) => wanted.has(subscription.id));
+      const scoped = picked.filter((subscription) => subscription.scope !== "all");
+      if (scoped.length) {
+        const labels = scoped.map((subscription) => subscription.label).join(", ");
+        throw fail(`CSV exports only go to subscriptions to everything, not ${labels}`, 403);
+      }
+      const targets = picked.filter((subscription) => subscription.enabled && subscription.events.includes("export"));
+      if (!targets.length) throw fail("Pick at least one enabled subscription to everything that receives exports");
+      const queued = [];
+      for (const subscription of targets) queued.push(await enqueue(subscription, "export", data));
+      kick();
+      return queued;
+    },
+    /** Queues a test message to one subscription, enabled or not. */
+    async test(id) {
+      const subscription = subscriptions.find((s) => s.id === id);
+      if (!subscription) throw fail(`No subscription "${id}"`, 404);
+      const entry = await enqueue(subscription, "test", { label: subscription.label });
+      kick();
+      return entry;
+    },
+    /** Puts a failed delivery back in the queue with a fresh set of attempts. */
+    async retry(id) {
+      const entry = log.find((item) => item.id === id);
+      if (!entry) throw fail(`No delivery "${id}"`, 404);
+      if (entry.status !== "failed") throw fail("Only failed deliveries can be retried", 409);
+      if (!fs.existsSync(outboxFile(entry.id))) throw fail("The message content is gone; it cannot be resent", 410);
+      Object.assign(entry, { status: "pending", attempts: 0, nextAttemptAt: new Date().toISOString() });
+      changed(entry);
+      kick();
+      return entry;
+    },
+  };
+}
@@ -0,0 +1,233 @@
+// Concurrency and rate control for CardSavr API calls. Every request made
+// through a wrapped session takes a global slot, a per-instance slot and a
+// token from that instance's requests-per-second bucket, and is retried with
+// exponential backoff on 429/5xx and transient network errors.
+
+const SDK_REQUEST_METHODS = new Set(["get", "getCardPlacementResults"]);
+const RETRYABLE_CODES = new Set([
+  "ECONNRESET",
+  "ETIMEDOUT",
+  "ECONNREFUSED",
+  "EAI_AGAIN",
+  "EPIPE",
+  "UND_ERR_SOCKET",
+]);
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Limiter settings from the environment (see .env.example).
+ */
+export function fetchLimitsFromEnv() {
+  return {
+    globalConcurrency: envNumber("FETCH_CONCURRENCY", 6),
+    perInstanceConcurrency: envNumber("FETCH_INSTANCE_CONCURRENCY", 2),
+    requestsPerSecond: envNumber("FETCH_INSTANCE_RPS", 4),
+    dayConcurrency: envNumber("FETCH_DAY_CONCURRENCY", 2),
+    maxRetries: envNumber("FETCH_MAX_RETRIES", 5),
+    baseDelayMs: envNumber("FETCH_BACKOFF_MS", 500),
+    maxDelayMs: 30000,
+  };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function createSemaphore(limit) {
+  let active = 0;
+  const waiting = [];
+  return {
+    async acquire() {
+      if (active < limit) {
+        active += 1;
+        return;
+      }
+      await new Promise((resolve) => waiting.push(resolve));
+    },
+    release() {
+      const next = waiting.shift();
+      if (next) next();
+      else active -= 1;
+    },
+    get active() {
+      return active;
+    },
+  };
+}
+
+function createTokenBucket(ratePerSecond) {
+  const capacity = Math.max(1, ratePerSecond);
+  let tokens = capacity;
+  let last = Date.now();
+  // Waiters queue on a chain so tokens are handed out in request order.
+  let chain = Promise.resolve();
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + ((now - last) / 1000) * ratePerSecond);
+    last = now;
+  };
+  return {
+    take() {
+      const turn = chain.then(async () => {
+        refill();
+        if (tokens < 1) {
+          const waitMs = Math.ceil(((1 - tokens) / ratePerSecond) * 1000);
+          await sleep(waitMs);
+          refill();
+        }
+        tokens -= 1;
+      });
+      chain = turn.catch(() => {});
+      return turn;
+    },
+  };
+}
+
+function statusOf(err) {
+  const candidates = [
+    err?.status,
+    err?.statusCode,
+    err?.response?.status,
+    err?.response?.statusCode,
+    err?.body?.status,
+  ];
+  for (const value of candidates) {
+    const num = Number(value);
+    if (Number.isInteger(num) && num >= 100) return num;
+  }
+  const match = /\b(429|5\d\d)\b/.exec(err?.message || "");
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Whether an SDK error is worth retrying (rate limited, server error, or a
+ * dropped connection). Auth and validation errors are not.
+ */
+export function isRetryableError(err) {
+  const status = statusOf(err);
+  if (status === 429 || (status >= 500 && status < 600)) return true;
+  return RETRYABLE_CODES.has(err?.code) || RETRYABLE_CODES.has(err?.cause?.code);
+}
+
+function retryAfterMs(err) {
+  const headers = err?.response?.headers || err?.headers;
+  const raw = headers?.get ? headers.get("retry-after") : headers?.["retry-after"];
+  const seconds = Number(raw);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : null;
+}
+
+export function createFetchLimiter(options = {}) {
+  const limits = { ...fetchLimitsFromEnv(), ...options };
+  const globalSlots = createSemaphore(limits.globalConcurrency);
+  const perInstance = new Map();
+  const startedAt = Date.now();
+  const stats = { requests: 0, retries: 0, failures: 0, rows: 0 };
+
+  function instanceState(instanceName) {
+    if (!perInstance.has(instanceName)) {
+      perInstance.set(instanceName, {
+        slots: createSemaphore(limits.perInstanceConcurrency),
+        bucket: createTokenBucket(limits.requestsPerSecond),
+        requests: 0,
+      });
+    }
+    return perInstance.get(instanceName);
+  }
+
+  /**
+   * Runs one request for `instanceName` under the limits, retrying with
+   * exponential backoff (plus jitter, or Retry-After when given).
+   */
+  async function run(instanceName, fn, label = "request") {
+    const state = instanceState(instanceName);
+    for (let attempt = 0; ; attempt += 1) {
+      let error;
+      await state.slots.acquire();
+      await globalSlots.acquire();
+      try {
+        await state.bucket.take();
+        stats.requests += 1;
+        state.requests += 1;
+        return await fn();
+      } catch (err) {
+        error = err;
+      } finally {
+        // Slots are not held while backing off, so other instances keep moving.
+        globalSlots.release();
+        state.slots.release();
+      }
+      if (attempt >= limits.maxRetries || !isRetryableError(error)) {
+        stats.failures += 1;
+        throw error;
+      }
+      stats.retries += 1;
+      const backoff = Math.min(limits.maxDelayMs, limits.baseDelayMs * 2 ** attempt);
+      const delay = retryAfterMs(error) ?? backoff / 2 + Math.random() * (backoff / 2);
+      console.warn(
+        `[limiter] ${instanceName} ${label} failed (${statusOf(error) || error?.code || error?.message}); retry ${attempt + 1}/${limits.maxRetries} in ${Math.round(delay)}ms`
+      );
+      await sleep(delay);
+    }
+  }
+
+  return {
+    limits,
+    run,
+    /**
+     * Wraps an SDK session so its request methods go through `run`. Other
+     * properties pass through untouched.
+     */
+    wrapSession(session, instanceName) {
+      return new Proxy(session, {
+        get(target, prop, receiver) {
+          const value = Reflect.get(target, prop, receiver);
+          if (typeof value !== "function") return value;
+          if (!SDK_REQUEST_METHODS.has(prop)) return value.bind(target);
+          return (...args) => run(instanceName, () => value.apply(target, args), String(prop));
+        },
+      });
+    },
+    addRows(count) {
+      stats.rows += count;
+    },
+    stats() {
+      const elapsedSec = Math.max(0.001, (Date.now() - startedAt) / 1000);
+      return {
+        ...stats,
+        elapsedMs: Math.round(elapsedSec * 1000),
+        requestsPerSec: Number((stats.requests / elapsedSec).toFixed(2)),
+        rowsPerSec: Number((stats.rows / elapsedSec).toFixed(1)),
+        inFlight: globalSlots.active,
+        perInstance: Object.fromEntries(
+          Array.from(perInstance.entries()).map(([name, state]) => [name, state.requests])
+        ),
+      };
+    },
+  };
+}
+
+/**
+ * Runs `worker(item, index)` over `items` with at most `limit` in flight. Stops
+ * starting new items after the first failure and rethrows it once the
+ * in-flight ones settle.
+ */
+export async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  let firstError = null;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length && !firstError) {
+      const index = next++;
+      try {
+        results[index] = await worker(items[index], index);
+      } catch (err) {
+        if (!firstError) firstError = err;
+      }
+    }
+  });
+  await Promise.all(runners);
+  if (firstError) throw firstError;
+  return results;
+}
@@ -0,0 +1,340 @@
+import fs from "node:fs";
+import path from "node:path";
+import { randomUUID } from "node:crypto";
+
+// One manifest per fetchRawRange run, recording every day/source/instance
+// outcome so a failed backfill can pick up exactly where it stopped.
+const MANIFEST_ROOT = path.resolve("data", "fetch-manifests");
+const MAX_MANIFESTS = 50;
+
+export const FETCH_SOURCES = ["ga", "sessions", "placements"];
+const INSTANCE_SOURCES = new Set(["sessions", "placements"]);
+const FINISHED_STATUSES = new Set(["done", "skipped"]);
+
+function writeFileAtomicSync(targetPath, contents) {
+  const dir = path.dirname(targetPath);
+  fs.mkdirSync(dir, { recursive: true });
+  const tmpPath = path.join(
+    dir,
+    `.${path.basename(targetPath)}.tmp-${process.pid}-${Date.now()}-${Math.random()
+      .toString(16)
+      .slice(2)}`
+  );
+  fs.writeFileSync(tmpPath, contents);
+  fs.renameSync(tmpPath, targetPath);
+}
+
+function manifestPath(runId) {
+  if (!/^[a-z0-9-]+$/i.test(runId || "")) {
+    throw Object.assign(new Error(`Invalid fetch run id "${runId}"`), { status: 400 });
+  }
+  return path.join(MANIFEST_ROOT, `${runId}.json`);
+}
+
+function partialDir(runId) {
+  return path.join(MANIFEST_ROOT, `${runId}.partial`);
+}
+
+function partialPath(runId, day, source, instanceName) {
+  const safeName = encodeURIComponent(instanceName);
+  return path.join(partialDir(runId), day, source, `${safeName}.json`);
+}
+
+/**
+ * Starts a manifest from a plan of `{ [day]: { [source]: { refresh, reason } } }`.
+ * Sources that do not need a refresh are recorded as "skipped" up front so
+ * the remaining-work estimate covers the whole run from the start.
+ */
+export function createFetchManifest({ startDate, endDate, forceRaw, strict, plan, instances }) {
+  const now = new Date().toISOString();
+  const days = {};
+  for (const [day, sources] of Object.entries(plan)) {
+    days[day] = {};
+    for (const source of FETCH_SOURCES) {
+      const { refresh, reason } = sources[source] || { refresh: true, reason: null };
+      days[day][source] = {
+        status: refresh ? "pending" : "skipped",
+        reason: reason || null,
+        rows: null,
+        error: null,
+        durationMs: null,
+        finishedAt: null,
+        ...(INSTANCE_SOURCES.has(source) ? { instances: {} } : {}),
+      };
+    }
+  }
+  const manifest = {
+    runId: randomUUID(),
+    createdAt: now,
+    updatedAt: now,
+    startDate,
+    endDate,
+    forceRaw: Boolean(forceRaw),
+    strict: Boolean(strict),
+    instances: instances.slice(),
+    status: "running",
+    pid: process.pid,
+    attempts: 1,
+    error: null,
+    failures: [],
+    days,
+  };
+  saveFetchManifest(manifest);
+  pruneFetchManifests();
+  return manifest;
+}
+
+export function saveFetchManifest(manifest) {
+  manifest.updatedAt = new Date().toISOString();
+  writeFileAtomicSync(manifestPath(manifest.runId), JSON.stringify(manifest, null, 2) + "\n");
+}
+
+export function loadFetchManifest(runId) {
+  const p = manifestPath(runId);
+  if (!fs.existsSync(p)) return null;
+  return JSON.parse(fs.readFileSync(p, "utf8"));
+}
+
+function readManifestFiles() {
+  if (!fs.existsSync(MANIFEST_ROOT)) return [];
+  return fs
+    .readdirSync(MANIFEST_ROOT)
+    .filter((name) => name.endsWith(".json"))
+    .map((name) => {
+      try {
+        return JSON.parse(fs.readFileSync(path.join(MANIFEST_ROOT, name), "utf8"));
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => (b.createdAt || "").localeCompare(a.createdAt || ""));
+}
+
+function pruneFetchManifests() {
+  const manifests = readManifestFiles();
+  for (const manifest of manifests.slice(MAX_MANIFESTS)) {
+    fs.rmSync(manifestPath(manifest.runId), { force: true });
+    fs.rmSync(partialDir(manifest.runId), { recursive: true, force: true });
+  }
+}
+
+/**
+ * Most recent manifests, newest first, as summaries (no per-day detail).
+ */
+export function listFetchManifests({ limit = 20 } = {}) {
+  return readManifestFiles().slice(0, limit).map(summarizeFetchManifest);
+}
+
+/**
+ * Most recent run that stopped early and can be resumed, or null.
+ */
+export function latestResumableManifest() {
+  return readManifestFiles().find((m) => m.status === "failed" || m.status === "cancelled") || null;
+}
+
+function processAlive(pid) {
+  if (!pid) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === "EPERM";
+  }
+}
+
+/**
+ * Marks runs left "running" by a process that no longer exists as failed, so
+ * they show up as resumable after a crash or restart.
+ * @returns {number} how many manifests were updated
+ */
+export function markInterruptedFetchManifests() {
+  let count = 0;
+  for (const manifest of readManifestFiles()) {
+    if (manifest.status !== "running") continue;
+    if (manifest.pid === process.pid || processAlive(manifest.pid)) continue;
+    finishFetchManifest(manifest, {
+      status: "failed",
+      error: "Interrupted: the fetching process exited before finishing",
+    });
+    count += 1;
+  }
+  return count;
+}
+
+/**
+ * Resets a stopped manifest for another attempt; failed units go back to pending.
+ */
+export function reopenFetchManifest(manifest) {
+  manifest.status = "running";
+  manifest.pid = process.pid;
+  manifest.attempts = (manifest.attempts || 1) + 1;
+  manifest.error = null;
+  manifest.failures = [];
+  for (const sources of Object.values(manifest.days)) {
+    for (const unit of Object.values(sources)) {
+      if (unit.status === "failed") unit.status = "pending";
+    }
+  }
+  saveFetchManifest(manifest);
+  return manifest;
+}
+
+export function finishFetchManifest(manifest, { status, error = null, failures = [] }) {
+  manifest.status = status;
+  manifest.error = error;
+  manifest.failures = failures;
+  manifest.finishedAt = new Date().toISOString();
+  saveFetchManifest(manifest);
+  if (status === "completed") {
+    fs.rmSync(partialDir(manifest.runId), { recursive: true, force: true });
+  }
+}
+
+export function isUnitFinished(manifest, day, source) {
+  return FINISHED_STATUSES.has(manifest.days[day]?.[source]?.status);
+}
+
+export function markFetchUnit(manifest, day, source, fields) {
+  const unit = manifest.days[day][source];
+  Object.assign(unit, fields, { finishedAt: new Date().toISOString() });
+  saveFetchManifest(manifest);
+  if (unit.status === "done" && INSTANCE_SOURCES.has(source)) {
+    const allDone = Object.values(unit.instances || {}).every((i) => i.status === "done");
+    if (allDone) {
+      fs.rmSync(path.join(partialDir(manifest.runId), day, source), {
+        recursive: true,
+        force: true,
+      });
+    }
+  }
+}
+
+/**
+ * Per-instance checkpoint for one day/source. Rows of finished instances are
+ * kept in a partial file so a resumed run does not fetch them again.
+ */
+export function instanceCheckpoint(manifest, day, source) {
+  const unit = manifest.days[day][source];
+  unit.instances = unit.instances || {};
+  return {
+    restore(instanceName) {
+      if (unit.instances[instanceName]?.status !== "done") return null;
+      const p = partialPath(manifest.runId, day, source, instanceName);
+      if (!fs.existsSync(p)) return null;
+      return JSON.parse(fs.readFileSync(p, "utf8"));
+    },
+    record(instanceName, { status, rows = [], error = null, durationMs = null }) {
+      if (status === "done") {
+        writeFileAtomicSync(
+          partialPath(manifest.runId, day, source, instanceName),
+          JSON.stringify(rows)
+        );
+      }
+      unit.instances[instanceName] = {
+        status,
+        rows: status === "done" ? rows.length : null,
+        error,
+        durationMs,
+        finishedAt: new Date().toISOString(),
+      };
+      saveFetchManifest(manifest);
+    },
+  };
+}
+
+/**
+ * Instances that still have sessions/placements work in this manifest.
+ * @returns {{instances: Set<string>, placements: boolean}}
+ */
+export function pendingInstanceWork(manifest) {
+  const instances = new Set();
+  let placements = false;
+  for (const sources of Object.values(manifest.days)) {
+    for (const source of INSTANCE_SOURCES) {
+      const unit = sources[source];
+      if (!unit || FINISHED_STATUSES.has(unit.status)) continue;
+      for (const name of manifest.instances) {
+        if (unit.instances?.[name]?.status === "done") continue;
+        instances.add(name);
+        if (source === "placements") placements = true;
+      }
+    }
+  }
+  return { instances, placements };
+}
+
+function unitWeight(manifest, unit, source) {
+  if (!INSTANCE_SOURCES.has(source)) return { total: 1, done: FINISHED_STATUSES.has(unit.status) ? 1 : 0 };
+  const total = manifest.instances.length || 1;
+  if (FINISHED_STATUSES.has(unit.status)) return { total, done: total };
+  const done = manifest.instances.filter((name) => unit.instances?.[name]?.status === "done").length;
+  return { total, done };
+}
+
+/**
+ * Remaining work and ETA from the manifest. Units are one GA request per day
+ * and one sessions/placements fetch per instance per day; the ETA uses the
+ * average duration of units actually fetched in this run, per source.
+ */
+export function estimateRemainingWork(manifest) {
+  let totalUnits = 0;
+  let completedUnits = 0;
+  let failedUnits = 0;
+  const remainingBySource = { ga: 0, sessions: 0, placements: 0 };
+  const timing = { ga: [], sessions: [], placements: [] };
+
+  for (const sources of Object.values(manifest.days)) {
+    for (const source of FETCH_SOURCES) {
+      const unit = sources[source];
+      if (!unit) continue;
+      const { total, done } = unitWeight(manifest, unit, source);
+      totalUnits += total;
+      completedUnits += done;
+      remainingBySource[source] += total - done;
+      if (unit.status === "failed") failedUnits += 1;
+      if (INSTANCE_SOURCES.has(source)) {
+        for (const entry of Object.values(unit.instances || {})) {
+          if (entry.status === "done" && Number.isFinite(entry.durationMs)) {
+            timing[source].push(entry.durationMs);
+          }
+        }
+      } else if (unit.status === "done" && Number.isFinite(unit.durationMs)) {
+        timing[source].push(unit.durationMs);
+      }
+    }
+  }
+
+  const all = [...timing.ga, ...timing.sessions, ...timing.placements];
+  const average = (list) => (list.length ? list.reduce((a, b) => a + b, 0) / list.length : null);
+  const overallAvg = average(all);
+  let etaMs = overallAvg === null ? null : 0;
+  if (etaMs !== null) {
+    for (const source of FETCH_SOURCES) {
+      etaMs += remainingBySource[source] * (average(timing[source]) ?? overallAvg);
+    }
+  }
+
+  return {
+    totalUnits,
+    completedUnits,
+    remainingUnits: totalUnits - completedUnits,
+    failedUnits,
+    remainingBySource,
+    etaMs: etaMs === null ? null : Math.round(etaMs),
+  };
+}
+
+export function summarizeFetchManifest(manifest) {
+  const { days, ...rest } = manifest;
+  const dayList = Object.keys(days || {}).sort();
+  const stoppedAt = dayList.find((day) =>
+    FETCH_SOURCES.some((source) => !FINISHED_STATUSES.has(days[day][source]?.status))
+  );
+  return {
+    ...rest,
+    dayCount: dayList.length,
+    stoppedAt: manifest.status === "completed" ? null : stoppedAt || null,
+    estimate: estimateRemainingWork(manifest),
+  };
+}
@@ -0,0 +1,263 @@
+import fs from "node:fs";
+import fsp from "node:fs/promises";
+import path from "node:path";
+import { createHash } from "node:crypto";
+
+// How GA hostnames map to an FI and instance, and which FI/instance pairs are
+// aliases of another. Applied to GA rows, sessions and placements alike.
+export const DEFAULT_FI_RESOLUTION_RULES = {
+  hosts: [{ suffix: ".cardupdatr.app" }],
+  aliases: [
+    {
+      note: "Advancial's production site is served as default.advancial-prod",
+      match: { fi: "default", instance: "advancial-prod" },
+      set: { fi: "advancial-prod" },
+    },
+    {
+      note: "Advancial sessions report the default instance",
+      match: { fi: "advancial-prod", instance: "default" },
+      set: { instance: "advancial-prod" },
+    },
+  ],
+};
+
+export function fiResolutionRulesPath() {
+  return path.resolve(process.env.FI_RESOLUTION_RULES_PATH || "fi_resolution_rules.json");
+}
+
+function invalid(message) {
+  return Object.assign(new Error(`Invalid FI resolution rules: ${message}`), { status: 400 });
+}
+
+function lower(value) {
+  return value ? value.toString().trim().toLowerCase() : "";
+}
+
+function canonicalInstance(value) {
+  return lower(value).replace(/[^a-z0-9]/g, "");
+}
+
+function optionalString(value, where) {
+  if (value === undefined || value === null || value === "") return null;
+  if (typeof value !== "string") throw invalid(`${where} must be a string`);
+  return value.trim();
+}
+
+// Drops unset keys so saved files only hold what was written.
+function compact(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== null));
+}
+
+function normalizeHostRule(rule, i) {
+  const where = `hosts[${i}]`;
+  if (!rule || typeof rule !== "object") throw invalid(`${where} must be an object`);
+  const kinds = ["suffix", "regex", "host"].filter((key) => rule[key] !== undefined);
+  if (kinds.length !== 1 || typeof rule[kinds[0]] !== "string" || !rule[kinds[0]].trim()) {
+    throw invalid(`${where} needs exactly one of "suffix", "regex" or "host"`);
+  }
+  const kind = kinds[0];
+  const normalized = {
+    [kind]: kind === "regex" ? rule.regex : lower(rule[kind]),
+    fi: optionalString(rule.fi, `${where}.fi`),
+    instance: optionalString(rule.instance, `${where}.instance`),
+  };
+  if (kind === "regex") {
+    let re;
+    try {
+      re = new RegExp(rule.regex, "i");
+    } catch (err) {
+      throw invalid(`${where} has a bad regex (${err.message})`);
+    }
+    if (!normalized.fi && !/\(\?<fi>/.test(re.source)) {
+      throw invalid(`${where} needs a named group "fi" or a fixed "fi"`);
+    }
+  }
+  if (kind === "host" && !normalized.fi) {
+    throw invalid(`${where} maps one hostname and needs a fixed "fi"`);
+  }
+  if (rule.note) normalized.note = rule.note.toString();
+  return compact(normalized);
+}
+
+function normalizeAlias(alias, i) {
+  const where = `aliases[${i}]`;
+  if (!alias || typeof alias !== "object") throw invalid(`${where} must be an object`);
+  const side = (name) => {
+    const value = alias[name];
+    if (!value || typeof value !== "object") throw invalid(`${where}.${name} must be an object`);
+    const out = {
+      fi: optionalString(value.fi, `${where}.${name}.fi`),
+      instance: optionalString(value.instance, `${where}.${name}.instance`),
+    };
+    if (!out.fi && !out.instance) throw invalid(`${where}.${name} needs "fi" and/or "instance"`);
+    return compact(out);
+  };
+  const normalized = { match: side("match"), set: side("set") };
+  if (alias.note) normalized.note = alias.note.toString();
+  return normalized;
+}
+
+/**
+ * Validates a rules document and fills in defaults. Throws a 400 error naming
+ * the first problem found.
+ */
+export function normalizeFiResolutionRules(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw invalid("expected a JSON object");
+  }
+  if (!Array.isArray(raw.hosts) || !raw.hosts.length) {
+    throw invalid('"hosts" must be a non-empty array');
+  }
+  if (raw.aliases !== undefined && !Array.isArray(raw.aliases)) {
+    throw invalid('"aliases" must be an array');
+  }
+  return {
+    hosts: raw.hosts.map(normalizeHostRule),
+    aliases: (raw.aliases || []).map(normalizeAlias),
+  };
+}
+
+// Notes are left out, so documenting a rule does not make history stale.
+function rulesVersion(rules) {
+  const significant = {
+    hosts: rules.hosts.map(({ note, ...rule }) => rule),
+    aliases: rules.aliases.map(({ note, ...alias }) => alias),
+  };
+  return createHash("sha256").update(JSON.stringify(significant)).digest("hex").slice(0, 12);
+}
+
+function hostMatcher(rule) {
+  if (rule.host) {
+    return (host) => (host === rule.host ? { fi: rule.fi, instance: rule.instance } : null);
+  }
+  if (rule.regex) {
+    const re = new RegExp(rule.regex, "i");
+    return (host) => {
+      const match = re.exec(host);
+      if (!match) return null;
+      return {
+        fi: rule.fi || match.groups?.fi || null,
+        instance: rule.instance || match.groups?.instance || null,
+      };
+    };
+  }
+  // <fi>.<instance><suffix>, or <fi><suffix> when the FI has its own instance.
+  return (host) => {
+    if (!host.endsWith(rule.suffix)) return null;
+    const prefix = host.slice(0, -rule.suffix.length);
+    if (!prefix) return null;
+    const parts = prefix.split(".");
+    return { fi: rule.fi || parts[0], instance: rule.instance || parts[1] || parts[0] };
+  };
+}
+
+/**
+ * Turns normalized rules into resolvers. `resolveHost(host)` returns
+ * { fi_key, instance } or null for hosts no rule matches; `applyAliases`
+ * rewrites an FI/instance pair; `explainHost` reports each step for previews.
+ */
+export function compileFiResolutionRules(rules, { source = null } = {}) {
+  const matchers = rules.hosts.map(hostMatcher);
+  const aliases = rules.aliases.map((alias) => ({
+    ...alias,
+    fiKey: lower(alias.match.fi),
+    instanceKey: canonicalInstance(alias.match.instance),
+  }));
+
+  function applyAliasesTraced(fi, instance) {
+    let current = { fi, instance };
+    const applied = [];
+    aliases.forEach((alias, index) => {
+      if (alias.fiKey && lower(current.fi) !== alias.fiKey) return;
+      if (alias.instanceKey && canonicalInstance(current.instance) !== alias.instanceKey) return;
+      current = {
+        fi: alias.set.fi || current.fi,
+        instance: alias.set.instance || current.instance,
+      };
+      applied.push(index);
+    });
+    return { ...current, applied };
+  }
+
+  function explainHost(host = "") {
+    const normalizedHost = lower(host);
+    for (const [index, match] of matchers.entries()) {
+      const parsed = match(normalizedHost);
+      if (!parsed?.fi) continue;
+      const aliased = applyAliasesTraced(lower(parsed.fi), lower(parsed.instance || parsed.fi));
+      return {
+        host: normalizedHost,
+        resolved: { fi_key: aliased.fi, instance: aliased.instance },
+        hostRule: index,
+        parsed: { fi_key: lower(parsed.fi), instance: lower(parsed.instance || parsed.fi) },
+        aliases: aliased.applied,
+      };
+    }
+    return { host: normalizedHost, resolved: null, hostRule: null, parsed: null, aliases: [] };
+  }
+
+  return {
+    rules,
+    source,
+    version: rulesVersion(rules),
+    explainHost,
+    resolveHost(host) {
+      return explainHost(host).resolved;
+    },
+    /**
+     * Rewrites an FI/instance pair through the alias list. Values keep their
+     * original spelling unless an alias replaces them.
+     */
+    applyAliases({ fi, instance }) {
+      const { applied, ...result } = applyAliasesTraced(fi, instance);
+      return result;
+    },
+  };
+}
+
+export const DEFAULT_FI_RESOLUTION_VERSION = rulesVersion(
+  normalizeFiResolutionRules(DEFAULT_FI_RESOLUTION_RULES)
+);
+
+let cached = null;
+
+/**
+ * Loads fi_resolution_rules.json (or FI_RESOLUTION_RULES_PATH), falling back
+ * to the built-in CardUpdatr rules when the file does not exist. Re-read when
+ * the file's mtime changes.
+ */
+export function loadFiResolutionRules({ file = fiResolutionRulesPath() } = {}) {
+  let mtime = null;
+  try {
+    mtime = fs.statSync(file).mtimeMs;
+  } catch {
+    // No file: built-in default.
+  }
+  const cacheKey = `${file}:${mtime}`;
+  if (cached?.key === cacheKey) return cached.resolver;
+  let raw = DEFAULT_FI_RESOLUTION_RULES;
+  if (mtime !== null) {
+    try {
+      raw = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+      throw invalid(`${path.basename(file)} is not valid JSON (${err.message})`);
+    }
+  }
+  const resolver = compileFiResolutionRules(normalizeFiResolutionRules(raw), {
+    source: mtime === null ? "default" : file,
+  });
+  cached = { key: cacheKey, resolver };
+  return resolver;
+}
+
+/**
+ * Validates and writes the rules file (tmp file + rename).
+ * @returns {object} the compiled rules now in effect
+ */
+export async function saveFiResolutionRules(raw, { file = fiResolutionRulesPath() } = {}) {
+  const rules = normalizeFiResolutionRules(raw);
+  const tmpPath = `${file}.tmp-${process.pid}-${Date.now()}`;
+  await fsp.writeFile(tmpPath, JSON.stringify(rules, null, 2) + "\n", "utf8");
+  await fsp.rename(tmpPath, file);
+  return loadFiResolutionRules({ file });
+}
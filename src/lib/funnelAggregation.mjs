@@ -0,0 +1,718 @@
+import { mergeDurations } from "./analytics/durations.mjs";
+import { valueOn } from "./registryHistory.mjs";
+
+// The funnel page's aggregation, run on the server for /api/funnel: daily
+// rollups summed into one row per FI-instance over a date range, labelled
+// with the registry values in effect each day, split where those values
+// changed, and filtered the way the page filters. Pure over the documents it
+// is handed, so share links pass in scoped days and a scoped registry.
+
+export const FUNNEL_GRANULARITIES = ["range", "day", "week", "month", "quarter"];
+
+const INSTANCE_DISPLAY_OVERRIDES = new Map([["digital-onboarding", "digitalonboarding"]]);
+const INTEGRATION_PRECEDENCE = { CardSavr: 3, SSO: 2, "NON-SSO": 1 };
+const MIN_SELECTS = 10;
+
+function normalizeFiKey(value) {
+  return value ? value.toString().trim().toLowerCase() : "";
+}
+
+function normalizeInstanceKey(value) {
+  if (!value) return "unknown";
+  return value.toString().trim().toLowerCase().replace(/[^a-z0-9]/g, "") || "unknown";
+}
+
+function makeFiInstanceKey(fi, instance) {
+  return `${normalizeFiKey(fi)}__${normalizeInstanceKey(instance)}`;
+}
+
+function parseFiInstanceKey(key = "") {
+  if (!key.includes("__")) return { fi: key, instance: "unknown" };
+  const [fi, instance] = key.split("__");
+  return { fi, instance: instance || "unknown" };
+}
+
+function formatInstanceDisplay(value) {
+  if (!value) return "unknown";
+  const display = value.toString().trim().toLowerCase().replace(/[\s_]+/g, "-") || "unknown";
+  return INSTANCE_DISPLAY_OVERRIDES.get(display) || display;
+}
+
+export function normalizeIntegrationKey(value) {
+  const upper = (value || "").toString().trim().toUpperCase();
+  if (upper === "NON-SSO" || upper === "NON_SSO" || upper === "NONSSO") return "NON-SSO";
+  return upper;
+}
+
+function normalizeIntegrationLabel(value) {
+  if (!value) return "NON-SSO";
+  const raw = value.toString().trim().toUpperCase().replace(/[_\s-]+/g, "-");
+  if (raw === "SSO") return "SSO";
+  if (raw === "CARDSAVR" || raw === "CARD-SAVR" || raw === "CARDSAVER") return "CardSavr";
+  if (raw === "TEST") return "TEST";
+  if (raw === "UNKNOWN") return "UNKNOWN";
+  return "NON-SSO";
+}
+
+function deriveIntegration(meta) {
+  const raw = (meta?.integration_type || "").toString().toLowerCase();
+  const hasOnDot = (meta?.instances || []).some((inst) => (inst || "").toString().toLowerCase().includes("ondot"));
+  if (hasOnDot || raw === "cardsavr") return "CardSavr";
+  if (raw === "sso") return "SSO";
+  return "NON-SSO";
+}
+
+function applyIntegrationOverrides(integration, instance) {
+  return normalizeInstanceKey(instance) === "ondot" && integration !== "TEST" ? "CardSavr" : integration;
+}
+
+function dayCountInclusive(start, end) {
+  const diff = Math.floor((Date.parse(`${end}T00:00:00Z`) - Date.parse(`${start}T00:00:00Z`)) / 86400000);
+  return diff >= 0 ? diff + 1 : null;
+}
+
+/**
+ * Registry lookups by FI and by FI-instance. Entries listing several
+ * instances are merged per key, the strongest integration winning
+ * (CardSavr over SSO over NON-SSO).
+ * @returns {object} { entryFor(fi, instance), cardholdersFor(fi, instance) }
+ */
+export function createRegistryLookup(registry) {
+  const merged = new Map();
+  const mergeEntry = (key, payload) => {
+    const existing = merged.get(key);
+    if (!existing) {
+      merged.set(key, { ...payload });
+      return;
+    }
+    if ((INTEGRATION_PRECEDENCE[payload.integration] || 0) > (INTEGRATION_PRECEDENCE[existing.integration] || 0)) {
+      existing.integration = payload.integration;
+    }
+    existing.instances = Array.from(new Set([...existing.instances, ...payload.instances])).sort((a, b) =>
+      a.localeCompare(b)
+    );
+    for (const field of ["instance", "fi_name", "partner", "cardholder_source", "cardholder_as_of", "history"]) {
+      if (!existing[field] && payload[field]) existing[field] = payload[field];
+    }
+    if (!(Number(existing.cardholder_total) > 0) && Number(payload.cardholder_total) > 0) {
+      existing.cardholder_total = payload.cardholder_total;
+    }
+  };
+
+  for (const [name, meta] of Object.entries(registry || {})) {
+    const entry = { fi_name: name, ...(meta || {}) };
+    const fiKey = normalizeFiKey(entry.fi_lookup_key || entry.fi_name || entry.fi);
+    if (!fiKey) continue;
+    const instances = Array.from(
+      new Set([...(Array.isArray(entry.instances) ? entry.instances : []), entry.instance].filter(Boolean).map(String))
+    ).sort((a, b) => a.localeCompare(b));
+    const payload = {
+      integration: deriveIntegration({ ...entry, instances }),
+      instances,
+      fi_lookup_key: fiKey,
+      fi_name: entry.fi_name || entry.fi || fiKey,
+      partner: entry.partner || null,
+      cardholder_total: entry.cardholder_total ?? null,
+      cardholder_as_of: entry.cardholder_as_of || null,
+      cardholder_source: entry.cardholder_source || null,
+      history: entry.history || null,
+    };
+    mergeEntry(fiKey, payload);
+    for (const instance of instances.length ? instances : ["unknown"]) {
+      mergeEntry(makeFiInstanceKey(fiKey, instance), { ...payload, instances: [instance], instance });
+    }
+  }
+
+  const entries = new Map();
+  const cardholders = new Map();
+  for (const entry of merged.values()) {
+    const fiKey = normalizeFiKey(entry.fi_lookup_key || entry.fi_name);
+    const keys = [makeFiInstanceKey(fiKey, entry.instance), fiKey];
+    const total = Number(entry.cardholder_total);
+    for (const key of keys) {
+      if (!entries.has(key)) entries.set(key, entry);
+      if (total > 0 && !cardholders.has(key)) {
+        cardholders.set(key, { total, as_of: entry.cardholder_as_of, source: entry.cardholder_source });
+      }
+    }
+  }
+  const lookup = (map) => (fi, instance) =>
+    map.get(makeFiInstanceKey(fi, instance)) || map.get(normalizeFiKey(fi)) || null;
+  return { entryFor: lookup(entries), cardholdersFor: lookup(cardholders) };
+}
+
+/**
+ * Integration, partner and cardholders for an FI-instance on one day. The
+ * registry (with its history) wins; rollups stamped at build time cover FIs
+ * the registry no longer lists.
+ */
+function attributesOnDay(entry, row, day) {
+  if (entry) {
+    const history = entry.history || {};
+    const integration = history.integration_type
+      ? deriveIntegration({ integration_type: valueOn(entry, "integration_type", day), instances: entry.instances })
+      : entry.integration;
+    const cardholders = Number(valueOn(entry, "cardholder_total", day));
+    return {
+      integration: normalizeIntegrationLabel(integration),
+      partner: (valueOn(entry, "partner", day) || "Unknown").toString(),
+      cardholders: history.cardholder_total && cardholders > 0 ? cardholders : null,
+    };
+  }
+  const stamped = row?.registry;
+  const cardholders = Number(stamped?.cardholder_total);
+  return {
+    integration: normalizeIntegrationLabel(stamped?.integration_type),
+    partner: (stamped?.partner || "Unknown").toString(),
+    cardholders: cardholders > 0 ? cardholders : null,
+  };
+}
+
+/** Same order as the funnel page: the successful count, then BILLABLE, then the total. */
+function billablePlacements(placements) {
+  if (!placements || typeof placements !== "object") return 0;
+  if (typeof placements.successful_placements === "number") return placements.successful_placements;
+  if (typeof placements.by_termination?.BILLABLE === "number") return placements.by_termination.BILLABLE;
+  if (typeof placements.total_placements === "number") return placements.total_placements;
+  return typeof placements.total === "number" ? placements.total : 0;
+}
+
+/**
+ * Placements at merchants the day's catalog gives `tag`. Days built before
+ * the merchant catalog have no per-merchant counts and come out empty.
+ */
+function placementsForMerchantTag(placements, doc, tag) {
+  const out = { total_placements: 0, successful_placements: 0, by_termination: {}, by_merchant: {} };
+  for (const [merchant, counts] of Object.entries(placements?.by_merchant || {})) {
+    if (!(doc?.merchants?.[merchant]?.tags || []).includes(tag)) continue;
+    out.by_merchant[merchant] = counts;
+    out.total_placements += counts.total || 0;
+    out.successful_placements += counts.successful || 0;
+    addCounts(out.by_termination, counts.by_termination);
+  }
+  return out;
+}
+
+/** The FI-instance entries of one day, keyed as the page keys them. */
+function dayEntries(doc, merchantTag) {
+  if (doc?.fi_instances && Object.keys(doc.fi_instances).length) {
+    return Object.entries(doc.fi_instances).map(([key, row]) => {
+      const parsed = parseFiInstanceKey(key);
+      return {
+        key,
+        fi: row.fi_lookup_key || parsed.fi,
+        instance: formatInstanceDisplay(row.instance || parsed.instance),
+        row: merchantTag ? { ...row, placements: placementsForMerchantTag(row.placements, doc, merchantTag) } : row,
+      };
+    });
+  }
+  // Rollups from before per-instance rows: one entry per FI.
+  return Object.entries(doc?.fi || {}).map(([fi, row]) => {
+    const instance = formatInstanceDisplay(row.ga_instances?.[0]);
+    return { key: makeFiInstanceKey(fi, instance), fi, instance, row };
+  });
+}
+
+function missingSources(doc) {
+  const missing = [];
+  if (!doc.sources?.ga) missing.push("GA");
+  if (!doc.sources?.sis_sessions) missing.push("Sess");
+  if (!doc.sources?.sis_placements) missing.push("CPR");
+  return missing;
+}
+
+function addCounts(target, source) {
+  for (const [key, value] of Object.entries(source || {})) target[key] = (target[key] || 0) + (Number(value) || 0);
+  return target;
+}
+
+function emptyCounts() {
+  return {
+    ga_select: 0,
+    ga_user: 0,
+    ga_cred: 0,
+    ga_stages: {},
+    sessions: 0,
+    sess_with_jobs: 0,
+    sess_with_success: 0,
+    total_jobs: 0,
+    successful_jobs: 0,
+    job_distribution: {},
+    placements: 0,
+    placement_outcomes: { total: 0, billable: 0, site_failure: 0, ux: 0 },
+    by_termination: {},
+    durations: {},
+  };
+}
+
+/** Adds one day's rollup row, or another count set, into `target`. */
+function addDayCounts(target, row, roles) {
+  if (row.ga) {
+    target.ga_select += Number(row.ga[roles.select]) || 0;
+    target.ga_user += Number(row.ga[roles.user]) || 0;
+    target.ga_cred += Number(row.ga[roles.cred]) || 0;
+    addCounts(target.ga_stages, row.ga);
+  }
+  if (row.sessions) {
+    target.sessions += row.sessions.total || 0;
+    target.sess_with_jobs += row.sessions.with_jobs || 0;
+    target.sess_with_success += row.sessions.with_success || 0;
+    target.total_jobs += row.sessions.total_jobs || 0;
+    target.successful_jobs += row.sessions.successful_jobs || 0;
+    addCounts(target.job_distribution, row.sessions.job_distribution);
+  }
+  if (row.placements) {
+    target.placements += billablePlacements(row.placements);
+    // Days built before the per-merchant split only add to `total`.
+    target.placement_outcomes.total += row.placements.total_placements || 0;
+    for (const counts of Object.values(row.placements.by_merchant || {})) {
+      target.placement_outcomes.billable += counts.billable || 0;
+      target.placement_outcomes.site_failure += counts.site_failure || 0;
+      target.placement_outcomes.ux += counts.ux || 0;
+    }
+    addCounts(target.by_termination, row.placements.by_termination);
+  }
+  if (row.durations) mergeDurations(target.durations, row.durations);
+}
+
+function addRowCounts(target, row) {
+  for (const key of [
+    "ga_select",
+    "ga_user",
+    "ga_cred",
+    "sessions",
+    "sess_with_jobs",
+    "sess_with_success",
+    "total_jobs",
+    "successful_jobs",
+    "placements",
+  ]) {
+    target[key] += row[key] || 0;
+  }
+  for (const key of ["ga_stages", "job_distribution", "placement_outcomes", "by_termination"]) {
+    addCounts(target[key], row[key]);
+  }
+  mergeDurations(target.durations, row.durations);
+}
+
+// Per-day facts kept beside the counts while aggregating and dropped from
+// the rows returned: per-merchant placements, and the days built without the
+// merchant split or durations.
+function emptyExtras() {
+  return { merchants: new Map(), unsplit: new Set(), untimed: new Set() };
+}
+
+function addExtras(extras, row, date, doc) {
+  const placements = row.placements || {};
+  const byMerchant = placements.by_merchant || {};
+  if (placements.total_placements && !Object.keys(byMerchant).length) extras.unsplit.add(date);
+  for (const [merchant, counts] of Object.entries(byMerchant)) {
+    if (counts.billable === undefined) extras.unsplit.add(date);
+    const total = extras.merchants.get(merchant) || { merchant, name: null, total: 0, billable: 0, site_failure: 0, ux: 0 };
+    total.name = doc.merchants?.[merchant]?.name || total.name;
+    total.total += counts.total || 0;
+    total.billable += counts.billable || 0;
+    total.site_failure += counts.site_failure || 0;
+    total.ux += counts.ux || 0;
+    extras.merchants.set(merchant, total);
+  }
+  if (!row.durations) extras.untimed.add(date);
+}
+
+/**
+ * One row per FI-instance over `days` ([{ date, doc }], doc null when the
+ * day has no rollup). Rows are labelled with the latest day's integration
+ * and partner; `segments` keeps per-label counts when those changed.
+ */
+function aggregateDays(days, context) {
+  const perFi = new Map();
+  for (const { date, doc } of days) {
+    if (!doc?.fi) continue;
+    const missing = missingSources(doc);
+    for (const entry of dayEntries(doc, context.merchantTag)) {
+      const fi = entry.fi || "unknown_fi";
+      const instance = entry.instance || "unknown";
+      const row = entry.row || {};
+      const isTest = Boolean(row.is_test);
+      const registryEntry = context.registry.entryFor(fi, instance);
+      const attrs = attributesOnDay(registryEntry, row, date);
+      const integration = isTest ? "TEST" : applyIntegrationOverrides(attrs.integration, instance);
+      let agg = perFi.get(entry.key);
+      if (!agg) {
+        agg = {
+          key: entry.key,
+          fi,
+          instance,
+          instances: [instance],
+          integration_type: integration,
+          partner: attrs.partner,
+          is_test: false,
+          cardholders: null,
+          cardholder_source: null,
+          cardholder_as_of: null,
+          first_date: date,
+          last_date: date,
+          ...emptyCounts(),
+          sources_missing: [],
+          segments: new Map(),
+          extras: emptyExtras(),
+        };
+        perFi.set(entry.key, agg);
+      }
+      agg.integration_type = integration;
+      agg.partner = attrs.partner;
+      agg.is_test = agg.is_test || isTest;
+      agg.last_date = date;
+      const incoming = normalizeInstanceKey(instance);
+      if (
+        agg.instance === "unknown" ||
+        (normalizeInstanceKey(agg.instance) === incoming && !agg.instance.includes("-") && instance.includes("-"))
+      ) {
+        agg.instance = instance;
+      }
+      if (!agg.instances.some((value) => normalizeInstanceKey(value) === incoming)) agg.instances.push(instance);
+
+      addDayCounts(agg, row, context.roles);
+      addExtras(agg.extras, row, date, doc);
+      const segmentKey = `${integration}|${attrs.partner}`;
+      let segment = agg.segments.get(segmentKey);
+      if (!segment) {
+        segment = {
+          ...emptyCounts(),
+          integration_type: integration,
+          partner: attrs.partner,
+          first_date: date,
+          last_date: date,
+          cardholders: null,
+          extras: emptyExtras(),
+        };
+        agg.segments.set(segmentKey, segment);
+      }
+      addDayCounts(segment, row, context.roles);
+      addExtras(segment.extras, row, date, doc);
+      segment.last_date = date;
+      // Share links never get cardholder counts, whatever the rollup or registry holds.
+      const cardholders = context.hideCardholders ? null : attrs.cardholders;
+      if (cardholders) segment.cardholders = cardholders;
+
+      if (cardholders) {
+        agg.cardholders = cardholders;
+        agg.cardholder_source = "registry history";
+        agg.cardholder_as_of = date;
+      } else if (!context.hideCardholders) {
+        const info = context.registry.cardholdersFor(fi, instance);
+        if (info?.total) {
+          agg.cardholders = info.total;
+          agg.cardholder_source = info.source || null;
+          agg.cardholder_as_of = info.as_of || null;
+        }
+      }
+      if (missing.length) agg.sources_missing.push({ date, missing });
+    }
+  }
+  for (const agg of perFi.values()) {
+    const segments = Array.from(agg.segments.values());
+    if (agg.is_test) agg.integration_type = "TEST";
+    agg.segments = !agg.is_test && segments.length > 1 ? segments : null;
+  }
+  return perFi;
+}
+
+/**
+ * Rows for an FI-instance whose integration or partner changed inside the
+ * range: one per period, each with that period's counts. Split rows keep
+ * the FI-instance key and name it in `segment_of`.
+ */
+function splitRowsBySegment(rows) {
+  return rows.flatMap((row) => {
+    if (!row.segments) return [row];
+    return row.segments.map((segment) => ({
+      ...row,
+      ...segment,
+      instances: row.instances.slice(),
+      cardholders: segment.cardholders || row.cardholders,
+      sources_missing: row.sources_missing.filter(
+        (item) => item.date >= segment.first_date && item.date <= segment.last_date
+      ),
+      segments: null,
+      segment_of: row.key,
+    }));
+  });
+}
+
+function matchesFilters(row, filters) {
+  if (!filters.includeTests && row.is_test) return false;
+  if (filters.fis && !filters.fis.has(normalizeFiKey(row.fi))) return false;
+  if (filters.partner && (row.partner || "Unknown") !== filters.partner) return false;
+  if (filters.integration && normalizeIntegrationKey(row.integration_type) !== normalizeIntegrationKey(filters.integration)) {
+    return false;
+  }
+  if (filters.instance && normalizeInstanceKey(row.instance) !== normalizeInstanceKey(filters.instance)) return false;
+  return true;
+}
+
+function publicRow(row) {
+  const { segments, extras, ...rest } = row;
+  return rest;
+}
+
+/** Sums rows; cardholders count once per FI. */
+export function sumFunnelRows(rows) {
+  const totals = { ...emptyCounts(), cardholders: 0, rows: rows.length };
+  const seenFi = new Set();
+  for (const row of rows) {
+    addRowCounts(totals, row);
+    const fiKey = normalizeFiKey(row.fi || row.key);
+    if (!seenFi.has(fiKey) && row.cardholders > 0) {
+      totals.cardholders += row.cardholders;
+      seenFi.add(fiKey);
+    }
+  }
+  return totals;
+}
+
+/** What the page notes about the days behind a set of rows. */
+function describeDays(days, rows, definitionVersion) {
+  const missing = [];
+  const missingSourcesByDay = {};
+  let staleFunnel = 0;
+  let uncatalogued = 0;
+  for (const { date, doc } of days) {
+    if (!doc) {
+      missing.push(date);
+      continue;
+    }
+    const sources = missingSources(doc);
+    if (sources.length) missingSourcesByDay[date] = sources;
+    if (doc.funnel?.version && definitionVersion && doc.funnel.version !== definitionVersion) staleFunnel += 1;
+    if (!doc.merchants) uncatalogued += 1;
+  }
+  const unsplit = new Set();
+  const untimed = new Set();
+  for (const row of rows) {
+    row.extras.unsplit.forEach((date) => unsplit.add(date));
+    row.extras.untimed.forEach((date) => untimed.add(date));
+  }
+  return {
+    count: days.length,
+    missing,
+    missing_sources: missingSourcesByDay,
+    stale_funnel: staleFunnel,
+    uncatalogued,
+    unsplit: unsplit.size,
+    untimed: untimed.size,
+  };
+}
+
+function sumMerchants(rows) {
+  const totals = new Map();
+  for (const row of rows) {
+    for (const counts of row.extras.merchants.values()) {
+      const total = totals.get(counts.merchant) || { ...counts, total: 0, billable: 0, site_failure: 0, ux: 0 };
+      total.name = counts.name || total.name;
+      for (const key of ["total", "billable", "site_failure", "ux"]) total[key] += counts[key];
+      totals.set(counts.merchant, total);
+    }
+  }
+  return Array.from(totals.values()).sort((a, b) => b.total - a.total || a.merchant.localeCompare(b.merchant));
+}
+
+/**
+ * The page's highlight windows: for each rule, the best 7-day window of any
+ * visible FI-instance. A single selected FI drops the volume minimums.
+ */
+function computeHighlights(days, perFi, visibleRows, context, allowLowVolume) {
+  const windows = [
+    {
+      label: "Most Select Merchant Loads",
+      minSelects: MIN_SELECTS,
+      minSessions: 0,
+      compare: (cand, best) =>
+        cand.sel - best.sel || cand.sessionSuccessRatio - best.sessionSuccessRatio || cand.sessions - best.sessions,
+    },
+    {
+      label: "Most Select Merchant Loads with Successful Placements",
+      minSelects: 25,
+      minSessions: 14,
+      compare: (cand, best) =>
+        cand.selSuccessRatio - best.selSuccessRatio || cand.sel - best.sel || cand.sessions - best.sessions,
+    },
+    {
+      label: "Most Total Sessions",
+      minSelects: MIN_SELECTS,
+      minSessions: MIN_SELECTS,
+      compare: (cand, best) =>
+        cand.sessions - best.sessions || cand.sessionSuccessRatio - best.sessionSuccessRatio || cand.sel - best.sel,
+    },
+    {
+      label: "Highest Sessions with Success %",
+      minSelects: MIN_SELECTS,
+      minSessions: MIN_SELECTS,
+      compare: (cand, best) =>
+        cand.sess_with_success - best.sess_with_success || cand.sessions - best.sessions || cand.sel - best.sel,
+    },
+  ];
+  const len = 7;
+  const dated = days.filter(({ doc }) => doc);
+  const allowed = new Set(visibleRows.map((row) => row.key));
+  if (dated.length < len || !allowed.size) return windows.map(({ label }) => ({ label, empty: true }));
+
+  const daily = new Map();
+  for (const [index, { doc }] of dated.entries()) {
+    if (!doc.fi) continue;
+    for (const entry of dayEntries(doc, context.merchantTag)) {
+      if (!allowed.has(entry.key)) continue;
+      const counts = emptyCounts();
+      addDayCounts(counts, entry.row, context.roles);
+      if (!daily.has(entry.key)) daily.set(entry.key, new Array(dated.length).fill(null));
+      daily.get(entry.key)[index] = counts;
+    }
+  }
+  const missingByIndex = dated.map(({ date, doc }) => {
+    const missing = missingSources(doc);
+    return missing.length ? `${date}: ${missing.join(",")}` : "";
+  });
+
+  return windows.map((config) => {
+    const minSelects = allowLowVolume ? 1 : config.minSelects;
+    const minSessions = allowLowVolume ? 1 : config.minSessions;
+    let best = null;
+    for (const [key, series] of daily) {
+      for (let idx = 0; idx <= dated.length - len; idx += 1) {
+        const sum = emptyCounts();
+        for (let offset = 0; offset < len; offset += 1) {
+          if (series[idx + offset]) addRowCounts(sum, series[idx + offset]);
+        }
+        if (sum.ga_select < minSelects || sum.sessions < minSessions) continue;
+        const sessionSuccessRatio = sum.sessions ? sum.sess_with_success / sum.sessions : 0;
+        const candidate = {
+          label: config.label,
+          key,
+          start: dated[idx].date,
+          end: dated[idx + len - 1].date,
+          sel: sum.ga_select,
+          user: sum.ga_user,
+          cred: sum.ga_cred,
+          conv: sum.ga_select ? sum.ga_cred / sum.ga_select : 0,
+          successPct: sessionSuccessRatio,
+          sessionSuccessRatio,
+          selSuccessRatio: sum.ga_select ? sum.sess_with_success / sum.ga_select : 0,
+          sessions: sum.sessions,
+          sess_with_jobs: sum.sess_with_jobs,
+          sess_with_success: sum.sess_with_success,
+          placements: sum.placements,
+          sources_missing: missingByIndex.slice(idx, idx + len).filter(Boolean).join(" | "),
+        };
+        if (!best || config.compare(candidate, best) > 0) best = candidate;
+      }
+    }
+    if (!best) return { label: config.label, empty: true };
+    const row = perFi.get(best.key) || {};
+    const parsed = parseFiInstanceKey(best.key);
+    const fi = row.fi || best.key;
+    const instance = row.instance || parsed.instance;
+    const registryEntry = context.registry.entryFor(fi, instance);
+    const dayCount = dayCountInclusive(best.start, best.end);
+    const reachBase = best.sel > 0 ? best.sel : best.sessions;
+    const reachMonthly = reachBase * (30 / (dayCount || 1));
+    return {
+      ...best,
+      fi,
+      instance,
+      instances: (row.instances?.length ? row.instances : registryEntry?.instances || []).join(", ") || instance,
+      integration: normalizeIntegrationLabel(row.integration_type || registryEntry?.integration || "UNKNOWN"),
+      partner: row.partner || registryEntry?.partner || "",
+      reach:
+        row.cardholders > 0 && reachMonthly > 0 ? `${((reachMonthly / row.cardholders) * 100).toFixed(1)}%` : "",
+      dayCount,
+    };
+  });
+}
+
+function periodOf(date, granularity) {
+  const day = new Date(`${date}T00:00:00Z`);
+  const year = day.getUTCFullYear();
+  const month = day.getUTCMonth();
+  const iso = (value) => value.toISOString().slice(0, 10);
+  if (granularity === "day") return { key: date, label: date, start: date, end: date };
+  if (granularity === "week") {
+    // Sunday to Saturday, as the page's weekly table.
+    const start = new Date(day.getTime() - day.getUTCDay() * 86400000);
+    const end = new Date(start.getTime() + 6 * 86400000);
+    return { key: iso(start), label: `${iso(start)} → ${iso(end)}`, start: iso(start), end: iso(end) };
+  }
+  if (granularity === "month") {
+    const start = iso(new Date(Date.UTC(year, month, 1)));
+    return { key: start, label: start.slice(0, 7), start, end: iso(new Date(Date.UTC(year, month + 1, 0))) };
+  }
+  const quarter = Math.floor(month / 3);
+  const start = iso(new Date(Date.UTC(year, quarter * 3, 1)));
+  return { key: start, label: `Q${quarter + 1} ${year}`, start, end: iso(new Date(Date.UTC(year, quarter * 3 + 3, 0))) };
+}
+
+/**
+ * Aggregates the funnel over `days` for /api/funnel.
+ * @param {Array} days - [{ date, doc }] for every day of the range, doc null when missing
+ * @param {object} options - { registry (fi_registry.json shape), definition (compiled
+ *   funnel definition), filters: { fis (Set of FI keys), partner, integration,
+ *   instance, includeTests }, merchantTag, granularity, includeRows, hideCardholders
+ *   (share links: rows, totals and highlights carry no cardholder counts) }
+ * @returns {object} { rows, totals, merchants, merchant_tags, duration_buckets, days,
+ *   highlights, periods } — periods only for a granularity other than "range"
+ */
+export function aggregateFunnel(days, options = {}) {
+  const { definition, filters = {}, merchantTag = null, granularity = "range", includeRows = true } = options;
+  const roleStage = (role) => definition?.stages?.find((stage) => stage.role === role)?.id;
+  const context = {
+    registry: createRegistryLookup(options.registry),
+    hideCardholders: Boolean(options.hideCardholders),
+    roles: { select: roleStage("select"), user: roleStage("user"), cred: roleStage("cred") },
+    merchantTag,
+  };
+
+  const summarize = (slice) => {
+    const perFi = aggregateDays(slice, context);
+    const rows = splitRowsBySegment(Array.from(perFi.values())).filter((row) => matchesFilters(row, filters));
+    return { perFi, rows, totals: sumFunnelRows(rows) };
+  };
+
+  const range = summarize(days);
+  const tags = new Set();
+  let durationBuckets = null;
+  for (const { doc } of days) {
+    for (const merchant of Object.values(doc?.merchants || {})) (merchant?.tags || []).forEach((tag) => tags.add(tag));
+    durationBuckets = durationBuckets || doc?.duration_buckets || null;
+  }
+  const result = {
+    rows: includeRows ? range.rows.map(publicRow) : undefined,
+    totals: range.totals,
+    merchants: sumMerchants(range.rows),
+    merchant_tags: Array.from(tags).sort((a, b) => a.localeCompare(b)),
+    duration_buckets: durationBuckets,
+    days: describeDays(days, range.rows, definition?.version),
+    highlights: computeHighlights(days, range.perFi, range.rows, context, filters.fis?.size === 1),
+  };
+
+  if (granularity !== "range") {
+    const buckets = new Map();
+    for (const day of days) {
+      const period = periodOf(day.date, granularity);
+      if (!buckets.has(period.key)) buckets.set(period.key, { ...period, days: [] });
+      buckets.get(period.key).days.push(day);
+    }
+    result.periods = Array.from(buckets.values()).map((bucket) => {
+      const period = summarize(bucket.days);
+      return {
+        label: bucket.label,
+        // Periods are clipped to the requested range.
+        start: bucket.days[0].date,
+        end: bucket.days[bucket.days.length - 1].date,
+        complete: bucket.start === bucket.days[0].date && bucket.end === bucket.days[bucket.days.length - 1].date,
+        rows: includeRows ? period.rows.map(publicRow) : undefined,
+        totals: period.totals,
+        days: describeDays(bucket.days, period.rows, definition?.version),
+      };
+    });
+  }
+  return result;
+}
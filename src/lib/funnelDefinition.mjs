@@ -0,0 +1,217 @@
+import fs from "node:fs";
+import path from "node:path";
+import { createHash } from "node:crypto";
+
+// The stages CardUpdatr has always tracked. Their ids double as the keys of
+// the `ga` block in daily rollups, so rollups built before the definition file
+// existed still read correctly.
+export const DEFAULT_FUNNEL_DEFINITION = {
+  name: "CardUpdatr",
+  stages: [
+    {
+      id: "select_merchants",
+      label: "Select merchants",
+      short_label: "GA select",
+      role: "select",
+      paths: [{ prefix: "/select-merchants" }],
+    },
+    {
+      id: "user_data_collection",
+      label: "User data collection",
+      short_label: "GA user",
+      role: "user",
+      paths: [{ prefix: "/user-data-collection" }],
+    },
+    {
+      id: "credential_entry",
+      label: "Credential entry",
+      short_label: "GA cred",
+      role: "cred",
+      paths: [{ prefix: "/credential-entry" }],
+    },
+  ],
+};
+
+// Roles tie stages to the fixed GA select / user / cred columns of the funnel
+// tables; stages without a role only appear in the stage-by-stage view.
+export const STAGE_ROLES = ["select", "user", "cred"];
+
+const STAGE_ID_RE = /^[a-z][a-z0-9_]*$/;
+
+export function funnelDefinitionPath() {
+  return path.resolve(process.env.FUNNEL_DEFINITION_PATH || "funnel_definition.json");
+}
+
+function invalid(message) {
+  return Object.assign(new Error(`Invalid funnel definition: ${message}`), { status: 400 });
+}
+
+function normalizePattern(pattern, kind, where) {
+  if (typeof pattern === "string") pattern = { [kind]: pattern };
+  if (!pattern || typeof pattern !== "object") {
+    throw invalid(`${where} must be an object`);
+  }
+  const keys = [kind, "regex"].filter((key) => pattern[key] !== undefined);
+  if (keys.length !== 1 || typeof pattern[keys[0]] !== "string" || !pattern[keys[0]]) {
+    throw invalid(`${where} needs exactly one of "${kind}" or "regex"`);
+  }
+  if (keys[0] === "regex") {
+    try {
+      new RegExp(pattern.regex);
+    } catch (err) {
+      throw invalid(`${where} has a bad regex (${err.message})`);
+    }
+  }
+  return { [keys[0]]: pattern[keys[0]] };
+}
+
+/**
+ * Validates a definition and fills in defaults. Throws a 400 error naming the
+ * first problem found.
+ */
+export function normalizeFunnelDefinition(raw) {
+  if (!raw || typeof raw !== "object") throw invalid("expected a JSON object");
+  if (raw.hosts !== undefined) {
+    throw invalid('"hosts" moved to fi_resolution_rules.json; limit single stages with stages[].hosts');
+  }
+  if (!Array.isArray(raw.stages) || !raw.stages.length) {
+    throw invalid('"stages" must be a non-empty array');
+  }
+  const seenIds = new Set();
+  const seenRoles = new Set();
+  const stages = raw.stages.map((stage, i) => {
+    const where = `stages[${i}]`;
+    if (!stage || typeof stage !== "object") throw invalid(`${where} must be an object`);
+    const id = (stage.id || "").toString();
+    if (!STAGE_ID_RE.test(id)) {
+      throw invalid(`${where}.id must be lowercase letters, digits and underscores`);
+    }
+    if (seenIds.has(id)) throw invalid(`duplicate stage id "${id}"`);
+    seenIds.add(id);
+    const role = stage.role ? stage.role.toString() : null;
+    if (role) {
+      if (!STAGE_ROLES.includes(role)) {
+        throw invalid(`${where}.role must be one of ${STAGE_ROLES.join(", ")}`);
+      }
+      if (seenRoles.has(role)) throw invalid(`role "${role}" is used by more than one stage`);
+      seenRoles.add(role);
+    }
+    if (!Array.isArray(stage.paths) || !stage.paths.length) {
+      throw invalid(`${where}.paths must be a non-empty array`);
+    }
+    const normalized = {
+      id,
+      label: (stage.label || id).toString(),
+      short_label: (stage.short_label || stage.label || id).toString(),
+      role,
+      paths: stage.paths.map((p, j) => normalizePattern(p, "prefix", `${where}.paths[${j}]`)),
+    };
+    if (stage.hosts !== undefined) {
+      if (!Array.isArray(stage.hosts) || !stage.hosts.length) {
+        throw invalid(`${where}.hosts must be a non-empty array when set`);
+      }
+      normalized.hosts = stage.hosts.map((h, j) =>
+        normalizePattern(h, "suffix", `${where}.hosts[${j}]`)
+      );
+    }
+    return normalized;
+  });
+
+  return { name: (raw.name || "Funnel").toString(), stages };
+}
+
+/**
+ * Hash of everything that changes which GA rows land in which stage. Labels
+ * and roles are left out, so renaming a stage does not make history stale.
+ */
+export function funnelDefinitionVersion(definition) {
+  const significant = {
+    stages: definition.stages.map(({ id, paths, hosts }) => ({ id, paths, hosts: hosts || null })),
+  };
+  return createHash("sha256").update(JSON.stringify(significant)).digest("hex").slice(0, 12);
+}
+
+function compileMatcher(patterns, kind) {
+  const tests = patterns.map((pattern) => {
+    if (pattern.regex) {
+      const re = new RegExp(pattern.regex);
+      return (value) => re.test(value);
+    }
+    const needle = pattern[kind];
+    return kind === "suffix" ? (value) => value.endsWith(needle) : (value) => value.startsWith(needle);
+  });
+  return (value = "") => tests.some((test) => test(value));
+}
+
+/**
+ * Turns a normalized definition into the object the fetcher and rollups use:
+ * `stageFor(host, pagePath)` gives the id of the first stage whose patterns
+ * match. Which FI a host belongs to is up to src/lib/fiResolution.mjs.
+ */
+export function compileFunnelDefinition(definition, { source = null } = {}) {
+  const stageMatchers = definition.stages.map((stage) => ({
+    id: stage.id,
+    path: compileMatcher(stage.paths, "prefix"),
+    host: stage.hosts ? compileMatcher(stage.hosts, "suffix") : null,
+  }));
+  return {
+    ...definition,
+    version: funnelDefinitionVersion(definition),
+    source,
+    stageIds: definition.stages.map((stage) => stage.id),
+    stageFor(host = "", pagePath = "") {
+      for (const matcher of stageMatchers) {
+        if (matcher.host && !matcher.host(host)) continue;
+        if (matcher.path(pagePath)) return matcher.id;
+      }
+      return null;
+    },
+    emptyCounts() {
+      return Object.fromEntries(definition.stages.map((stage) => [stage.id, 0]));
+    },
+    /** Public shape for the API and the funnel page. */
+    describe() {
+      return {
+        name: definition.name,
+        version: this.version,
+        source,
+        stages: definition.stages,
+      };
+    },
+  };
+}
+
+export const DEFAULT_FUNNEL_VERSION = funnelDefinitionVersion(
+  normalizeFunnelDefinition(DEFAULT_FUNNEL_DEFINITION)
+);
+
+let cached = null;
+
+/**
+ * Loads funnel_definition.json (or FUNNEL_DEFINITION_PATH), falling back to
+ * the built-in CardUpdatr stages when the file does not exist. Re-read when
+ * the file's mtime changes, so edits apply without a restart.
+ */
+export function loadFunnelDefinition({ file = funnelDefinitionPath() } = {}) {
+  let mtime = null;
+  try {
+    mtime = fs.statSync(file).mtimeMs;
+  } catch {
+    // No file: built-in default.
+  }
+  const cacheKey = `${file}:${mtime}`;
+  if (cached?.key === cacheKey) return cached.definition;
+  let raw = DEFAULT_FUNNEL_DEFINITION;
+  if (mtime !== null) {
+    try {
+      raw = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+      throw invalid(`${path.basename(file)} is not valid JSON (${err.message})`);
+    }
+  }
+  const definition = compileFunnelDefinition(normalizeFunnelDefinition(raw), {
+    source: mtime === null ? "default" : file,
+  });
+  cached = { key: cacheKey, definition };
+  return definition;
+}
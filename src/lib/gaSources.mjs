@@ -0,0 +1,207 @@
+import fs from "node:fs";
+import fsp from "node:fs/promises";
+import path from "node:path";
+import { createHash } from "node:crypto";
+
+import { GA_CREDENTIAL_NAME_RE } from "./secretsVault.mjs";
+
+// The GA4 properties GA rows are fetched from: each with a property ID, the
+// name of the credential that reads it (see secretsVault.mjs) and an optional
+// hostname filter. Without ga_sources.json the list is the production
+// GA_PROPERTY_ID plus GA_TEST_PROPERTY_ID when set.
+
+const MAX_LABEL_LENGTH = 80;
+
+export function gaSourcesPath() {
+  return path.resolve(process.env.GA_SOURCES_PATH || "ga_sources.json");
+}
+
+function invalid(message) {
+  return Object.assign(new Error(`Invalid GA sources: ${message}`), { status: 400 });
+}
+
+function lower(value) {
+  return value ? value.toString().trim().toLowerCase() : "";
+}
+
+/** The sources implied by GA_PROPERTY_ID and GA_TEST_PROPERTY_ID. */
+export function defaultGaSources(env = process.env) {
+  const sources = [];
+  if (env.GA_PROPERTY_ID) {
+    sources.push({ id: "prod", label: "Production", property_id: env.GA_PROPERTY_ID, credential: "prod" });
+  }
+  if (env.GA_TEST_PROPERTY_ID) {
+    sources.push({
+      id: "test",
+      label: "Test",
+      property_id: env.GA_TEST_PROPERTY_ID,
+      credential: "test",
+      is_test: true,
+    });
+  }
+  return { sources };
+}
+
+// "host.example.com" matches that host; "*.example.com" (or ".example.com")
+// matches its subdomains.
+function normalizeHostPattern(value, where) {
+  const pattern = lower(value);
+  if (!pattern || /[\s/:]/.test(pattern) || pattern.slice(1).includes("*")) {
+    throw invalid(`${where} must be a hostname or *.domain`);
+  }
+  return pattern.startsWith(".") ? `*${pattern}` : pattern;
+}
+
+function normalizeSource(source, i) {
+  const where = `sources[${i}]`;
+  if (!source || typeof source !== "object") throw invalid(`${where} must be an object`);
+  const id = lower(source.id);
+  if (!GA_CREDENTIAL_NAME_RE.test(id)) throw invalid(`${where}.id must be lowercase letters, digits and dashes`);
+  const propertyId = (source.property_id ?? "").toString().trim();
+  if (!/^\d+$/.test(propertyId)) throw invalid(`${where} (${id}): property_id must be a numeric GA4 property ID`);
+  const credential = lower(source.credential) || id;
+  if (!GA_CREDENTIAL_NAME_RE.test(credential)) {
+    throw invalid(`${where} (${id}): credential must be lowercase letters, digits and dashes`);
+  }
+  if (source.hosts !== undefined && !Array.isArray(source.hosts)) throw invalid(`${where}.hosts must be an array`);
+  const normalized = {
+    id,
+    label: (source.label || "").toString().trim().slice(0, MAX_LABEL_LENGTH) || id,
+    property_id: propertyId,
+    credential,
+    hosts: (source.hosts || []).map((host, j) => normalizeHostPattern(host, `${where}.hosts[${j}]`)),
+    is_test: Boolean(source.is_test),
+    enabled: source.enabled !== false,
+  };
+  if (source.note) normalized.note = source.note.toString();
+  return normalized;
+}
+
+/**
+ * Validates a sources document. Throws a 400 error naming the first problem
+ * found. An empty list is allowed: GA is then skipped.
+ */
+export function normalizeGaSources(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw invalid("expected a JSON object");
+  if (!Array.isArray(raw.sources)) throw invalid('"sources" must be an array');
+  const sources = raw.sources.map(normalizeSource);
+  const ids = new Set();
+  for (const source of sources) {
+    if (ids.has(source.id)) throw invalid(`duplicate source id "${source.id}"`);
+    ids.add(source.id);
+  }
+  return { sources };
+}
+
+// Labels and notes are left out, so renaming a source does not make raw GA
+// files stale.
+function sourcesVersion(doc) {
+  const significant = doc.sources
+    .filter((source) => source.enabled)
+    .map(({ id, property_id, hosts, is_test }) => ({ id, property_id, hosts, is_test }));
+  return createHash("sha256").update(JSON.stringify(significant)).digest("hex").slice(0, 12);
+}
+
+function hostMatches(pattern, host) {
+  return pattern.startsWith("*.") ? host.endsWith(pattern.slice(1)) : host === pattern;
+}
+
+/**
+ * Merges the rows fetched from each source (in source order) into one list.
+ * A source with a hosts filter keeps only rows on those hosts. When more than
+ * one source reports the same host, its rows come from one of them only: the
+ * first source whose filter names the host, else the first that returned it.
+ * Rows are tagged with `ga_source`, `property_id` and `is_test`.
+ * @param {Array<{ source: object, rows: object[] }>} results
+ * @returns {{ rows: object[], stats: object }} stats per source id:
+ *   { fetched, kept, filtered, duplicates }
+ */
+export function mergeGaSourceRows(results) {
+  const stats = {};
+  const candidates = results.map(({ source, rows }) => {
+    const kept = source.hosts.length
+      ? rows.filter((row) => source.hosts.some((pattern) => hostMatches(pattern, lower(row.host))))
+      : rows;
+    stats[source.id] = { fetched: rows.length, kept: 0, filtered: rows.length - kept.length, duplicates: 0 };
+    return { source, rows: kept };
+  });
+
+  const owners = new Map();
+  for (const { source, rows } of candidates) {
+    if (!source.hosts.length) continue;
+    for (const row of rows) {
+      const host = lower(row.host);
+      if (!owners.has(host)) owners.set(host, source.id);
+    }
+  }
+  for (const { source, rows } of candidates) {
+    for (const row of rows) {
+      const host = lower(row.host);
+      if (!owners.has(host)) owners.set(host, source.id);
+    }
+  }
+
+  const merged = [];
+  for (const { source, rows } of candidates) {
+    for (const row of rows) {
+      if (owners.get(lower(row.host)) !== source.id) {
+        stats[source.id].duplicates += 1;
+        continue;
+      }
+      stats[source.id].kept += 1;
+      merged.push({ ...row, ga_source: source.id, property_id: source.property_id, is_test: source.is_test });
+    }
+  }
+  return { rows: merged, stats };
+}
+
+let cached = null;
+
+/**
+ * Loads ga_sources.json (or GA_SOURCES_PATH), falling back to the sources
+ * implied by the environment when the file does not exist. Re-read when the
+ * file's mtime changes.
+ * @returns {object} { sources, version, source: "env" | file path }
+ */
+export function loadGaSources({ file = gaSourcesPath() } = {}) {
+  let mtime = null;
+  try {
+    mtime = fs.statSync(file).mtimeMs;
+  } catch {
+    // No file: sources from the environment.
+  }
+  const cacheKey = `${file}:${mtime}:${process.env.GA_PROPERTY_ID || ""}:${process.env.GA_TEST_PROPERTY_ID || ""}`;
+  if (cached?.key === cacheKey) return cached.value;
+  let raw = defaultGaSources();
+  if (mtime !== null) {
+    try {
+      raw = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+      throw invalid(`${path.basename(file)} is not valid JSON (${err.message})`);
+    }
+  }
+  const doc = normalizeGaSources(raw);
+  const value = { ...doc, version: sourcesVersion(doc), source: mtime === null ? "env" : file };
+  cached = { key: cacheKey, value };
+  return value;
+}
+
+/**
+ * Version of the sources implied by the environment: what raw GA files
+ * fetched before ga_sources.json existed were fetched with.
+ */
+export function defaultGaSourcesVersion() {
+  return sourcesVersion(normalizeGaSources(defaultGaSources()));
+}
+
+/**
+ * Validates and writes the sources file (tmp file + rename).
+ * @returns {object} the sources now in effect, as loadGaSources returns them
+ */
+export async function saveGaSources(raw, { file = gaSourcesPath() } = {}) {
+  const doc = normalizeGaSources(raw);
+  const tmpPath = `${file}.tmp-${process.pid}-${Date.now()}`;
+  await fsp.writeFile(tmpPath, JSON.stringify(doc, null, 2) + "\n", "utf8");
+  await fsp.rename(tmpPath, file);
+  return loadGaSources({ file });
+}
@@ -0,0 +1,235 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { randomUUID } from "node:crypto";
+
+export const JOB_STATES = ["queued", "running", "succeeded", "failed", "cancelled"];
+// "update" fetches raw data then rebuilds rollups; "rebuild" only rebuilds
+// rollups from the raw data already stored.
+export const JOB_KINDS = ["update", "rebuild"];
+const ACTIVE_STATES = new Set(["queued", "running"]);
+const DEFAULT_FINISHED_LIMIT = 100;
+
+async function writeJsonAtomic(filePath, value) {
+  const dir = path.dirname(filePath);
+  await fs.mkdir(dir, { recursive: true });
+  const tmpPath = path.join(
+    dir,
+    `.${path.basename(filePath)}.tmp-${process.pid}-${Date.now()}-${Math.random()
+      .toString(16)
+      .slice(2)}`
+  );
+  await fs.writeFile(tmpPath, JSON.stringify(value, null, 2) + "\n", "utf8");
+  await fs.rename(tmpPath, filePath);
+}
+
+function sameRequest(a, b) {
+  return (
+    (a.kind || "update") === (b.kind || "update") &&
+    a.startDate === b.startDate &&
+    a.endDate === b.endDate &&
+    Boolean(a.forceRaw) === Boolean(b.forceRaw) &&
+    (a.resumeRunId || null) === (b.resumeRunId || null)
+  );
+}
+
+/**
+ * File-backed FIFO queue of update jobs. Jobs run one at a time through
+ * `runJob(job, { isCancelled, update })`, where `update(fields, { persist })`
+ * patches the job (e.g. lastMessage) and optionally saves it. The runner resolves with optional
+ * extra fields for the finished job or throws (err.kind === "cancelled" marks
+ * a cooperative cancel, err.failures carries per-instance failures).
+ *
+ * On load, jobs left "running" by a previous process are marked failed and
+ * queued jobs are resumed.
+ */
+export function createJobQueue({
+  file,
+  runJob,
+  onChange = () => {},
+  finishedLimit = DEFAULT_FINISHED_LIMIT,
+}) {
+  let jobs = [];
+  let processing = false;
+  let writeChain = Promise.resolve();
+
+  function persist() {
+    const snapshot = { jobs };
+    writeChain = writeChain
+      .then(() => writeJsonAtomic(file, snapshot))
+      .catch((err) => {
+        console.error("[jobs] failed to persist queue:", err?.message || err);
+      });
+    return writeChain;
+  }
+
+  function changed(job) {
+    persist();
+    try {
+      onChange(job);
+    } catch (err) {
+      console.error("[jobs] change listener failed:", err?.message || err);
+    }
+  }
+
+  function prune() {
+    const active = jobs.filter((job) => ACTIVE_STATES.has(job.status));
+    const finished = jobs
+      .filter((job) => !ACTIVE_STATES.has(job.status))
+      .slice(-finishedLimit);
+    jobs = [...finished, ...active].sort((a, b) =>
+      (a.createdAt || "").localeCompare(b.createdAt || "")
+    );
+  }
+
+  function finish(job, status, fields = {}) {
+    Object.assign(job, fields, {
+      status,
+      finishedAt: new Date().toISOString(),
+    });
+    job.durationMs = job.startedAt
+      ? Date.parse(job.finishedAt) - Date.parse(job.startedAt)
+      : 0;
+    prune();
+    changed(job);
+  }
+
+  async function processNext() {
+    if (processing) return;
+    const job = jobs.find((entry) => entry.status === "queued");
+    if (!job) return;
+    processing = true;
+    job.status = "running";
+    job.startedAt = new Date().toISOString();
+    changed(job);
+    try {
+      const result = await runJob(job, {
+        isCancelled: () => Boolean(job.cancelRequested),
+        // In-memory by default: progress is streamed separately and the final
+        // state is persisted when the job finishes.
+        update: (fields, { persist: save = false } = {}) => {
+          Object.assign(job, fields);
+          if (save) changed(job);
+        },
+      });
+      finish(job, "succeeded", { ...(result || {}), error: null });
+    } catch (err) {
+      const cancelled = err?.kind === "cancelled";
+      finish(job, cancelled ? "cancelled" : "failed", {
+        error: err?.message || String(err),
+        failures: Array.isArray(err?.failures) ? err.failures : [],
+      });
+    } finally {
+      processing = false;
+    }
+    return processNext();
+  }
+
+  function kick() {
+    processNext().catch((err) => {
+      processing = false;
+      console.error("[jobs] queue processing failed:", err?.message || err);
+    });
+  }
+
+  return {
+    async load() {
+      try {
+        const raw = await fs.readFile(file, "utf8");
+        const parsed = JSON.parse(raw || "{}");
+        jobs = Array.isArray(parsed.jobs) ? parsed.jobs : [];
+      } catch (err) {
+        if (err.code !== "ENOENT") {
+          console.error("[jobs] unable to read queue file:", err?.message || err);
+        }
+        jobs = [];
+      }
+      const now = new Date().toISOString();
+      let interrupted = 0;
+      for (const job of jobs) {
+        if (job.status !== "running") continue;
+        interrupted += 1;
+        job.status = "failed";
+        job.finishedAt = now;
+        job.error = "Server restarted while the job was running";
+        job.durationMs = job.startedAt ? Date.parse(now) - Date.parse(job.startedAt) : 0;
+      }
+      const queued = jobs.filter((job) => job.status === "queued").length;
+      if (interrupted || queued) {
+        console.log(
+          `[jobs] restored queue: ${queued} queued, ${interrupted} interrupted job(s) marked failed`
+        );
+      }
+      await persist();
+      kick();
+      return jobs;
+    },
+
+    /**
+     * Queues a job. An identical queued or running request (same kind, range
+     * and forceRaw) is returned instead of adding a duplicate.
+     * @returns {{job: object, existing: boolean}}
+     */
+    enqueue(request = {}) {
+      const duplicate = jobs.find(
+        (job) => ACTIVE_STATES.has(job.status) && !job.cancelRequested && sameRequest(job, request)
+      );
+      if (duplicate) return { job: duplicate, existing: true };
+      const kind = request.kind || "update";
+      if (!JOB_KINDS.includes(kind)) {
+        throw Object.assign(new Error(`Unknown job kind "${kind}"`), { status: 400 });
+      }
+      const job = {
+        id: randomUUID(),
+        kind,
+        status: "queued",
+        startDate: request.startDate,
+        endDate: request.endDate,
+        forceRaw: Boolean(request.forceRaw),
+        trigger: request.trigger || "manual",
+        scheduleId: request.scheduleId || null,
+        resumeRunId: request.resumeRunId || null,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        durationMs: null,
+        lastMessage: null,
+        error: null,
+        failures: [],
+        cancelRequested: false,
+      };
+      jobs.push(job);
+      changed(job);
+      kick();
+      return { job, existing: false };
+    },
+
+    /**
+     * Cancels a queued job immediately; a running job stops before its next day.
+     * @returns {object|null} the job, or null when unknown
+     */
+    cancel(id) {
+      const job = jobs.find((entry) => entry.id === id);
+      if (!job) return null;
+      if (job.status === "queued") {
+        finish(job, "cancelled", { error: "Cancelled before it started" });
+      } else if (job.status === "running" && !job.cancelRequested) {
+        job.cancelRequested = true;
+        job.lastMessage = "Cancel requested — stopping after the current day.";
+        changed(job);
+      }
+      return job;
+    },
+
+    get(id) {
+      return jobs.find((job) => job.id === id) || null;
+    },
+
+    running() {
+      return jobs.find((job) => job.status === "running") || null;
+    },
+
+    list({ limit = 50 } = {}) {
+      return jobs.slice().reverse().slice(0, limit);
+    },
+  };
+}
@@ -0,0 +1,136 @@
+import fs from "node:fs";
+import fsp from "node:fs/promises";
+import path from "node:path";
+
+// Snapshot of the CardSavr merchant sites (id, name, host, tags, tier),
+// fetched from ss01 during update jobs and kept in data/merchant-catalog.json.
+// Rollups, the heatmap and the maintenance page read the snapshot instead of
+// calling ss01, and placements that only carry a merchant_site_id are named
+// by it.
+
+export const UNKNOWN_MERCHANT = "UNKNOWN";
+
+/**
+ * Catalog settings from the environment (see .env.example). Relative paths
+ * are resolved against `root`.
+ */
+export function merchantCatalogConfigFromEnv({ root = process.cwd() } = {}) {
+  return {
+    file: path.resolve(
+      root,
+      process.env.MERCHANT_CATALOG_FILE || path.join("data", "merchant-catalog.json")
+    ),
+  };
+}
+
+const lower = (value) => (value ? value.toString().trim().toLowerCase() : "");
+
+function normalizeSite(site) {
+  const tags = Array.isArray(site?.tags) ? site.tags : [];
+  return {
+    id: site?.id ?? null,
+    name: (site?.name || "").toString().trim(),
+    host: lower(site?.host),
+    tags: Array.from(new Set(tags.map((tag) => tag?.toString().trim()).filter(Boolean))).sort(),
+    tier: site?.tier ?? null,
+  };
+}
+
+let cached = null;
+
+/**
+ * The stored snapshot, re-read when the file's mtime changes.
+ * @returns {object|null} { fetched_at, source, sites }, or null before the first refresh
+ */
+export function readMerchantCatalog(config = merchantCatalogConfigFromEnv()) {
+  let mtime;
+  try {
+    mtime = fs.statSync(config.file).mtimeMs;
+  } catch {
+    return null;
+  }
+  const cacheKey = `${config.file}:${mtime}`;
+  if (cached?.key === cacheKey) return cached.catalog;
+  let catalog;
+  try {
+    const raw = JSON.parse(fs.readFileSync(config.file, "utf8"));
+    catalog = {
+      fetched_at: raw?.fetched_at || null,
+      source: raw?.source || null,
+      sites: (Array.isArray(raw?.sites) ? raw.sites : []).map(normalizeSite),
+    };
+  } catch (err) {
+    console.warn(`[merchants] ${path.basename(config.file)} is not valid JSON (${err.message}); ignoring it`);
+    return null;
+  }
+  cached = { key: cacheKey, catalog };
+  return catalog;
+}
+
+/**
+ * Replaces the snapshot with freshly fetched sites (tmp file + rename).
+ * @param {object} meta - { source } the instance the sites came from
+ * @returns {object} the stored catalog
+ */
+export async function saveMerchantCatalog(config, sites, { source = null } = {}) {
+  const catalog = {
+    fetched_at: new Date().toISOString(),
+    source,
+    sites: (Array.isArray(sites) ? sites : []).map(normalizeSite),
+  };
+  await fsp.mkdir(path.dirname(config.file), { recursive: true });
+  const tmpPath = `${config.file}.tmp-${process.pid}-${Date.now()}`;
+  await fsp.writeFile(tmpPath, JSON.stringify(catalog, null, 2) + "\n", "utf8");
+  await fsp.rename(tmpPath, config.file);
+  return catalog;
+}
+
+/** Every tag used in the catalog, sorted. */
+export function catalogTags(catalog) {
+  return Array.from(new Set((catalog?.sites || []).flatMap((site) => site.tags))).sort((a, b) =>
+    a.localeCompare(b)
+  );
+}
+
+/**
+ * Resolves placements to catalog sites. A placement's merchant key stays its
+ * merchant_site_hostname, as rollups have always keyed merchants; placements
+ * with only a merchant_site_id take the catalog host for that id, and fall
+ * back to `merchant_<id>` when the catalog does not know it.
+ * @returns {object} { keyFor(placement), siteFor(key), describe(key) }
+ */
+export function createMerchantIndex(catalog) {
+  const byId = new Map();
+  const byHost = new Map();
+  for (const site of catalog?.sites || []) {
+    if (site.id !== null && site.id !== undefined) byId.set(String(site.id), site);
+    if (site.host && !byHost.has(site.host)) byHost.set(site.host, site);
+  }
+
+  function keyFor(placement) {
+    if (placement?.merchant_site_hostname) return placement.merchant_site_hostname;
+    const id = placement?.merchant_site_id;
+    if (id === null || id === undefined || id === "") return UNKNOWN_MERCHANT;
+    return byId.get(String(id))?.host || `merchant_${id}`;
+  }
+
+  function siteFor(key) {
+    const host = lower(key);
+    if (byHost.has(host)) return byHost.get(host);
+    const match = /^merchant_(.+)$/.exec(key || "");
+    return match ? byId.get(match[1]) || null : null;
+  }
+
+  // What rollups store next to a merchant's counts.
+  function describe(key) {
+    const site = siteFor(key);
+    return {
+      merchant_site_id: site?.id ?? null,
+      name: site?.name || null,
+      tags: site?.tags || [],
+      tier: site?.tier ?? null,
+    };
+  }
+
+  return { keyFor, siteFor, describe };
+}
@@ -0,0 +1,808 @@
+import fs from "node:fs";
+import fsp from "node:fs/promises";
+import path from "node:path";
+import { TERMINATION_RULES } from "../config/terminationMap.mjs";
+import { loadFunnelDefinition } from "./funnelDefinition.mjs";
+import { aggregateFunnel, createRegistryLookup, sumFunnelRows } from "./funnelAggregation.mjs";
+import { getStorage } from "./storage/index.mjs";
+
+// Partner performance reports: the funnel for one FI or one partner over a
+// month, a quarter or any range, rendered to a self-contained HTML file plus
+// a print layout for saving as PDF. Reports land in the reports folder with
+// an index.json manifest and an index.html listing every report kept there.
+// Report schedules (data/report-schedules.json) generate last month's or last
+// quarter's report on a set day.
+
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_DAY = 24 * 60 * MS_PER_MINUTE;
+const DEFAULT_TICK_MS = 60 * 1000;
+const MAX_RANGE_DAYS = 366;
+const TOP_MERCHANTS = 10;
+const MAX_LABEL_LENGTH = 80;
+
+export const REPORT_SCOPES = ["fi", "partner"];
+export const REPORT_PERIODS = ["month", "quarter"];
+
+function fail(message, status = 400) {
+  return Object.assign(new Error(message), { status });
+}
+
+function lower(value) {
+  return value ? value.toString().trim().toLowerCase() : "";
+}
+
+/**
+ * Report settings from the environment (see .env.example). Relative paths are
+ * resolved against `root`.
+ */
+export function reportConfigFromEnv({ root = process.cwd() } = {}) {
+  return {
+    dir: path.resolve(root, process.env.REPORTS_DIR || "reports"),
+    schedulesFile: path.resolve(
+      root,
+      process.env.REPORT_SCHEDULES_FILE || path.join("data", "report-schedules.json")
+    ),
+    registryFile: path.resolve(root, "fi_registry.json"),
+  };
+}
+
+async function writeFileAtomic(filePath, contents) {
+  await fsp.mkdir(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp-${process.pid}-${Date.now()}`;
+  await fsp.writeFile(tmpPath, contents, "utf8");
+  await fsp.rename(tmpPath, filePath);
+}
+
+function readJsonOrNull(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8") || "null");
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+function isoDay(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+function daysBetween(start, end) {
+  const days = [];
+  for (let ms = Date.parse(`${start}T00:00:00Z`); ms <= Date.parse(`${end}T00:00:00Z`); ms += MS_PER_DAY) {
+    days.push(isoDay(ms));
+  }
+  return days;
+}
+
+function quarterStart(day) {
+  const [y, m] = day.split("-").map(Number);
+  return isoDay(Date.UTC(y, Math.floor((m - 1) / 3) * 3, 1));
+}
+
+/**
+ * The month ("2025-01") or quarter ("2025-Q1") as a range, or the full
+ * month or quarter before the one `day` falls in when `value` is omitted.
+ * @returns {{ start: string, end: string, label: string }}
+ */
+export function resolveReportPeriod(period, value, day = isoDay(Date.now())) {
+  if (period === "month") {
+    let match = /^(\d{4})-(\d{2})$/.exec(value || "");
+    if (!value) {
+      const [y, m] = day.split("-").map(Number);
+      match = [null, ...isoDay(Date.UTC(y, m - 2, 1)).split("-")];
+    }
+    if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) throw fail("Month must be YYYY-MM");
+    const [y, m] = [Number(match[1]), Number(match[2])];
+    const start = isoDay(Date.UTC(y, m - 1, 1));
+    const label = new Date(Date.parse(`${start}T00:00:00Z`)).toLocaleString("en-US", {
+      month: "long",
+      year: "numeric",
+      timeZone: "UTC",
+    });
+    return { start, end: isoDay(Date.UTC(y, m, 0)), label };
+  }
+  if (period === "quarter") {
+    let match = /^(\d{4})-Q([1-4])$/i.exec(value || "");
+    if (!value) {
+      const previous = isoDay(Date.parse(`${quarterStart(day)}T00:00:00Z`) - MS_PER_DAY);
+      const [y, m] = previous.split("-").map(Number);
+      match = [null, String(y), String(Math.floor((m - 1) / 3) + 1)];
+    }
+    if (!match) throw fail("Quarter must be YYYY-Qn");
+    const [y, q] = [Number(match[1]), Number(match[2])];
+    return {
+      start: isoDay(Date.UTC(y, (q - 1) * 3, 1)),
+      end: isoDay(Date.UTC(y, q * 3, 0)),
+      label: `Q${q} ${y}`,
+    };
+  }
+  throw fail(`Unknown report period "${period}" (use ${REPORT_PERIODS.join(" or ")})`);
+}
+
+function loadRegistry(file) {
+  const registry = readJsonOrNull(file);
+  return registry && typeof registry === "object" ? registry : {};
+}
+
+/**
+ * Checks what a report covers against the registry: the FI key or partner
+ * name (matched without case, returned as the registry spells it), its
+ * display name, and the date range.
+ */
+export function normalizeReportRequest(input = {}, registry = {}) {
+  const scope = lower(input.scope);
+  if (!REPORT_SCOPES.includes(scope)) throw fail(`Report scope must be ${REPORT_SCOPES.join(" or ")}`);
+  const wanted = lower(input.key);
+  if (!wanted) throw fail(scope === "fi" ? "An FI is required" : "A partner is required");
+  const entries = Object.values(registry).filter((entry) => entry && typeof entry === "object");
+  let key;
+  let name;
+  if (scope === "fi") {
+    const entry = entries.find((item) => lower(item.fi_lookup_key) === wanted);
+    if (!entry) throw fail(`No FI "${input.key}" in the registry`);
+    key = wanted;
+    name = entry.fi_name || wanted;
+  } else {
+    const entry = entries.find((item) => lower(item.partner) === wanted);
+    if (!entry) throw fail(`No FIs in the registry belong to partner "${input.key}"`);
+    key = name = entry.partner.toString().trim();
+  }
+
+  const { start, end } = input;
+  if (!DAY_RE.test(start || "") || !DAY_RE.test(end || "")) throw fail("start and end must be YYYY-MM-DD");
+  if (start > end) throw fail("start must not be after end");
+  if (daysBetween(start, end).length > MAX_RANGE_DAYS) throw fail(`Reports cover at most ${MAX_RANGE_DAYS} days`);
+  const label = (input.label || "").toString().trim().slice(0, MAX_LABEL_LENGTH) || `${start} → ${end}`;
+  return { scope, key, name, start, end, label };
+}
+
+function slug(value) {
+  return lower(value).replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "") || "report";
+}
+
+/** File name shared by a report's two layouts; regenerating one replaces it. */
+function reportId(request) {
+  return `${request.start}_${request.end}-${request.scope}-${slug(request.key)}`;
+}
+
+// Placements split the way the funnel page's conversion analysis does.
+function placementOutcomes(byTermination = {}) {
+  const outcomes = { total: 0, successful: 0, site_failure: 0, ux: 0 };
+  for (const [termination, count] of Object.entries(byTermination)) {
+    const rule = TERMINATION_RULES[termination] || TERMINATION_RULES.UNKNOWN;
+    if (rule.severity === "success") outcomes.successful += count;
+    else if (!rule.includeInHealth && rule.includeInUx) outcomes.ux += count;
+    else outcomes.site_failure += count;
+    outcomes.total += count;
+  }
+  return outcomes;
+}
+
+// Rows grouped for the breakdown table: per FI for a partner, per instance
+// and integration for a single FI.
+function breakdownRows(request, rows, lookup) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = request.scope === "partner" ? lower(row.fi) : `${row.instance}|${row.integration_type}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  }
+  return Array.from(groups.values())
+    .map((group) => {
+      const first = group[0];
+      const label =
+        request.scope === "partner"
+          ? lookup.entryFor(first.fi, first.instance)?.fi_name || first.fi
+          : first.instance;
+      const integrations = Array.from(new Set(group.map((row) => row.integration_type))).join(", ");
+      return { label, integrations, totals: sumFunnelRows(group) };
+    })
+    .sort((a, b) => b.totals.sessions - a.totals.sessions || a.label.localeCompare(b.label));
+}
+
+/**
+ * Everything a report shows, from the stored daily rollups: the funnel over
+ * the range, a month-by-month table when it spans several months, the
+ * breakdown, top merchants, and the four quarters up to the range's end.
+ */
+export function buildReportData(request, { registry = {}, definition, storage = getStorage() } = {}) {
+  const docs = new Map();
+  const readDays = (start, end) =>
+    daysBetween(start, end).map((date) => {
+      if (!docs.has(date)) docs.set(date, storage.readDaily(date));
+      return { date, doc: docs.get(date) };
+    });
+  const filters =
+    request.scope === "fi" ? { fis: new Set([request.key]), includeTests: false } : { partner: request.key, includeTests: false };
+  const funnel = aggregateFunnel(readDays(request.start, request.end), {
+    registry,
+    definition,
+    filters,
+    granularity: "month",
+  });
+
+  const [y, m] = quarterStart(request.end).split("-").map(Number);
+  const quarters = aggregateFunnel(readDays(isoDay(Date.UTC(y, m - 10, 1)), request.end), {
+    registry,
+    definition,
+    filters,
+    granularity: "quarter",
+    includeRows: false,
+  });
+
+  return {
+    request,
+    stages: definition.stages.map((stage) => ({ id: stage.id, label: stage.label })),
+    totals: funnel.totals,
+    outcomes: placementOutcomes(funnel.totals.by_termination),
+    months:
+      funnel.periods.length > 1
+        ? funnel.periods.map((period) => ({ label: period.label, complete: period.complete, totals: period.totals }))
+        : [],
+    breakdown: breakdownRows(request, funnel.rows, createRegistryLookup(registry)),
+    merchants: funnel.merchants.slice(0, TOP_MERCHANTS),
+    merchant_count: funnel.merchants.length,
+    quarters: quarters.periods.map((period) => ({
+      label: period.label,
+      start: period.start,
+      end: period.end,
+      complete: period.complete,
+      totals: period.totals,
+    })),
+    days: funnel.days,
+  };
+}
+
+// ---------- HTML ----------
+
+function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, (ch) => ({
+    "&": "&amp;",
+    "<": "&lt;",
+    ">": "&gt;",
+    '"': "&quot;",
+    "'": "&#39;",
+  })[ch]);
+}
+
+const num = (value) => (Number(value) || 0).toLocaleString("en-US");
+const pct = (part, whole) => (whole > 0 ? `${((part / whole) * 100).toFixed(1)}%` : "—");
+
+const STYLES = `
+  :root { color-scheme: light; }
+  * { box-sizing: border-box; }
+  body { margin: 0; background: #f4f6fa; color: #1b2433; font: 14px/1.5 "Segoe UI", ui-sans-serif, system-ui, -apple-system, Roboto, Arial, sans-serif; }
+  main { max-width: 980px; margin: 0 auto; padding: 32px 24px 48px; }
+  header { border-bottom: 3px solid #2563eb; padding-bottom: 12px; margin-bottom: 24px; }
+  header h1 { margin: 0 0 4px; font-size: 24px; }
+  header p { margin: 0; color: #5b6577; }
+  .links { margin-top: 8px; font-size: 13px; }
+  section { background: #fff; border: 1px solid #dde3ec; border-radius: 10px; padding: 18px 20px; margin-bottom: 18px; }
+  h2 { margin: 0 0 12px; font-size: 17px; }
+  .kpis { display: grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap: 12px; }
+  .kpi { border: 1px solid #dde3ec; border-radius: 8px; padding: 10px 12px; }
+  .kpi .value { font-size: 22px; font-weight: 600; }
+  .kpi .label { color: #5b6577; font-size: 12px; }
+  table { width: 100%; border-collapse: collapse; font-size: 13px; }
+  th, td { padding: 6px 8px; border-bottom: 1px solid #e6eaf0; text-align: right; }
+  th:first-child, td:first-child { text-align: left; }
+  thead th { color: #5b6577; font-weight: 600; border-bottom: 2px solid #dde3ec; }
+  tr.total td { font-weight: 600; border-top: 2px solid #dde3ec; }
+  .bar { display: inline-block; height: 10px; background: #2563eb; border-radius: 3px; vertical-align: middle; margin-right: 6px; }
+  table.funnel td:nth-child(2) { text-align: left; white-space: nowrap; }
+  .muted { color: #5b6577; }
+  .notes { font-size: 12px; color: #5b6577; margin: 0; padding-left: 18px; }
+  footer { font-size: 12px; color: #5b6577; text-align: center; margin-top: 24px; }
+`;
+
+// The print layout: A4 pages, no page background, sections kept whole.
+const PRINT_STYLES = `
+  @page { size: A4; margin: 14mm; }
+  body { background: #fff; font-size: 12px; }
+  main { max-width: none; padding: 0; }
+  section { border: none; border-top: 1px solid #dde3ec; border-radius: 0; padding: 12px 0; break-inside: avoid; }
+  .kpi .value { font-size: 18px; }
+  .screen-only { display: none; }
+  @media screen { main { max-width: 210mm; padding: 14mm; background: #fff; } body { background: #e9edf3; } .screen-only { display: block; } }
+`;
+
+function table(head, rows, { total = null, className = "" } = {}) {
+  const cells = (values, tag = "td") => values.map((value) => `<${tag}>${value}</${tag}>`).join("");
+  return `<table${className ? ` class="${className}"` : ""}>
+      <thead><tr>${cells(head, "th")}</tr></thead>
+      <tbody>
+        ${rows.map((values) => `<tr>${cells(values)}</tr>`).join("\n        ")}
+        ${total ? `<tr class="total">${cells(total)}</tr>` : ""}
+      </tbody>
+    </table>`;
+}
+
+function kpiSection(data) {
+  const t = data.totals;
+  const tiles = [
+    [num(t.ga_select), "Select-merchant views"],
+    [num(t.sessions), "Sessions"],
+    [num(t.sess_with_success), "Sessions with a successful job"],
+    [pct(t.sess_with_success, t.sessions), "Session success rate"],
+    [num(t.placements), "Billable placements"],
+  ];
+  if (t.cardholders > 0) tiles.push([num(t.cardholders), "Cardholders"]);
+  return `<section>
+    <h2>Summary</h2>
+    <div class="kpis">
+      ${tiles.map(([value, label]) => `<div class="kpi"><div class="value">${value}</div><div class="label">${label}</div></div>`).join("\n      ")}
+    </div>
+  </section>`;
+}
+
+function funnelSection(data) {
+  const t = data.totals;
+  const steps = [
+    ...data.stages.map((stage) => [escapeHtml(stage.label), t.ga_stages?.[stage.id] || 0, "ga"]),
+    ["Sessions", t.sessions, "sessions"],
+    ["Sessions with a job", t.sess_with_jobs, "sessions"],
+    ["Sessions with a successful job", t.sess_with_success, "sessions"],
+  ];
+  const max = Math.max(...steps.map(([, value]) => value), 1);
+  const first = steps[0][1];
+  // GA counts page views and sessions count CardUpdatr sessions, so the
+  // step from the last GA stage to sessions has no "of previous".
+  const rows = steps.map(([label, value, source], i) => [
+    label,
+    `<span class="bar" style="width: ${((value / max) * 220).toFixed(0)}px"></span>${num(value)}`,
+    i === 0 ? "" : pct(value, first),
+    i === 0 || steps[i - 1][2] !== source ? "" : pct(value, steps[i - 1][1]),
+  ]);
+  return `<section>
+    <h2>Funnel</h2>
+    ${table(["Stage", "Count", "Of first", "Of previous"], rows, { className: "funnel" })}
+    <p class="notes muted">The first ${data.stages.length} stages are Google Analytics page views; the rest are CardUpdatr sessions.</p>
+  </section>`;
+}
+
+function conversionSection(data) {
+  const t = data.totals;
+  const o = data.outcomes;
+  const rows = [
+    ["Views that started a session", pct(t.sessions, t.ga_select)],
+    ["Sessions with at least one job", pct(t.sess_with_jobs, t.sessions)],
+    ["Sessions with a successful job", pct(t.sess_with_success, t.sessions)],
+    ["Views that ended in a successful session", pct(t.sess_with_success, t.ga_select)],
+    ["Jobs per session with jobs", t.sess_with_jobs > 0 ? (t.total_jobs / t.sess_with_jobs).toFixed(2) : "—"],
+    ["Successful jobs per successful session", t.sess_with_success > 0 ? (t.successful_jobs / t.sess_with_success).toFixed(2) : "—"],
+  ];
+  const outcomeRows = [
+    ["Successful", num(o.successful), pct(o.successful, o.total)],
+    ["Site failures", num(o.site_failure), pct(o.site_failure, o.total)],
+    ["Cardholder-ended (UX)", num(o.ux), pct(o.ux, o.total)],
+  ];
+  return `<section>
+    <h2>Conversion</h2>
+    ${table(["Measure", "Rate"], rows)}
+  </section>
+  <section>
+    <h2>Placement outcomes</h2>
+    ${table(["Outcome", "Placements", "Share"], outcomeRows, { total: ["Total", num(o.total), ""] })}
+    <p class="notes muted">Site success (successful out of successful plus site failures): ${pct(o.successful, o.successful + o.site_failure)}.</p>
+  </section>`;
+}
+
+function monthsSection(data) {
+  if (!data.months.length) return "";
+  const rows = data.months.map(({ label, complete, totals: t }) => [
+    `${escapeHtml(label)}${complete ? "" : ' <span class="muted">(partial)</span>'}`,
+    num(t.ga_select),
+    num(t.sessions),
+    num(t.sess_with_success),
+    pct(t.sess_with_success, t.sessions),
+    num(t.placements),
+  ]);
+  return `<section>
+    <h2>By month</h2>
+    ${table(["Month", "Select views", "Sessions", "Successful sessions", "Success rate", "Billable placements"], rows)}
+  </section>`;
+}
+
+function breakdownSection(data) {
+  if (!data.breakdown.length) return "";
+  const rows = data.breakdown.map(({ label, integrations, totals: t }) => [
+    escapeHtml(label),
+    escapeHtml(integrations),
+    num(t.ga_select),
+    num(t.sessions),
+    num(t.sess_with_success),
+    pct(t.sess_with_success, t.sessions),
+    num(t.placements),
+    t.cardholders > 0 ? num(t.cardholders) : "—",
+  ]);
+  return `<section>
+    <h2>${data.request.scope === "partner" ? "By FI" : "By instance"}</h2>
+    ${table(
+      [data.request.scope === "partner" ? "FI" : "Instance", "Integration", "Select views", "Sessions", "Successful sessions", "Success rate", "Billable placements", "Cardholders"],
+      rows
+    )}
+  </section>`;
+}
+
+function merchantsSection(data) {
+  if (!data.merchants.length) return "";
+  const rows = data.merchants.map((m) => [
+    escapeHtml(m.name || m.merchant),
+    num(m.total),
+    num(m.billable),
+    num(m.site_failure),
+    num(m.ux),
+    pct(m.billable, m.billable + m.site_failure),
+  ]);
+  const more = data.merchant_count - data.merchants.length;
+  return `<section>
+    <h2>Top merchants</h2>
+    ${table(["Merchant", "Placements", "Billable", "Site failures", "UX", "Site success"], rows)}
+    ${more > 0 ? `<p class="notes muted">${num(more)} more merchant(s) not shown.</p>` : ""}
+  </section>`;
+}
+
+function quartersSection(data) {
+  if (!data.quarters.length) return "";
+  const rows = data.quarters.map(({ label, start, end, complete, totals: t }) => [
+    `${escapeHtml(label)}${complete ? "" : ' <span class="muted">(to date)</span>'}`,
+    `${start} → ${end}`,
+    num(t.ga_select),
+    num(t.sessions),
+    num(t.sess_with_success),
+    pct(t.sess_with_success, t.sessions),
+    num(t.placements),
+  ]);
+  return `<section>
+    <h2>Quarter summary</h2>
+    ${table(["Quarter", "Dates", "Select views", "Sessions", "Successful sessions", "Success rate", "Billable placements"], rows)}
+  </section>`;
+}
+
+function notesSection(data) {
+  const days = data.days;
+  const notes = [];
+  if (days.missing.length) {
+    notes.push(`${days.missing.length} of ${days.count} day(s) have no data yet and count as zero.`);
+  }
+  const partial = Object.keys(days.missing_sources || {}).length;
+  if (partial) notes.push(`${partial} day(s) are missing a data source (GA, sessions or placements).`);
+  if (days.stale_funnel) notes.push(`${days.stale_funnel} day(s) were built with an older funnel definition.`);
+  if (days.unsplit) notes.push(`${days.unsplit} day(s) predate per-merchant counts and are left out of the merchant table.`);
+  if (!notes.length) return "";
+  return `<section>
+    <h2>Data notes</h2>
+    <ul class="notes">${notes.map((note) => `<li>${escapeHtml(note)}</li>`).join("")}</ul>
+  </section>`;
+}
+
+/**
+ * The report as one HTML document with its styles inline. `print` gives the
+ * A4 layout meant for the browser's Save as PDF; `links` names the sibling
+ * files the screen layout points at.
+ */
+export function renderReportHtml(data, { print = false, generatedAt = new Date().toISOString(), links = {} } = {}) {
+  const { request } = data;
+  const title = `${request.name} — ${request.label}`;
+  const subtitle = `${request.scope === "partner" ? "Partner" : "FI"} performance report · ${request.start} → ${request.end}`;
+  const nav = print
+    ? `<p class="links screen-only">Use your browser's Print → Save as PDF to keep this page as a PDF.</p>`
+    : `<p class="links">${[
+        links.print ? `<a href="${escapeHtml(links.print)}">Print / PDF version</a>` : "",
+        links.index ? `<a href="${escapeHtml(links.index)}">All reports</a>` : "",
+      ]
+        .filter(Boolean)
+        .join(" · ")}</p>`;
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}${print ? PRINT_STYLES : ""}</style>
+</head>
+<body>
+<main>
+  <header>
+    <h1>${escapeHtml(title)}</h1>
+    <p>${escapeHtml(subtitle)}</p>
+    ${nav}
+  </header>
+  ${[
+    kpiSection(data),
+    funnelSection(data),
+    conversionSection(data),
+    monthsSection(data),
+    breakdownSection(data),
+    merchantsSection(data),
+    quartersSection(data),
+    notesSection(data),
+  ]
+    .filter(Boolean)
+    .join("\n  ")}
+  <footer>Strivve Insights Service · generated ${escapeHtml(generatedAt.replace("T", " ").slice(0, 16))} UTC · test instances excluded</footer>
+</main>
+</body>
+</html>
+`;
+}
+
+// ---------- Reports folder ----------
+
+/** The reports kept in the folder, newest period first. */
+export function listReports(config = reportConfigFromEnv()) {
+  const manifest = readJsonOrNull(path.join(config.dir, "index.json"));
+  return Array.isArray(manifest?.reports) ? manifest.reports : [];
+}
+
+function renderIndexHtml(reports) {
+  const rows = reports.map((report) => [
+    `<a href="${escapeHtml(report.file)}">${escapeHtml(report.name)}</a>`,
+    report.scope === "partner" ? "Partner" : "FI",
+    escapeHtml(report.label),
+    `${report.start} → ${report.end}`,
+    `<a href="${escapeHtml(report.print_file)}">Print / PDF</a>`,
+    `${escapeHtml(report.generated_at.replace("T", " ").slice(0, 16))}${
+      report.schedule_id ? ` <span class="muted">(${escapeHtml(report.schedule_id)})</span>` : ""
+    }`,
+  ]);
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<title>Partner reports</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<main>
+  <header>
+    <h1>Partner reports</h1>
+    <p>${num(reports.length)} report(s)</p>
+  </header>
+  <section>
+    ${
+      reports.length
+        ? table(["Report", "Scope", "Period", "Dates", "", "Generated (UTC)"], rows)
+        : '<p class="muted">No reports yet.</p>'
+    }
+  </section>
+</main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Builds and writes one report (both layouts) and adds it to the index,
+ * replacing an earlier report for the same scope and range.
+ * @param {object} input - { scope, key, start, end, label? }
+ * @param {object} options - { config, storage, trigger, scheduleId }
+ * @returns {Promise<object>} the index entry
+ */
+export async function generateReport(
+  input,
+  { config = reportConfigFromEnv(), storage = getStorage(), trigger = "manual", scheduleId = null } = {}
+) {
+  const registry = loadRegistry(config.registryFile);
+  const request = normalizeReportRequest(input, registry);
+  const data = buildReportData(request, { registry, definition: loadFunnelDefinition(), storage });
+  const generatedAt = new Date().toISOString();
+  const id = reportId(request);
+  const entry = {
+    id,
+    scope: request.scope,
+    key: request.key,
+    name: request.name,
+    label: request.label,
+    start: request.start,
+    end: request.end,
+    file: `${id}.html`,
+    print_file: `${id}.print.html`,
+    generated_at: generatedAt,
+    trigger,
+    schedule_id: scheduleId,
+    totals: {
+      sessions: data.totals.sessions,
+      sess_with_success: data.totals.sess_with_success,
+      placements: data.totals.placements,
+    },
+    missing_days: data.days.missing.length,
+  };
+  await writeFileAtomic(
+    path.join(config.dir, entry.file),
+    renderReportHtml(data, { generatedAt, links: { print: entry.print_file, index: "index.html" } })
+  );
+  await writeFileAtomic(path.join(config.dir, entry.print_file), renderReportHtml(data, { print: true, generatedAt }));
+
+  const reports = [entry, ...listReports(config).filter((report) => report.id !== id)].sort(
+    (a, b) => b.end.localeCompare(a.end) || a.name.localeCompare(b.name) || b.start.localeCompare(a.start)
+  );
+  await writeFileAtomic(path.join(config.dir, "index.json"), JSON.stringify({ reports }, null, 2) + "\n");
+  await writeFileAtomic(path.join(config.dir, "index.html"), renderIndexHtml(reports));
+  return entry;
+}
+
+// ---------- Schedules ----------
+
+function parseTimeOfDay(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec((value || "").toString().trim());
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+  return { hours: Number(match[1]), minutes: Number(match[2]) };
+}
+
+/**
+ * Validates one report schedule: which FI or partner, monthly or quarterly,
+ * and the day of the month (1-28) and UTC time it runs. Quarterly reports run
+ * in the first month of each quarter.
+ */
+export function normalizeReportSchedule(entry = {}) {
+  const id = lower(entry.id).replace(/[^a-z0-9-]/g, "-");
+  if (!id) throw fail("Schedule id is required");
+  const scope = lower(entry.scope);
+  if (!REPORT_SCOPES.includes(scope)) throw fail(`Schedule ${id}: scope must be ${REPORT_SCOPES.join(" or ")}`);
+  const key = (entry.key || "").toString().trim();
+  if (!key) throw fail(`Schedule ${id}: ${scope === "fi" ? "an FI" : "a partner"} is required`);
+  const period = lower(entry.period) || "month";
+  if (!REPORT_PERIODS.includes(period)) throw fail(`Schedule ${id}: period must be month or quarter`);
+  const day = Number(entry.day ?? 2);
+  if (!Number.isInteger(day) || day < 1 || day > 28) throw fail(`Schedule ${id}: day must be between 1 and 28`);
+  const parsed = parseTimeOfDay(entry.time || "06:00");
+  if (!parsed) throw fail(`Schedule ${id}: time must be HH:MM (UTC)`);
+  return {
+    id,
+    label: (entry.label || "").toString().trim().slice(0, MAX_LABEL_LENGTH) || id,
+    enabled: Boolean(entry.enabled),
+    scope,
+    key: scope === "fi" ? lower(key) : key,
+    period,
+    day,
+    time: `${String(parsed.hours).padStart(2, "0")}:${String(parsed.minutes).padStart(2, "0")}`,
+    lastTriggeredAt: entry.lastTriggeredAt || null,
+  };
+}
+
+export function readReportSchedules(file) {
+  const stored = readJsonOrNull(file);
+  const schedules = [];
+  for (const entry of Array.isArray(stored?.schedules) ? stored.schedules : []) {
+    try {
+      schedules.push(normalizeReportSchedule(entry));
+    } catch (err) {
+      console.warn(`[reports] ignoring invalid schedule ${entry?.id || "?"}: ${err.message}`);
+    }
+  }
+  return { schedules };
+}
+
+async function writeReportSchedules(file, schedules) {
+  const normalized = schedules.map(normalizeReportSchedule);
+  const ids = new Set();
+  for (const schedule of normalized) {
+    if (ids.has(schedule.id)) throw fail(`Duplicate schedule id "${schedule.id}"`);
+    ids.add(schedule.id);
+  }
+  await writeFileAtomic(file, JSON.stringify({ schedules: normalized }, null, 2) + "\n");
+  return { schedules: normalized };
+}
+
+/** Next time a report schedule fires strictly after `from` (UTC). */
+export function computeNextReportRun(schedule, from = new Date()) {
+  const { hours, minutes } = parseTimeOfDay(schedule.time);
+  const step = schedule.period === "quarter" ? 3 : 1;
+  let year = from.getUTCFullYear();
+  let month = schedule.period === "quarter" ? Math.floor(from.getUTCMonth() / 3) * 3 : from.getUTCMonth();
+  for (;;) {
+    const next = new Date(Date.UTC(year, month, schedule.day, hours, minutes));
+    if (next > from) return next;
+    month += step;
+    if (month > 11) {
+      month -= 12;
+      year += 1;
+    }
+  }
+}
+
+/** The range a schedule reports on when it fires at `now`: the last full month or quarter. */
+export function resolveScheduleReport(schedule, now = new Date()) {
+  const { start, end, label } = resolveReportPeriod(schedule.period, null, isoDay(now.getTime()));
+  return { scope: schedule.scope, key: schedule.key, start, end, label };
+}
+
+/**
+ * Timer loop that generates each enabled schedule's report when it is due.
+ * Like the refresh scheduler, a run missed while the server was down happens
+ * once on the next tick, and a schedule switched on counts from that moment.
+ */
+export function createReportScheduler({ config, tickMs = DEFAULT_TICK_MS, now = () => new Date(), onGenerated = () => {} }) {
+  const startedAt = now();
+  const armedAt = new Map();
+  let schedules = [];
+  let timer = null;
+  let ticking = false;
+
+  function nextRunFor(schedule) {
+    const last = schedule.lastTriggeredAt ? new Date(schedule.lastTriggeredAt) : null;
+    const armed = armedAt.get(schedule.id) || (last ? null : startedAt);
+    return computeNextReportRun(schedule, last && (!armed || last > armed) ? last : armed);
+  }
+
+  function snapshot() {
+    return {
+      schedules: schedules.map((schedule) => ({
+        ...schedule,
+        nextRunAt: schedule.enabled ? nextRunFor(schedule).toISOString() : null,
+        nextReport: resolveScheduleReport(schedule, schedule.enabled ? nextRunFor(schedule) : now()),
+      })),
+    };
+  }
+
+  async function run(schedule, at = now()) {
+    const report = await generateReport(resolveScheduleReport(schedule, at), {
+      config,
+      trigger: "schedule",
+      scheduleId: schedule.id,
+    });
+    console.log(`[reports] ${schedule.id} wrote ${report.file}`);
+    onGenerated(report);
+    return report;
+  }
+
+  async function tick() {
+    if (ticking) return;
+    ticking = true;
+    try {
+      const current = now();
+      for (const schedule of schedules) {
+        if (!schedule.enabled || nextRunFor(schedule) > current) continue;
+        const stored = readReportSchedules(config.schedulesFile).schedules;
+        const target = stored.find((s) => s.id === schedule.id);
+        if (target) target.lastTriggeredAt = current.toISOString();
+        ({ schedules } = await writeReportSchedules(config.schedulesFile, stored));
+        try {
+          await run(schedule, current);
+        } catch (err) {
+          console.error(`[reports] ${schedule.id} failed:`, err?.message || err);
+        }
+      }
+    } catch (err) {
+      console.error("[reports] tick failed:", err?.message || err);
+    } finally {
+      ticking = false;
+    }
+  }
+
+  return {
+    start() {
+      ({ schedules } = readReportSchedules(config.schedulesFile));
+      if (timer) return;
+      timer = setInterval(tick, tickMs);
+      if (timer.unref) timer.unref();
+      console.log(`[reports] scheduler started (${schedules.filter((s) => s.enabled).length} enabled schedule(s))`);
+    },
+    stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+    },
+    async save(next) {
+      const previous = new Map(schedules.map((s) => [s.id, s]));
+      ({ schedules } = await writeReportSchedules(
+        config.schedulesFile,
+        (next || []).map((entry) => ({ ...entry, lastTriggeredAt: previous.get(entry?.id)?.lastTriggeredAt || null }))
+      ));
+      const savedAt = now();
+      for (const schedule of schedules) {
+        if (schedule.enabled && !previous.get(schedule.id)?.enabled) armedAt.set(schedule.id, savedAt);
+      }
+      return snapshot();
+    },
+    /** Generates a schedule's report now, for the range it would cover today. */
+    async runNow(id) {
+      const schedule = schedules.find((s) => s.id === id);
+      if (!schedule) throw fail(`Unknown report schedule "${id}"`, 404);
+      return run(schedule);
+    },
+    snapshot,
+  };
+}
@@ -0,0 +1,240 @@
+import fs from "node:fs";
+import fsp from "node:fs/promises";
+import path from "node:path";
+import { getStorage, RAW_TYPES } from "./storage/index.mjs";
+
+// Retention for raw fetches. Three steps, applied to days whose fetch was
+// complete (_metadata.isComplete):
+//
+//   compress  gzip the pretty-printed file in place (JSON engine, on by default)
+//   archive   move days older than RAW_ARCHIVE_AFTER_MONTHS, gzipped, to the
+//             archive folder (JSON engine)
+//   prune     delete days older than RAW_PRUNE_AFTER_MONTHS once their daily
+//             rollup exists; a day is pruned whole, every raw type or none
+//
+// Compressed and archived days read back through readRaw like any other.
+// Pruned days are listed in data/raw-retention.json so the funnel page's
+// auto-fetch does not fetch them straight back.
+
+function envMonths(name) {
+  const value = Number(process.env[name]);
+  return Number.isInteger(value) && value > 0 ? value : 0;
+}
+
+/**
+ * Retention settings from the environment (see .env.example). Relative paths
+ * are resolved against `root`.
+ */
+export function retentionConfigFromEnv({ root = process.cwd() } = {}) {
+  return {
+    compress: !/^(0|false|no|off)$/i.test((process.env.RAW_COMPRESS || "").trim()),
+    archiveAfterMonths: envMonths("RAW_ARCHIVE_AFTER_MONTHS"),
+    pruneAfterMonths: envMonths("RAW_PRUNE_AFTER_MONTHS"),
+    file: path.resolve(root, process.env.RAW_RETENTION_FILE || path.join("data", "raw-retention.json")),
+  };
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/** The first day not older than `months` months before `day`; null when off. */
+export function monthsBefore(day, months) {
+  if (!months) return null;
+  const [y, m, d] = day.split("-").map(Number);
+  // Clamp to the month's last day, so 31 March less one month is 28/29 Feb.
+  const lastDay = new Date(Date.UTC(y, m - 1 - months + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(y, m - 1 - months, Math.min(d, lastDay))).toISOString().slice(0, 10);
+}
+
+let cached = null;
+
+/**
+ * The stored state: days pruned per type and the last run's summary. Re-read
+ * when the file's mtime changes.
+ * @returns {object} { pruned: { [type]: string[] }, last_run }
+ */
+export function readRetentionState(config = retentionConfigFromEnv()) {
+  let mtime;
+  try {
+    mtime = fs.statSync(config.file).mtimeMs;
+  } catch {
+    return { pruned: {}, last_run: null };
+  }
+  const cacheKey = `${config.file}:${mtime}`;
+  if (cached?.key === cacheKey) return cached.state;
+  let state;
+  try {
+    const raw = JSON.parse(fs.readFileSync(config.file, "utf8"));
+    state = {
+      pruned: raw?.pruned && typeof raw.pruned === "object" ? raw.pruned : {},
+      last_run: raw?.last_run || null,
+    };
+  } catch (err) {
+    console.warn(`[retention] ${path.basename(config.file)} is not valid JSON (${err.message}); ignoring it`);
+    return { pruned: {}, last_run: null };
+  }
+  cached = { key: cacheKey, state };
+  return state;
+}
+
+async function saveRetentionState(config, state) {
+  await fsp.mkdir(path.dirname(config.file), { recursive: true });
+  const tmpPath = `${config.file}.tmp-${process.pid}-${Date.now()}`;
+  await fsp.writeFile(tmpPath, JSON.stringify(state, null, 2) + "\n", "utf8");
+  await fsp.rename(tmpPath, config.file);
+}
+
+/** Whether retention deleted this raw day (and it has not been fetched again). */
+export function isPrunedDay(type, day, config = retentionConfigFromEnv()) {
+  return (readRetentionState(config).pruned[type] || []).includes(day);
+}
+
+/**
+ * The raw types retention deleted for `day` that have not been fetched again.
+ * A rollup built without them would lose their counts, so builds skip such
+ * days and keep the rollup they have.
+ * @returns {string[]} empty when the day's raw data is all there
+ */
+export function prunedRawTypes(day, { config = retentionConfigFromEnv(), storage = getStorage() } = {}) {
+  const { pruned } = readRetentionState(config);
+  return RAW_TYPES.filter((type) => (pruned[type] || []).includes(day) && !storage.rawExists(type, day));
+}
+
+function emptyCounts() {
+  return { compressed: 0, archived: 0, pruned: 0, incomplete: 0, waiting_for_rollup: 0 };
+}
+
+/**
+ * Runs the policy over every stored raw day. With `dryRun` nothing is touched
+ * and the counts say what would happen.
+ * @returns {object} { dry_run, ran_at, engine, cutoffs, by_type, usage_before, usage_after }
+ */
+export async function applyRawRetention(
+  config = retentionConfigFromEnv(),
+  { storage = getStorage(), dryRun = false, day = today(), isCancelled } = {}
+) {
+  const cutoffs = {
+    archive: storage.archiveRaw ? monthsBefore(day, config.archiveAfterMonths) : null,
+    prune: monthsBefore(day, config.pruneAfterMonths),
+  };
+  const compress = Boolean(config.compress && storage.compressRaw);
+  const rollups = new Set(storage.listDailyDays());
+  const usageBefore = storage.rawUsage();
+  const state = readRetentionState(config);
+  const pruned = Object.fromEntries(RAW_TYPES.map((type) => [type, new Set(state.pruned[type] || [])]));
+  const byType = Object.fromEntries(RAW_TYPES.map((type) => [type, emptyCounts()]));
+  const isComplete = (type, rawDay) => storage.readRawHeader(type, rawDay)?._metadata?.isComplete === true;
+
+  // Days fetched again since they were pruned are stored once more.
+  const daysByType = {};
+  for (const type of RAW_TYPES) {
+    daysByType[type] = storage.listRawDays(type);
+    for (const rawDay of daysByType[type]) pruned[type].delete(rawDay);
+  }
+
+  // Pruning goes day by day: a rebuild from what is left of a half-pruned
+  // day would zero the deleted sources, so either every stored type of a day
+  // is complete and goes, or the day stays whole. The counts of a day held
+  // back go to each of its types.
+  const pruneDays = new Map();
+  if (cutoffs.prune) {
+    for (const type of RAW_TYPES) {
+      for (const rawDay of daysByType[type]) {
+        if (rawDay >= cutoffs.prune) continue;
+        if (!pruneDays.has(rawDay)) pruneDays.set(rawDay, []);
+        pruneDays.get(rawDay).push(type);
+      }
+    }
+  }
+  for (const rawDay of Array.from(pruneDays.keys()).sort()) {
+    if (isCancelled?.()) {
+      throw Object.assign(new Error(`Cancelled at ${rawDay}`), { kind: "cancelled" });
+    }
+    const types = pruneDays.get(rawDay);
+    // Only a finished day is final; an incomplete one is refetched first.
+    const held = types.some((type) => !isComplete(type, rawDay))
+      ? "incomplete"
+      : rollups.has(rawDay)
+        ? null
+        : "waiting_for_rollup";
+    for (const type of types) {
+      if (held) {
+        byType[type][held] += 1;
+        continue;
+      }
+      if (!dryRun) storage.deleteRaw(type, rawDay);
+      pruned[type].add(rawDay);
+      byType[type].pruned += 1;
+    }
+  }
+
+  for (const type of RAW_TYPES) {
+    const counts = byType[type];
+    for (const rawDay of daysByType[type]) {
+      if (cutoffs.prune && rawDay < cutoffs.prune) continue;
+      if (isCancelled?.()) {
+        throw Object.assign(new Error(`Cancelled at ${type} ${rawDay}`), { kind: "cancelled" });
+      }
+      const archive = Boolean(cutoffs.archive && rawDay < cutoffs.archive);
+      const tier = storage.rawFileInfo?.(type, rawDay)?.tier || "live";
+      const wanted = archive ? "archived" : compress ? "compressed" : tier;
+      if (wanted === tier || (wanted === "compressed" && tier === "archived")) continue;
+
+      if (!isComplete(type, rawDay)) {
+        counts.incomplete += 1;
+        continue;
+      }
+      if (!dryRun) {
+        if (wanted === "archived") storage.archiveRaw(type, rawDay);
+        else storage.compressRaw(type, rawDay);
+      }
+      counts[wanted] += 1;
+    }
+  }
+
+  const summary = {
+    dry_run: dryRun,
+    ran_at: new Date().toISOString(),
+    engine: storage.engine,
+    cutoffs,
+    by_type: byType,
+    usage_before: usageBefore,
+    usage_after: dryRun ? usageBefore : storage.rawUsage(),
+  };
+  if (!dryRun) {
+    await saveRetentionState(config, {
+      pruned: Object.fromEntries(
+        Object.entries(pruned).map(([type, days]) => [type, Array.from(days).sort()])
+      ),
+      last_run: summary,
+    });
+  }
+  return summary;
+}
+
+/**
+ * What the maintenance page shows: the policy, disk use per raw type and
+ * tier, how many days were pruned, and the last run.
+ */
+export function describeRetention(config = retentionConfigFromEnv(), { storage = getStorage() } = {}) {
+  const state = readRetentionState(config);
+  const described = storage.describe();
+  return {
+    engine: storage.engine,
+    policy: {
+      compress: Boolean(config.compress && storage.compressRaw),
+      archive_after_months: storage.archiveRaw ? config.archiveAfterMonths : 0,
+      prune_after_months: config.pruneAfterMonths,
+      archive_dir: described.archiveDir || null,
+    },
+    usage: storage.rawUsage(),
+    pruned: Object.fromEntries(
+      RAW_TYPES.map((type) => {
+        const days = state.pruned[type] || [];
+        return [type, { days: days.length, first: days[0] || null, last: days[days.length - 1] || null }];
+      })
+    ),
+    last_run: state.last_run,
+  };
+}
@@ -1,25 +1,15 @@
-import fs from "node:fs";
 import path from "node:path";
+import { getStorage } from "./storage/index.mjs";
+import { isPrunedDay, retentionConfigFromEnv } from "./rawRetention.mjs";
 
+// Raw fetches live behind the storage engine chosen by STORAGE_ENGINE (JSON
+// files under raw/ by default, or SQLite). These helpers keep the original
+// per-type/per-day API on top of it.
 const RAW_ROOT = path.resolve("raw");
 
-function writeFileAtomicSync(targetPath, contents) {
-  const dir = path.dirname(targetPath);
-  const base = path.basename(targetPath);
-  const tmpPath = path.join(
-    dir,
-    `.${base}.tmp-${process.pid}-${Date.now()}-${Math.random()
-      .toString(16)
-      .slice(2)}`
-  );
-  fs.writeFileSync(tmpPath, contents);
-  fs.renameSync(tmpPath, targetPath);
-}
-
 export function ensureRawDirs() {
-  for (const d of ["ga", "sessions", "placements"]) {
-    fs.mkdirSync(path.join(RAW_ROOT, d), { recursive: true });
-  }
+  // Only the JSON engine has directories to create.
+  getStorage().ensureRawDirs?.();
 }
 
 export function rawPath(type, date) {
@@ -27,18 +17,11 @@ export function rawPath(type, date) {
 }
 
 export function rawExists(type, date) {
-  return fs.existsSync(rawPath(type, date));
+  return getStorage().rawExists(type, date);
 }
 
 export function writeRaw(type, date, obj, { atomic = true } = {}) {
-  ensureRawDirs();
-  const outPath = rawPath(type, date);
-  const contents = JSON.stringify(obj, null, 2);
-  if (atomic) {
-    writeFileAtomicSync(outPath, contents);
-  } else {
-    fs.writeFileSync(outPath, contents);
-  }
+  getStorage().writeRaw(type, date, obj, { atomic });
 }
 
 export function writeRawAtomic(type, date, obj) {
@@ -46,19 +29,32 @@ export function writeRawAtomic(type, date, obj) {
 }
 
 export function readRaw(type, date) {
-  const p = rawPath(type, date);
-  if (!fs.existsSync(p)) return null;
-  return JSON.parse(fs.readFileSync(p, "utf8"));
+  return getStorage().readRaw(type, date);
 }
 
 export function deleteRaw(type, date) {
-  const p = rawPath(type, date);
-  try {
-    fs.unlinkSync(p);
-    return true;
-  } catch {
-    return false;
-  }
+  return getStorage().deleteRaw(type, date);
+}
+
+/**
+ * Days with stored raw data of one type, ascending.
+ * @param {string} type - 'sessions', 'placements', or 'ga'
+ * @returns {string[]}
+ */
+export function listRawDays(type) {
+  return getStorage().listRawDays(type);
+}
+
+/**
+ * Rows of one raw type across a date range in a single read. `fiKey` and
+ * `instance` narrow the result; rows that do not name an FI are always kept
+ * because callers resolve those through the instance.
+ * @param {string} type - 'sessions', 'placements', or 'ga'
+ * @param {object} range - { startDate, endDate, fiKey?, instance? }
+ * @returns {object[]}
+ */
+export function readRawRange(type, range) {
+  return getStorage().readRawRange(type, range);
 }
 
 /**
@@ -105,15 +101,11 @@ export function writeRawWithMetadata(type, dateStr, data, options = {}) {
  * @returns {object} { metadata: {...}, data: {...} } or { metadata: null, data: null } if file doesn't exist
  */
 export function readRawWithMetadata(type, dateStr) {
-  const p = rawPath(type, dateStr);
-
-  if (!fs.existsSync(p)) {
-    return { metadata: null, data: null };
-  }
-
   try {
-    const content = fs.readFileSync(p, 'utf8');
-    const parsed = JSON.parse(content);
+    const parsed = readRaw(type, dateStr);
+    if (!parsed) {
+      return { metadata: null, data: null };
+    }
 
     // Check if metadata exists - if not, backfill it
     if (!parsed._metadata) {
@@ -132,7 +124,7 @@ export function readRawWithMetadata(type, dateStr) {
       };
 
       // Write back with metadata at top
-      writeFileAtomicSync(p, JSON.stringify(reordered, null, 2));
+      writeRaw(type, dateStr, reordered);
 
       // Update parsed to use reordered version
       parsed._metadata = reordered._metadata;
@@ -153,12 +145,21 @@ export function readRawWithMetadata(type, dateStr) {
  * Checks if raw data exists and needs refetching
  * @param {string} type - 'sessions', 'placements', or 'ga'
  * @param {string} dateStr - YYYY-MM-DD format
+ * @param {object} retention - from retentionConfigFromEnv; days it pruned are not refetched
  * @returns {object} { exists: boolean, needsRefetch: boolean, reason: string }
  */
-export function checkRawDataStatus(type, dateStr) {
-  const { metadata, data } = readRawWithMetadata(type, dateStr);
+export function checkRawDataStatus(type, dateStr, retention = retentionConfigFromEnv()) {
+  // The header (document without its rows) is enough once metadata exists;
+  // older documents go through readRawWithMetadata to get it backfilled.
+  const header = getStorage().readRawHeader(type, dateStr);
+  const { metadata, data } = header?._metadata
+    ? { metadata: header._metadata, data: header }
+    : readRawWithMetadata(type, dateStr);
 
   if (!metadata || !data) {
+    if (isPrunedDay(type, dateStr, retention)) {
+      return { exists: false, needsRefetch: false, reason: 'Pruned by the retention policy; the rollup is kept' };
+    }
     return { exists: false, needsRefetch: true, reason: 'File does not exist' };
   }
 
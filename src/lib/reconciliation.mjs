@@ -0,0 +1,229 @@
+// Finds raw data the rollups cannot attribute: sessions whose FI is not in the
+// registry, GA hosts no resolution rule maps, and placements whose session
+// was never fetched. Pure over the raw documents it is handed.
+
+const SAMPLE_LIMIT = 5;
+
+function lower(value) {
+  return value ? value.toString().trim().toLowerCase() : "";
+}
+
+function canonicalInstance(value) {
+  return lower(value).replace(/[^a-z0-9]/g, "");
+}
+
+function formatInstance(value) {
+  return lower(value).replace(/[\s_]+/g, "-") || "unknown";
+}
+
+function previousDay(day) {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() - 1);
+  return date.toISOString().slice(0, 10);
+}
+
+function sessionId(session) {
+  return session.agent_session_id || session.session_id || session.id || session.cuid || null;
+}
+
+// Same key buildTroubleshootPayload joins placements to sessions with.
+function placementSessionId(placement) {
+  return (
+    placement.agent_session_id ||
+    placement.session_id ||
+    placement.cardholder_session_id ||
+    placement.cuid ||
+    null
+  );
+}
+
+function recordInstance(record) {
+  return formatInstance(
+    record._instance || record.instance || record.instance_name || record.org_name || ""
+  );
+}
+
+function recordFiKey(record) {
+  return lower(
+    record.financial_institution_lookup_key ||
+      record.fi_lookup_key ||
+      record.fi_name ||
+      record.financial_institution ||
+      ""
+  );
+}
+
+/**
+ * Lookup keys (and FI names) in the registry, with the instances each one is
+ * registered on.
+ */
+export function buildRegistryLookup(registry = {}) {
+  const instancesByKey = new Map();
+  const keyByName = new Map();
+  for (const entry of Object.values(registry)) {
+    if (!entry || typeof entry !== "object") continue;
+    const key = lower(entry.fi_lookup_key || entry.fi_name);
+    if (!key) continue;
+    // canonical instance -> display name
+    const instances = instancesByKey.get(key) || new Map();
+    const listed = [entry.instance, ...(Array.isArray(entry.instances) ? entry.instances : [])];
+    for (const instance of listed) {
+      if (instance) instances.set(canonicalInstance(instance), formatInstance(instance));
+    }
+    instancesByKey.set(key, instances);
+    if (entry.fi_name) keyByName.set(lower(entry.fi_name), key);
+  }
+  return {
+    match(fiKey, instance) {
+      const key = instancesByKey.has(fiKey) ? fiKey : keyByName.get(fiKey);
+      if (!key) return { reason: "not_in_registry", registeredInstances: [] };
+      const instances = instancesByKey.get(key);
+      if (!instances.size || instances.has(canonicalInstance(instance))) return null;
+      return { reason: "other_instance", registeredInstances: Array.from(instances.values()).sort() };
+    },
+  };
+}
+
+function bump(groups, id, base, amount, sample) {
+  const group = groups.get(id) || { ...base, count: 0, samples: [] };
+  group.count += amount;
+  if (sample !== null && group.samples.length < SAMPLE_LIMIT && !group.samples.includes(sample)) {
+    group.samples.push(sample);
+  }
+  groups.set(id, group);
+}
+
+/**
+ * Reconciles one day of raw data.
+ * @param {string} day - YYYY-MM-DD
+ * @param {object} raw - { sessions, placements, ga } raw documents for the day,
+ *   plus `previousSessions` (the day before), whose sessions may own
+ *   placements created after midnight
+ * @param {object} context - { registryLookup, resolution }
+ */
+export function reconcileDay(day, raw, { registryLookup, resolution }) {
+  const sessionGroups = new Map();
+  const hostGroups = new Map();
+  const placementGroups = new Map();
+
+  const sessions = Array.isArray(raw.sessions?.sessions) ? raw.sessions.sessions : [];
+  for (const session of sessions) {
+    if (!session || typeof session !== "object") continue;
+    const aliased = resolution.applyAliases({
+      fi: recordFiKey(session),
+      instance: recordInstance(session),
+    });
+    const fiKey = lower(aliased.fi);
+    const instance = formatInstance(aliased.instance);
+    const mismatch = fiKey
+      ? registryLookup.match(fiKey, instance)
+      : { reason: "no_fi_key", registeredInstances: [] };
+    if (!mismatch) continue;
+    bump(
+      sessionGroups,
+      `${fiKey}|${instance}|${mismatch.reason}`,
+      { day, instance, fi_lookup_key: fiKey || null, ...mismatch },
+      1,
+      sessionId(session)
+    );
+  }
+
+  const gaRows = Array.isArray(raw.ga?.rows) ? raw.ga.rows : [];
+  for (const row of gaRows) {
+    if (!row || typeof row !== "object") continue;
+    const host = lower(row.host || row.hostname);
+    // The daily build falls back to the FI stored at fetch time.
+    if ((host && resolution.resolveHost(host)) || row.fi_key || row.fi_lookup_key) continue;
+    bump(
+      hostGroups,
+      host,
+      { day, host: host || null },
+      Number(row.active_users ?? row.views ?? 0) || 0,
+      row.page || row.pagePath || null
+    );
+  }
+
+  const knownSessions = new Set();
+  for (const doc of [raw.sessions, raw.previousSessions]) {
+    for (const session of Array.isArray(doc?.sessions) ? doc.sessions : []) {
+      const id = session && sessionId(session);
+      if (id) knownSessions.add(id);
+    }
+  }
+  const placements = Array.isArray(raw.placements?.placements) ? raw.placements.placements : [];
+  for (const placement of placements) {
+    if (!placement || typeof placement !== "object") continue;
+    const id = placementSessionId(placement);
+    if (id && knownSessions.has(id)) continue;
+    const instance = recordInstance(placement);
+    const reason = id ? "session_not_found" : "no_session_id";
+    bump(
+      placementGroups,
+      `${instance}|${reason}`,
+      { day, instance, reason },
+      1,
+      id ||
+        placement.id ||
+        placement.place_card_on_single_site_job_id ||
+        placement.job_id ||
+        null
+    );
+  }
+
+  const byCount = (a, b) => b.count - a.count;
+  return {
+    unmatchedSessions: Array.from(sessionGroups.values()).sort(byCount),
+    unresolvedHosts: Array.from(hostGroups.values())
+      .map(({ count, ...group }) => ({ ...group, views: count }))
+      .sort((a, b) => b.views - a.views),
+    orphanPlacements: Array.from(placementGroups.values()).sort(byCount),
+  };
+}
+
+/**
+ * Reconciles a list of days.
+ * @param {string[]} days - ascending YYYY-MM-DD days
+ * @param {object} options - { readRaw(type, day), registry, resolution }
+ * @returns {object} per-day orphan groups and totals
+ */
+export function buildReconciliationReport(days, { readRaw, registry, resolution }) {
+  const registryLookup = buildRegistryLookup(registry);
+  const sessionDocs = new Map();
+  const readSessions = (day) => {
+    if (!sessionDocs.has(day)) sessionDocs.set(day, readRaw("sessions", day));
+    return sessionDocs.get(day);
+  };
+  const unmatchedSessions = [];
+  const unresolvedHosts = [];
+  const orphanPlacements = [];
+  for (const day of days) {
+    const result = reconcileDay(
+      day,
+      {
+        sessions: readSessions(day),
+        previousSessions: readSessions(previousDay(day)),
+        placements: readRaw("placements", day),
+        ga: readRaw("ga", day),
+      },
+      { registryLookup, resolution }
+    );
+    sessionDocs.delete(previousDay(day));
+    unmatchedSessions.push(...result.unmatchedSessions);
+    unresolvedHosts.push(...result.unresolvedHosts);
+    orphanPlacements.push(...result.orphanPlacements);
+  }
+  const sum = (groups, field) => groups.reduce((total, group) => total + group[field], 0);
+  return {
+    start: days[0] || null,
+    end: days[days.length - 1] || null,
+    rulesVersion: resolution.version,
+    totals: {
+      unmatched_sessions: sum(unmatchedSessions, "count"),
+      unresolved_ga_views: sum(unresolvedHosts, "views"),
+      orphan_placements: sum(orphanPlacements, "count"),
+    },
+    unmatchedSessions,
+    unresolvedHosts,
+    orphanPlacements,
+  };
+}
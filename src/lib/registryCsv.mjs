@@ -0,0 +1,318 @@
+import { applyRegistryUpdates, EDITABLE_FIELDS, findDuplicateEntry } from "./registryUpdates.mjs";
+
+// CSV export of fi_registry.json and bulk import back into it. An import is
+// planned in full first: each row is matched to an entry, run through the
+// same rules as /fi-registry/update, and sorted into added, changed and
+// unchanged. Nothing is written unless every row is valid.
+
+export const EXPORT_COLUMNS = [
+  "key",
+  "fi_name",
+  "fi_lookup_key",
+  "instance",
+  "integration_type",
+  "partner",
+  "cardholder_total",
+  "cardholder_source",
+  "cardholder_as_of",
+  "core_vendor",
+  "core_product",
+  "debit_processor",
+  "credit_processor",
+  "first_seen",
+  "last_seen",
+];
+
+// Fields an import column can fill: the entry's identity plus what the
+// editor can change.
+export const IMPORT_FIELDS = ["key", "instance", ...EDITABLE_FIELDS];
+
+// Header spellings partners tend to use, after lowercasing and turning runs
+// of spaces, dashes and dots into "_".
+const HEADER_ALIASES = {
+  fi: "fi_name",
+  name: "fi_name",
+  institution: "fi_name",
+  institution_name: "fi_name",
+  financial_institution: "fi_name",
+  lookup_key: "fi_lookup_key",
+  fi_key: "fi_lookup_key",
+  lookup: "fi_lookup_key",
+  integration: "integration_type",
+  cardholders: "cardholder_total",
+  cardholder_count: "cardholder_total",
+  total_cardholders: "cardholder_total",
+  cardholder_source: "cardholder_source",
+  source: "cardholder_source",
+  as_of: "cardholder_as_of",
+  as_of_date: "cardholder_as_of",
+  cardholders_as_of: "cardholder_as_of",
+  core: "core_vendor",
+  debit: "debit_processor",
+  credit: "credit_processor",
+};
+
+const MAX_ROWS = 5000;
+
+function fail(message, status = 400) {
+  return Object.assign(new Error(message), { status });
+}
+
+// Spreadsheet apps run cells starting with these as formulas.
+const FORMULA_RE = /^[=+\-@\t\r]/;
+
+function csvCell(value, { excel }) {
+  if (value === null || value === undefined) return "";
+  let str = String(value);
+  // Plain negative numbers stay numbers; anything else starting with "-" may be a formula.
+  if (excel && FORMULA_RE.test(str) && !/^-?\d+(\.\d+)?$/.test(str)) str = `'${str}`;
+  return /[",\r\n;]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * The registry as CSV, one row per entry sorted by key. `excel` adds a UTF-8
+ * byte order mark and CRLF line ends so Excel opens it with accents intact,
+ * and quotes cells that would otherwise run as formulas.
+ */
+export function registryToCsv(registry, { excel = false } = {}) {
+  const eol = excel ? "\r\n" : "\n";
+  const lines = [EXPORT_COLUMNS.join(",")];
+  for (const key of Object.keys(registry || {}).sort()) {
+    const entry = registry[key] || {};
+    lines.push(
+      EXPORT_COLUMNS.map((column) => csvCell(column === "key" ? key : entry[column], { excel })).join(",")
+    );
+  }
+  return (excel ? "\uFEFF" : "") + lines.join(eol) + eol;
+}
+
+function detectDelimiter(headerLine) {
+  const counts = [",", ";", "\t"].map((delimiter) => [delimiter, headerLine.split(delimiter).length]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 1 ? counts[0][0] : ",";
+}
+
+/**
+ * Parses CSV text (comma, semicolon or tab separated, as Excel writes them in
+ * different locales) into a header row and data rows. Blank lines are
+ * skipped; each row keeps its line number for error messages.
+ * @returns {object} { headers, rows: [{ line, cells }] }
+ */
+export function parseCsv(text) {
+  const source = (text || "").toString().replace(/^\uFEFF/, "");
+  const delimiter = detectDelimiter(source.split(/\r?\n/, 1)[0] || "");
+  const records = [];
+  let cells = [];
+  let cell = "";
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+  for (let i = 0; i < source.length; i += 1) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        if (ch === "\n") line += 1;
+        cell += ch;
+      }
+      continue;
+    }
+    if (ch === '"' && cell === "") {
+      quoted = true;
+    } else if (ch === delimiter) {
+      cells.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && source[i + 1] === "\n") i += 1;
+      cells.push(cell);
+      records.push({ line: recordLine, cells });
+      cells = [];
+      cell = "";
+      line += 1;
+      recordLine = line;
+    } else {
+      cell += ch;
+    }
+  }
+  if (quoted) throw fail(`Unclosed quote starting on line ${recordLine}`);
+  if (cell !== "" || cells.length) {
+    cells.push(cell);
+    records.push({ line: recordLine, cells });
+  }
+  const nonBlank = records.filter((record) => record.cells.some((value) => value.trim() !== ""));
+  if (!nonBlank.length) throw fail("The CSV is empty");
+  const [header, ...rows] = nonBlank;
+  if (rows.length > MAX_ROWS) throw fail(`At most ${MAX_ROWS} rows can be imported at once`);
+  return { headers: header.cells.map((value) => value.trim()), rows };
+}
+
+function headerKey(header) {
+  return header
+    .toString()
+    .trim()
+    .toLowerCase()
+    .replace(/[\s.\-/]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+}
+
+/**
+ * A first guess at which registry field each CSV column holds: exact field
+ * names first, then common spellings. Unrecognised columns map to "".
+ * @returns {object} header → field
+ */
+export function suggestMapping(headers) {
+  const mapping = {};
+  const used = new Set();
+  for (const header of headers) {
+    const key = headerKey(header);
+    const field = IMPORT_FIELDS.includes(key) ? key : HEADER_ALIASES[key] || "";
+    mapping[header] = field && !used.has(field) ? field : "";
+    if (field) used.add(field);
+  }
+  return mapping;
+}
+
+function checkMapping(headers, mapping) {
+  const seen = new Map();
+  for (const [header, field] of Object.entries(mapping || {})) {
+    if (!field) continue;
+    if (!headers.includes(header)) throw fail(`Column "${header}" is not in the CSV`);
+    if (!IMPORT_FIELDS.includes(field)) throw fail(`"${field}" is not a field that can be imported`);
+    if (seen.has(field)) throw fail(`Columns "${seen.get(field)}" and "${header}" both map to ${field}`);
+    seen.set(field, header);
+  }
+  if (!seen.has("key") && !seen.has("fi_lookup_key")) {
+    throw fail("Map a column to key or fi_lookup_key so rows can be matched to entries");
+  }
+  return seen;
+}
+
+// Undoes the formula guard registryToCsv adds for Excel.
+function cellValue(value) {
+  const str = (value ?? "").toString().trim();
+  return str.startsWith("'") && FORMULA_RE.test(str.slice(1)) ? str.slice(1) : str;
+}
+
+const canonical = (value) => (value ? value.toString().trim().toLowerCase() : "");
+
+function formatInstance(value) {
+  const base = canonical(value).replace(/[\s_]+/g, "-");
+  return base || "unknown";
+}
+
+function matchEntry(registry, lookup, instance) {
+  const matches = Object.entries(registry).filter(([, entry]) => {
+    if (canonical(entry?.fi_lookup_key || entry?.fi_name) !== lookup) return false;
+    return !instance || formatInstance(entry?.instance) === instance;
+  });
+  return matches;
+}
+
+function changedFields(before, after) {
+  const fields = Array.from(new Set([...Object.keys(before), ...Object.keys(after)]));
+  return fields
+    .filter((field) => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null))
+    .map((field) => ({ field, before: before[field] ?? null, after: after[field] ?? null }));
+}
+
+/**
+ * Works out what importing `csv` would do, without writing anything. Rows are
+ * matched by the key column, or else by fi_lookup_key plus instance (the
+ * instance may be left out when the FI has a single entry); unmatched rows
+ * with an instance become new entries. Blank cells leave a field as it is.
+ * @param {object} csv - from parseCsv
+ * @param {object} mapping - CSV header → registry field ("" to skip the column)
+ * @param {object} options - { effectiveFrom?, today? } as for /fi-registry/update
+ * @returns {object} { added, changed, unchanged, errors, registry } where
+ *   `registry` is the result of applying every valid row
+ */
+export function planRegistryImport(registry, csv, mapping, { effectiveFrom = null, today } = {}) {
+  const columns = checkMapping(csv.headers, mapping);
+  const indexOf = new Map(
+    Array.from(columns.entries()).map(([field, header]) => [field, csv.headers.indexOf(header)])
+  );
+  const next = { ...registry };
+  const plan = { added: [], changed: [], unchanged: [], errors: [] };
+  const claimed = new Map();
+
+  for (const { line, cells } of csv.rows) {
+    const values = {};
+    for (const [field, index] of indexOf) {
+      const value = cellValue(cells[index]);
+      if (value !== "") values[field] = value;
+    }
+    try {
+      let key = values.key || null;
+      let base = null;
+      if (key) {
+        base = registry[key];
+        if (!base) throw fail(`No registry entry with key ${key}`);
+      } else {
+        const lookup = canonical(values.fi_lookup_key);
+        if (!lookup) throw fail("fi_lookup_key is empty");
+        const instance = values.instance ? formatInstance(values.instance) : null;
+        const matches = matchEntry(registry, lookup, instance);
+        if (matches.length > 1) {
+          throw fail(`${lookup} has ${matches.length} entries; add an instance column to pick one`);
+        }
+        if (matches.length) {
+          [key, base] = matches[0];
+        } else if (!instance) {
+          throw fail(`${lookup} is not in the registry; an instance is needed to add it`);
+        } else {
+          key = `${lookup}__${instance}`;
+        }
+      }
+      if (claimed.has(key)) throw fail(`Same entry as line ${claimed.get(key)}`);
+      claimed.set(key, line);
+
+      const updates = Object.fromEntries(
+        Object.entries(values).filter(([field]) => EDITABLE_FIELDS.includes(field))
+      );
+      if (base) {
+        if ("instance" in values && formatInstance(values.instance) !== formatInstance(base.instance)) {
+          throw fail(`Instance ${values.instance} does not match entry ${key}; instances cannot be changed by import`);
+        }
+        const entry = applyRegistryUpdates(base, updates, { effectiveFrom });
+        const fields = changedFields(base, entry);
+        next[key] = entry;
+        if (fields.length) plan.changed.push({ line, key, fields, before: base, after: entry });
+        else plan.unchanged.push({ line, key });
+      } else {
+        const lookup = key.split("__")[0];
+        const created = {
+          fi_name: lookup,
+          fi_lookup_key: lookup,
+          instance: key.slice(lookup.length + 2),
+          integration_type: "unknown",
+          partner: "Unknown",
+          sources: ["import"],
+          first_seen: today || new Date().toISOString().slice(0, 10),
+        };
+        // A new entry has no earlier days to keep, so no effective date.
+        const entry = applyRegistryUpdates(created, updates);
+        next[key] = entry;
+        plan.added.push({ line, key, entry });
+      }
+    } catch (err) {
+      if (!err.status) throw err;
+      plan.errors.push({ line, message: err.message });
+    }
+  }
+
+  for (const item of [...plan.added, ...plan.changed]) {
+    const conflict = findDuplicateEntry(next, item.key, next[item.key]);
+    if (conflict) {
+      plan.errors.push({
+        line: item.line,
+        message: `Duplicate fi_lookup_key for this instance: ${conflict.key}`,
+      });
+    }
+  }
+  plan.errors.sort((a, b) => a.line - b.line);
+  return { ...plan, registry: next };
+}
@@ -0,0 +1,170 @@
+// Time-versioned registry attributes. An fi_registry.json entry keeps its
+// current integration_type, partner and cardholder_total at the top level, as
+// it always has; when one of them changes with an effective date, the entry
+// also gains a `history` list for that field:
+//
+//   "history": {
+//     "integration_type": [
+//       { "value": "non-sso", "effective_from": null },
+//       { "value": "sso", "effective_from": "2025-09-01" }
+//     ]
+//   }
+//
+// Periods are sorted by date; the first starts at null ("always") and the last
+// is the top-level value. Days are looked up against these periods, so rollups
+// and funnels for August keep the NON-SSO label after the switch.
+
+export const VERSIONED_FIELDS = ["integration_type", "partner", "cardholder_total"];
+
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function fail(message, status = 400) {
+  return Object.assign(new Error(message), { status });
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Validates an effective date: YYYY-MM-DD, not in the future (the top-level
+ * value is what applies today, so a change cannot wait for a later date).
+ * @returns {string|null} the date, or null for a blank value
+ */
+export function normalizeEffectiveDate(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const str = value.toString().trim();
+  if (!DAY_RE.test(str) || Number.isNaN(Date.parse(`${str}T00:00:00Z`))) {
+    throw fail("effective_from must be YYYY-MM-DD");
+  }
+  if (str > today()) throw fail("effective_from cannot be in the future");
+  return str;
+}
+
+function periodsFor(entry, field) {
+  const list = entry?.history?.[field];
+  return Array.isArray(list) && list.length ? list : null;
+}
+
+/**
+ * The value a field held on a day. Entries without history, and days before
+ * the first dated period, fall back to the earliest known value.
+ */
+export function valueOn(entry, field, day) {
+  const periods = periodsFor(entry, field);
+  if (!periods || !day) return entry?.[field] ?? null;
+  let value = periods[0].value;
+  for (const period of periods) {
+    if (period.effective_from && period.effective_from > day) break;
+    value = period.value;
+  }
+  return value ?? null;
+}
+
+/** { integration_type, partner, cardholder_total } as they stood on `day`. */
+export function attributesOn(entry, day) {
+  return Object.fromEntries(VERSIONED_FIELDS.map((field) => [field, valueOn(entry, field, day)]));
+}
+
+/**
+ * The earliest effective date whose period was added, removed or changed
+ * between two versions of an entry: rollups from that day on carry stale
+ * values. Undated corrections return null, as plain edits always did.
+ */
+export function changedSince(before, after) {
+  let first = null;
+  for (const field of VERSIONED_FIELDS) {
+    const a = (periodsFor(before, field) || []).map((period) => JSON.stringify(period));
+    const b = (periodsFor(after, field) || []).map((period) => JSON.stringify(period));
+    const differing = [...a.filter((item) => !b.includes(item)), ...b.filter((item) => !a.includes(item))];
+    for (const item of differing) {
+      const day = JSON.parse(item).effective_from;
+      if (day && (!first || day < first)) first = day;
+    }
+  }
+  return first;
+}
+
+/**
+ * Records a new value for a versioned field. With an effective date the value
+ * starts a new period there, replacing any period that started on or after it;
+ * without one it corrects the current period (and, for an entry with no
+ * history, every day, as edits always did).
+ * @returns {object} a new entry; the input is left untouched
+ */
+export function applyVersionedChange(entry, field, value, effectiveFrom = null) {
+  if (!VERSIONED_FIELDS.includes(field)) throw fail(`${field} is not a versioned field`);
+  const next = { ...entry, [field]: value ?? null };
+  const existing = periodsFor(entry, field);
+  if (!effectiveFrom) {
+    if (existing) {
+      const periods = existing.map((period) => ({ ...period }));
+      periods[periods.length - 1].value = value ?? null;
+      return withPeriods(next, field, periods);
+    }
+    return next;
+  }
+  const periods = (existing || [{ value: entry?.[field] ?? null, effective_from: null }]).filter(
+    (period) => !period.effective_from || period.effective_from < effectiveFrom
+  );
+  periods.push({ value: value ?? null, effective_from: effectiveFrom });
+  return withPeriods(next, field, periods);
+}
+
+// Stores a field's periods, dropping the list once a single value is left.
+function withPeriods(entry, field, periods) {
+  const history = { ...entry.history };
+  const collapsed = collapse(periods);
+  if (collapsed.length > 1) history[field] = collapsed;
+  else delete history[field];
+  const next = { ...entry };
+  if (Object.keys(history).length) next.history = history;
+  else delete next.history;
+  return next;
+}
+
+// Merges neighbouring periods holding the same value.
+function collapse(periods) {
+  const out = [];
+  for (const period of periods) {
+    const prev = out[out.length - 1];
+    if (prev && JSON.stringify(prev.value) === JSON.stringify(period.value)) continue;
+    out.push(period);
+  }
+  if (out.length) out[0] = { ...out[0], effective_from: null };
+  return out;
+}
+
+/**
+ * Checks a history object sent in full (the maintenance page does this after
+ * removing a period) and brings the top-level fields in line with it.
+ * `normalizeValue(field, value)` applies the same cleaning as a plain edit.
+ * @returns {object} a new entry
+ */
+export function replaceHistory(entry, history, normalizeValue = (field, value) => value) {
+  if (history !== null && (typeof history !== "object" || Array.isArray(history))) {
+    throw fail("history must be an object of field → periods");
+  }
+  const next = { ...entry };
+  const out = {};
+  for (const [field, list] of Object.entries(history || {})) {
+    if (!VERSIONED_FIELDS.includes(field)) throw fail(`${field} is not a versioned field`);
+    if (!Array.isArray(list)) throw fail(`history.${field} must be a list`);
+    const periods = list.map((period, index) => {
+      const effective = index === 0 ? null : normalizeEffectiveDate(period?.effective_from);
+      if (index > 0 && !effective) throw fail(`history.${field}[${index}] needs an effective_from date`);
+      return { value: normalizeValue(field, period?.value), effective_from: effective };
+    });
+    for (let i = 2; i < periods.length; i += 1) {
+      if (periods[i].effective_from <= periods[i - 1].effective_from) {
+        throw fail(`history.${field} dates must increase`);
+      }
+    }
+    const collapsed = collapse(periods);
+    if (collapsed.length > 1) out[field] = collapsed;
+    if (collapsed.length) next[field] = collapsed[collapsed.length - 1].value;
+  }
+  if (Object.keys(out).length) next.history = out;
+  else delete next.history;
+  return next;
+}
@@ -0,0 +1,186 @@
+import {
+  applyVersionedChange,
+  normalizeEffectiveDate,
+  replaceHistory,
+  VERSIONED_FIELDS,
+} from "./registryHistory.mjs";
+
+// The rules for editing a registry entry, shared by /fi-registry/update and
+// the CSV import so a value accepted by one is accepted by the other.
+
+export const EDITABLE_FIELDS = [
+  "fi_name",
+  "fi_lookup_key",
+  "integration_type",
+  "partner",
+  "cardholder_total",
+  "cardholder_source",
+  "cardholder_as_of",
+  "core_vendor",
+  "core_product",
+  "debit_processor",
+  "credit_processor",
+];
+
+function fail(message, status = 400) {
+  return Object.assign(new Error(message), { status });
+}
+
+function normalizeIntegration(value) {
+  if (!value) return "non-sso";
+  const rawVal = value.toString().trim().toLowerCase();
+  if (rawVal === "sso") return "sso";
+  if (rawVal === "cardsavr" || rawVal === "card-savr") return "cardsavr";
+  if (rawVal === "test") return "test";
+  if (rawVal === "unknown") return "unknown";
+  return "non-sso";
+}
+
+function normalizeCardholders(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const cleaned = value.toString().replace(/,/g, "").trim();
+  if (!cleaned) return null;
+  const num = Number(cleaned);
+  if (!Number.isFinite(num) || num < 0) {
+    throw fail("Cardholder total must be a positive number");
+  }
+  return String(Math.round(num));
+}
+
+function normalizeAsOf(value) {
+  if (!value) return null;
+  const str = value.toString().trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(str)) {
+    throw fail("cardholder_as_of must be YYYY-MM-DD");
+  }
+  return str;
+}
+
+function normalizeSource(value) {
+  if (!value) return null;
+  return value.toString().trim();
+}
+
+function normalizeFreeText(value) {
+  if (value === undefined) return undefined;
+  const str = value === null ? "" : value.toString().trim();
+  return str === "" ? null : str;
+}
+
+function normalizeFiName(value) {
+  if (value === undefined) return undefined;
+  const str = value === null ? "" : value.toString().trim();
+  if (!str) throw fail("fi_name is required");
+  return str;
+}
+
+function normalizeFiLookupKey(value, fallback) {
+  const raw = value === undefined ? fallback : value;
+  if (raw === undefined) return undefined;
+  const str = raw === null ? "" : raw.toString().trim();
+  if (!str) throw fail("fi_lookup_key is required");
+  return str;
+}
+
+function normalizePartner(value) {
+  if (!value) return null;
+  const rawVal = value.toString().trim().toLowerCase();
+  const canonical =
+    {
+      alkami: "Alkami",
+      "digital-onboarding": "DigitalOnboarding",
+      digitalonboarding: "DigitalOnboarding",
+      pscu: "PSCU",
+      marquis: "Marquis",
+      msu: "MSU",
+      advancial: "Advancial",
+      "advancial-prod": "Advancial",
+      cardsavr: "CardSavr",
+      direct: "Direct",
+    }[rawVal] || rawVal;
+  return canonical.replace(/(^|\s|-)([a-z])/g, (m, p1, p2) => p1 + p2.toUpperCase());
+}
+
+const VERSIONED_NORMALIZERS = {
+  integration_type: normalizeIntegration,
+  partner: normalizePartner,
+  cardholder_total: normalizeCardholders,
+};
+
+function normalizeVersioned(field, value) {
+  return VERSIONED_NORMALIZERS[field](value);
+}
+
+const FIELD_NORMALIZERS = {
+  cardholder_source: normalizeSource,
+  cardholder_as_of: normalizeAsOf,
+  core_vendor: normalizeFreeText,
+  core_product: normalizeFreeText,
+  debit_processor: normalizeFreeText,
+  credit_processor: normalizeFreeText,
+};
+
+/**
+ * Applies an update to one registry entry. Versioned fields (integration
+ * type, partner, cardholders) start a new period on `effectiveFrom`; without
+ * a date the current value is corrected in place. Throws a 400 error naming
+ * the first invalid value.
+ * @param {object} updates - field → raw value; `history` replaces the dated periods
+ * @returns {object} the updated entry; the input is left untouched
+ */
+export function applyRegistryUpdates(entry, updates, { effectiveFrom = null } = {}) {
+  const effective = normalizeEffectiveDate(effectiveFrom);
+  let next = { ...entry };
+  if ("history" in updates) {
+    next = replaceHistory(next, updates.history, normalizeVersioned);
+  }
+  for (const field of VERSIONED_FIELDS) {
+    if (!(field in updates)) continue;
+    const value = normalizeVersioned(field, updates[field]);
+    const current =
+      next[field] === undefined || next[field] === null ? null : normalizeVersioned(field, next[field]);
+    if (value === current) continue;
+    next = applyVersionedChange(next, field, value, effective);
+  }
+  if ("fi_name" in updates) {
+    const fiName = normalizeFiName(updates.fi_name);
+    if (fiName !== undefined) next.fi_name = fiName;
+  }
+  if ("fi_lookup_key" in updates) {
+    const fiLookup = normalizeFiLookupKey(updates.fi_lookup_key, next.fi_lookup_key);
+    if (fiLookup !== undefined) next.fi_lookup_key = fiLookup;
+  }
+  for (const [field, normalize] of Object.entries(FIELD_NORMALIZERS)) {
+    if (field in updates) next[field] = normalize(updates[field]);
+  }
+  return next;
+}
+
+const canonicalLookupKey = (value) => (value ? value.toString().trim().toLowerCase() : "");
+const canonicalInstance = (value) => (value ? value.toString().trim().toLowerCase() : "");
+const entryInstance = (entry) =>
+  entry?.instance || (Array.isArray(entry?.instances) ? entry.instances[0] : "");
+
+/**
+ * Another entry with the same fi_lookup_key and instance as `entry` would
+ * have under `key`, if any.
+ * @returns {object|null} { key, fi_lookup_key, instance }
+ */
+export function findDuplicateEntry(registry, key, entry) {
+  const targetLookup = canonicalLookupKey(entry.fi_lookup_key || entry.fi_name || key);
+  const targetInstance = canonicalInstance(entryInstance(entry));
+  if (!targetLookup || !targetInstance) return null;
+  for (const [otherKey, otherEntry] of Object.entries(registry)) {
+    if (otherKey === key) continue;
+    const otherLookup = canonicalLookupKey(otherEntry?.fi_lookup_key || otherEntry?.fi_name || otherKey);
+    const otherInstance = canonicalInstance(entryInstance(otherEntry));
+    if (otherLookup && otherInstance && targetLookup === otherLookup && targetInstance === otherInstance) {
+      return {
+        key: otherKey,
+        fi_lookup_key: otherEntry?.fi_lookup_key || null,
+        instance: entryInstance(otherEntry) || null,
+      };
+    }
+  }
+  return null;
+}
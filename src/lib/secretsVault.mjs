@@ -0,0 +1,405 @@
+import fs from "node:fs";
+import fsp from "node:fs/promises";
+import path from "node:path";
+import { createCipheriv, createDecipheriv, createHash, randomBytes, scryptSync } from "node:crypto";
+
+// Instance credentials and GA service-account keys, encrypted at rest. The
+// vault is one AES-256-GCM encrypted JSON document ({ instances, ga }) whose
+// key is derived with scrypt from SECRETS_PASSPHRASE or the contents of
+// SECRETS_KEY_FILE. Without either, the plaintext files in secrets/ are used
+// as before. Anything not yet in the vault is read from its plaintext file,
+// so a half-migrated secrets/ directory keeps working.
+
+const VAULT_FORMAT = "sis-vault-1";
+const CIPHER = "aes-256-gcm";
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 32;
+
+// Fields the API never shows and `rotateInstanceSecret` may replace.
+export const INSTANCE_SECRET_FIELDS = ["PASSWORD", "API_KEY"];
+export const ROTATABLE_FIELDS = ["USERNAME", ...INSTANCE_SECRET_FIELDS];
+const GA_SECRET_FIELDS = ["private_key", "private_key_id"];
+export const GA_CREDENTIAL_NAMES = ["prod", "test"];
+// Names of further GA credentials (one per GA source, see gaSources.mjs).
+export const GA_CREDENTIAL_NAME_RE = /^[a-z0-9][a-z0-9-]{0,39}$/;
+
+function fail(message, status = 400) {
+  return Object.assign(new Error(message), { status });
+}
+
+/**
+ * Vault settings from the environment (see .env.example), plus where the
+ * plaintext credential files live. Relative paths are resolved against `root`.
+ */
+export function vaultConfigFromEnv({ root = process.cwd() } = {}) {
+  const resolve = (value) => path.resolve(root, value);
+  return {
+    file: resolve(process.env.SECRETS_VAULT_FILE || path.join("secrets", "vault.json")),
+    passphrase: process.env.SECRETS_PASSPHRASE || null,
+    keyFile: process.env.SECRETS_KEY_FILE ? resolve(process.env.SECRETS_KEY_FILE) : null,
+    instancesFile: resolve(path.join("secrets", "instances.json")),
+    gaFiles: {
+      prod: resolve(
+        process.env.GA_KEYFILE ||
+          process.env.GOOGLE_APPLICATION_CREDENTIALS ||
+          path.join("secrets", "ga-service-account.json")
+      ),
+      test: resolve(process.env.GA_TEST_KEYFILE || path.join("secrets", "ga-test.json")),
+    },
+    gaDir: resolve("secrets"),
+  };
+}
+
+/** True when a passphrase or key file is configured, so writes go to the vault. */
+export function vaultEnabled(config) {
+  return Boolean(config.passphrase || config.keyFile);
+}
+
+function masterSecret(config) {
+  if (config.passphrase) return config.passphrase;
+  if (config.keyFile) {
+    let material;
+    try {
+      material = fs.readFileSync(config.keyFile, "utf8").trim();
+    } catch (err) {
+      throw fail(`Cannot read SECRETS_KEY_FILE ${config.keyFile} (${err.code || err.message})`, 500);
+    }
+    if (!material) throw fail(`SECRETS_KEY_FILE ${config.keyFile} is empty`, 500);
+    return material;
+  }
+  throw fail(
+    `${path.basename(config.file)} is encrypted; set SECRETS_PASSPHRASE or SECRETS_KEY_FILE`,
+    500
+  );
+}
+
+// scrypt is slow on purpose; derive once per secret and salt.
+const derivedKeys = new Map();
+
+function deriveKey(secret, kdf) {
+  const cacheKey = createHash("sha256").update(`${secret}\0${kdf.salt}\0${kdf.N}`).digest("hex");
+  if (!derivedKeys.has(cacheKey)) {
+    derivedKeys.set(
+      cacheKey,
+      scryptSync(secret, Buffer.from(kdf.salt, "base64"), KEY_LENGTH, { N: kdf.N, r: kdf.r, p: kdf.p })
+    );
+  }
+  return derivedKeys.get(cacheKey);
+}
+
+function encryptDoc(doc, secret, kdf) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv(CIPHER, deriveKey(secret, kdf), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(doc), "utf8"), cipher.final()]);
+  return {
+    format: VAULT_FORMAT,
+    cipher: CIPHER,
+    kdf,
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64"),
+    updated_at: new Date().toISOString(),
+  };
+}
+
+function decryptDoc(envelope, secret, file) {
+  if (envelope?.format !== VAULT_FORMAT || envelope.cipher !== CIPHER) {
+    throw fail(`${path.basename(file)} is not a ${VAULT_FORMAT} vault`, 500);
+  }
+  try {
+    const decipher = createDecipheriv(
+      CIPHER,
+      deriveKey(secret, envelope.kdf),
+      Buffer.from(envelope.iv, "base64")
+    );
+    decipher.setAuthTag(Buffer.from(envelope.tag, "base64"));
+    const plain = Buffer.concat([
+      decipher.update(Buffer.from(envelope.data, "base64")),
+      decipher.final(),
+    ]);
+    return JSON.parse(plain.toString("utf8"));
+  } catch {
+    throw fail(
+      `Cannot decrypt ${path.basename(file)}: wrong SECRETS_PASSPHRASE or SECRETS_KEY_FILE, or the file was modified`,
+      500
+    );
+  }
+}
+
+let cachedVault = null;
+
+function readEnvelope(file) {
+  let mtime;
+  try {
+    mtime = fs.statSync(file).mtimeMs;
+  } catch {
+    return null;
+  }
+  const raw = fs.readFileSync(file, "utf8");
+  try {
+    return { envelope: JSON.parse(raw), mtime };
+  } catch (err) {
+    throw fail(`${path.basename(file)} is not valid JSON (${err.message})`, 500);
+  }
+}
+
+/**
+ * Decrypts the vault. Re-read when the file's mtime changes.
+ * @returns {object|null} { instances?, ga?, updated_at } or null when there is no vault file
+ */
+export function readVault(config) {
+  const found = readEnvelope(config.file);
+  if (!found) return null;
+  const secret = masterSecret(config);
+  const cacheKey = `${config.file}:${found.mtime}:${createHash("sha256").update(secret).digest("hex")}`;
+  if (cachedVault?.key === cacheKey) return cachedVault.doc;
+  const doc = decryptDoc(found.envelope, secret, config.file);
+  doc.updated_at = found.envelope.updated_at || null;
+  cachedVault = { key: cacheKey, doc };
+  return doc;
+}
+
+async function writeVaultFile(file, envelope) {
+  const dir = path.dirname(file);
+  await fsp.mkdir(dir, { recursive: true });
+  const tmpPath = path.join(dir, `.${path.basename(file)}.tmp-${process.pid}-${Date.now()}`);
+  await fsp.writeFile(tmpPath, JSON.stringify(envelope, null, 2) + "\n", { encoding: "utf8", mode: 0o600 });
+  await fsp.rename(tmpPath, file);
+}
+
+/**
+ * Applies `mutate` to the decrypted vault (created if missing) and writes it
+ * back under a fresh IV.
+ */
+async function updateVault(config, mutate) {
+  if (!vaultEnabled(config)) {
+    throw fail("Set SECRETS_PASSPHRASE or SECRETS_KEY_FILE to use the secrets vault", 409);
+  }
+  const secret = masterSecret(config);
+  const existing = readEnvelope(config.file);
+  const doc = existing ? { ...readVault(config) } : {};
+  delete doc.updated_at;
+  mutate(doc);
+  const kdf = existing?.envelope?.kdf || { name: "scrypt", ...SCRYPT_PARAMS, salt: randomBytes(16).toString("base64") };
+  await writeVaultFile(config.file, encryptDoc(doc, secret, kdf));
+  return doc;
+}
+
+async function removeFile(file) {
+  try {
+    await fsp.unlink(file);
+    return true;
+  } catch (err) {
+    if (err.code === "ENOENT") return false;
+    throw err;
+  }
+}
+
+function readPlainJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT" || err.code === "ENOTDIR") return undefined;
+    throw fail(`${path.basename(file)} is not valid JSON (${err.message})`, 500);
+  }
+}
+
+function fileUpdatedAt(file) {
+  try {
+    return fs.statSync(file).mtime.toISOString();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The CardSavr instance list, from the vault when it holds one, otherwise from
+ * secrets/instances.json.
+ * @returns {object} { entries, source: "vault"|"file"|"none", path }
+ */
+export function loadInstanceEntries(config) {
+  const vault = readVault(config);
+  if (Array.isArray(vault?.instances)) {
+    return { entries: vault.instances, source: "vault", path: config.file };
+  }
+  const plain = readPlainJson(config.instancesFile);
+  if (plain === undefined) return { entries: [], source: "none", path: config.instancesFile };
+  if (!Array.isArray(plain)) {
+    throw fail("secrets/instances.json must be an array", 400);
+  }
+  return { entries: plain, source: "file", path: config.instancesFile };
+}
+
+/**
+ * Stores the instance list: in the vault when one is configured (removing the
+ * plaintext file), otherwise in secrets/instances.json.
+ */
+export async function saveInstanceEntries(config, entries) {
+  if (vaultEnabled(config)) {
+    await updateVault(config, (doc) => {
+      doc.instances = entries;
+    });
+    await removeFile(config.instancesFile);
+    return { entries, source: "vault", path: config.file };
+  }
+  await fsp.mkdir(path.dirname(config.instancesFile), { recursive: true });
+  await fsp.writeFile(config.instancesFile, JSON.stringify(entries, null, 2) + "\n", "utf8");
+  return { entries, source: "file", path: config.instancesFile };
+}
+
+/**
+ * The plaintext key file for a GA credential: the configured file for "prod"
+ * and "test", secrets/ga-<name>.json for any other name.
+ */
+export function gaCredentialFile(config, name) {
+  if (!GA_CREDENTIAL_NAME_RE.test(name || "")) throw fail("Unknown GA credential name");
+  if (Object.hasOwn(config.gaFiles, name)) return config.gaFiles[name];
+  return path.join(config.gaDir, `ga-${name}.json`);
+}
+
+/**
+ * A GA service-account credential by name ("prod", "test" or a GA source's
+ * credential), from the vault or its plaintext key file.
+ * @returns {object|null} { json, updatedAt, source, path }
+ */
+export function loadGaCredential(config, name) {
+  const file = gaCredentialFile(config, name);
+  const stored = readVault(config)?.ga?.[name];
+  if (stored?.json) {
+    return { json: stored.json, updatedAt: stored.updated_at || null, source: "vault", path: config.file };
+  }
+  const json = readPlainJson(file);
+  if (json === undefined) return null;
+  return { json, updatedAt: fileUpdatedAt(file), source: "file", path: file };
+}
+
+export async function saveGaCredential(config, name, json) {
+  const file = gaCredentialFile(config, name);
+  if (vaultEnabled(config)) {
+    await updateVault(config, (doc) => {
+      doc.ga = { ...doc.ga, [name]: { json, updated_at: new Date().toISOString() } };
+    });
+    await removeFile(file);
+  } else {
+    await fsp.mkdir(path.dirname(file), { recursive: true });
+    await fsp.writeFile(file, JSON.stringify(json, null, 2) + "\n", "utf8");
+  }
+  return loadGaCredential(config, name);
+}
+
+/** Removes a GA credential from the vault and its plaintext file. */
+export async function deleteGaCredential(config, name) {
+  const file = gaCredentialFile(config, name);
+  if (readVault(config)?.ga?.[name]) {
+    await updateVault(config, (doc) => {
+      const { [name]: _removed, ...rest } = doc.ga || {};
+      doc.ga = rest;
+    });
+  }
+  await removeFile(file);
+}
+
+/**
+ * `••••••••` plus the last `visible` characters of values long enough (API
+ * keys) that those give nothing away; shorter values are fully hidden.
+ */
+export function maskSecret(value, visible = 4) {
+  const text = value === null || value === undefined ? "" : value.toString();
+  if (!text) return "";
+  return `••••••••${visible && text.length >= 16 ? text.slice(-visible) : ""}`;
+}
+
+export function maskInstance(entry = {}) {
+  const masked = { ...entry };
+  for (const field of INSTANCE_SECRET_FIELDS) masked[field] = maskSecret(entry[field]);
+  return masked;
+}
+
+export function maskGaCredential(json) {
+  if (!json || typeof json !== "object") return json;
+  const masked = { ...json };
+  for (const field of GA_SECRET_FIELDS) {
+    if (field in masked) masked[field] = maskSecret(json[field], 0);
+  }
+  return masked;
+}
+
+// Edits come back from the browser with masked (or blank) secret fields;
+// those keep the stored value.
+function keepSecrets(next, previous, fields, visible) {
+  if (!previous) return next;
+  const merged = { ...next };
+  for (const field of fields) {
+    const value = merged[field];
+    if (!value || value === maskSecret(previous[field], visible)) merged[field] = previous[field];
+  }
+  return merged;
+}
+
+export function mergeInstanceSecrets(next, previous) {
+  return keepSecrets(next, previous, INSTANCE_SECRET_FIELDS, 4);
+}
+
+export function mergeGaSecrets(next, previous) {
+  return keepSecrets(next, previous, GA_SECRET_FIELDS, 0);
+}
+
+/**
+ * Replaces one credential field of one instance, leaving the rest of the
+ * list untouched.
+ * @returns {object} the updated entry, masked
+ */
+export async function rotateInstanceSecret(config, { name, field, value }) {
+  const key = (field || "").toString().trim().toUpperCase();
+  if (!ROTATABLE_FIELDS.includes(key)) {
+    throw fail(`field must be one of ${ROTATABLE_FIELDS.join(", ")}`);
+  }
+  const nextValue = (value ?? "").toString().trim();
+  if (!nextValue) throw fail(`A new ${key} value is required`);
+  const { entries } = loadInstanceEntries(config);
+  const index = entries.findIndex((entry) => entry?.name === name);
+  if (index === -1) throw fail(`No instance named ${name}`, 404);
+  const updated = entries.map((entry, i) => (i === index ? { ...entry, [key]: nextValue } : entry));
+  await saveInstanceEntries(config, updated);
+  return maskInstance(updated[index]);
+}
+
+/**
+ * Moves the plaintext instance list and GA key files into the vault and
+ * deletes them. `gaNames` lists the GA credentials to look for.
+ * @returns {object} { instances: count|null, ga: [names] }
+ */
+export async function migrateToVault(config, { gaNames = GA_CREDENTIAL_NAMES } = {}) {
+  if (!vaultEnabled(config)) {
+    throw fail("Set SECRETS_PASSPHRASE or SECRETS_KEY_FILE to use the secrets vault", 409);
+  }
+  const instances = readPlainJson(config.instancesFile);
+  if (instances !== undefined && !Array.isArray(instances)) {
+    throw fail("secrets/instances.json must be an array", 400);
+  }
+  const ga = {};
+  for (const name of new Set(gaNames)) {
+    const file = gaCredentialFile(config, name);
+    const json = readPlainJson(file);
+    if (json !== undefined) ga[name] = { json, updated_at: fileUpdatedAt(file) };
+  }
+  await updateVault(config, (doc) => {
+    if (instances !== undefined) doc.instances = instances;
+    doc.ga = { ...doc.ga, ...ga };
+  });
+  if (instances !== undefined) await removeFile(config.instancesFile);
+  for (const name of Object.keys(ga)) await removeFile(gaCredentialFile(config, name));
+  return { instances: instances === undefined ? null : instances.length, ga: Object.keys(ga) };
+}
+
+/**
+ * Re-encrypts the vault under a new passphrase or key file, with a new salt.
+ * `nextConfig` is a vault config naming the new secret.
+ */
+export async function rekeyVault(config, nextConfig) {
+  const doc = readVault(config);
+  if (!doc) throw fail(`No vault at ${config.file}`, 404);
+  const { updated_at: _updatedAt, ...content } = doc;
+  const kdf = { name: "scrypt", ...SCRYPT_PARAMS, salt: randomBytes(16).toString("base64") };
+  await writeVaultFile(config.file, encryptDoc(content, masterSecret(nextConfig), kdf));
+}
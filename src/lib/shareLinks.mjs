@@ -0,0 +1,321 @@
+import fs from "node:fs";
+import fsp from "node:fs/promises";
+import path from "node:path";
+import { createHmac, randomBytes, timingSafeEqual } from "node:crypto";
+
+// Signed, expiring links that show a partner the funnel for a fixed set of
+// their FIs and a date window, without an account. The token only carries the
+// link id and expiry; the scope lives in the links file, which is also what
+// makes a link revocable.
+
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const MAX_LABEL_LENGTH = 80;
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+function fail(message, status = 400) {
+  return Object.assign(new Error(message), { status });
+}
+
+function lower(value) {
+  return value ? value.toString().trim().toLowerCase() : "";
+}
+
+function canonicalInstance(value) {
+  return lower(value).replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * Share link settings from the environment (see .env.example). Relative
+ * paths are resolved against `root`.
+ */
+export function shareConfigFromEnv({ root = process.cwd() } = {}) {
+  return {
+    file: path.resolve(root, process.env.SHARE_LINKS_FILE || path.join("data", "share-links.json")),
+    secretFile: path.resolve(root, path.join("secrets", "share-link.key")),
+    secret: (process.env.SHARE_LINK_SECRET || "").trim() || null,
+    maxDays: envNumber("SHARE_LINK_MAX_DAYS", 90),
+  };
+}
+
+let cachedSecret = null;
+
+/**
+ * The HMAC key tokens are signed with: SHARE_LINK_SECRET, or a random key
+ * created in secrets/share-link.key on first use. Changing it voids every
+ * link issued so far.
+ */
+export function loadShareSecret(config) {
+  if (config.secret) return config.secret;
+  if (cachedSecret?.file === config.secretFile) return cachedSecret.secret;
+  let secret;
+  try {
+    secret = fs.readFileSync(config.secretFile, "utf8").trim();
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+  }
+  if (!secret) {
+    secret = randomBytes(32).toString("base64url");
+    fs.mkdirSync(path.dirname(config.secretFile), { recursive: true });
+    fs.writeFileSync(config.secretFile, `${secret}\n`, { mode: 0o600 });
+  }
+  cachedSecret = { file: config.secretFile, secret };
+  return secret;
+}
+
+function sign(payload, secret) {
+  return createHmac("sha256", secret).update(payload).digest("base64url");
+}
+
+/** `<payload>.<signature>`, payload being base64url JSON { id, exp }. */
+export function shareToken(link, secret) {
+  const payload = Buffer.from(
+    JSON.stringify({ id: link.id, exp: Math.floor(Date.parse(link.expires_at) / 1000) })
+  ).toString("base64url");
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+let cachedLinks = null;
+
+/**
+ * Reads the links file; a missing file means no links. Re-read when the
+ * file's mtime changes.
+ */
+export function loadShareLinks(file) {
+  let mtime = null;
+  try {
+    mtime = fs.statSync(file).mtimeMs;
+  } catch {
+    return [];
+  }
+  const cacheKey = `${file}:${mtime}`;
+  if (cachedLinks?.key === cacheKey) return cachedLinks.links;
+  const doc = JSON.parse(fs.readFileSync(file, "utf8"));
+  const links = Array.isArray(doc?.links) ? doc.links : [];
+  cachedLinks = { key: cacheKey, links };
+  return links;
+}
+
+async function writeLinks(file, links) {
+  const dir = path.dirname(file);
+  await fsp.mkdir(dir, { recursive: true });
+  const tmpPath = path.join(dir, `.${path.basename(file)}.tmp-${process.pid}-${Date.now()}`);
+  await fsp.writeFile(tmpPath, JSON.stringify({ links }, null, 2) + "\n", "utf8");
+  await fsp.rename(tmpPath, file);
+}
+
+export function shareLinkStatus(link, now = Date.now()) {
+  if (link.revoked_at) return "revoked";
+  return Date.parse(link.expires_at) <= now ? "expired" : "active";
+}
+
+/**
+ * Issues a link. The FI list is fixed here: every FI must belong to the
+ * partner in the registry, and an empty list means all of the partner's FIs
+ * as of now (FIs added to the partner later are not shared).
+ * @param {object} input - { label?, partner, fis?, start, end, expiresInDays? }
+ * @param {object} options - { config, registry, createdBy }
+ * @returns {object} { link, token }
+ */
+export async function createShareLink(input, { config, registry, createdBy = null }) {
+  const partner = (input.partner || "").toString().trim();
+  if (!partner) throw fail("A partner is required");
+  const partnerFis = new Map();
+  for (const entry of Object.values(registry || {})) {
+    if (!entry || lower(entry.partner) !== lower(partner)) continue;
+    const key = lower(entry.fi_lookup_key);
+    if (key) partnerFis.set(key, entry.fi_name || key);
+  }
+  if (!partnerFis.size) throw fail(`No FIs in the registry belong to partner "${partner}"`);
+
+  const requested = Array.isArray(input.fis) ? input.fis.map(lower).filter(Boolean) : [];
+  const outside = requested.filter((fi) => !partnerFis.has(fi));
+  if (outside.length) {
+    throw fail(`Not ${partner} FIs: ${outside.join(", ")}`);
+  }
+  const fis = Array.from(new Set(requested.length ? requested : partnerFis.keys())).sort();
+
+  const { start, end } = input;
+  if (!DAY_RE.test(start || "") || !DAY_RE.test(end || "")) {
+    throw fail("start and end must be YYYY-MM-DD");
+  }
+  if (start > end) throw fail("start must not be after end");
+
+  const days = input.expiresInDays === undefined ? 30 : Number(input.expiresInDays);
+  if (!Number.isFinite(days) || days <= 0 || days > config.maxDays) {
+    throw fail(`expiresInDays must be between 1 and ${config.maxDays}`);
+  }
+  const label = (input.label || "").toString().trim().slice(0, MAX_LABEL_LENGTH);
+
+  const now = Date.now();
+  const link = {
+    id: randomBytes(9).toString("base64url"),
+    label: label || `${partner} ${start} → ${end}`,
+    partner,
+    fis,
+    start,
+    end,
+    created_at: new Date(now).toISOString(),
+    created_by: createdBy,
+    expires_at: new Date(now + days * MS_PER_DAY).toISOString(),
+    revoked_at: null,
+    revoked_by: null,
+  };
+  await writeLinks(config.file, [...loadShareLinks(config.file), link]);
+  return { link, token: shareToken(link, loadShareSecret(config)) };
+}
+
+export async function revokeShareLink(id, { config, revokedBy = null }) {
+  const links = loadShareLinks(config.file).map((link) => ({ ...link }));
+  const link = links.find((entry) => entry.id === id);
+  if (!link) throw fail(`No share link ${id}`, 404);
+  if (!link.revoked_at) {
+    link.revoked_at = new Date().toISOString();
+    link.revoked_by = revokedBy;
+    await writeLinks(config.file, links);
+  }
+  return link;
+}
+
+/**
+ * Checks a token's signature and expiry, then that its link still exists and
+ * is not revoked.
+ * @returns {object|null} the link
+ */
+export function verifyShareToken(token, config) {
+  const [payload, signature, extra] = (token || "").split(".");
+  if (!payload || !signature || extra !== undefined) return null;
+  const expected = Buffer.from(sign(payload, loadShareSecret(config)));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) return null;
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+  if (!claims?.id || !(claims.exp * 1000 > Date.now())) return null;
+  const link = loadShareLinks(config.file).find((entry) => entry.id === claims.id);
+  return link && shareLinkStatus(link) === "active" ? link : null;
+}
+
+/** What a shared view is told about itself. */
+export function describeShareLink(link) {
+  const { id, label, partner, fis, start, end, expires_at } = link;
+  return { id, label, partner, fis, start, end, expires_at };
+}
+
+export function dayInShare(day, link) {
+  return day >= link.start && day <= link.end;
+}
+
+// Instance names are internal. Shared views see a stable stand-in that is
+// different for every link, so two partners cannot line theirs up.
+function instanceAlias(instance, link, secret) {
+  const digest = createHmac("sha256", secret)
+    .update(`${link.id}:${canonicalInstance(instance)}`)
+    .digest("hex");
+  return `instance-${digest.slice(0, 6)}`;
+}
+
+function addCounts(target, source) {
+  for (const [key, value] of Object.entries(source || {})) {
+    if (typeof value === "number") {
+      target[key] = (target[key] || 0) + value;
+    } else if (value && typeof value === "object" && !Array.isArray(value)) {
+      target[key] = addCounts(target[key] || {}, value);
+    }
+  }
+  return target;
+}
+
+/**
+ * A daily rollup cut down to a link: production instances of the link's FIs
+ * only, instance names replaced, and the per-FI totals rebuilt from what is
+ * left so they cannot include hidden instances. Entries keep the registry
+ * stamp's integration and partner but not its cardholder count. Unresolved
+ * GA hosts are dropped, and merchants keep their catalog names and tags but
+ * not the day's counts across all FIs.
+ */
+export function scopeDailyDoc(doc, link, secret) {
+  const fis = new Set(link.fis);
+  const fiInstances = {};
+  const fi = {};
+  const merchants = {};
+  for (const entry of Object.values(doc?.fi_instances || {})) {
+    if (!entry || entry.is_test || !fis.has(lower(entry.fi_lookup_key))) continue;
+    const fiKey = lower(entry.fi_lookup_key);
+    const alias = instanceAlias(entry.instance, link, secret);
+    // The registry stamp keeps its labels; cardholder counts stay hidden.
+    const { registry, ...rest } = entry;
+    fiInstances[`${fiKey}__${alias}`] = {
+      ...rest,
+      ...(registry
+        ? { registry: { integration_type: registry.integration_type ?? null, partner: registry.partner ?? null } }
+        : {}),
+      fi_lookup_key: fiKey,
+      instance: alias,
+    };
+    const total = fi[fiKey] || {
+      ga: {},
+      ga_instances: [],
+      sessions: {},
+      placements: {},
+      durations: {},
+    };
+    addCounts(total.ga, entry.ga);
+    addCounts(total.sessions, entry.sessions);
+    addCounts(total.placements, entry.placements);
+    addCounts(total.durations, entry.durations);
+    if (!total.ga_instances.includes(alias)) total.ga_instances.push(alias);
+    fi[fiKey] = total;
+    for (const key of Object.keys(entry.placements?.by_merchant || {})) {
+      const meta = doc.merchants?.[key];
+      if (!meta) continue;
+      const { merchant_site_id, name, tags, tier } = meta;
+      merchants[key] = { merchant_site_id, name, tags, tier };
+    }
+  }
+  return {
+    date: doc.date,
+    funnel: doc.funnel,
+    sources: doc.sources,
+    fi,
+    fi_instances: fiInstances,
+    ...(doc?.duration_buckets ? { duration_buckets: doc.duration_buckets } : {}),
+    ...(doc?.merchants ? { merchants } : {}),
+  };
+}
+
+/**
+ * Registry entries of the link's FIs, without cardholder counts, sources or
+ * real instance names. The dated integration and partner history is kept so
+ * past days are labelled as they were on the internal pages.
+ */
+export function scopeRegistry(registry, link, secret) {
+  const fis = new Set(link.fis);
+  const scoped = {};
+  for (const entry of Object.values(registry || {})) {
+    if (!entry || lower(entry.partner) !== lower(link.partner)) continue;
+    const fiKey = lower(entry.fi_lookup_key);
+    if (!fis.has(fiKey)) continue;
+    const instance = instanceAlias(entry.instance, link, secret);
+    const history = {};
+    for (const field of ["integration_type", "partner"]) {
+      if (entry.history?.[field]) history[field] = entry.history[field];
+    }
+    scoped[`${fiKey}__${instance}`] = {
+      fi_name: entry.fi_name || fiKey,
+      fi_lookup_key: fiKey,
+      instance,
+      integration_type: entry.integration_type || null,
+      partner: entry.partner,
+      ...(Object.keys(history).length ? { history } : {}),
+    };
+  }
+  return scoped;
+}
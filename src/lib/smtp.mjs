@@ -0,0 +1,211 @@
+import net from "node:net";
+import os from "node:os";
+import tls from "node:tls";
+import { randomBytes } from "node:crypto";
+
+// Minimal SMTP client for the delivery channel: one message per connection,
+// STARTTLS when the server offers it (or TLS from the start with `secure`),
+// AUTH PLAIN when a user is set. Enough for a relay or a local sink
+// (`npm run smtp-sink`) without pulling in a mail library.
+
+const DEFAULT_TIMEOUT_MS = 20 * 1000;
+
+function smtpError(message, code = null) {
+  // 5xx replies will fail the same way again; everything else may not.
+  return Object.assign(new Error(message), { code, permanent: code !== null && code >= 500 });
+}
+
+// Reads SMTP replies off a socket: each resolves once its last line
+// ("250 ok", not "250-...") has arrived.
+function replyReader(socket) {
+  let buffer = "";
+  let lines = [];
+  const waiting = [];
+  const ready = [];
+  let failure = null;
+
+  const settle = () => {
+    while (waiting.length && (ready.length || failure)) {
+      const { resolve, reject } = waiting.shift();
+      if (ready.length) resolve(ready.shift());
+      else reject(failure);
+    }
+  };
+  const onData = (chunk) => {
+    buffer += chunk.toString("utf8");
+    let index;
+    while ((index = buffer.indexOf("\r\n")) >= 0) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+      lines.push(line);
+      if (/^\d{3}(?: |$)/.test(line)) {
+        ready.push({ code: Number(line.slice(0, 3)), lines: lines.map((l) => l.slice(4)) });
+        lines = [];
+      }
+    }
+    settle();
+  };
+  const onError = (err) => {
+    failure = failure || err;
+    settle();
+  };
+  const attach = (target) => {
+    target.on("data", onData);
+    target.on("error", onError);
+    target.on("close", () => onError(smtpError("SMTP connection closed")));
+  };
+  attach(socket);
+  return {
+    next: () =>
+      new Promise((resolve, reject) => {
+        waiting.push({ resolve, reject });
+        settle();
+      }),
+    // After STARTTLS the reader follows the TLS socket instead.
+    switchTo(target) {
+      socket.removeAllListeners("data");
+      attach(target);
+    },
+  };
+}
+
+function connect({ host, port, secure, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host })
+      : net.connect({ host, port });
+    socket.setTimeout(timeoutMs, () => socket.destroy(smtpError(`SMTP timeout talking to ${host}:${port}`)));
+    socket.once(secure ? "secureConnect" : "connect", () => resolve(socket));
+    socket.once("error", reject);
+  });
+}
+
+function encodeHeader(value) {
+  const text = String(value ?? "");
+  return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text, "utf8").toString("base64")}?=`;
+}
+
+function base64Lines(content) {
+  return (Buffer.isBuffer(content) ? content : Buffer.from(String(content ?? ""), "utf8"))
+    .toString("base64")
+    .replace(/.{1,76}/g, "$&\r\n");
+}
+
+function part(contentType, content, extraHeaders = []) {
+  return [
+    `Content-Type: ${contentType}`,
+    "Content-Transfer-Encoding: base64",
+    ...extraHeaders,
+    "",
+    base64Lines(content),
+  ].join("\r\n");
+}
+
+function multipart(type, parts) {
+  const boundary = `sis-${randomBytes(12).toString("hex")}`;
+  return {
+    contentType: `multipart/${type}; boundary="${boundary}"`,
+    body: `${parts.map((p) => `--${boundary}\r\n${p}`).join("\r\n")}\r\n--${boundary}--\r\n`,
+  };
+}
+
+/**
+ * The RFC 5322 message for `mail`: { from, to: [], subject, text, html?,
+ * attachments?: [{ filename, contentType, content (string | Buffer) }] }.
+ */
+export function buildMimeMessage(mail, { now = new Date() } = {}) {
+  const domain = (mail.from.split("@")[1] || "localhost").replace(/>$/, "");
+  let body = mail.html
+    ? multipart("alternative", [
+        part("text/plain; charset=utf-8", mail.text),
+        part("text/html; charset=utf-8", mail.html),
+      ])
+    : { contentType: "text/plain; charset=utf-8", body: null };
+  const attachments = mail.attachments || [];
+  if (attachments.length) {
+    const main = body.body
+      ? `Content-Type: ${body.contentType}\r\n\r\n${body.body}`
+      : part("text/plain; charset=utf-8", mail.text);
+    body = multipart("mixed", [
+      main,
+      ...attachments.map((file) =>
+        part(`${file.contentType || "application/octet-stream"}; name="${file.filename}"`, file.content, [
+          `Content-Disposition: attachment; filename="${file.filename}"`,
+        ])
+      ),
+    ]);
+  }
+  const headers = [
+    `From: ${mail.from}`,
+    `To: ${mail.to.join(", ")}`,
+    `Subject: ${encodeHeader(mail.subject)}`,
+    `Date: ${now.toUTCString()}`,
+    `Message-ID: <${randomBytes(12).toString("hex")}@${domain}>`,
+    "MIME-Version: 1.0",
+  ];
+  if (!body.body) {
+    return [...headers, "Content-Type: text/plain; charset=utf-8", "Content-Transfer-Encoding: base64", "", base64Lines(mail.text)].join(
+      "\r\n"
+    );
+  }
+  return [...headers, `Content-Type: ${body.contentType}`, "", body.body].join("\r\n");
+}
+
+/**
+ * Sends one message. Throws with `permanent: true` for 5xx replies, which a
+ * retry will not fix.
+ * @param {object} smtp - { host, port, secure, user, pass, from, timeoutMs }
+ * @param {object} mail - see buildMimeMessage; `from` defaults to smtp.from
+ * @returns {Promise<{ response: string }>} the server's reply to the message
+ */
+export async function sendMail(smtp, mail) {
+  if (!smtp?.host) throw Object.assign(smtpError("SMTP_HOST is not set"), { permanent: true });
+  const message = { ...mail, from: mail.from || smtp.from };
+  const timeoutMs = smtp.timeoutMs || DEFAULT_TIMEOUT_MS;
+  let socket = await connect({ host: smtp.host, port: smtp.port, secure: smtp.secure, timeoutMs });
+  const reader = replyReader(socket);
+  const expect = async (codes, what) => {
+    const reply = await reader.next();
+    if (!codes.includes(reply.code)) {
+      throw smtpError(`SMTP ${what} refused: ${reply.code} ${reply.lines.join(" ")}`, reply.code);
+    }
+    return reply;
+  };
+  const command = (line, codes, what = line.split(" ")[0]) => {
+    socket.write(`${line}\r\n`);
+    return expect(codes, what);
+  };
+
+  try {
+    await expect([220], "greeting");
+    const hello = `EHLO ${smtp.heloName || os.hostname() || "localhost"}`;
+    let ehlo = await command(hello, [250]);
+    if (!smtp.secure && ehlo.lines.some((line) => /^STARTTLS\b/i.test(line))) {
+      await command("STARTTLS", [220]);
+      const plain = socket;
+      socket = tls.connect({ socket: plain, servername: smtp.host });
+      await new Promise((resolve, reject) => {
+        socket.once("secureConnect", resolve);
+        socket.once("error", reject);
+      });
+      reader.switchTo(socket);
+      ehlo = await command(hello, [250]);
+    }
+    if (smtp.user) {
+      const token = Buffer.from(`\0${smtp.user}\0${smtp.pass || ""}`, "utf8").toString("base64");
+      await command(`AUTH PLAIN ${token}`, [235], "AUTH");
+    }
+    const address = (value) => (/<([^>]+)>/.exec(value)?.[1] || value).trim();
+    await command(`MAIL FROM:<${address(message.from)}>`, [250], "MAIL FROM");
+    for (const to of message.to) await command(`RCPT TO:<${address(to)}>`, [250, 251], `RCPT TO ${address(to)}`);
+    await command("DATA", [354]);
+    // Dot-stuffing: a line starting with "." gets a second one.
+    const data = buildMimeMessage(message).replace(/\r\n\./g, "\r\n..");
+    socket.write(`${data}\r\n.\r\n`);
+    const accepted = await expect([250], "message");
+    socket.write("QUIT\r\n");
+    return { response: `${accepted.code} ${accepted.lines.join(" ")}` };
+  } finally {
+    socket.end();
+  }
+}
@@ -0,0 +1,101 @@
+// Pieces shared by the storage engines: which array holds the rows of each
+// raw type, and the fields the SQLite engine indexes (the JSON engine filters
+// on the same fields so both engines answer range queries identically).
+
+export const RAW_TYPES = ["ga", "sessions", "placements"];
+
+export const ROWS_KEY = {
+  ga: "rows",
+  sessions: "sessions",
+  placements: "placements",
+};
+
+export function assertRawType(type) {
+  if (!RAW_TYPES.includes(type)) {
+    throw Object.assign(new Error(`Unknown raw data type "${type}"`), { status: 400 });
+  }
+}
+
+export function daysInRange(startDate, endDate) {
+  const out = [];
+  const stop = Date.parse(`${endDate}T00:00:00Z`);
+  for (let t = Date.parse(`${startDate}T00:00:00Z`); t <= stop; t += 86400000) {
+    out.push(new Date(t).toISOString().slice(0, 10));
+  }
+  return out;
+}
+
+function lower(value) {
+  return value ? value.toString().trim().toLowerCase() : null;
+}
+
+/**
+ * Indexed columns for one raw row. fi_key is null when the row does not name
+ * its FI (the server then falls back to the instance), so FI filters always
+ * keep those rows.
+ */
+export function rowIndexFields(type, row = {}) {
+  if (type === "ga") {
+    return {
+      instance: lower(row.instance),
+      fi_key: lower(row.fi_key),
+      host: row.host || null,
+      page: row.page || null,
+      hour: row.hour || null,
+      views: Number(row.views) || 0,
+      active_users: Number(row.active_users) || 0,
+    };
+  }
+  const instance = lower(row._instance || row.instance || row.instance_name);
+  const fiKey = lower(
+    row.financial_institution_lookup_key || row.fi_lookup_key || row.fi_name
+  );
+  const sessionId = row.agent_session_id || row.session_id || row.cuid || null;
+  if (type === "sessions") {
+    return {
+      instance,
+      fi_key: fiKey,
+      session_id: sessionId || row.id || null,
+      created_on: row.created_on || null,
+    };
+  }
+  return {
+    instance,
+    fi_key: fiKey,
+    session_id: sessionId,
+    merchant: row.merchant_site_hostname || null,
+    termination_type: row.termination_type || null,
+  };
+}
+
+/**
+ * Whether a row passes the optional { fiKey, instance } filter of a range read.
+ */
+export function matchesRowFilter(type, row, { fiKey, instance } = {}) {
+  if (!fiKey && !instance) return true;
+  const fields = rowIndexFields(type, row);
+  if (fiKey && fields.fi_key && fields.fi_key !== lower(fiKey)) return false;
+  if (instance && fields.instance !== lower(instance)) return false;
+  return true;
+}
+
+/**
+ * Splits a raw document into its row array and everything else
+ * (_metadata, error, count, ...).
+ */
+export function splitRawDoc(type, doc = {}) {
+  const key = ROWS_KEY[type];
+  const { [key]: rows, ...rest } = doc;
+  return { rows: Array.isArray(rows) ? rows : null, rest };
+}
+
+/**
+ * Inverse of splitRawDoc, keeping _metadata first like the JSON files.
+ */
+export function joinRawDoc(type, rest, rows) {
+  const { _metadata, ...others } = rest || {};
+  const doc = _metadata ? { _metadata } : {};
+  Object.assign(doc, others);
+  if (rows) doc[ROWS_KEY[type]] = rows;
+  return doc;
+}
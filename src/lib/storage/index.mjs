@@ -0,0 +1,60 @@
+import path from "node:path";
+import { createJsonStorage } from "./jsonStorage.mjs";
+import { createSqliteStorage } from "./sqliteStorage.mjs";
+
+export { RAW_TYPES, ROWS_KEY } from "./common.mjs";
+
+export const STORAGE_ENGINES = ["json", "sqlite"];
+
+/**
+ * Storage settings from the environment (see .env.example). Paths resolve
+ * against the working directory, like raw/ always has.
+ */
+export function storageConfigFromEnv() {
+  return {
+    engine: (process.env.STORAGE_ENGINE || "json").toString().trim().toLowerCase(),
+    rawRoot: path.resolve("raw"),
+    archiveDir: path.resolve(process.env.RAW_ARCHIVE_DIR || path.join("raw", "archive")),
+    dailyDir: path.resolve("data", "daily"),
+    hourlyDir: path.resolve("data", "hourly"),
+    sqliteFile: path.resolve(process.env.STORAGE_SQLITE_PATH || path.join("data", "sis.sqlite")),
+  };
+}
+
+/**
+ * Opens a storage engine. Both engines expose the same synchronous API:
+ * readRaw / readRawHeader / writeRaw / rawExists / deleteRaw / listRawDays /
+ * readRawRange for raw fetches, readDaily / writeDaily / listDailyDays /
+ * dailyVersionParts for daily rollups, and readHourly / writeHourly /
+ * listHourlyDays for hourly rollups. rawUsage reports disk use per raw type;
+ * only the JSON engine has compressRaw / archiveRaw / rawFileInfo.
+ */
+export function createStorage(options = {}) {
+  const config = { ...storageConfigFromEnv(), ...options };
+  if (config.engine === "json") {
+    return createJsonStorage({
+      rawRoot: config.rawRoot,
+      archiveDir: config.archiveDir,
+      dailyDir: config.dailyDir,
+      hourlyDir: config.hourlyDir,
+    });
+  }
+  if (config.engine === "sqlite") {
+    return createSqliteStorage({ file: config.sqliteFile });
+  }
+  throw new Error(
+    `Unknown STORAGE_ENGINE "${config.engine}" (use ${STORAGE_ENGINES.join(" or ")})`
+  );
+}
+
+let activeStorage = null;
+
+/**
+ * Process-wide storage selected by STORAGE_ENGINE, opened on first use.
+ */
+export function getStorage() {
+  if (!activeStorage) {
+    activeStorage = createStorage();
+  }
+  return activeStorage;
+}
@@ -0,0 +1,290 @@
+import fs from "node:fs";
+import path from "node:path";
+import zlib from "node:zlib";
+import {
+  RAW_TYPES,
+  ROWS_KEY,
+  assertRawType,
+  matchesRowFilter,
+  daysInRange,
+} from "./common.mjs";
+
+const DAY_FILE_RE = /^\d{4}-\d{2}-\d{2}\.json$/;
+const RAW_FILE_RE = /^(\d{4}-\d{2}-\d{2})\.json(\.gz)?$/;
+
+// Where a raw day can sit, in the order reads look for it: pretty-printed in
+// raw/<type>/, gzipped there once complete, or gzipped in the archive folder.
+export const RAW_TIERS = ["live", "compressed", "archived"];
+
+function writeFileAtomicSync(targetPath, contents) {
+  const dir = path.dirname(targetPath);
+  const base = path.basename(targetPath);
+  const tmpPath = path.join(
+    dir,
+    `.${base}.tmp-${process.pid}-${Date.now()}-${Math.random()
+      .toString(16)
+      .slice(2)}`
+  );
+  fs.writeFileSync(tmpPath, contents);
+  fs.renameSync(tmpPath, targetPath);
+}
+
+function readJsonFile(p) {
+  if (!fs.existsSync(p)) return null;
+  const buffer = fs.readFileSync(p);
+  return JSON.parse((p.endsWith(".gz") ? zlib.gunzipSync(buffer) : buffer).toString("utf8"));
+}
+
+function fileSize(p) {
+  try {
+    return fs.statSync(p).size;
+  } catch {
+    return null;
+  }
+}
+
+function unlinkIfExists(p) {
+  try {
+    fs.unlinkSync(p);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function listDayFiles(dir) {
+  try {
+    return fs
+      .readdirSync(dir)
+      .filter((f) => DAY_FILE_RE.test(f))
+      .map((f) => f.replace(/\.json$/, ""))
+      .sort();
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * The original storage: one pretty-printed JSON file per type and day under
+ * raw/, and one rollup file per day under data/daily/ (data/hourly/ for the
+ * hourly rollups). The retention policy (rawRetention.mjs) can gzip complete
+ * days in place and move old ones to `archiveDir`; reads find a day in any of
+ * the three places.
+ */
+export function createJsonStorage({ rawRoot, archiveDir = path.join(rawRoot, "archive"), dailyDir, hourlyDir }) {
+  function rawPath(type, day) {
+    assertRawType(type);
+    return path.join(rawRoot, type, `${day}.json`);
+  }
+
+  function tierPath(type, day, tier) {
+    if (tier === "live") return rawPath(type, day);
+    if (tier === "compressed") return `${rawPath(type, day)}.gz`;
+    assertRawType(type);
+    return path.join(archiveDir, type, `${day}.json.gz`);
+  }
+
+  // The tier a day is read from, or null when it is not stored.
+  function findRaw(type, day) {
+    for (const tier of RAW_TIERS) {
+      const p = tierPath(type, day, tier);
+      if (fs.existsSync(p)) return { tier, path: p };
+    }
+    return null;
+  }
+
+  function ensureRawDirs() {
+    for (const type of RAW_TYPES) {
+      fs.mkdirSync(path.join(rawRoot, type), { recursive: true });
+    }
+  }
+
+  // Gzips a day into `tier` and removes every other copy of it.
+  function moveRaw(type, day, tier) {
+    const found = findRaw(type, day);
+    if (!found || found.tier === tier) return false;
+    const target = tierPath(type, day, tier);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    const contents = fs.readFileSync(found.path);
+    writeFileAtomicSync(
+      target,
+      found.path.endsWith(".gz") ? contents : zlib.gzipSync(contents, { level: 9 })
+    );
+    for (const other of RAW_TIERS) {
+      if (other !== tier) unlinkIfExists(tierPath(type, day, other));
+    }
+    return true;
+  }
+
+  function listTierDays(type, tier) {
+    const dir = tier === "archived" ? path.join(archiveDir, type) : path.join(rawRoot, type);
+    const gz = tier !== "live";
+    try {
+      return fs
+        .readdirSync(dir)
+        .map((f) => RAW_FILE_RE.exec(f))
+        .filter((match) => match && Boolean(match[2]) === gz)
+        .map((match) => match[1]);
+    } catch {
+      return [];
+    }
+  }
+
+  return {
+    engine: "json",
+    location: rawRoot,
+    rawPath,
+    ensureRawDirs,
+
+    readRaw(type, day) {
+      const found = findRaw(type, day);
+      return found ? readJsonFile(found.path) : null;
+    },
+
+    readRawHeader(type, day) {
+      const doc = this.readRaw(type, day);
+      if (!doc) return null;
+      const { [ROWS_KEY[type]]: _rows, ...header } = doc;
+      return header;
+    },
+
+    writeRaw(type, day, doc, { atomic = true } = {}) {
+      ensureRawDirs();
+      const outPath = rawPath(type, day);
+      const contents = JSON.stringify(doc, null, 2);
+      if (atomic) {
+        writeFileAtomicSync(outPath, contents);
+      } else {
+        fs.writeFileSync(outPath, contents);
+      }
+      // A refetch replaces the day, so older gzipped copies go.
+      unlinkIfExists(tierPath(type, day, "compressed"));
+      unlinkIfExists(tierPath(type, day, "archived"));
+    },
+
+    rawExists(type, day) {
+      return Boolean(findRaw(type, day));
+    },
+
+    deleteRaw(type, day) {
+      let deleted = false;
+      for (const tier of RAW_TIERS) {
+        if (unlinkIfExists(tierPath(type, day, tier))) deleted = true;
+      }
+      return deleted;
+    },
+
+    listRawDays(type) {
+      assertRawType(type);
+      const days = new Set(RAW_TIERS.flatMap((tier) => listTierDays(type, tier)));
+      return Array.from(days).sort();
+    },
+
+    /** Which tier a day is stored in and its size on disk, or null. */
+    rawFileInfo(type, day) {
+      const found = findRaw(type, day);
+      return found ? { tier: found.tier, bytes: fileSize(found.path) || 0 } : null;
+    },
+
+    /** Gzips a pretty-printed day in place. @returns {boolean} whether it moved */
+    compressRaw(type, day) {
+      return findRaw(type, day)?.tier === "live" ? moveRaw(type, day, "compressed") : false;
+    },
+
+    /** Moves a day, gzipped, to the archive folder. @returns {boolean} whether it moved */
+    archiveRaw(type, day) {
+      return moveRaw(type, day, "archived");
+    },
+
+    /**
+     * Days and bytes on disk per raw type and tier:
+     * { [type]: { live: { days, bytes }, compressed: {...}, archived: {...} } }
+     */
+    rawUsage() {
+      const usage = {};
+      for (const type of RAW_TYPES) {
+        usage[type] = {};
+        for (const tier of RAW_TIERS) {
+          const days = listTierDays(type, tier);
+          usage[type][tier] = {
+            days: days.length,
+            bytes: days.reduce((sum, day) => sum + (fileSize(tierPath(type, day, tier)) || 0), 0),
+          };
+        }
+      }
+      return usage;
+    },
+
+    readRawRange(type, { startDate, endDate, fiKey, instance }) {
+      const rows = [];
+      for (const day of daysInRange(startDate, endDate)) {
+        const doc = this.readRaw(type, day);
+        const list = doc?.[ROWS_KEY[type]];
+        if (!Array.isArray(list)) continue;
+        for (const row of list) {
+          if (matchesRowFilter(type, row, { fiKey, instance })) rows.push(row);
+        }
+      }
+      return rows;
+    },
+
+    readDaily(day) {
+      return readJsonFile(path.join(dailyDir, `${day}.json`));
+    },
+
+    writeDaily(day, doc, { dir = dailyDir } = {}) {
+      fs.mkdirSync(dir, { recursive: true });
+      const filePath = path.join(dir, `${day}.json`);
+      writeFileAtomicSync(filePath, JSON.stringify(doc, null, 2));
+      return filePath;
+    },
+
+    listDailyDays() {
+      return listDayFiles(dailyDir);
+    },
+
+    readHourly(day) {
+      return readJsonFile(path.join(hourlyDir, `${day}.json`));
+    },
+
+    writeHourly(day, doc) {
+      fs.mkdirSync(hourlyDir, { recursive: true });
+      const filePath = path.join(hourlyDir, `${day}.json`);
+      writeFileAtomicSync(filePath, JSON.stringify(doc));
+      return filePath;
+    },
+
+    listHourlyDays() {
+      return listDayFiles(hourlyDir);
+    },
+
+    /**
+     * One "<day>:<size>:<mtime>" entry per rollup, so rewriting a day changes
+     * the data version even when the set of days does not.
+     */
+    dailyVersionParts() {
+      return this.listDailyDays().map((day) => {
+        try {
+          const stat = fs.statSync(path.join(dailyDir, `${day}.json`));
+          return `${day}.json:${stat.size}:${stat.mtimeMs}`;
+        } catch {
+          return `${day}.json:?`;
+        }
+      });
+    },
+
+    describe() {
+      return {
+        engine: "json",
+        rawRoot,
+        archiveDir,
+        dailyDir,
+        rawDays: Object.fromEntries(RAW_TYPES.map((type) => [type, this.listRawDays(type).length])),
+        dailyDays: this.listDailyDays().length,
+        hourlyDays: this.listHourlyDays().length,
+      };
+    },
+
+    close() {},
+  };
+}
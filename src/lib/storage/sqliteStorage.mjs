@@ -0,0 +1,337 @@
+import fs from "node:fs";
+import path from "node:path";
+import { createRequire } from "node:module";
+import {
+  RAW_TYPES,
+  assertRawType,
+  rowIndexFields,
+  splitRawDoc,
+  joinRawDoc,
+} from "./common.mjs";
+
+const require = createRequire(import.meta.url);
+const SCHEMA_VERSION = 1;
+
+// Row tables share (day, seq) as the key; seq keeps the order rows had in the
+// fetched document. The full row is kept as JSON in `data`, the other columns
+// exist to be indexed.
+const ROW_TABLES = {
+  ga: {
+    table: "ga_rows",
+    columns: ["instance", "fi_key", "host", "page", "hour", "views", "active_users"],
+  },
+  sessions: {
+    table: "sessions",
+    columns: ["instance", "fi_key", "session_id", "created_on"],
+  },
+  placements: {
+    table: "placements",
+    columns: ["instance", "fi_key", "session_id", "merchant", "termination_type"],
+  },
+};
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS meta (
+  key TEXT PRIMARY KEY,
+  value TEXT
+);
+CREATE TABLE IF NOT EXISTS raw_days (
+  type TEXT NOT NULL,
+  day TEXT NOT NULL,
+  fetched_at TEXT,
+  is_complete INTEGER,
+  row_count INTEGER NOT NULL DEFAULT 0,
+  has_rows INTEGER NOT NULL DEFAULT 1,
+  doc TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  PRIMARY KEY (type, day)
+);
+CREATE TABLE IF NOT EXISTS ga_rows (
+  day TEXT NOT NULL,
+  seq INTEGER NOT NULL,
+  instance TEXT,
+  fi_key TEXT,
+  host TEXT,
+  page TEXT,
+  hour TEXT,
+  views INTEGER,
+  active_users INTEGER,
+  data TEXT NOT NULL,
+  PRIMARY KEY (day, seq)
+);
+CREATE INDEX IF NOT EXISTS ga_rows_fi_day ON ga_rows (fi_key, day);
+CREATE TABLE IF NOT EXISTS sessions (
+  day TEXT NOT NULL,
+  seq INTEGER NOT NULL,
+  instance TEXT,
+  fi_key TEXT,
+  session_id TEXT,
+  created_on TEXT,
+  data TEXT NOT NULL,
+  PRIMARY KEY (day, seq)
+);
+CREATE INDEX IF NOT EXISTS sessions_fi_day ON sessions (fi_key, day);
+CREATE INDEX IF NOT EXISTS sessions_instance_day ON sessions (instance, day);
+CREATE INDEX IF NOT EXISTS sessions_session_id ON sessions (session_id);
+CREATE TABLE IF NOT EXISTS placements (
+  day TEXT NOT NULL,
+  seq INTEGER NOT NULL,
+  instance TEXT,
+  fi_key TEXT,
+  session_id TEXT,
+  merchant TEXT,
+  termination_type TEXT,
+  data TEXT NOT NULL,
+  PRIMARY KEY (day, seq)
+);
+CREATE INDEX IF NOT EXISTS placements_fi_day ON placements (fi_key, day);
+CREATE INDEX IF NOT EXISTS placements_instance_day ON placements (instance, day);
+CREATE INDEX IF NOT EXISTS placements_merchant_day ON placements (merchant, day);
+CREATE INDEX IF NOT EXISTS placements_session_id ON placements (session_id);
+CREATE TABLE IF NOT EXISTS daily (
+  day TEXT PRIMARY KEY,
+  doc TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS hourly (
+  day TEXT PRIMARY KEY,
+  doc TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+`;
+
+function loadDriver() {
+  try {
+    return require("better-sqlite3");
+  } catch (err) {
+    throw Object.assign(
+      new Error(
+        'STORAGE_ENGINE=sqlite needs the optional "better-sqlite3" package (npm install better-sqlite3)'
+      ),
+      { cause: err }
+    );
+  }
+}
+
+/**
+ * Single-file SQLite storage with indexed tables for raw rows and daily
+ * rollups. Uses WAL so the server can read while a CLI fetch writes.
+ */
+export function createSqliteStorage({ file }) {
+  const Database = loadDriver();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.pragma("synchronous = NORMAL");
+  db.pragma("busy_timeout = 5000");
+  db.exec(SCHEMA);
+  db.prepare("INSERT OR REPLACE INTO meta (key, value) VALUES ('schema_version', ?)").run(
+    String(SCHEMA_VERSION)
+  );
+
+  const statements = {
+    getDay: db.prepare("SELECT doc, has_rows FROM raw_days WHERE type = ? AND day = ?"),
+    dayExists: db.prepare("SELECT 1 FROM raw_days WHERE type = ? AND day = ?"),
+    upsertDay: db.prepare(`
+      INSERT INTO raw_days (type, day, fetched_at, is_complete, row_count, has_rows, doc, updated_at)
+      VALUES (@type, @day, @fetched_at, @is_complete, @row_count, @has_rows, @doc, @updated_at)
+      ON CONFLICT (type, day) DO UPDATE SET
+        fetched_at = excluded.fetched_at,
+        is_complete = excluded.is_complete,
+        row_count = excluded.row_count,
+        has_rows = excluded.has_rows,
+        doc = excluded.doc,
+        updated_at = excluded.updated_at
+    `),
+    deleteDay: db.prepare("DELETE FROM raw_days WHERE type = ? AND day = ?"),
+    listDays: db.prepare("SELECT day FROM raw_days WHERE type = ? ORDER BY day"),
+    countDays: db.prepare("SELECT type, COUNT(*) AS days, SUM(row_count) AS rows FROM raw_days GROUP BY type"),
+    getDaily: db.prepare("SELECT doc FROM daily WHERE day = ?"),
+    upsertDaily: db.prepare(`
+      INSERT INTO daily (day, doc, updated_at) VALUES (?, ?, ?)
+      ON CONFLICT (day) DO UPDATE SET doc = excluded.doc, updated_at = excluded.updated_at
+    `),
+    listDaily: db.prepare("SELECT day FROM daily ORDER BY day"),
+    dailyVersion: db.prepare("SELECT day, length(doc) AS size, updated_at FROM daily ORDER BY day"),
+    getHourly: db.prepare("SELECT doc FROM hourly WHERE day = ?"),
+    upsertHourly: db.prepare(`
+      INSERT INTO hourly (day, doc, updated_at) VALUES (?, ?, ?)
+      ON CONFLICT (day) DO UPDATE SET doc = excluded.doc, updated_at = excluded.updated_at
+    `),
+    listHourly: db.prepare("SELECT day FROM hourly ORDER BY day"),
+  };
+
+  const rowStatements = {};
+  for (const [type, { table, columns }] of Object.entries(ROW_TABLES)) {
+    const names = ["day", "seq", ...columns, "data"];
+    rowStatements[type] = {
+      insert: db.prepare(
+        `INSERT INTO ${table} (${names.join(", ")}) VALUES (${names.map((n) => `@${n}`).join(", ")})`
+      ),
+      deleteDay: db.prepare(`DELETE FROM ${table} WHERE day = ?`),
+      selectDay: db.prepare(`SELECT data FROM ${table} WHERE day = ? ORDER BY seq`),
+    };
+  }
+
+  const writeRawTx = db.transaction((type, day, doc) => {
+    const { rows, rest } = splitRawDoc(type, doc);
+    const ops = rowStatements[type];
+    ops.deleteDay.run(day);
+    (rows || []).forEach((row, seq) => {
+      ops.insert.run({ day, seq, ...rowIndexFields(type, row), data: JSON.stringify(row) });
+    });
+    statements.upsertDay.run({
+      type,
+      day,
+      fetched_at: rest._metadata?.fetchedAt || null,
+      is_complete: rest._metadata ? (rest._metadata.isComplete ? 1 : 0) : null,
+      row_count: rows ? rows.length : 0,
+      has_rows: rows ? 1 : 0,
+      doc: JSON.stringify(rest),
+      updated_at: new Date().toISOString(),
+    });
+  });
+
+  const deleteRawTx = db.transaction((type, day) => {
+    rowStatements[type].deleteDay.run(day);
+    return statements.deleteDay.run(type, day).changes > 0;
+  });
+
+  return {
+    engine: "sqlite",
+    location: file,
+    db,
+
+    readRaw(type, day) {
+      assertRawType(type);
+      const record = statements.getDay.get(type, day);
+      if (!record) return null;
+      const rows = record.has_rows
+        ? rowStatements[type].selectDay.all(day).map((r) => JSON.parse(r.data))
+        : null;
+      return joinRawDoc(type, JSON.parse(record.doc), rows);
+    },
+
+    readRawHeader(type, day) {
+      assertRawType(type);
+      const record = statements.getDay.get(type, day);
+      return record ? JSON.parse(record.doc) : null;
+    },
+
+    writeRaw(type, day, doc) {
+      assertRawType(type);
+      writeRawTx(type, day, doc);
+    },
+
+    rawExists(type, day) {
+      assertRawType(type);
+      return Boolean(statements.dayExists.get(type, day));
+    },
+
+    deleteRaw(type, day) {
+      assertRawType(type);
+      return deleteRawTx(type, day);
+    },
+
+    listRawDays(type) {
+      assertRawType(type);
+      return statements.listDays.all(type).map((r) => r.day);
+    },
+
+    readRawRange(type, { startDate, endDate, fiKey, instance }) {
+      assertRawType(type);
+      const { table } = ROW_TABLES[type];
+      const where = ["day BETWEEN @startDate AND @endDate"];
+      // Rows without an FI key are kept: the server resolves those by instance.
+      if (fiKey) where.push("(fi_key = @fiKey OR fi_key IS NULL)");
+      if (instance) where.push("instance = @instance");
+      return db
+        .prepare(`SELECT data FROM ${table} WHERE ${where.join(" AND ")} ORDER BY day, seq`)
+        .all({
+          startDate,
+          endDate,
+          fiKey: fiKey ? fiKey.toString().trim().toLowerCase() : null,
+          instance: instance ? instance.toString().trim().toLowerCase() : null,
+        })
+        .map((r) => JSON.parse(r.data));
+    },
+
+    readDaily(day) {
+      const record = statements.getDaily.get(day);
+      return record ? JSON.parse(record.doc) : null;
+    },
+
+    writeDaily(day, doc) {
+      statements.upsertDaily.run(day, JSON.stringify(doc), new Date().toISOString());
+      return `${file}#daily/${day}`;
+    },
+
+    listDailyDays() {
+      return statements.listDaily.all().map((r) => r.day);
+    },
+
+    readHourly(day) {
+      const record = statements.getHourly.get(day);
+      return record ? JSON.parse(record.doc) : null;
+    },
+
+    writeHourly(day, doc) {
+      statements.upsertHourly.run(day, JSON.stringify(doc), new Date().toISOString());
+      return `${file}#hourly/${day}`;
+    },
+
+    listHourlyDays() {
+      return statements.listHourly.all().map((r) => r.day);
+    },
+
+    dailyVersionParts() {
+      return statements.dailyVersion
+        .all()
+        .map((r) => `${r.day}.json:${r.size}:${r.updated_at}`);
+    },
+
+    /**
+     * Days and the JSON bytes held per raw type, in the shape of the JSON
+     * engine's rawUsage. Rows sit in indexed tables, so everything is "live";
+     * the file as a whole is in describe().sizeBytes.
+     */
+    rawUsage() {
+      const usage = {};
+      for (const type of RAW_TYPES) {
+        const { table } = ROW_TABLES[type];
+        const days = db
+          .prepare("SELECT COUNT(*) AS days, SUM(length(doc)) AS bytes FROM raw_days WHERE type = ?")
+          .get(type);
+        const rows = db.prepare(`SELECT SUM(length(data)) AS bytes FROM ${table}`).get();
+        usage[type] = { live: { days: days.days || 0, bytes: (days.bytes || 0) + (rows.bytes || 0) } };
+      }
+      return usage;
+    },
+
+    describe() {
+      const counts = Object.fromEntries(RAW_TYPES.map((type) => [type, { days: 0, rows: 0 }]));
+      for (const entry of statements.countDays.all()) {
+        counts[entry.type] = { days: entry.days, rows: entry.rows || 0 };
+      }
+      let sizeBytes = null;
+      try {
+        sizeBytes = fs.statSync(file).size;
+      } catch {
+        // Not created yet.
+      }
+      return {
+        engine: "sqlite",
+        file,
+        sizeBytes,
+        rawDays: Object.fromEntries(RAW_TYPES.map((type) => [type, counts[type].days])),
+        rawRows: Object.fromEntries(RAW_TYPES.map((type) => [type, counts[type].rows])),
+        dailyDays: statements.listDaily.all().length,
+        hourlyDays: statements.listHourly.all().length,
+      };
+    },
+
+    close() {
+      db.close();
+    },
+  };
+}
@@ -0,0 +1,324 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { randomUUID } from "node:crypto";
+
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_HOUR = 60 * MS_PER_MINUTE;
+const MS_PER_DAY = 24 * MS_PER_HOUR;
+const DEFAULT_TICK_MS = 30 * 1000;
+const DEFAULT_HISTORY_LIMIT = 200;
+const CADENCES = new Set(["daily", "hourly"]);
+
+// Nightly backfill of the last few complete days plus an hourly pass over
+// today. Both ship disabled so nothing runs until someone opts in.
+export const DEFAULT_SCHEDULES = [
+  {
+    id: "nightly",
+    label: "Nightly backfill",
+    enabled: false,
+    cadence: "daily",
+    time: "02:00",
+    minute: 0,
+    startOffsetDays: -3,
+    endOffsetDays: -1,
+    forceRaw: false,
+    lastTriggeredAt: null,
+  },
+  {
+    id: "hourly-today",
+    label: "Hourly refresh (today)",
+    enabled: false,
+    cadence: "hourly",
+    time: null,
+    minute: 15,
+    startOffsetDays: 0,
+    endOffsetDays: 0,
+    forceRaw: false,
+    lastTriggeredAt: null,
+  },
+];
+
+function badRequest(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+async function writeJsonAtomic(filePath, value) {
+  const dir = path.dirname(filePath);
+  await fs.mkdir(dir, { recursive: true });
+  const tmpPath = path.join(
+    dir,
+    `.${path.basename(filePath)}.tmp-${process.pid}-${Date.now()}-${Math.random()
+      .toString(16)
+      .slice(2)}`
+  );
+  await fs.writeFile(tmpPath, JSON.stringify(value, null, 2) + "\n", "utf8");
+  await fs.rename(tmpPath, filePath);
+}
+
+async function readJsonOrNull(filePath) {
+  try {
+    const raw = await fs.readFile(filePath, "utf8");
+    return JSON.parse(raw || "null");
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+function isoDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function parseTimeOfDay(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec((value || "").toString().trim());
+  if (!match) return null;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 23 || minutes > 59) return null;
+  return { hours, minutes };
+}
+
+function toOffset(value, fallback) {
+  if (value === undefined || value === null || value === "") return fallback;
+  const num = Number(value);
+  if (!Number.isInteger(num) || num > 0 || num < -366) {
+    throw badRequest("Range offsets must be whole days between -366 and 0");
+  }
+  return num;
+}
+
+/**
+ * Validates and normalizes one schedule entry coming from the maintenance page.
+ * Throws a 400-flagged error for anything the scheduler could not run.
+ * @param {object} entry
+ * @returns {object}
+ */
+export function normalizeSchedule(entry = {}) {
+  const id = (entry.id || "").toString().trim().toLowerCase().replace(/[^a-z0-9-]/g, "-");
+  if (!id) throw badRequest("Schedule id is required");
+  const cadence = (entry.cadence || "daily").toString().trim().toLowerCase();
+  if (!CADENCES.has(cadence)) {
+    throw badRequest(`Unknown cadence "${cadence}" (use daily or hourly)`);
+  }
+  let time = null;
+  let minute = 0;
+  if (cadence === "daily") {
+    const parsed = parseTimeOfDay(entry.time || "02:00");
+    if (!parsed) throw badRequest("Daily schedules need a UTC time as HH:MM");
+    time = `${String(parsed.hours).padStart(2, "0")}:${String(parsed.minutes).padStart(2, "0")}`;
+    minute = parsed.minutes;
+  } else {
+    minute = Number(entry.minute ?? 0);
+    if (!Number.isInteger(minute) || minute < 0 || minute > 59) {
+      throw badRequest("Hourly schedules need a minute between 0 and 59");
+    }
+  }
+  const startOffsetDays = toOffset(entry.startOffsetDays, 0);
+  const endOffsetDays = toOffset(entry.endOffsetDays, 0);
+  if (startOffsetDays > endOffsetDays) {
+    throw badRequest("Range start offset must be on or before the end offset");
+  }
+  return {
+    id,
+    label: (entry.label || id).toString().trim() || id,
+    enabled: Boolean(entry.enabled),
+    cadence,
+    time,
+    minute,
+    startOffsetDays,
+    endOffsetDays,
+    forceRaw: Boolean(entry.forceRaw),
+    lastTriggeredAt: entry.lastTriggeredAt || null,
+  };
+}
+
+/**
+ * Next time a schedule fires strictly after `from` (all times UTC).
+ * @param {object} schedule - normalized schedule
+ * @param {Date} from
+ * @returns {Date}
+ */
+export function computeNextRun(schedule, from = new Date()) {
+  const base = new Date(from.getTime());
+  if (schedule.cadence === "hourly") {
+    const next = new Date(base.getTime());
+    next.setUTCMinutes(schedule.minute, 0, 0);
+    if (next <= base) next.setTime(next.getTime() + MS_PER_HOUR);
+    return next;
+  }
+  const { hours, minutes } = parseTimeOfDay(schedule.time) || { hours: 2, minutes: 0 };
+  const next = new Date(base.getTime());
+  next.setUTCHours(hours, minutes, 0, 0);
+  if (next <= base) next.setTime(next.getTime() + MS_PER_DAY);
+  return next;
+}
+
+/**
+ * Date range a schedule refreshes when it fires at `now`.
+ * @param {object} schedule
+ * @param {Date} now
+ * @returns {{startDate: string, endDate: string}}
+ */
+export function resolveScheduleRange(schedule, now = new Date()) {
+  const todayMs = Date.parse(`${isoDay(now)}T00:00:00Z`);
+  return {
+    startDate: isoDay(new Date(todayMs + schedule.startOffsetDays * MS_PER_DAY)),
+    endDate: isoDay(new Date(todayMs + schedule.endOffsetDays * MS_PER_DAY)),
+  };
+}
+
+export async function readSchedulerConfig(filePath) {
+  const stored = await readJsonOrNull(filePath);
+  const list = Array.isArray(stored?.schedules) ? stored.schedules : DEFAULT_SCHEDULES;
+  const schedules = [];
+  for (const entry of list) {
+    try {
+      schedules.push(normalizeSchedule(entry));
+    } catch (err) {
+      console.warn(`[scheduler] ignoring invalid schedule ${entry?.id || "?"}: ${err.message}`);
+    }
+  }
+  return { schedules };
+}
+
+export async function writeSchedulerConfig(filePath, config) {
+  const schedules = (config?.schedules || []).map(normalizeSchedule);
+  const ids = new Set();
+  for (const schedule of schedules) {
+    if (ids.has(schedule.id)) throw badRequest(`Duplicate schedule id "${schedule.id}"`);
+    ids.add(schedule.id);
+  }
+  await writeJsonAtomic(filePath, { schedules });
+  return { schedules };
+}
+
+export async function readRunHistory(filePath, limit = DEFAULT_HISTORY_LIMIT) {
+  const stored = await readJsonOrNull(filePath);
+  const runs = Array.isArray(stored?.runs) ? stored.runs : [];
+  return runs.slice(0, limit);
+}
+
+/**
+ * Prepends a finished (or skipped) update run to the persisted history.
+ * @param {string} filePath
+ * @param {object} run
+ * @param {object} options - { max }
+ * @returns {Promise<object>} the stored run (with id)
+ */
+export async function appendRunHistory(filePath, run, { max = DEFAULT_HISTORY_LIMIT } = {}) {
+  const stored = await readJsonOrNull(filePath);
+  const runs = Array.isArray(stored?.runs) ? stored.runs : [];
+  const entry = { id: run.id || randomUUID(), ...run };
+  runs.unshift(entry);
+  await writeJsonAtomic(filePath, { runs: runs.slice(0, max) });
+  return entry;
+}
+
+/**
+ * Timer loop that fires `onDue(schedule, range)` whenever an enabled schedule
+ * is due. A schedule that was missed while the server was down fires once on
+ * the next tick rather than once per missed slot.
+ */
+export function createUpdateScheduler({
+  configFile,
+  onDue,
+  tickMs = DEFAULT_TICK_MS,
+  now = () => new Date(),
+}) {
+  const startedAt = now();
+  // Schedules switched on while the server is up count from that moment, so
+  // enabling a nightly run at noon does not fire it straight away.
+  const armedAt = new Map();
+  let config = { schedules: [] };
+  let timer = null;
+  let ticking = false;
+
+  async function reload() {
+    config = await readSchedulerConfig(configFile);
+    return config;
+  }
+
+  function nextRunFor(schedule) {
+    const last = schedule.lastTriggeredAt ? new Date(schedule.lastTriggeredAt) : null;
+    const armed = armedAt.get(schedule.id) || (last ? null : startedAt);
+    const base = last && (!armed || last > armed) ? last : armed;
+    return computeNextRun(schedule, base);
+  }
+
+  function snapshot() {
+    return {
+      schedules: config.schedules.map((schedule) => ({
+        ...schedule,
+        nextRunAt: schedule.enabled ? nextRunFor(schedule).toISOString() : null,
+        nextRange: resolveScheduleRange(schedule, now()),
+      })),
+    };
+  }
+
+  async function markTriggered(id, at) {
+    const current = await readSchedulerConfig(configFile);
+    const target = current.schedules.find((s) => s.id === id);
+    if (!target) return;
+    target.lastTriggeredAt = at.toISOString();
+    config = await writeSchedulerConfig(configFile, current);
+  }
+
+  async function tick() {
+    if (ticking) return;
+    ticking = true;
+    try {
+      const current = now();
+      for (const schedule of config.schedules) {
+        if (!schedule.enabled) continue;
+        if (nextRunFor(schedule) > current) continue;
+        await markTriggered(schedule.id, current);
+        const range = resolveScheduleRange(schedule, current);
+        console.log(
+          `[scheduler] ${schedule.id} due — refreshing ${range.startDate} → ${range.endDate}`
+        );
+        try {
+          await onDue(schedule, range);
+        } catch (err) {
+          console.error(`[scheduler] ${schedule.id} failed to start:`, err?.message || err);
+        }
+      }
+    } catch (err) {
+      console.error("[scheduler] tick failed:", err?.message || err);
+    } finally {
+      ticking = false;
+    }
+  }
+
+  return {
+    async start() {
+      await reload();
+      if (timer) return;
+      timer = setInterval(tick, tickMs);
+      if (timer.unref) timer.unref();
+      const enabled = config.schedules.filter((s) => s.enabled).length;
+      console.log(`[scheduler] started (${enabled} enabled schedule(s))`);
+    },
+    stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+    },
+    reload,
+    async save(nextConfig) {
+      const previous = new Map(config.schedules.map((s) => [s.id, s]));
+      // Looked up by the normalized id, which is the one stored.
+      const merged = (nextConfig?.schedules || []).map(normalizeSchedule).map((schedule) => ({
+        ...schedule,
+        lastTriggeredAt: previous.get(schedule.id)?.lastTriggeredAt || null,
+      }));
+      config = await writeSchedulerConfig(configFile, { schedules: merged });
+      const savedAt = now();
+      for (const schedule of config.schedules) {
+        if (schedule.enabled && !previous.get(schedule.id)?.enabled) {
+          armedAt.set(schedule.id, savedAt);
+        }
+      }
+      return snapshot();
+    },
+    snapshot,
+  };
+}
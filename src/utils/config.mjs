@@ -1,6 +1,7 @@
 // src/utils/config.mjs
 import fs from "fs";
 import path from "path";
+import { loadInstanceEntries, vaultConfigFromEnv } from "../lib/secretsVault.mjs";
 
 export function loadSsoFis(baseDir) {
   const ssoPath = path.join(baseDir, "sso_fis.json");
@@ -21,16 +22,19 @@ export function loadSsoFis(baseDir) {
 }
 
 export function loadInstances(baseDir) {
-  const instPath = path.join(baseDir, "secrets", "instances.json");
+  // From the encrypted vault when it holds the list, else secrets/instances.json.
+  // A vault that cannot be decrypted is an error, not a reason to fall back.
+  const vault = vaultConfigFromEnv({ root: baseDir });
   try {
-    const raw = fs.readFileSync(instPath, "utf8");
-    const arr = JSON.parse(raw);
-    if (Array.isArray(arr) && arr.length > 0) {
-      console.log(`Loaded ${arr.length} instance(s) from secrets/instances.json`);
-      return arr;
+    const { entries, source } = loadInstanceEntries(vault);
+    if (entries.length > 0) {
+      const from = source === "vault" ? "the secrets vault" : "secrets/instances.json";
+      console.log(`Loaded ${entries.length} instance(s) from ${from}`);
+      return entries;
     }
   } catch (e) {
-    // ignore, we'll fall back
+    if (fs.existsSync(vault.file)) throw e;
+    // bad instances.json: ignore, we'll fall back
   }
 
   console.log("No secrets/instances.json — using .env values as single instance.");